@@ -0,0 +1,358 @@
+#!/usr/bin/env node
+/**
+ * Format Docs CLI
+ * Batch-generates documents from a spreadsheet without the browser (with
+ * an email draft per row if asked), and reads values back out of documents
+ * generated earlier
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const XLSX = require('xlsx');
+const {
+    Parser,
+    Generator,
+    Extractor,
+    Email,
+    Naming,
+    Images,
+    BUILTIN_TEMPLATE,
+    parseRowSpec,
+    generateRows,
+    loadImages,
+    loadTemplateFile,
+    loadMappingFile,
+    resolveMappings
+} = require('../lib/runtime');
+const Mailer = require('../lib/mailer');
+
+const USAGE = `Usage: format-docs generate --input <file> [options]
+
+Options:
+  -i, --input <file>        Spreadsheet to read (.xlsx, .xls, .ods, .csv, .tsv, .json
+                            or .ndjson); with --layout form, repeat for several
+                            questionnaires (one row each)
+  -t, --template <file>     DOCX template; repeat for several documents per row
+                            (default: Templates/template.docx)
+  -o, --out <dir>           Output directory (default: ./output)
+  -m, --mapping <file>      Mapping JSON exported from the web app
+                            (default: suggested from the spreadsheet headers)
+  -r, --rows <list>         Data rows to generate, 1-based, e.g. 2-10 or 1,4,7-
+  -g, --group-by <column>   One document per value of a column, listing its rows
+                            with [#ROWS] ... [/ROWS]
+  -s, --sheet <name>        Sheet to read; repeat to merge several sheets
+      --header-row <n>      Header row number (default: detected)
+  -l, --layout <layout>     table (a header row, one record per row) or form
+                            (questions down a column, answers beside them)
+      --cell <col=address>  Form layout: read a column from a fixed cell, e.g.
+                            "Client=C4" or "Client=Details!C4"; repeatable
+      --images <path>       Folder or zip of images for [%TAG] placeholders; repeatable
+  -n, --name <pattern>      Filename pattern, e.g. "{Region}/{Client|slug}"
+                            (default: ${Naming.defaultPattern})
+      --on-collision <how>  Duplicate names: ${Object.keys(Naming.collisionStrategies).join(', ')}
+                            (default: number)
+  -f, --format <format>     Output: ${Object.keys(Generator.outputFormats).join(', ')} (default: docx)
+                            PDF uses LibreOffice (soffice, or SOFFICE_PATH)
+                            combined joins every document into one DOCX
+      --cover               Combined: start with a cover page
+      --toc                 Combined: add a table of contents listing the documents
+  -z, --zip                 Write a single ZIP instead of separate files
+      --email-to <column>   Column holding each row's recipient addresses; adds an
+                            email draft (.eml) per row with its files attached
+      --email-subject <text>
+                            Subject, with [TAG] placeholders
+                            (default: ${Email.defaults.subject})
+      --email-body <text>   Body, with [TAG] placeholders; @file reads it from a file
+      --email-from <address>
+      --email-cc <addresses>
+      --send                Also send the drafts through the SMTP relay set in
+                            FORMAT_DOCS_SMTP_HOST (see lib/mailer.js)
+  -h, --help                Show this help
+
+Usage: format-docs extract --input <document.docx> [options]
+
+Reads the values back out of documents generated from a template (e.g. after
+they were edited in Word) into one row per document.
+
+Options:
+  -i, --input <file>        Filled DOCX; repeat for several (adds a File column)
+  -t, --template <file>     DOCX template the documents were made from
+                            (default: Templates/template.docx)
+  -m, --mapping <file>      Mapping JSON exported from the web app; gives the columns
+                            (default: the built-in column names)
+  -o, --out <file>          Spreadsheet to write, .xlsx or .csv (default: CSV to stdout)`;
+
+async function generate(options) {
+    if (!options.input || options.input.length === 0) throw new Error('--input is required');
+    const layout = options.layout || 'table';
+    if (!['table', 'form'].includes(layout)) throw new Error('--layout must be table or form');
+    if (layout === 'table' && options.input.length > 1) throw new Error('Several --input files need --layout form');
+
+    const cells = {};
+    (options.cell || []).forEach(spec => {
+        const at = spec.indexOf('=');
+        if (at < 1) throw new Error(`--cell ${spec}: write it as Column=B4`);
+        cells[spec.slice(0, at).trim()] = spec.slice(at + 1).trim();
+    });
+
+    // Parse spreadsheets; each questionnaire in the form layout is one row
+    const headerRow = options['header-row'] ? parseInt(options['header-row'], 10) : 'auto';
+    const results = options.input.map(file => {
+        const input = path.resolve(file);
+        return {
+            fileName: path.basename(input),
+            ...Parser.parseBuffer(fs.readFileSync(input), input, {
+                layout,
+                cells,
+                sheets: options.sheet,
+                headerRow,
+                knownHeaders: Object.keys(Generator.defaultMappings)
+            })
+        };
+    });
+    const data = results.length > 1 ? Parser.mergeFiles(results) : results[0];
+
+    if (data.rows.length === 0) throw new Error('No data rows found in the spreadsheet');
+    if (data.preset) console.error(`Read as a ${Parser.presets[data.preset].name}`);
+
+    const collision = options['on-collision'] || 'number';
+    if (!Naming.collisionStrategies[collision]) {
+        throw new Error(`--on-collision must be one of: ${Object.keys(Naming.collisionStrategies).join(', ')}`);
+    }
+    const format = options.format || 'docx';
+    if (!Generator.outputFormats[format]) {
+        throw new Error(`--format must be one of: ${Object.keys(Generator.outputFormats).join(', ')}`);
+    }
+    const email = readEmailOptions(options, data.headers, format);
+
+    let rowIndexes = data.rows.map((row, i) => i);
+    if (options.rows) rowIndexes = parseRowSpec(options.rows, data.rows.length);
+    if (rowIndexes.length === 0) throw new Error(`--rows ${options.rows} matches none of the ${data.rows.length} rows`);
+
+    // Grouping merges the chosen rows; documents are then numbered by group
+    let rows = data.rows;
+    if (options['group-by']) {
+        if (!data.headers.includes(options['group-by'])) {
+            throw new Error(`--group-by: no column named "${options['group-by']}" (columns: ${data.headers.join(', ')})`);
+        }
+        rows = Generator.groupRows(rowIndexes.map(index => data.rows[index]), options['group-by']);
+        rowIndexes = rows.map((row, i) => i);
+        console.error(`${rowIndexes.length} group${rowIndexes.length !== 1 ? 's' : ''} by ${options['group-by']}`);
+    }
+
+    if (options.images) {
+        const count = await loadImages(options.images.map(file => path.resolve(file)));
+        console.error(`Loaded ${count} image${count !== 1 ? 's' : ''}`);
+    }
+
+    // Load templates and their mapping
+    const templatePaths = options.template && options.template.length ? options.template : [BUILTIN_TEMPLATE];
+    const { mappings, formats } = options.mapping ? loadMappingFile(path.resolve(options.mapping)) : {};
+
+    const templates = templatePaths.map(file => {
+        const resolved = path.resolve(file);
+        const template = loadTemplateFile(resolved, { builtin: resolved === BUILTIN_TEMPLATE, mappings: mappings || null, formats: formats || {} });
+        template.mappings = resolveMappings(data.headers, template);
+        return template;
+    });
+
+    const mapped = Object.keys(templates[0].mappings);
+    console.error(`Mapped columns: ${mapped.length ? mapped.join(', ') : '(none)'}`);
+
+    // Generate, keeping each row's original position for fallback names
+    const documents = await generateRows(rows, rowIndexes, templates, index => {
+        console.error(`Generated ${options['group-by'] ? 'group' : 'row'} ${index + 1}`);
+    }, { filenamePattern: options.name, format, cover: options.cover, toc: options.toc, email });
+    if (Images.missing.size) console.error(`Images not found: ${[...Images.missing].join(', ')}`);
+
+    // Write output
+    const outDir = path.resolve(options.out || 'output');
+    fs.mkdirSync(outDir, { recursive: true });
+
+    if (options.zip) {
+        const zipPath = path.join(outDir, 'Specification_Documents.zip');
+        fs.writeFileSync(zipPath, await Generator.createZip(documents, collision));
+        console.log(zipPath);
+        const files = Generator.uniqueFilenames(documents, collision).filter(Boolean).length;
+        console.error(`1 file written to ${outDir} (${files} document${files !== 1 ? 's' : ''})`);
+    } else {
+        let written = documents.length;
+        Generator.uniqueFilenames(documents, collision).forEach((filename, i) => {
+            if (!filename) {
+                console.error(`Skipped duplicate ${documents[i].filename}`);
+                written--;
+                return;
+            }
+            const filePath = path.join(outDir, filename);
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, documents[i].blob);
+            console.log(filePath);
+        });
+        console.error(`${written} file${written !== 1 ? 's' : ''} written to ${outDir}`);
+    }
+
+    if (email) await reportDrafts(documents.filter(doc => doc.to), options.send);
+}
+
+/**
+ * Email draft settings from the --email-* options
+ * @returns {Object|null} null without --email-to
+ */
+function readEmailOptions(options, headers, format) {
+    const names = ['email-subject', 'email-body', 'email-from', 'email-cc', 'send'];
+    if (!options['email-to']) {
+        const stray = names.find(name => options[name]);
+        if (stray) throw new Error(`--${stray} needs --email-to`);
+        return null;
+    }
+    if (!headers.includes(options['email-to'])) {
+        throw new Error(`--email-to: no column named "${options['email-to']}" (columns: ${headers.join(', ')})`);
+    }
+    if (format === 'combined') throw new Error('--email-to makes a draft per row, which a combined document does not have');
+    if (options.send && !Mailer.isConfigured()) throw new Error('--send needs FORMAT_DOCS_SMTP_HOST (an SMTP relay)');
+
+    let body = options['email-body'];
+    if (body && body.startsWith('@')) body = fs.readFileSync(path.resolve(body.slice(1)), 'utf8');
+    const email = {
+        ...Email.defaults,
+        enabled: true,
+        recipientColumn: options['email-to'],
+        subject: options['email-subject'] || Email.defaults.subject,
+        body: body || Email.defaults.body,
+        from: options['email-from'] || '',
+        cc: options['email-cc'] || ''
+    };
+    Email.checkOptions(email);
+    return email;
+}
+
+/**
+ * Warn about drafts without usable recipients, and send the others when asked
+ * @param {{filename: string, blob: Uint8Array, to: string[], invalid: string[]}[]} drafts
+ * @param {boolean} send
+ */
+async function reportDrafts(drafts, send) {
+    drafts.forEach(draft => {
+        if (draft.invalid.length) console.error(`${draft.filename}: not an email address: ${draft.invalid.join(', ')}`);
+        if (!draft.to.length) console.error(`${draft.filename}: no recipient${send ? '; not sent' : ''}`);
+    });
+    if (!send) return;
+
+    let sent = 0;
+    for (const draft of drafts.filter(d => d.to.length)) {
+        try {
+            await Mailer.send(Buffer.from(draft.blob));
+            sent++;
+        } catch (error) {
+            console.error(`${draft.filename}: not sent: ${error.message}`);
+        }
+    }
+    console.error(`${sent} of ${drafts.length} email${drafts.length !== 1 ? 's' : ''} sent`);
+}
+
+async function extract(options) {
+    if (!options.input || options.input.length === 0) throw new Error('--input is required');
+    if (options.template && options.template.length > 1) throw new Error('extract takes one --template');
+
+    const templatePath = path.resolve(options.template ? options.template[0] : BUILTIN_TEMPLATE);
+    const { mappings, formats } = options.mapping ? loadMappingFile(path.resolve(options.mapping)) : {};
+    const template = loadTemplateFile(templatePath, { mappings: mappings || Generator.defaultMappings, formats: formats || {} });
+
+    const files = options.input.map(file => ({ name: path.basename(file), data: fs.readFileSync(path.resolve(file)) }));
+    const { headers, rows, absent, missing } = Extractor.extractFiles(files, template);
+    if (absent.length) console.error(`Not in the template, left blank: ${absent.join(', ')}`);
+    missing.forEach(({ file, columns }) => {
+        console.error(`${file}: text around ${columns.join(', ')} was changed or removed; left blank`);
+    });
+
+    const sheet = XLSX.utils.json_to_sheet(rows, { header: headers });
+    if (!options.out) {
+        process.stdout.write(XLSX.utils.sheet_to_csv(sheet) + '\n');
+        return;
+    }
+
+    const out = path.resolve(options.out);
+    if (/\.csv$/i.test(out)) {
+        // BOM so Excel opens non-ASCII values correctly
+        fs.writeFileSync(out, '\uFEFF' + XLSX.utils.sheet_to_csv(sheet));
+    } else if (/\.xlsx$/i.test(out)) {
+        const book = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(book, sheet, 'Data');
+        fs.writeFileSync(out, XLSX.write(book, { bookType: 'xlsx', type: 'buffer' }));
+    } else {
+        throw new Error('--out must end in .xlsx or .csv');
+    }
+    console.error(`${rows.length} document${rows.length !== 1 ? 's' : ''} read into ${out}`);
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                input: { type: 'string', short: 'i', multiple: true },
+                template: { type: 'string', short: 't', multiple: true },
+                out: { type: 'string', short: 'o' },
+                mapping: { type: 'string', short: 'm' },
+                rows: { type: 'string', short: 'r' },
+                'group-by': { type: 'string', short: 'g' },
+                sheet: { type: 'string', short: 's', multiple: true },
+                'header-row': { type: 'string' },
+                layout: { type: 'string', short: 'l' },
+                cell: { type: 'string', multiple: true },
+                images: { type: 'string', multiple: true },
+                name: { type: 'string', short: 'n' },
+                'on-collision': { type: 'string' },
+                format: { type: 'string', short: 'f' },
+                cover: { type: 'boolean' },
+                toc: { type: 'boolean' },
+                zip: { type: 'boolean', short: 'z' },
+                'email-to': { type: 'string' },
+                'email-subject': { type: 'string' },
+                'email-body': { type: 'string' },
+                'email-from': { type: 'string' },
+                'email-cc': { type: 'string' },
+                send: { type: 'boolean' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const [command] = parsed.positionals;
+    if (parsed.values.help || !command) {
+        console.log(USAGE);
+        return command || parsed.values.help ? 0 : 2;
+    }
+    const commands = { generate, extract };
+    if (!commands[command]) {
+        console.error(`Unknown command: ${command}\n\n${USAGE}`);
+        return 2;
+    }
+    if (parsed.positionals.length > 1) {
+        // e.g. "-i a.docx b.docx": every input needs its own -i
+        console.error(`Unexpected argument: ${parsed.positionals[1]} (repeat the option for each value)\n\n${USAGE}`);
+        return 2;
+    }
+
+    try {
+        await commands[command](parsed.values);
+        return 0;
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main };
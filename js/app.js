@@ -7,6 +7,22 @@ const App = {
     // State
     parsedData: null,
     templateLoaded: false,
+    templateScan: null, // Inspector.scanDocx result for the loaded DOCX
+    templates: [], // Built-in template followed by Library templates
+    batchTemplateIds: [], // Templates ticked for generation
+    source: null, // { name, hash } of the loaded spreadsheet, for the run history
+    historyRuns: [], // RunHistory.list(), newest first
+    imported: null, // Extractor.extractFiles result of the last documents imported, with name and source
+    emailConfig: null, // Email draft settings (see Email.defaults)
+    smtpAvailable: false, // The server can send the drafts (see lib/mailer.js)
+
+    editTimer: null, // Debounces preview refreshes while typing
+
+    // localStorage keys
+    activeTemplateKey: 'formatDocs.activeTemplate',
+    batchTemplatesKey: 'formatDocs.batchTemplates',
+    groupByKey: 'formatDocs.groupBy',
+    layoutKey: 'formatDocs.layout',
 
     // DOM Elements
     elements: {},
@@ -17,7 +33,12 @@ const App = {
     async init() {
         this.cacheElements();
         this.bindEvents();
+        this.loadNamingConfig();
+        this.loadEmailConfig();
+        this.loadLayoutConfig();
         await this.loadTemplate();
+        this.renderHistory();
+        this.registerServiceWorker();
 
         console.log('Format Docs initialized');
     },
@@ -29,25 +50,132 @@ const App = {
         this.elements = {
             dropZone: document.getElementById('dropZone'),
             fileInput: document.getElementById('fileInput'),
+            layoutSelect: document.getElementById('layoutSelect'),
+            formCellsLabel: document.getElementById('formCellsLabel'),
+            formCellsInput: document.getElementById('formCellsInput'),
+            formHint: document.getElementById('formHint'),
             uploadSection: document.getElementById('upload-section'),
+            mappingSection: document.getElementById('mapping-section'),
+            mappingBody: document.getElementById('mappingBody'),
+            sheetPicker: document.getElementById('sheetPicker'),
+            sheetList: document.getElementById('sheetList'),
+            headerRowInput: document.getElementById('headerRowInput'),
+            reloadSheetsBtn: document.getElementById('reloadSheetsBtn'),
+            imageSummary: document.getElementById('imageSummary'),
+            imageFolderBtn: document.getElementById('imageFolderBtn'),
+            imageFilesBtn: document.getElementById('imageFilesBtn'),
+            clearImagesBtn: document.getElementById('clearImagesBtn'),
+            imageFolderInput: document.getElementById('imageFolderInput'),
+            imageFilesInput: document.getElementById('imageFilesInput'),
+            mappingSummary: document.getElementById('mappingSummary'),
+            mappingUnmapped: document.getElementById('mappingUnmapped'),
+            profileSelect: document.getElementById('profileSelect'),
+            saveProfileBtn: document.getElementById('saveProfileBtn'),
+            deleteProfileBtn: document.getElementById('deleteProfileBtn'),
+            exportProfileBtn: document.getElementById('exportProfileBtn'),
+            importProfileBtn: document.getElementById('importProfileBtn'),
+            profileFileInput: document.getElementById('profileFileInput'),
+            mappingBackBtn: document.getElementById('mappingBackBtn'),
+            autoMapBtn: document.getElementById('autoMapBtn'),
+            applyMappingBtn: document.getElementById('applyMappingBtn'),
+            editMappingBtn: document.getElementById('editMappingBtn'),
+            libraryBadge: document.getElementById('libraryBadge'),
+            libraryList: document.getElementById('libraryList'),
+            uploadTemplateBtn: document.getElementById('uploadTemplateBtn'),
+            templateFileInput: document.getElementById('templateFileInput'),
+            historyBadge: document.getElementById('historyBadge'),
+            historyList: document.getElementById('historyList'),
+            compareRunsBtn: document.getElementById('compareRunsBtn'),
+            clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+            historyDiff: document.getElementById('historyDiff'),
+            importBadge: document.getElementById('importBadge'),
+            importDocsBtn: document.getElementById('importDocsBtn'),
+            importDocsInput: document.getElementById('importDocsInput'),
+            importXlsxBtn: document.getElementById('importXlsxBtn'),
+            importCsvBtn: document.getElementById('importCsvBtn'),
+            importLoadBtn: document.getElementById('importLoadBtn'),
+            importDiff: document.getElementById('importDiff'),
+            offlineNotice: document.getElementById('offlineNotice'),
+            offlineNoticeText: document.getElementById('offlineNoticeText'),
+            offlineReloadBtn: document.getElementById('offlineReloadBtn'),
+            templateHealth: document.getElementById('templateHealth'),
+            healthBadge: document.getElementById('healthBadge'),
+            healthList: document.getElementById('healthList'),
             previewSection: document.getElementById('preview-section'),
             previewFrame: document.getElementById('previewFrame'),
             fileName: document.getElementById('fileName'),
             rowCount: document.getElementById('rowCount'),
+            rowUnit: document.getElementById('rowUnit'),
+            groupBySelect: document.getElementById('groupBySelect'),
             currentRow: document.getElementById('currentRow'),
             totalRows: document.getElementById('totalRows'),
             prevRow: document.getElementById('prevRow'),
             nextRow: document.getElementById('nextRow'),
+            viewToggle: document.getElementById('viewToggle'),
+            pageCount: document.getElementById('pageCount'),
+            zoomOutBtn: document.getElementById('zoomOutBtn'),
+            zoomInBtn: document.getElementById('zoomInBtn'),
+            zoomResetBtn: document.getElementById('zoomResetBtn'),
+            editPanel: document.getElementById('editPanel'),
+            editToggleBtn: document.getElementById('editToggleBtn'),
+            editSummary: document.getElementById('editSummary'),
+            exportXlsxBtn: document.getElementById('exportXlsxBtn'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
+            rowDirty: document.getElementById('rowDirty'),
+            rowIssues: document.getElementById('rowIssues'),
+            validationRules: document.getElementById('validationRules'),
+            rulesBody: document.getElementById('rulesBody'),
+            rulesBadge: document.getElementById('rulesBadge'),
+            onIssuesSelect: document.getElementById('onIssuesSelect'),
+            issuesPanel: document.getElementById('issuesPanel'),
+            issuesBadge: document.getElementById('issuesBadge'),
+            issuesList: document.getElementById('issuesList'),
+            namingBadge: document.getElementById('namingBadge'),
+            filenamePatternInput: document.getElementById('filenamePatternInput'),
+            collisionSelect: document.getElementById('collisionSelect'),
+            outputFormatSelect: document.getElementById('outputFormatSelect'),
+            combineOptions: document.getElementById('combineOptions'),
+            combineCoverCheck: document.getElementById('combineCoverCheck'),
+            combineTocCheck: document.getElementById('combineTocCheck'),
+            resetPatternBtn: document.getElementById('resetPatternBtn'),
+            namingFields: document.getElementById('namingFields'),
+            namingPreview: document.getElementById('namingPreview'),
+            emailBadge: document.getElementById('emailBadge'),
+            emailEnabledCheck: document.getElementById('emailEnabledCheck'),
+            emailToSelect: document.getElementById('emailToSelect'),
+            emailCcInput: document.getElementById('emailCcInput'),
+            emailFromInput: document.getElementById('emailFromInput'),
+            emailSubjectInput: document.getElementById('emailSubjectInput'),
+            emailBodyInput: document.getElementById('emailBodyInput'),
+            emailSendCheck: document.getElementById('emailSendCheck'),
+            emailHint: document.getElementById('emailHint'),
             generateSingleBtn: document.getElementById('generateSingleBtn'),
+            generateSelectedBtn: document.getElementById('generateSelectedBtn'),
+            selectedCount: document.getElementById('selectedCount'),
             generateAllBtn: document.getElementById('generateAllBtn'),
+            rowsPanel: document.getElementById('rowsPanel'),
             newFileBtn: document.getElementById('newFileBtn'),
             loadingOverlay: document.getElementById('loadingOverlay'),
             loadingText: document.getElementById('loadingText'),
+            loadingProgress: document.getElementById('loadingProgress'),
+            loadingProgressFill: document.getElementById('loadingProgressFill'),
+            cancelBtn: document.getElementById('cancelBtn'),
+            failuresPanel: document.getElementById('failuresPanel'),
+            failuresBadge: document.getElementById('failuresBadge'),
+            failuresList: document.getElementById('failuresList'),
             toastContainer: document.getElementById('toastContainer')
         };
 
         // Initialize Preview module with iframe
         Preview.init(this.elements.previewFrame);
+        Editor.init(this.elements.editPanel, () => this.handleRowEdit());
+        RowList.init(this.elements.rowsPanel, {
+            onOpen: (index) => {
+                Preview.goTo(this.documentIndexOf(index));
+                this.updateNavigation();
+            },
+            onChange: () => this.updateSelectedCount()
+        });
     },
 
     /**
@@ -79,22 +207,179 @@ const App = {
 
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                this.processFile(files[0]);
+                this.processFiles([...files]);
             }
         });
 
+        // Spreadsheet layout
+        this.elements.layoutSelect.addEventListener('change', () => this.saveLayoutConfig());
+        this.elements.formCellsInput.addEventListener('change', () => this.saveLayoutConfig());
+
         // Navigation buttons
         prevRow.addEventListener('click', () => this.navigatePrev());
         nextRow.addEventListener('click', () => this.navigateNext());
 
+        // View options
+        const { viewToggle, zoomOutBtn, zoomInBtn, zoomResetBtn } = this.elements;
+
+        viewToggle.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-mode]');
+            if (!button || button.disabled) return;
+            Preview.setMode(button.dataset.mode);
+            this.updateNavigation();
+        });
+        zoomOutBtn.addEventListener('click', () => this.setZoom(-1));
+        zoomInBtn.addEventListener('click', () => this.setZoom(1));
+        zoomResetBtn.addEventListener('click', () => this.setZoom(0));
+        this.elements.groupBySelect.addEventListener('change', (e) => this.setGroupColumn(e.target.value));
+
+        // Row value editor
+        const { editToggleBtn, editPanel, exportXlsxBtn, exportCsvBtn } = this.elements;
+
+        editToggleBtn.addEventListener('click', () => editPanel.classList.toggle('hidden'));
+        exportXlsxBtn.addEventListener('click', () => this.exportData('xlsx'));
+        exportCsvBtn.addEventListener('click', () => this.exportData('csv'));
+
+        // File names
+        const { filenamePatternInput, collisionSelect, resetPatternBtn } = this.elements;
+
+        filenamePatternInput.addEventListener('input', () => this.saveNamingConfig());
+        collisionSelect.addEventListener('change', () => this.saveNamingConfig());
+        this.elements.outputFormatSelect.addEventListener('change', () => this.saveNamingConfig());
+        this.elements.combineCoverCheck.addEventListener('change', () => this.saveNamingConfig());
+        this.elements.combineTocCheck.addEventListener('change', () => this.saveNamingConfig());
+        resetPatternBtn.addEventListener('click', () => {
+            filenamePatternInput.value = Naming.defaultPattern;
+            this.saveNamingConfig();
+        });
+
+        // Email drafts
+        ['emailEnabledCheck', 'emailToSelect', 'emailSendCheck'].forEach(name => {
+            this.elements[name].addEventListener('change', () => this.saveEmailConfig());
+        });
+        ['emailCcInput', 'emailFromInput', 'emailSubjectInput', 'emailBodyInput'].forEach(name => {
+            this.elements[name].addEventListener('input', () => this.saveEmailConfig());
+        });
+
         // Action buttons
         generateSingleBtn.addEventListener('click', () => this.generateDocuments('single'));
         generateAllBtn.addEventListener('click', () => this.generateDocuments('all'));
+        this.elements.generateSelectedBtn.addEventListener('click', () => this.generateDocuments('selected'));
         newFileBtn.addEventListener('click', () => this.reset());
 
+        // Mapping step
+        const { profileSelect, saveProfileBtn, deleteProfileBtn, exportProfileBtn, importProfileBtn,
+            profileFileInput, mappingBackBtn, autoMapBtn, applyMappingBtn, editMappingBtn, mappingBody } = this.elements;
+
+        mappingBody.addEventListener('change', (e) => {
+            if (e.target.matches('input.mapping-format')) {
+                const sample = e.target.closest('tr').querySelector('.mapping-sample').title;
+                e.target.title = sample ? `First value: ${this.formatSample(sample, e.target.value.trim())}` : '';
+                return;
+            }
+            this.updateMappingSummary();
+            this.renderRules();
+        });
+        profileSelect.addEventListener('change', () => this.selectProfile(profileSelect.value));
+        saveProfileBtn.addEventListener('click', () => this.saveProfile());
+        deleteProfileBtn.addEventListener('click', () => this.deleteProfile());
+        exportProfileBtn.addEventListener('click', () => this.exportProfile());
+        importProfileBtn.addEventListener('click', () => profileFileInput.click());
+        profileFileInput.addEventListener('change', (e) => this.importProfile(e.target.files[0]));
+        mappingBackBtn.addEventListener('click', () => this.reset());
+        autoMapBtn.addEventListener('click', () => this.renderMapping(this.suggestMapping()));
+        applyMappingBtn.addEventListener('click', () => this.applyMapping());
+        editMappingBtn.addEventListener('click', () => this.showMapping());
+        this.elements.reloadSheetsBtn.addEventListener('click', () => this.reloadSheets());
+
+        // Images for [%TAG] placeholders
+        const { imageFolderBtn, imageFilesBtn, clearImagesBtn, imageFolderInput, imageFilesInput } = this.elements;
+        imageFolderBtn.addEventListener('click', () => imageFolderInput.click());
+        imageFilesBtn.addEventListener('click', () => imageFilesInput.click());
+        [imageFolderInput, imageFilesInput].forEach(input => input.addEventListener('change', async () => {
+            await this.addImages([...input.files]);
+            input.value = '';
+        }));
+        clearImagesBtn.addEventListener('click', () => {
+            Images.clear();
+            this.updateImageSummary();
+            Preview.render();
+        });
+
+        // Validation
+        const { rulesBody, onIssuesSelect, issuesList } = this.elements;
+
+        rulesBody.addEventListener('change', () => this.saveRules());
+        onIssuesSelect.addEventListener('change', () => this.saveRules());
+        issuesList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-index]');
+            if (!button) return;
+            Preview.goTo(this.documentIndexOf(Number(button.dataset.index)));
+            this.updateNavigation();
+        });
+        this.elements.failuresList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-index]');
+            if (!button) return;
+            Preview.goTo(Number(button.dataset.index)); // Failures are numbered by document
+            this.updateNavigation();
+        });
+        this.elements.cancelBtn.addEventListener('click', () => {
+            if (!Batch.cancel) return;
+            this.elements.loadingText.textContent = 'Cancelling...';
+            Batch.cancel();
+        });
+
+        // Template library
+        const { uploadTemplateBtn, templateFileInput, libraryList } = this.elements;
+
+        uploadTemplateBtn.addEventListener('click', () => templateFileInput.click());
+        templateFileInput.addEventListener('change', (e) => this.uploadTemplates([...e.target.files]));
+        libraryList.addEventListener('change', (e) => {
+            if (e.target.matches('input[type="checkbox"]')) this.toggleBatchTemplate(e.target.value, e.target.checked);
+        });
+        libraryList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'use') this.activateTemplate(button.dataset.id);
+            if (button.dataset.action === 'delete') this.deleteTemplate(button.dataset.id);
+        });
+
+        // Generation history
+        const { historyList, compareRunsBtn, clearHistoryBtn } = this.elements;
+        historyList.addEventListener('change', (e) => {
+            if (e.target.matches('input[type="checkbox"]')) this.updateCompareButton();
+        });
+        historyList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'download') this.replayRun(button.dataset.id, false);
+            if (button.dataset.action === 'regenerate') this.replayRun(button.dataset.id, true);
+            if (button.dataset.action === 'delete') this.deleteRun(button.dataset.id);
+        });
+        compareRunsBtn.addEventListener('click', () => this.compareRuns());
+        clearHistoryBtn.addEventListener('click', () => this.clearHistory());
+
+        // Values imported from filled documents
+        const { importDocsBtn, importDocsInput } = this.elements;
+        importDocsBtn.addEventListener('click', () => importDocsInput.click());
+        importDocsInput.addEventListener('change', (e) => {
+            this.importDocuments([...e.target.files], false);
+            e.target.value = '';
+        });
+        this.elements.importXlsxBtn.addEventListener('click', () => this.exportImported('xlsx'));
+        this.elements.importCsvBtn.addEventListener('click', () => this.exportImported('csv'));
+        this.elements.importLoadBtn.addEventListener('click', () => this.useImported());
+
+        // Offline use
+        this.elements.offlineReloadBtn.addEventListener('click', () => location.reload());
+        window.addEventListener('online', () => this.updateOfflineNotice());
+        window.addEventListener('offline', () => {
+            this.showToast('You are offline. Format Docs keeps working with its saved copy.', 'info');
+        });
+
         // Keyboard navigation
         document.addEventListener('keydown', (e) => {
-            if (this.parsedData) {
+            if (this.parsedData && !this.elements.previewSection.classList.contains('hidden')) {
                 if (e.key === 'ArrowLeft') this.navigatePrev();
                 if (e.key === 'ArrowRight') this.navigateNext();
             }
@@ -102,12 +387,16 @@ const App = {
     },
 
     /**
-     * Load the HTML template
+     * Load the built-in templates and the template library
      */
     async loadTemplate() {
         try {
-            // Load HTML for Preview
-            await Generator.loadHtmlTemplate('Templates/format-docs.html');
+            // HTML preview template is optional: the preview renders the DOCX itself
+            try {
+                await Generator.loadHtmlTemplate('Templates/format-docs.html');
+            } catch (error) {
+                Generator.htmlTemplate = null;
+            }
 
             // Load DOCX for Generation
             const docxLoaded = await Generator.loadDocxTemplate('Templates/template.docx');
@@ -117,7 +406,29 @@ const App = {
                 this.showToast('Templates/template.docx not found. Generation will fail until created.', 'warning');
             }
 
+            this.templates = [{
+                id: Library.builtinId,
+                name: 'Needs Analysis',
+                version: '1.0',
+                docx: Generator.docxTemplate,
+                html: Generator.htmlTemplate,
+                mappings: null,
+                builtin: true
+            }];
+
+            try {
+                this.templates.push(...await Library.list());
+            } catch (error) {
+                console.error('Template library error:', error);
+                this.showToast('Template library unavailable; using the built-in template only', 'warning');
+            }
+
+            const savedBatch = JSON.parse(localStorage.getItem(this.batchTemplatesKey) || '[]');
+            this.batchTemplateIds = savedBatch.filter(id => this.templates.some(t => t.id === id));
+
+            this.activateTemplate(localStorage.getItem(this.activeTemplateKey) || Library.builtinId);
             this.templateLoaded = true;
+            this.updateOfflineNotice();
         } catch (error) {
             console.error('Failed to load templates:', error);
             this.showToast('Failed to load templates. Please refresh.', 'error');
@@ -125,178 +436,2114 @@ const App = {
     },
 
     /**
-     * Handle file input selection
+     * Cache the app for offline use and installation (served over http(s) only)
      */
-    handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (file) {
-            this.processFile(file);
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker error:', error);
+        });
+    },
+
+    /**
+     * Say when the built-in template is a cached copy that may be out of date
+     */
+    updateOfflineNotice() {
+        const { offlineNotice, offlineNoticeText, offlineReloadBtn } = this.elements;
+        const cachedAt = Generator.docxCachedAt;
+        offlineNotice.classList.toggle('hidden', !cachedAt);
+        if (!cachedAt) return;
+
+        const date = new Date(cachedAt);
+        const when = isNaN(date) ? 'an earlier visit' : date.toLocaleString();
+        if (navigator.onLine) {
+            offlineNoticeText.textContent = `Back online. The built-in template is still the copy saved on ${when}; reload to use the latest one.`;
+        } else {
+            offlineNoticeText.textContent = `Offline: the built-in template is the copy saved on ${when} and may be older than the server's. Documents use this copy until you reload online.`;
         }
+        offlineReloadBtn.classList.toggle('hidden', !navigator.onLine);
     },
 
     /**
-     * Process uploaded file
+     * Make a template active for preview and mapping
+     * @param {string} id
      */
-    async processFile(file) {
-        // Validate file type
-        const validTypes = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-            'application/vnd.ms-excel',
-            'text/csv'];
-        const extension = file.name.split('.').pop().toLowerCase();
+    activateTemplate(id) {
+        const template = this.templates.find(t => t.id === id) || this.templates[0];
 
-        if (!['xlsx', 'xls', 'csv'].includes(extension)) {
-            this.showToast('Please upload an Excel (.xlsx) or CSV file', 'error');
-            return;
+        Generator.useTemplate(template);
+        localStorage.setItem(this.activeTemplateKey, template.id);
+        if (this.batchTemplateIds.length === 0) this.batchTemplateIds = [template.id];
+
+        this.inspectTemplates();
+        this.renderLibrary();
+
+        // Each template keeps its own mapping; new ones start from a suggestion
+        if (this.parsedData) {
+            this.showMapping(!template.mappings);
         }
+    },
 
-        this.showLoading('Parsing spreadsheet...');
+    /**
+     * Render the template library list
+     */
+    renderLibrary() {
+        const { libraryList, libraryBadge } = this.elements;
+        const active = Generator.activeTemplate;
+        libraryList.innerHTML = '';
 
-        try {
-            const result = await Parser.parseFile(file);
+        this.templates.forEach(template => {
+            const li = document.createElement('li');
+            li.className = `library-item${template === active ? ' active' : ''}`;
 
-            if (result.rows.length === 0) {
-                throw new Error('No data rows found in the spreadsheet');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = template.id;
+            checkbox.checked = this.batchTemplateIds.includes(template.id);
+            checkbox.title = 'Generate this template for each row';
+            const name = document.createElement('span');
+            name.textContent = template.name;
+            const version = document.createElement('small');
+            version.textContent = `v${template.version}${template.builtin ? ' · built-in' : ''}${template.html ? '' : ' · no HTML preview'}`;
+            label.append(checkbox, name, version);
+            li.appendChild(label);
+
+            if (template === active) {
+                const badge = document.createElement('span');
+                badge.className = 'health-badge success';
+                badge.textContent = 'Active';
+                li.appendChild(badge);
+            } else {
+                const use = document.createElement('button');
+                use.className = 'btn btn-secondary';
+                use.dataset.action = 'use';
+                use.dataset.id = template.id;
+                use.textContent = 'Use';
+                li.appendChild(use);
             }
 
-            this.parsedData = result;
+            if (!template.builtin) {
+                const remove = document.createElement('button');
+                remove.className = 'btn btn-secondary';
+                remove.dataset.action = 'delete';
+                remove.dataset.id = template.id;
+                remove.textContent = 'Delete';
+                li.appendChild(remove);
+            }
 
-            // Update UI
-            this.elements.fileName.textContent = file.name;
-            this.elements.rowCount.textContent = `${result.rows.length} row${result.rows.length !== 1 ? 's' : ''}`;
+            libraryList.appendChild(li);
+        });
 
-            // Initialize preview
-            Preview.setRows(result.rows);
-            Preview.render();
+        const batch = this.getBatchTemplates();
+        libraryBadge.textContent = batch.length > 1
+            ? `${batch.length} templates per row`
+            : `${active.name} v${active.version}`;
+    },
 
-            // Update navigation
-            this.updateNavigation();
+    /**
+     * Templates ticked for generation (falls back to the active one)
+     * @returns {Object[]}
+     */
+    getBatchTemplates() {
+        const batch = this.templates.filter(t => this.batchTemplateIds.includes(t.id));
+        return batch.length ? batch : [Generator.activeTemplate];
+    },
 
-            // Show preview section
-            this.elements.uploadSection.classList.add('hidden');
-            this.elements.previewSection.classList.remove('hidden');
+    toggleBatchTemplate(id, checked) {
+        this.batchTemplateIds = this.batchTemplateIds.filter(t => t !== id);
+        if (checked) this.batchTemplateIds.push(id);
+        localStorage.setItem(this.batchTemplatesKey, JSON.stringify(this.batchTemplateIds));
+        this.renderLibrary();
+        this.updateNamingPreview();
+    },
 
-            this.hideLoading();
-            this.showToast(`Loaded ${result.rows.length} row${result.rows.length !== 1 ? 's' : ''} successfully`, 'success');
+    /**
+     * Add uploaded .docx/.html files to the library
+     * @param {File[]} files
+     */
+    async uploadTemplates(files) {
+        this.elements.templateFileInput.value = '';
+        if (files.length === 0) return;
+
+        this.showLoading('Saving templates...');
+        try {
+            const saved = await Library.addFiles(files);
+            saved.forEach(record => {
+                const index = this.templates.findIndex(t => t.id === record.id);
+                if (index >= 0) this.templates[index] = record;
+                else this.templates.push(record);
+            });
 
+            // A re-uploaded active template must be reloaded
+            const active = Generator.activeTemplate;
+            const replaced = saved.find(record => record.id === active.id);
+            if (replaced) this.activateTemplate(replaced.id);
+            else this.renderLibrary();
+
+            this.showToast(saved.map(t => `${t.name} v${t.version}`).join(', ') + ' saved', 'success');
         } catch (error) {
+            console.error('Template upload error:', error);
+            this.showToast(error.message, 'error');
+        } finally {
             this.hideLoading();
-            console.error('Parse error:', error);
+        }
+    },
+
+    async deleteTemplate(id) {
+        const template = this.templates.find(t => t.id === id);
+        if (!template || template.builtin) return;
+        if (!confirm(`Delete template "${template.name}" v${template.version}?`)) return;
+
+        try {
+            await Library.remove(id);
+            this.templates = this.templates.filter(t => t.id !== id);
+            this.toggleBatchTemplate(id, false);
+            if (Generator.activeTemplate === template) this.activateTemplate(Library.builtinId);
+            this.showToast(`Deleted template "${template.name}"`, 'success');
+        } catch (error) {
+            console.error('Template delete error:', error);
             this.showToast(error.message, 'error');
         }
     },
 
     /**
-     * Navigate to previous row
+     * Discover placeholders in the loaded templates and show the health panel
      */
-    navigatePrev() {
-        if (Preview.previous()) {
-            this.updateNavigation();
+    inspectTemplates() {
+        try {
+            this.templateScan = Generator.docxTemplate ? Inspector.scanDocx(Generator.docxTemplate) : null;
+        } catch (error) {
+            console.error('Template scan error:', error);
+            this.templateScan = null;
+            this.showToast('Could not read template.docx for placeholders', 'warning');
         }
+
+        const htmlTags = Inspector.scanHtml(Generator.htmlTemplate);
+        const docxTags = this.templateScan ? Object.keys(this.templateScan.tags) : [];
+        Generator.templateTags = [...new Set([...docxTags, ...htmlTags])];
+
+        this.renderTemplateHealth();
     },
 
     /**
-     * Navigate to next row
+     * Render the template health panel for the active mapping
      */
-    navigateNext() {
-        if (Preview.next()) {
-            this.updateNavigation();
+    renderTemplateHealth() {
+        const htmlTags = Inspector.scanHtml(Generator.htmlTemplate);
+        const report = Inspector.buildReport(this.templateScan, htmlTags, Generator.mappings);
+        const { templateHealth, healthBadge, healthList } = this.elements;
+
+        const items = [];
+        const add = (type, text, tags) => {
+            if (tags.length) items.push({ type, text, tags });
+        };
+        add('error', 'Mapped but missing from template.docx (will not appear in documents)', report.missingFromDocx);
+        add('error', 'Unbalanced [ ] brackets in template.docx', report.broken.map(b => `${b.part}: “${b.text}”`));
+        add('warning', 'In the templates but not mapped to a column (will be blank)', report.unmapped);
+        add('warning', 'Split across Word runs (formatting follows the first run; retype the tag in Word to fix)', report.split);
+        add('info', 'Mapped but missing from the HTML preview template', report.missingFromHtml);
+
+        healthList.innerHTML = '';
+        items.forEach(({ type, text, tags }) => {
+            const li = document.createElement('li');
+            li.className = `health-item ${type}`;
+            const title = document.createElement('strong');
+            title.textContent = text;
+            const detail = document.createElement('span');
+            detail.textContent = tags.join(', ');
+            li.append(title, detail);
+            healthList.appendChild(li);
+        });
+
+        const worst = ['error', 'warning', 'info'].find(type => items.some(item => item.type === type));
+        healthBadge.className = `health-badge ${worst || 'success'}`;
+        healthBadge.textContent = worst
+            ? `${items.length} issue${items.length !== 1 ? 's' : ''}`
+            : `${report.docxTags.length} placeholders OK`;
+        templateHealth.classList.remove('hidden');
+    },
+
+    /**
+     * Handle file input selection
+     */
+    handleFileSelect(event) {
+        if (event.target.files.length > 0) {
+            this.processFiles([...event.target.files]);
         }
     },
 
     /**
-     * Update navigation UI based on current state
+     * Files dropped or picked together: images and zips are loaded for
+     * [%TAG] placeholders, the spreadsheet is parsed. In the form layout every
+     * spreadsheet is a questionnaire and becomes one row. Filled DOCX
+     * documents (without a spreadsheet) are imported as the data.
+     * @param {File[]} files
      */
-    updateNavigation() {
-        const state = Preview.getState();
+    async processFiles(files) {
+        const isSpreadsheet = (file) => Parser.isSupported(file.name);
+        const isDocument = (file) => /\.docx$/i.test(file.name);
+        const spreadsheets = files.filter(isSpreadsheet);
+        const documents = files.filter(isDocument);
+        const images = files.filter(file => !isSpreadsheet(file) && !isDocument(file));
 
-        this.elements.currentRow.textContent = state.current;
-        this.elements.totalRows.textContent = state.total;
-        this.elements.prevRow.disabled = !state.hasPrev;
-        this.elements.nextRow.disabled = !state.hasNext;
+        if (images.length) await this.addImages(images);
+        if (documents.length && !spreadsheets.length) {
+            await this.importDocuments(documents, true);
+        } else if (spreadsheets.length && this.elements.layoutSelect.value === 'form') {
+            await this.processForms(spreadsheets);
+        } else if (spreadsheets.length) {
+            if (spreadsheets.length > 1) {
+                this.showToast(`Only ${spreadsheets[0].name} was read. Choose the Form layout to read several questionnaires.`, 'warning');
+            }
+            await this.processFile(spreadsheets[0]);
+        } else if (!images.length) {
+            await this.processFile(files[0]); // Reports the unsupported type
+        }
     },
 
     /**
-     * Generate and download DOCX documents
-     * @param {'single'|'all'} scope
+     * Load images from files, a picked folder or zips
+     * @param {File[]} files
      */
-    async generateDocuments(scope = 'all') {
-        if (!this.parsedData || !this.templateLoaded) {
-            this.showToast('No data loaded or template missing', 'error');
+    async addImages(files) {
+        if (!files.length) return;
+        this.showLoading('Loading images...');
+        try {
+            const added = await Images.addFiles(files);
+            this.updateImageSummary();
+            if (added) {
+                this.showToast(`Loaded ${added} image${added !== 1 ? 's' : ''}`, 'success');
+                if (this.parsedData) Preview.render();
+            } else {
+                this.showToast('No PNG, JPEG, GIF or BMP images found', 'warning');
+            }
+        } catch (error) {
+            console.error('Image load error:', error);
+            this.showToast(`Could not load images: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    updateImageSummary() {
+        const count = Images.files.size;
+        this.elements.imageSummary.textContent = count ? `${count} image${count !== 1 ? 's' : ''} loaded` : 'No images loaded';
+        this.elements.clearImagesBtn.disabled = count === 0;
+    },
+
+    /**
+     * Warn about image values that matched no loaded image in the last batch
+     */
+    reportMissingImages() {
+        if (!Images.missing.size) return;
+        const missing = [...Images.missing];
+        this.showToast(`Images not found: ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? ` and ${missing.length - 5} more` : ''}`, 'warning');
+    },
+
+    /**
+     * Process uploaded file
+     */
+    async processFile(file) {
+        // Validate file type
+        if (!Parser.isSupported(file.name)) {
+            this.showToast('Please upload a spreadsheet: Excel, OpenDocument (.ods), CSV, TSV or JSON', 'error');
             return;
         }
 
-        const rows = this.parsedData.rows;
+        this.showLoading('Parsing spreadsheet...');
 
-        // Handle Single Document
-        if (scope === 'single') {
-            const currentRowIndex = Preview.currentIndex;
-            const row = rows[currentRowIndex];
+        try {
+            const result = await Parser.parseFile(file, { knownHeaders: this.getKnownHeaders() });
 
-            this.showLoading('Generating document...');
+            if (result.rows.length === 0) {
+                throw new Error('No data rows found in the spreadsheet');
+            }
+
+            this.loadData(result, file.name, { name: file.name, hash: await RunHistory.hash(await file.arrayBuffer()) });
+            this.hideLoading();
+            const source = result.preset ? ` from the ${Parser.presets[result.preset].name}` : '';
+            this.showToast(`Loaded ${result.rows.length} row${result.rows.length !== 1 ? 's' : ''}${source} successfully`, 'success');
+
+        } catch (error) {
+            this.hideLoading();
+            console.error('Parse error:', error);
+            this.showToast(error.message, 'error');
+        }
+    },
+
+    /**
+     * Read filled-in questionnaires, one row per file. Files that cannot be
+     * read are reported and left out.
+     * @param {File[]} files
+     */
+    async processForms(files) {
+        let options;
+        try {
+            options = { layout: 'form', cells: this.readFormCells(), knownHeaders: this.getKnownHeaders() };
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        this.showLoading(`Reading ${files.length} questionnaire${files.length !== 1 ? 's' : ''}...`);
+        const results = [];
+        const failed = [];
+        const hashes = [];
+        for (const file of files) {
             try {
-                const doc = await Generator.generateSingle(row, currentRowIndex);
-                saveAs(doc.blob, doc.filename);
-                this.showToast('Document downloaded successfully!', 'success');
+                results.push({ fileName: file.name, ...await Parser.parseFile(file, options) });
+                hashes.push(await RunHistory.hash(await file.arrayBuffer()));
             } catch (error) {
-                console.error('Generation error:', error);
-                this.showToast(`Generation failed: ${error.message}`, 'error');
-            } finally {
-                this.hideLoading();
+                console.error('Parse error:', error);
+                failed.push(`${file.name}: ${error.message}`);
             }
+        }
+        this.hideLoading();
+
+        if (results.length === 0) {
+            this.showToast(failed[0] || 'No questionnaires found', 'error');
             return;
         }
 
-        // Handle All Documents
-        this.showLoading(`Generating 1 of ${rows.length}...`);
+        // One file keeps its name; several get a File column and a combined hash
+        const single = files.length === 1;
+        const result = single ? results[0] : Parser.mergeFiles(results);
+        const name = single ? files[0].name : `${results.length} questionnaires`;
+        const hash = single ? hashes[0] : await RunHistory.hash(new TextEncoder().encode(hashes.join('\n')));
+        this.loadData(result, name, { name, hash });
 
-        try {
-            const documents = await Generator.generateAll(rows, (current, total) => {
-                this.elements.loadingText.textContent = `Generating document ${current} of ${total}...`;
-            });
+        if (failed.length) {
+            this.showToast(`Loaded ${results.length} questionnaire${results.length !== 1 ? 's' : ''}; could not read ${failed.join('; ')}`, 'warning');
+        } else {
+            this.showToast(`Loaded ${results.length} questionnaire${results.length !== 1 ? 's' : ''} successfully`, 'success');
+        }
+    },
 
-            if (documents.length === 1) {
-                // Single file - direct download
-                saveAs(documents[0].blob, documents[0].filename);
-                this.showToast('Document downloaded successfully!', 'success');
-            } else {
-                // Multiple files - create ZIP
-                this.elements.loadingText.textContent = 'Creating ZIP archive...';
-                const zipBlob = await Generator.createZip(documents);
-                saveAs(zipBlob, 'Specification_Documents.zip');
-                this.showToast(`${documents.length} documents downloaded as ZIP!`, 'success');
-            }
+    /**
+     * Read values back out of documents generated from the active template
+     * (e.g. after they were edited in Word). With data loaded they are compared
+     * with its rows; the result can be exported or used as the data.
+     * @param {File[]} files - DOCX files
+     * @param {boolean} load - Use the imported rows as the data straight away
+     */
+    async importDocuments(files, load) {
+        if (!files.length) return;
+        this.showLoading(`Reading ${files.length} document${files.length !== 1 ? 's' : ''}...`);
 
+        let result;
+        const hashes = [];
+        try {
+            const documents = [];
+            for (const file of files) {
+                const data = await file.arrayBuffer();
+                documents.push({ name: file.name, data });
+                hashes.push(await RunHistory.hash(data));
+            }
+            result = Extractor.extractFiles(documents);
+        } catch (error) {
             this.hideLoading();
+            console.error('Import error:', error);
+            this.showToast(`Could not import the documents: ${error.message}`, 'error');
+            return;
+        }
+        this.hideLoading();
+
+        const single = files.length === 1;
+        const name = single ? files[0].name : `${files.length} documents`;
+        const hash = single ? hashes[0] : await RunHistory.hash(new TextEncoder().encode(hashes.join('\n')));
+        this.imported = { ...result, name, source: { name, hash } };
+        this.renderImport();
+
+        if (result.absent.length) {
+            this.showToast(`Not in the active template, so not read: ${result.absent.join(', ')}`, 'warning');
+        }
+        if (result.missing.length) {
+            const missing = result.missing.map(({ file, columns }) => `${file}: ${columns.join(', ')}`);
+            this.showToast(`Text around some values was changed or removed, so they were not read (${missing.join('; ')})`, 'warning');
+        }
+        if (load) {
+            this.useImported();
+        } else {
+            this.elements.importDiff.closest('details').open = true;
+            this.showToast(`Imported ${files.length} document${files.length !== 1 ? 's' : ''}`, 'success');
+        }
+    },
+
+    /**
+     * Show the imported documents, compared with the loaded rows (as the
+     * template writes them, with edits) when there are any
+     */
+    renderImport() {
+        const { importBadge, importXlsxBtn, importCsvBtn, importLoadBtn, importDiff } = this.elements;
+        const imported = this.imported;
+        importXlsxBtn.disabled = importCsvBtn.disabled = importLoadBtn.disabled = !imported;
+        importDiff.innerHTML = '';
+        importDiff.classList.toggle('hidden', !imported);
+        if (!imported) {
+            importBadge.textContent = 'None';
+            return;
+        }
+        importBadge.textContent = imported.name;
+
+        if (!this.parsedData) {
+            const p = document.createElement('p');
+            p.textContent = `${imported.rows.length} document${imported.rows.length !== 1 ? 's' : ''} read. Load a spreadsheet to compare them with it.`;
+            importDiff.appendChild(p);
+            return;
+        }
+
+        // Values that could not be read are left out of the comparison
+        const columns = imported.headers.filter(column => column !== Parser.fileColumn && !imported.absent.includes(column));
+        const pick = (row, skip = []) => Object.fromEntries(columns.filter(column => !skip.includes(column)).map(column => [column, row[column] ?? '']));
+        const original = Editor.rows.map((row, index) => ({ index, values: pick(Extractor.renderedRow(row)) }));
+        const current = imported.rows.map((row, index) => {
+            const missing = imported.missing.find(entry => entry.index === index);
+            return { index, values: pick(row, missing ? missing.columns : []) };
+        });
+        this.renderDiff(importDiff, RunHistory.diffRows(original, current, true), {
+            title: `${this.elements.fileName.textContent} → ${imported.name}`,
+            newer: 'only in the documents',
+            older: 'only in the spreadsheet'
+        });
+    },
+
+    /**
+     * Download the imported values
+     * @param {'xlsx'|'csv'} format
+     */
+    exportImported(format) {
+        if (!this.imported) return;
+        const baseName = this.imported.name.replace(/\.[^.]+$/, '');
+        saveAs(Editor.exportRows(this.imported.headers, format, this.imported.rows), `${baseName} (imported).${format}`);
+    },
+
+    /**
+     * Make the imported values the data
+     */
+    useImported() {
+        if (!this.imported) return;
+        const { headers, rows, name, source } = this.imported;
+        this.loadData({ headers, rows: rows.map(row => ({ ...row })) }, name, source);
+        this.showToast(`Loaded ${rows.length} row${rows.length !== 1 ? 's' : ''} from the documents`, 'success');
+    },
 
+    /**
+     * Show parsed rows and move on to the mapping step
+     * @param {{headers: string[], rows: Object[]}} result
+     * @param {string} name - Shown as the file name
+     * @param {{name: string, hash: string|null}} source - For the run history
+     */
+    loadData(result, name, source) {
+        this.parsedData = result;
+        this.source = source;
+        this.validateData();
+
+        // Update UI
+        this.elements.fileName.textContent = name;
+        this.updateRowCount();
+        this.renderSheetPicker();
+
+        // Initialize preview
+        Editor.setRows(result.rows);
+        RowList.setRows(result.rows, result.headers);
+        this.renderGroupOptions();
+        this.applyGrouping();
+        this.updateSelectedCount();
+        this.renderImport();
+
+        // Mapping step comes before the preview
+        this.elements.uploadSection.classList.add('hidden');
+        this.showMapping(true);
+    },
+
+    /**
+     * Apply the saved spreadsheet layout and answer cells
+     */
+    loadLayoutConfig() {
+        const { layoutSelect, formCellsInput } = this.elements;
+        let config = {};
+        try {
+            config = JSON.parse(localStorage.getItem(this.layoutKey)) || {};
         } catch (error) {
-            this.hideLoading();
-            console.error('Generation error:', error);
-            this.showToast(`Generation failed: ${error.message}`, 'error');
+            // Keep the defaults
         }
+        layoutSelect.value = config.layout === 'form' ? 'form' : 'table';
+        formCellsInput.value = config.cells || '';
+        this.updateLayoutOptions();
+    },
+
+    saveLayoutConfig() {
+        const { layoutSelect, formCellsInput } = this.elements;
+        localStorage.setItem(this.layoutKey, JSON.stringify({ layout: layoutSelect.value, cells: formCellsInput.value }));
+        this.updateLayoutOptions();
+    },
+
+    updateLayoutOptions() {
+        const form = this.elements.layoutSelect.value === 'form';
+        this.elements.formCellsLabel.classList.toggle('hidden', !form);
+        this.elements.formHint.classList.toggle('hidden', !form);
     },
 
     /**
-     * Reset to initial state
+     * Answer cells typed as "Column = B4" lines
+     * @returns {Object} Column -> address
      */
-    reset() {
-        this.parsedData = null;
-        this.elements.fileInput.value = '';
+    readFormCells() {
+        const cells = {};
+        this.elements.formCellsInput.value.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+            const at = line.lastIndexOf('=');
+            const column = line.slice(0, at).trim();
+            const address = line.slice(at + 1).trim();
+            if (at < 0 || !column || !address) throw new Error(`Answer cells: write "${line}" as Column = B4`);
+            cells[column] = address;
+        });
+        return cells;
+    },
 
-        Preview.clear();
+    /**
+     * Column names used to detect header rows: defaults, active mapping and saved profiles
+     * @returns {string[]}
+     */
+    getKnownHeaders() {
+        const known = new Set([...Object.keys(Generator.defaultMappings), ...Object.keys(Generator.mappings)]);
+        Object.values(Mapper.getProfiles()).forEach(profile => {
+            Object.keys(profile.mappings).forEach(col => known.add(col));
+        });
+        return [...known];
+    },
 
-        // Show upload, hide preview
-        this.elements.uploadSection.classList.remove('hidden');
-        this.elements.previewSection.classList.add('hidden');
+    updateRowCount() {
+        const count = this.parsedData.rows.length;
+        const edited = Editor.dirtyCount();
+        const groups = Generator.groupColumn ? Preview.rows.length : 0;
+        this.elements.rowCount.textContent = `${count} row${count !== 1 ? 's' : ''}` +
+            `${groups ? ` in ${groups} group${groups !== 1 ? 's' : ''}` : ''}${edited ? ` · ${edited} edited` : ''}`;
     },
 
     /**
-     * Show loading overlay
+     * Fill the group-by list with the columns, keeping the saved choice when the data has it
      */
-    showLoading(message = 'Processing...') {
+    renderGroupOptions() {
+        const select = this.elements.groupBySelect;
+        const saved = localStorage.getItem(this.groupByKey) || '';
+        select.innerHTML = '';
+        select.add(new Option('One document per row', ''));
+        this.parsedData.headers.forEach(header => select.add(new Option(header, header)));
+        select.value = this.parsedData.headers.includes(saved) ? saved : '';
+        Generator.groupColumn = select.value;
+    },
+
+    /**
+     * Merge rows with the same value in a column into one document each
+     * @param {string} column - '' for one document per row
+     */
+    setGroupColumn(column) {
+        Generator.groupColumn = column;
+        localStorage.setItem(this.groupByKey, column);
+        this.applyGrouping();
+        Preview.render();
+        this.updateNavigation();
+        this.updateNamingPreview();
+    },
+
+    /**
+     * Rebuild the documents the preview steps through from the current rows,
+     * staying on the document of the row being shown
+     */
+    applyGrouping() {
+        const current = Preview.rows.length ? this.currentRowIndex() : 0;
+        Preview.setRows(Generator.groupRows(this.parsedData.rows));
+        Preview.currentIndex = this.documentIndexOf(current);
+        this.updateRowCount();
+    },
+
+    /**
+     * Row indexes behind the document at a preview position (several when grouped)
+     * @param {number} [position]
+     * @returns {number[]}
+     */
+    documentRowIndexes(position = Preview.currentIndex) {
+        const row = Preview.rows[position];
+        return row && row[Generator.groupKey] ? row[Generator.groupKey].indexes : [position];
+    },
+
+    /**
+     * First row of the document in the preview
+     * @returns {number}
+     */
+    currentRowIndex() {
+        return this.documentRowIndexes()[0];
+    },
+
+    /**
+     * Preview position of the document a row belongs to
+     * @param {number} rowIndex
+     * @returns {number}
+     */
+    documentIndexOf(rowIndex) {
+        if (!Generator.groupColumn) return rowIndex;
+        const position = Preview.rows.findIndex(row => row[Generator.groupKey].indexes.includes(rowIndex));
+        return Math.max(position, 0);
+    },
+
+    /**
+     * Show sheet checkboxes for workbooks, ticking the sheets currently read
+     */
+    renderSheetPicker() {
+        const { sheetPicker, sheetList, headerRowInput } = this.elements;
+        const sheets = this.parsedData.sheets;
+
+        sheetPicker.classList.toggle('hidden', !sheets);
+        if (!sheets) return;
+
+        sheetList.innerHTML = '';
+        sheets.names.forEach(name => {
+            const label = document.createElement('label');
+            label.className = 'sheet-option';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = name;
+            checkbox.checked = sheets.selected.includes(name);
+            const text = document.createElement('span');
+            text.textContent = sheets.headerRows[name] ? `${name} (row ${sheets.headerRows[name]})` : name;
+            label.append(checkbox, text);
+            sheetList.appendChild(label);
+        });
+        headerRowInput.value = '';
+    },
+
+    /**
+     * Re-read the workbook with the chosen sheets and header row.
+     * Several sheets are merged with a Sheet column.
+     */
+    reloadSheets() {
+        const { sheetList, headerRowInput } = this.elements;
+        const sheets = [...sheetList.querySelectorAll('input:checked')].map(input => input.value);
+        if (sheets.length === 0) {
+            this.showToast('Select at least one sheet', 'warning');
+            return;
+        }
+        if (Editor.dirtyCount() > 0 && !confirm('Reloading the sheets discards your edited values. Continue?')) {
+            return;
+        }
+
+        const headerRow = parseInt(headerRowInput.value, 10);
+        try {
+            const result = Parser.parseWorkbook(this.parsedData.workbook, {
+                sheets,
+                headerRow: headerRow > 0 ? headerRow : 'auto',
+                knownHeaders: this.getKnownHeaders()
+            });
+            if (result.rows.length === 0) {
+                throw new Error('No data rows found in the selected sheets');
+            }
+
+            this.parsedData = { ...result, workbook: this.parsedData.workbook };
+            this.validateData();
+            this.updateRowCount();
+            this.renderSheetPicker();
+            if (headerRow > 0) headerRowInput.value = headerRow;
+
+            Editor.setRows(result.rows);
+            RowList.setRows(result.rows, result.headers);
+            this.renderGroupOptions();
+            this.applyGrouping();
+            this.updateSelectedCount();
+            this.renderMapping(this.suggestMapping());
+            this.showToast(`Loaded ${result.rows.length} row${result.rows.length !== 1 ? 's' : ''} from ${sheets.join(', ')}`, 'success');
+        } catch (error) {
+            console.error('Sheet reload error:', error);
+            this.showToast(error.message, 'error');
+        }
+    },
+
+    /**
+     * Show the column mapping step
+     * @param {boolean} [suggest] - Start from a fresh suggestion instead of the active mapping
+     */
+    showMapping(suggest = false) {
+        this.refreshProfileOptions();
+        const profileName = this.elements.profileSelect.value;
+        if (suggest) this.renderMapping(this.suggestMapping(profileName), this.profileFormats(profileName));
+        else this.renderMapping(Generator.mappings);
+
+        this.elements.previewSection.classList.add('hidden');
+        this.elements.mappingSection.classList.remove('hidden');
+    },
+
+    /**
+     * Suggest a mapping for the loaded headers, seeded from a saved profile if given
+     * @param {string} [profileName]
+     * @returns {Object} Column -> tag mapping
+     */
+    suggestMapping(profileName = this.elements.profileSelect.value) {
+        const profile = profileName ? Mapper.getProfile(profileName) : null;
+        const known = { ...Generator.defaultMappings, ...(profile ? profile.mappings : {}) };
+        return Mapper.suggest(this.parsedData.headers, Generator.getPlaceholders(), known);
+    },
+
+    /**
+     * Column formats from a saved profile, on top of the active ones
+     * @param {string} [profileName]
+     * @returns {Object} Column -> format
+     */
+    profileFormats(profileName = this.elements.profileSelect.value) {
+        const profile = profileName ? Mapper.getProfile(profileName) : null;
+        return { ...Generator.formats, ...(profile && profile.formats ? profile.formats : {}) };
+    },
+
+    /**
+     * Rebuild the saved profile dropdown, keeping the last used profile selected
+     */
+    refreshProfileOptions(selected = Mapper.getLastProfile()) {
+        const select = this.elements.profileSelect;
+        const names = Object.keys(Mapper.getProfiles()).sort();
+
+        select.innerHTML = '<option value="">Suggested mapping</option>';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = names.includes(selected) ? selected : '';
+    },
+
+    /**
+     * Render one table row per detected header with a placeholder dropdown and format
+     * @param {Object} mappings - Column -> tag mapping to preselect
+     * @param {Object} [formats] - Column -> default format (Formatter filters)
+     */
+    renderMapping(mappings, formats = Generator.formats) {
+        const { headers, rows } = this.parsedData;
+        const placeholders = Generator.getPlaceholders();
+        const body = this.elements.mappingBody;
+        body.innerHTML = '';
+
+        headers.forEach(header => {
+            if (!header) return;
+
+            const sample = (rows.find(row => row[header]) || {})[header] || '';
+            const tr = document.createElement('tr');
+
+            const nameCell = document.createElement('td');
+            nameCell.textContent = header;
+
+            const sampleCell = document.createElement('td');
+            sampleCell.className = 'mapping-sample';
+            sampleCell.textContent = sample.length > 80 ? `${sample.slice(0, 80)}…` : sample;
+            sampleCell.title = sample;
+
+            const select = document.createElement('select');
+            select.className = 'form-select';
+            select.dataset.column = header;
+            select.innerHTML = '<option value="">— not mapped —</option>';
+            placeholders.forEach(tag => {
+                const option = document.createElement('option');
+                option.value = tag;
+                option.textContent = tag;
+                select.appendChild(option);
+            });
+            select.value = placeholders.includes(mappings[header]) ? mappings[header] : '';
+
+            const selectCell = document.createElement('td');
+            selectCell.appendChild(select);
+
+            const format = document.createElement('input');
+            format.type = 'text';
+            format.className = 'form-select mapping-format';
+            format.dataset.column = header;
+            format.setAttribute('list', 'formatSuggestions');
+            format.placeholder = 'As in the sheet';
+            format.spellcheck = false;
+            format.value = formats[header] || '';
+            format.title = sample ? `First value: ${this.formatSample(sample, format.value)}` : '';
+
+            const formatCell = document.createElement('td');
+            formatCell.appendChild(format);
+
+            tr.append(nameCell, sampleCell, selectCell, formatCell);
+            body.appendChild(tr);
+        });
+
+        this.updateMappingSummary();
+        this.renderRules();
+    },
+
+    /**
+     * Read the mapping currently chosen in the table
+     * @returns {Object} Column -> tag mapping
+     */
+    readMapping() {
+        const mappings = {};
+        this.elements.mappingBody.querySelectorAll('select').forEach(select => {
+            if (select.value) mappings[select.dataset.column] = select.value;
+        });
+        return mappings;
+    },
+
+    /**
+     * Read the column formats currently entered in the table
+     * @returns {Object} Column -> format
+     */
+    readFormats() {
+        const formats = {};
+        this.elements.mappingBody.querySelectorAll('input.mapping-format').forEach(input => {
+            if (input.value.trim()) formats[input.dataset.column] = input.value.trim();
+        });
+        return formats;
+    },
+
+    /**
+     * A sample value run through a format, for the format field's tooltip
+     */
+    formatSample(value, format) {
+        return format ? Formatter.apply(value, Formatter.parseFilters(format)) : value;
+    },
+
+    /**
+     * Update the mapped count, flag duplicate tags and list unmapped placeholders
+     */
+    updateMappingSummary() {
+        const mappings = this.readMapping();
+        const placeholders = Generator.getPlaceholders();
+        const used = Object.values(mappings);
+        const duplicates = used.filter((tag, i) => used.indexOf(tag) !== i);
+        const unmapped = placeholders.filter(tag => !used.includes(tag));
+
+        this.elements.mappingBody.querySelectorAll('select').forEach(select => {
+            select.classList.toggle('duplicate', duplicates.includes(select.value));
+            select.classList.toggle('unmapped', !select.value);
+        });
+
+        this.elements.mappingSummary.textContent =
+            `${placeholders.length - unmapped.length} of ${placeholders.length} placeholders mapped`;
+        this.elements.mappingUnmapped.textContent = unmapped.length
+            ? `Unmapped placeholders (will be blank): ${unmapped.join(', ')}`
+            : '';
+    },
+
+    /**
+     * Apply the chosen mapping and continue to the preview
+     */
+    applyMapping() {
+        const mappings = this.readMapping();
+        const used = Object.values(mappings);
+        if (used.some((tag, i) => used.indexOf(tag) !== i)) {
+            this.showToast('Each placeholder can only be mapped to one column', 'error');
+            return;
+        }
+
+        const formats = this.readFormats();
+        Generator.setMappings(mappings);
+        Generator.setFormats(formats);
+        Mapper.setLastProfile(this.elements.profileSelect.value);
+        this.renderTemplateHealth();
+
+        // Remember the mapping on the template itself
+        const template = Generator.activeTemplate;
+        template.mappings = { ...mappings };
+        template.formats = { ...formats };
+        if (!template.builtin) {
+            Library.save(template).catch(error => {
+                console.error('Template save error:', error);
+                this.showToast('Could not save the mapping to the template library', 'warning');
+            });
+        }
+
+        this.elements.mappingSection.classList.add('hidden');
+        this.elements.previewSection.classList.remove('hidden');
+        Preview.render();
+        this.updateNavigation();
+        RowList.render(this.currentRowIndex());
+        this.renderNamingFields();
+        this.updateNamingPreview();
+        this.renderEmailColumns();
+        this.renderImport();
+    },
+
+    /**
+     * Load a saved profile into the table
+     */
+    selectProfile(name) {
+        this.renderMapping(this.suggestMapping(name), this.profileFormats(name));
+    },
+
+    saveProfile() {
+        const current = this.elements.profileSelect.value;
+        const name = prompt('Save mapping profile as:', current || this.elements.fileName.textContent.replace(/\.[^.]+$/, ''));
+        if (!name) return;
+
+        try {
+            Mapper.saveProfile(name, this.readMapping(), this.readFormats());
+            this.refreshProfileOptions(name.trim());
+            this.showToast(`Saved mapping profile "${name.trim()}"`, 'success');
+        } catch (error) {
+            this.showToast(error.message, 'error');
+        }
+    },
+
+    deleteProfile() {
+        const name = this.elements.profileSelect.value;
+        if (!name) {
+            this.showToast('Select a saved profile to delete', 'warning');
+            return;
+        }
+        if (!confirm(`Delete mapping profile "${name}"?`)) return;
+
+        Mapper.deleteProfile(name);
+        this.refreshProfileOptions('');
+        this.showToast(`Deleted mapping profile "${name}"`, 'success');
+    },
+
+    exportProfile() {
+        const name = this.elements.profileSelect.value || 'mapping';
+        saveAs(Mapper.exportProfile(name, this.readMapping(), this.readFormats()), `${name}.json`);
+    },
+
+    async importProfile(file) {
+        if (!file) return;
+        this.elements.profileFileInput.value = '';
+
+        try {
+            const { name } = await Mapper.importProfile(file);
+            this.refreshProfileOptions(name);
+            this.selectProfile(name);
+            this.showToast(`Imported mapping profile "${name}"`, 'success');
+        } catch (error) {
+            console.error('Profile import error:', error);
+            this.showToast(error.message, 'error');
+        }
+    },
+
+    /**
+     * Render the rule editor for the mapped columns and any column that already has rules
+     */
+    renderRules() {
+        if (!this.parsedData) return;
+        const { rulesBody, onIssuesSelect } = this.elements;
+        const config = Validator.getConfig();
+        const mapped = Object.keys(this.readMapping());
+        const columns = this.parsedData.headers.filter(h => h && (mapped.includes(h) || config.rules[h]));
+
+        rulesBody.innerHTML = '';
+        columns.forEach(column => {
+            const rule = config.rules[column] || {};
+            const tr = document.createElement('tr');
+            tr.dataset.column = column;
+
+            const input = (field, type, value, placeholder = '') => {
+                const el = document.createElement('input');
+                el.type = type;
+                el.className = 'form-select';
+                el.dataset.field = field;
+                el.placeholder = placeholder;
+                if (type === 'checkbox') el.checked = Boolean(value);
+                else el.value = value === undefined ? '' : value;
+                return el;
+            };
+
+            const type = document.createElement('select');
+            type.className = 'form-select';
+            type.dataset.field = 'type';
+            Object.entries(Validator.types).forEach(([value, label]) => type.add(new Option(label, value)));
+            type.value = rule.type || 'text';
+
+            const maxLength = input('maxLength', 'number', rule.maxLength, 'None');
+            maxLength.min = 1;
+
+            const cells = [
+                column,
+                input('required', 'checkbox', rule.required),
+                type,
+                maxLength,
+                input('allowed', 'text', (rule.allowed || []).join(', '), 'Any'),
+                input('pattern', 'text', rule.pattern, 'Any')
+            ];
+            cells.forEach(content => {
+                const td = document.createElement('td');
+                td.append(content);
+                tr.appendChild(td);
+            });
+            rulesBody.appendChild(tr);
+        });
+
+        onIssuesSelect.value = config.onIssues;
+        this.updateRulesBadge(config);
+    },
+
+    /**
+     * Rules as edited in the rule table, on top of the saved ones
+     * @returns {{rules: Object, onIssues: string}}
+     */
+    readRules() {
+        const config = Validator.getConfig();
+        this.elements.rulesBody.querySelectorAll('tr[data-column]').forEach(tr => {
+            const field = (name) => tr.querySelector(`[data-field="${name}"]`);
+            config.rules[tr.dataset.column] = Validator.cleanRule({
+                required: field('required').checked,
+                type: field('type').value,
+                maxLength: parseInt(field('maxLength').value, 10) || 0,
+                allowed: field('allowed').value.split(',').map(v => v.trim()).filter(Boolean),
+                pattern: field('pattern').value.trim()
+            });
+        });
+        config.onIssues = this.elements.onIssuesSelect.value;
+        return config;
+    },
+
+    saveRules() {
+        const config = this.readRules();
+        const invalid = Object.entries(config.rules).find(([, rule]) => {
+            try {
+                if (rule.pattern) new RegExp(rule.pattern);
+                return false;
+            } catch (error) {
+                return true;
+            }
+        });
+        if (invalid) this.showToast(`The pattern for “${invalid[0]}” is not a valid regular expression`, 'warning');
+
+        Validator.saveConfig(config);
+        this.validateData();
+        this.updateRulesBadge(config);
+    },
+
+    updateRulesBadge(config) {
+        const count = this.parsedData.headers.filter(h => config.rules[h] && Object.keys(config.rules[h]).length).length;
+        const issues = Validator.issues.size;
+        const { rulesBadge } = this.elements;
+        rulesBadge.className = `health-badge ${issues ? 'error' : 'success'}`;
+        rulesBadge.textContent = count
+            ? `${count} column${count !== 1 ? 's' : ''} checked · ${issues ? `${issues} row${issues !== 1 ? 's' : ''} with issues` : 'all rows pass'}`
+            : 'No rules';
+    },
+
+    /**
+     * Run the validation rules over the loaded rows and show the issues report
+     */
+    validateData() {
+        if (!this.parsedData) return;
+        Validator.validate(this.parsedData.rows, this.parsedData.headers);
+        this.renderIssues();
+    },
+
+    renderIssues() {
+        const { issuesPanel, issuesBadge, issuesList } = this.elements;
+        const issues = [...Validator.issues];
+        const limit = 200;
+
+        issuesList.innerHTML = '';
+        issuesPanel.classList.toggle('hidden', issues.length === 0);
+        if (issues.length === 0) return;
+
+        issues.slice(0, limit).forEach(([index, rowIssues]) => {
+            const li = document.createElement('li');
+            li.className = 'health-item error';
+            const button = document.createElement('button');
+            button.className = 'issue-row';
+            button.dataset.index = index;
+            button.textContent = `Row ${index + 1}${this.parsedData.rows[index].Client ? ` – ${this.parsedData.rows[index].Client}` : ''}`;
+            const detail = document.createElement('span');
+            detail.textContent = rowIssues.map(issue => issue.message).join('; ');
+            li.append(button, detail);
+            issuesList.appendChild(li);
+        });
+        if (issues.length > limit) {
+            const li = document.createElement('li');
+            li.className = 'health-item';
+            li.textContent = `…and ${issues.length - limit} more rows`;
+            issuesList.appendChild(li);
+        }
+
+        issuesBadge.className = 'health-badge error';
+        issuesBadge.textContent = `${issues.length} row${issues.length !== 1 ? 's' : ''} with issues`;
+    },
+
+    /**
+     * Warn about or block generation of rows that fail validation
+     * @param {number[]} indexes - Rows about to be generated
+     * @returns {boolean} Whether to go ahead
+     */
+    checkIssuesBeforeGenerate(indexes) {
+        const failing = indexes.filter(index => Validator.getIssues(index).length > 0);
+        if (failing.length === 0) return true;
+
+        const rowList = failing.slice(0, 10).map(index => index + 1).join(', ') + (failing.length > 10 ? '…' : '');
+        if (Validator.getConfig().onIssues === 'block') {
+            this.showToast(`Fix the data issues first (row${failing.length !== 1 ? 's' : ''} ${rowList})`, 'error');
+            this.elements.issuesPanel.open = true;
+            return false;
+        }
+        return confirm(`${failing.length} row${failing.length !== 1 ? 's have' : ' has'} data issues (row${failing.length !== 1 ? 's' : ''} ${rowList}). Generate anyway?`);
+    },
+
+    /**
+     * Apply the saved filename pattern, collision strategy, output format and combined document options
+     */
+    loadNamingConfig() {
+        const { filenamePatternInput, collisionSelect, outputFormatSelect, combineCoverCheck, combineTocCheck } = this.elements;
+        const config = Naming.getConfig();
+
+        Object.entries(Naming.collisionStrategies).forEach(([value, label]) => collisionSelect.add(new Option(label, value)));
+        Object.entries(Generator.outputFormats).forEach(([value, label]) => outputFormatSelect.add(new Option(label, value)));
+        filenamePatternInput.value = config.pattern;
+        collisionSelect.value = config.collision;
+        outputFormatSelect.value = Generator.outputFormats[config.format] ? config.format : 'docx';
+        combineCoverCheck.checked = config.cover;
+        combineTocCheck.checked = config.toc;
+        this.applyNamingConfig({ ...config, format: outputFormatSelect.value });
+    },
+
+    saveNamingConfig() {
+        const { filenamePatternInput, collisionSelect, outputFormatSelect, combineCoverCheck, combineTocCheck } = this.elements;
+        const config = {
+            pattern: filenamePatternInput.value.trim() || Naming.defaultPattern,
+            collision: collisionSelect.value,
+            format: outputFormatSelect.value,
+            cover: combineCoverCheck.checked,
+            toc: combineTocCheck.checked
+        };
+        Naming.saveConfig(config);
+        this.applyNamingConfig(config);
+        this.updateNamingPreview();
+    },
+
+    applyNamingConfig(config) {
+        Generator.filenamePattern = config.pattern;
+        Generator.collisionStrategy = config.collision;
+        Generator.outputFormat = config.format;
+        Generator.combineOptions = { ...Generator.combineOptions, cover: config.cover, toc: config.toc };
+        this.elements.combineOptions.classList.toggle('hidden', config.format !== 'combined');
+        if (this.emailConfig) this.applyEmailConfig(this.emailConfig);
+    },
+
+    /**
+     * List the fields a filename pattern can use
+     */
+    renderNamingFields() {
+        const columns = this.parsedData.headers.filter(Boolean).map(h => `{${h}}`);
+        const builtins = ['{TemplateName}', '{TemplateVersion}', '{RowNumber}', '{Today}'];
+        this.elements.namingFields.textContent =
+            `Fields: ${[...columns, ...builtins].join(' ')} · Filters: ${Object.keys(Formatter.filters).join(', ')} ` +
+            '(e.g. {Client|slug}, {Desired Completion Date|date:YYYY-MM-DD}) · Use / for folders';
+    },
+
+    /**
+     * Show the names the next "All" batch would produce
+     */
+    updateNamingPreview() {
+        if (!this.parsedData) return;
+        const { namingPreview, namingBadge } = this.elements;
+        const templates = this.getBatchTemplates();
+        const rows = Preview.rows;
+
+        const extension = Generator.outputFormat === 'pdf' ? 'pdf' : 'docx';
+        const names = [];
+        rows.forEach((row, i) => templates.forEach(template => {
+            const filename = Generator.generateFilename(row, i, template, extension);
+            names.push(templates.length > 1 ? `${Generator.generateFolderName(row, i)}/${filename}` : filename);
+        }));
+
+        let resolved;
+        let error = null;
+        try {
+            resolved = Naming.resolveCollisions(names, Generator.collisionStrategy);
+        } catch (e) {
+            resolved = names;
+            error = e.message;
+        }
+
+        const duplicates = names.length - new Set(names.map(name => name.toLowerCase())).size;
+        const limit = 8;
+        namingPreview.innerHTML = '';
+        resolved.slice(0, limit).forEach((name, i) => {
+            const li = document.createElement('li');
+            li.textContent = name || names[i];
+            li.classList.toggle('duplicate', name !== names[i]);
+            li.classList.toggle('skipped', name === null);
+            namingPreview.appendChild(li);
+        });
+        if (names.length > limit) {
+            const li = document.createElement('li');
+            li.textContent = `…and ${names.length - limit} more`;
+            namingPreview.appendChild(li);
+        }
+
+        namingBadge.className = `health-badge ${error ? 'error' : duplicates ? 'warning' : 'success'}`;
+        namingBadge.textContent = error || (duplicates
+            ? `${duplicates} duplicate name${duplicates !== 1 ? 's' : ''}`
+            : `${names.length} unique name${names.length !== 1 ? 's' : ''}`);
+    },
+
+    /**
+     * Apply the saved email draft settings and ask the server whether it can send
+     */
+    async loadEmailConfig() {
+        const { emailEnabledCheck, emailCcInput, emailFromInput, emailSubjectInput, emailBodyInput, emailSendCheck } = this.elements;
+        const config = Email.getConfig();
+
+        emailEnabledCheck.checked = config.enabled;
+        emailCcInput.value = config.cc;
+        emailFromInput.value = config.from;
+        emailSubjectInput.value = config.subject;
+        emailBodyInput.value = config.body;
+        emailSendCheck.checked = config.send;
+        this.applyEmailConfig(config);
+
+        try {
+            const response = await fetch('api/email');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { smtp, from } = await response.json();
+            this.smtpAvailable = smtp;
+            if (!emailFromInput.value && from) emailFromInput.placeholder = from;
+        } catch (error) {
+            this.smtpAvailable = false; // Opened without the server, or offline
+        }
+        this.applyEmailConfig(this.emailConfig);
+    },
+
+    saveEmailConfig() {
+        const { emailEnabledCheck, emailToSelect, emailCcInput, emailFromInput, emailSubjectInput, emailBodyInput, emailSendCheck } = this.elements;
+        const config = {
+            enabled: emailEnabledCheck.checked,
+            recipientColumn: emailToSelect.options.length ? emailToSelect.value : this.emailConfig.recipientColumn,
+            cc: emailCcInput.value.trim(),
+            from: emailFromInput.value.trim(),
+            subject: emailSubjectInput.value,
+            body: emailBodyInput.value,
+            send: emailSendCheck.checked
+        };
+        Email.saveConfig(config);
+        this.applyEmailConfig(config);
+    },
+
+    /**
+     * Drafts are made when switched on and the output is a file per row;
+     * sending also needs the server's SMTP relay
+     */
+    applyEmailConfig(config) {
+        const { emailToSelect, emailCcInput, emailFromInput, emailSubjectInput, emailBodyInput, emailSendCheck, emailHint } = this.elements;
+        this.emailConfig = config;
+        const combined = Generator.outputFormat === 'combined';
+        Generator.emailOptions = config.enabled && !combined ? config : null;
+
+        [emailToSelect, emailCcInput, emailFromInput, emailSubjectInput, emailBodyInput]
+            .forEach(input => {
+                input.disabled = !config.enabled;
+            });
+        emailSendCheck.disabled = !config.enabled || !this.smtpAvailable;
+
+        emailHint.textContent = combined
+            ? 'Drafts are made per row, not for a single combined document.'
+            : `Subject and body take the template's placeholders, e.g. [INSERT_CLIENT_NAME]. ${this.smtpAvailable
+                ? 'Sending goes through the server\'s SMTP relay.'
+                : 'Sending needs the server with an SMTP relay (FORMAT_DOCS_SMTP_HOST), opened on the server\'s own machine.'}`;
+        this.updateEmailSummary();
+    },
+
+    /**
+     * Block generation while the From or Cc for the drafts is unusable
+     * @returns {boolean} Whether to go ahead
+     */
+    checkEmailBeforeGenerate() {
+        if (!Generator.emailOptions) return true;
+        try {
+            Email.checkOptions(Generator.emailOptions);
+            return true;
+        } catch (error) {
+            this.showToast(`Email drafts: ${error.message}`, 'error');
+            return false;
+        }
+    },
+
+    /**
+     * Offer the columns as recipients, keeping the saved one or picking an email column
+     */
+    renderEmailColumns() {
+        const { emailToSelect } = this.elements;
+        const headers = this.parsedData.headers.filter(Boolean);
+        const saved = this.emailConfig.recipientColumn;
+        const column = headers.includes(saved) ? saved : headers.find(h => /e-?mail/i.test(h)) || '';
+
+        emailToSelect.innerHTML = '';
+        emailToSelect.add(new Option('(no column: fill in To yourself)', ''));
+        headers.forEach(header => emailToSelect.add(new Option(header, header)));
+        emailToSelect.value = column;
+        this.applyEmailConfig({ ...this.emailConfig, recipientColumn: column }); // Saved once changed here
+    },
+
+    /**
+     * How many documents have someone to send to
+     */
+    updateEmailSummary() {
+        const { emailBadge } = this.elements;
+        const config = this.emailConfig;
+        if (!Generator.emailOptions || !this.parsedData) {
+            emailBadge.className = 'health-badge';
+            emailBadge.textContent = config && config.enabled && Generator.outputFormat === 'combined' ? 'Not for combined' : 'Off';
+            return;
+        }
+
+        const rows = Preview.rows;
+        const addressed = rows.filter(row => Email.addresses(row[config.recipientColumn]).valid.length).length;
+        emailBadge.className = `health-badge ${addressed === rows.length ? 'success' : 'warning'}`;
+        emailBadge.textContent = `${addressed} of ${rows.length} with an address${config.send && this.smtpAvailable ? ' · will send' : ''}`;
+    },
+
+    /**
+     * Send a draft through the server, when sending is on. Never throws:
+     * problems are collected for the report after the batch.
+     * A draft that left out a recipient is not sent, so nobody is missed silently.
+     * @param {{filename: string, blob: Uint8Array, to: string[], invalid: string[]}} draft
+     * @param {{sent: number, failed: string[]}} report
+     */
+    async sendDraft(draft, report) {
+        const name = draft.filename.split('/').pop();
+        if (draft.invalid.length) {
+            report.failed.push(`${name}: not an email address: ${draft.invalid.join(', ')}`);
+            return;
+        }
+        if (!draft.to.length) {
+            report.failed.push(`${name}: no recipient`);
+            return;
+        }
+        try {
+            const response = await fetch('api/email/send', {
+                method: 'POST',
+                headers: { 'Content-Type': 'message/rfc822' },
+                body: draft.blob
+            });
+            if (!response.ok) {
+                const { error } = await response.json().catch(() => ({}));
+                throw new Error(error || `HTTP ${response.status}`);
+            }
+            report.sent++;
+        } catch (error) {
+            report.failed.push(`${name}: ${error.message}`);
+        }
+    },
+
+    /**
+     * Whether drafts made now should also be sent
+     */
+    isSending() {
+        return Boolean(Generator.emailOptions && Generator.emailOptions.send && this.smtpAvailable);
+    },
+
+    /**
+     * Tell which rows' drafts left out recipients that are not email addresses
+     * @param {Object[]} unaddressed - From Generator.unaddressed
+     * @param {string} [where] - Where the full list is
+     */
+    reportUnaddressed(unaddressed, where = '') {
+        if (!unaddressed.length) return;
+        const rows = unaddressed.map(f => `${f.group ? 'Group' : 'Row'} ${f.index + 1}: ${f.message.replace('not an email address: ', '')}`);
+        const more = rows.length > 3 ? ` and ${rows.length - 3} more` : '';
+        this.showToast(`Not email addresses, left out of the drafts: ${rows.slice(0, 3).join('; ')}${more}${where}`, 'warning');
+    },
+
+    /**
+     * Tell how sending went
+     * @param {{sent: number, failed: string[]}} report
+     */
+    reportSending(report) {
+        if (report.failed.length) {
+            const more = report.failed.length > 3 ? ` and ${report.failed.length - 3} more` : '';
+            this.showToast(`${report.sent} email${report.sent !== 1 ? 's' : ''} sent; not sent: ${report.failed.slice(0, 3).join('; ')}${more}`, 'warning');
+        } else if (report.sent) {
+            this.showToast(`${report.sent} email${report.sent !== 1 ? 's' : ''} sent`, 'success');
+        }
+    },
+
+    /**
+     * Navigate to previous row
+     */
+    navigatePrev() {
+        if (Preview.previous()) {
+            this.updateNavigation();
+        }
+    },
+
+    /**
+     * Navigate to next row
+     */
+    navigateNext() {
+        if (Preview.next()) {
+            this.updateNavigation();
+        }
+    },
+
+    /**
+     * Update navigation UI based on current state
+     */
+    updateNavigation() {
+        const state = Preview.getState();
+        const rowIndexes = this.documentRowIndexes();
+
+        const issues = rowIndexes.flatMap(index => Validator.getIssues(index));
+        this.elements.rowIssues.classList.toggle('hidden', issues.length === 0);
+        this.elements.rowIssues.textContent = `${issues.length} issue${issues.length !== 1 ? 's' : ''}`;
+        this.elements.rowIssues.title = issues.map(issue => issue.message).join('\n');
+
+        this.elements.rowUnit.textContent = Generator.groupColumn ? 'Group' : 'Row';
+        this.elements.currentRow.textContent = state.current;
+        this.elements.totalRows.textContent = state.total;
+        this.elements.prevRow.disabled = !state.hasPrev;
+        this.elements.nextRow.disabled = !state.hasNext;
+        this.updateViewOptions();
+        RowList.markCurrent(rowIndexes[0]);
+
+        // Grouped documents edit their first row, which supplies the shared fields
+        Editor.render(rowIndexes[0]);
+        this.updateEditState();
+    },
+
+    /**
+     * A value was edited in the side panel: refresh the preview once typing pauses
+     */
+    handleRowEdit() {
+        this.validateData();
+        clearTimeout(this.editTimer);
+        this.editTimer = setTimeout(() => {
+            if (Generator.groupColumn) this.applyGrouping();
+            Preview.render();
+            this.updateViewOptions();
+            this.updateNamingPreview();
+            this.updateEmailSummary();
+            RowList.render(this.currentRowIndex());
+        }, 300);
+        this.updateEditState();
+    },
+
+    /**
+     * Reflect edited rows in the navigator, row count and editor footer
+     */
+    updateEditState() {
+        const edited = Editor.dirtyCount();
+        this.elements.rowDirty.classList.toggle('hidden', !this.documentRowIndexes().some(index => Editor.isDirty(index)));
+        this.elements.editSummary.textContent = edited
+            ? `${edited} row${edited !== 1 ? 's' : ''} edited`
+            : 'No edits';
+        this.updateRowCount();
+    },
+
+    /**
+     * Show the number of ticked rows on the "Generate selected" button
+     */
+    updateSelectedCount() {
+        const count = RowList.getSelected().length;
+        this.elements.selectedCount.textContent = count;
+        this.elements.generateSelectedBtn.disabled = count === 0;
+    },
+
+    /**
+     * Download the data with edits applied
+     * @param {'xlsx'|'csv'} format
+     */
+    exportData(format) {
+        if (!this.parsedData) return;
+        const baseName = this.elements.fileName.textContent.replace(/\.[^.]+$/, '') || 'data';
+        saveAs(Editor.exportRows(this.parsedData.headers, format), `${baseName} (edited).${format}`);
+    },
+
+    /**
+     * Reflect the preview mode and page count in the view options
+     */
+    updateViewOptions() {
+        const mode = Preview.getMode();
+        const available = { docx: Boolean(Generator.docxTemplate), html: true };
+
+        this.elements.viewToggle.querySelectorAll('button[data-mode]').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+            button.disabled = !available[button.dataset.mode];
+        });
+
+        const pages = Preview.pageCount;
+        this.elements.pageCount.textContent = mode === 'docx' && pages ? `${pages} page${pages === 1 ? '' : 's'}` : '';
+    },
+
+    /**
+     * Change the preview zoom
+     * @param {number} direction - 1 in, -1 out, 0 reset
+     */
+    setZoom(direction) {
+        const zoom = Preview.stepZoom(direction);
+        this.elements.zoomResetBtn.textContent = `${Math.round(zoom * 100)}%`;
+    },
+
+    /**
+     * Generate and download documents in the chosen output format
+     * @param {'single'|'selected'|'all'} scope - 'selected' uses the rows ticked in the row list
+     *     (when grouped, every group with a ticked row)
+     */
+    async generateDocuments(scope = 'all') {
+        if (!this.parsedData || !this.templateLoaded) {
+            this.showToast('No data loaded or template missing', 'error');
+            return;
+        }
+
+        // One document per row, or per group when grouped
+        const rows = Preview.rows;
+        const templates = this.getBatchTemplates();
+
+        const indexes = scope === 'single' ? [Preview.currentIndex]
+            : scope === 'selected' ? [...new Set(RowList.getSelected().map(index => this.documentIndexOf(index)))]
+            : rows.map((row, i) => i);
+        if (indexes.length === 0) {
+            this.showToast('Tick the rows to generate in the row list', 'warning');
+            return;
+        }
+        if (!this.checkIssuesBeforeGenerate(indexes.flatMap(index => this.documentRowIndexes(index)))) return;
+        if (!this.checkEmailBeforeGenerate()) return;
+        Images.missing = new Set();
+
+        // Handle Single Document
+        if (scope === 'single') {
+            const currentRowIndex = Preview.currentIndex;
+            const row = rows[currentRowIndex];
+
+            this.showLoading('Generating document...');
+            try {
+                const documents = [];
+                for (const template of templates) {
+                    documents.push(...await Generator.generateOutputs(row, currentRowIndex, template));
+                }
+                if (Generator.emailOptions) {
+                    const job = { row, index: currentRowIndex, template: templates[0], draft: Email.draftName(documents[0].filename) };
+                    const draft = await Email.draft(job, documents, Generator.emailOptions);
+                    documents.push(draft);
+                    this.reportUnaddressed([Generator.unaddressed(job, draft)].filter(Boolean));
+                    if (this.isSending()) {
+                        const report = { sent: 0, failed: [] };
+                        await this.sendDraft(draft, report);
+                        this.reportSending(report);
+                    }
+                }
+
+                if (documents.length === 1) {
+                    saveAs(documents[0].blob, documents[0].filename.split('/').pop());
+                    this.showToast('Document downloaded successfully!', 'success');
+                } else {
+                    const zipBlob = await Generator.createZip(documents);
+                    saveAs(zipBlob, `${Generator.generateFolderName(row, currentRowIndex)}.zip`);
+                    this.showToast(`${documents.length} documents downloaded as ZIP!`, 'success');
+                }
+                this.reportMissingImages();
+                this.recordRun({
+                    scope,
+                    templates,
+                    rows: [row],
+                    indexes: [currentRowIndex],
+                    format: Generator.outputFormat,
+                    outputs: documents.map(doc => doc.filename)
+                });
+            } catch (error) {
+                console.error('Generation error:', error);
+                this.showToast(`Generation failed: ${error.message}`, 'error');
+            } finally {
+                this.hideLoading();
+            }
+            return;
+        }
+
+        // Handle All (or the selected) Documents
+        await this.generateBatch(indexes.map(index => rows[index]), indexes, templates, { scope });
+    },
+
+    /**
+     * Generate documents in the chosen output format and record the run
+     * @param {Object[]} rows - One per document
+     * @param {number[]} indexes - Document numbers (0-based) of rows, for naming
+     * @param {Object[]} templates
+     * @param {{scope: string, source: Object}} [run] - Recorded with the run; source defaults to the loaded spreadsheet
+     */
+    async generateBatch(rows, indexes, templates, { scope = 'all', source = this.source } = {}) {
+        const format = Generator.outputFormat;
+        let jobs;
+        try {
+            jobs = Generator.planBatch(rows, templates, format, indexes);
+        } catch (error) {
+            this.showToast(`Generation failed: ${error.message}`, 'error');
+            return;
+        }
+
+        let result;
+        const files = jobs.reduce((sum, job) => sum + job.filenames.filter(Boolean).length + (job.draft ? 1 : 0), 0);
+        if (format === 'combined') {
+            // Everything in one document
+            result = await this.generateCombined(jobs);
+        } else if (files === 1) {
+            // Single file - direct download
+            result = await this.downloadJob(jobs.find(job => job.filenames.some(Boolean)));
+        } else {
+            // Multiple files - ZIP streamed to disk (or a download) as rows finish
+            result = await this.generateZip(jobs);
+        }
+
+        if (result) this.recordRun({ scope, source, templates, rows, indexes, format, ...result });
+    },
+
+    /**
+     * Download the one file of a job
+     * @returns {Promise<{outputs: string[], failures: Object[]}|null>} null when it failed
+     */
+    async downloadJob(job) {
+        this.showLoading('Generating document...');
+        try {
+            const [doc] = await Generator.generateJob(job);
+            saveAs(doc.blob, doc.filename.split('/').pop());
+            this.showToast('Document downloaded successfully!', 'success');
+            this.reportMissingImages();
+            return { outputs: [doc.filename], failures: [] };
+        } catch (error) {
+            console.error('Generation error:', error);
+            this.showToast(`Generation failed: ${error.message}`, 'error');
+            return null;
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Generate the jobs into a streamed ZIP
+     * @returns {Promise<{outputs: string[], failures: Object[]}|null>} null when cancelled or failed
+     */
+    async generateZip(jobs) {
+        const output = await this.openZipOutput('Specification_Documents.zip');
+        if (!output) return null;
+
+        this.showLoading(`Generating 1 of ${jobs.length}...`);
+        this.showProgress(0, jobs.length);
+        const sending = { sent: 0, failed: [] };
+        try {
+            const result = await Batch.run(jobs, {
+                format: Generator.outputFormat,
+                write: output.write,
+                onProgress: (done, total) => {
+                    this.elements.loadingText.textContent = `Generating document ${done} of ${total}...`;
+                    this.showProgress(done, total);
+                },
+                onDraft: this.isSending() ? (draft) => this.sendDraft(draft, sending) : undefined
+            });
+
+            if (result.cancelled) {
+                await output.abort();
+                this.showToast('Generation cancelled', 'warning');
+                return null;
+            }
+
+            this.elements.loadingText.textContent = 'Saving ZIP archive...';
+            await output.close();
+            this.renderFailures(result.failures);
+
+            const failed = result.failures.length;
+            const drafts = result.drafts ? ` with ${result.drafts} email draft${result.drafts !== 1 ? 's' : ''}` : '';
+            if (failed) {
+                this.showToast(`${result.written} documents saved${drafts}; ${failed} failed (see Failed rows and ${Batch.reportName} in the ZIP)`, 'warning');
+            } else {
+                this.showToast(`${result.written} documents downloaded as ZIP${drafts}!`, 'success');
+            }
+            this.reportUnaddressed(result.unaddressed, ` (see ${Batch.reportName} in the ZIP)`);
+            this.reportSending(sending);
+            this.reportMissingImages();
+            return { outputs: RunHistory.producedFiles(jobs, result.failures), failures: result.failures };
+        } catch (error) {
+            await output.abort();
+            console.error('Generation error:', error);
+            this.showToast(`Generation failed: ${error.message}`, 'error');
+            return null;
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Render the planned jobs into a single DOCX and download it
+     * @param {Object[]} jobs - From Generator.planBatch
+     * @returns {Promise<{outputs: string[], failures: Object[]}|null>} null when nothing was generated
+     */
+    async generateCombined(jobs) {
+        this.showLoading(`Generating 1 of ${jobs.length}...`);
+        this.showProgress(0, jobs.length);
+        try {
+            const doc = await Generator.generateCombined(jobs, (done, total) => {
+                this.elements.loadingText.textContent = `Generating document ${done} of ${total}...`;
+                this.showProgress(done, total);
+            });
+            this.renderFailures(Generator.failures);
+            if (!doc) {
+                this.showToast('Generation failed: no document could be generated (see Failed rows)', 'error');
+                return null;
+            }
+
+            saveAs(doc.blob, doc.filename);
+            const added = jobs.length - Generator.failures.length;
+            if (Generator.failures.length) {
+                this.showToast(`Combined ${added} documents; ${Generator.failures.length} failed (see Failed rows)`, 'warning');
+            } else {
+                this.showToast(`${added} documents combined into ${doc.filename}`, 'success');
+            }
+            this.reportMissingImages();
+            return { outputs: [doc.filename], failures: Generator.failures };
+        } catch (error) {
+            console.error('Generation error:', error);
+            this.showToast(`Generation failed: ${error.message}`, 'error');
+            return null;
+        } finally {
+            this.hideLoading();
+        }
+    },
+
+    /**
+     * Where a streamed ZIP goes: a file picked with the File System Access API
+     * when the browser has it (memory stays flat), otherwise a download built
+     * from the chunks
+     * @param {string} filename - Suggested name
+     * @returns {Promise<{write: function(Uint8Array), close: function(), abort: function()}|null>}
+     *     null when the save dialog was cancelled
+     */
+    async openZipOutput(filename) {
+        if (window.showSaveFilePicker) {
+            try {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName: filename,
+                    types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+                });
+                const writable = await handle.createWritable();
+                return {
+                    write: (chunk) => writable.write(chunk),
+                    close: () => writable.close(),
+                    abort: () => writable.abort()
+                };
+            } catch (error) {
+                if (error.name === 'AbortError') return null;
+                // Not allowed here (e.g. after a confirm dialog): fall back to a download
+            }
+        }
+
+        let parts = [];
+        return {
+            write: (chunk) => {
+                parts.push(new Blob([chunk])); // Blobs can be kept out of the page's memory
+            },
+            close: async () => saveAs(new Blob(parts, { type: 'application/zip' }), filename),
+            abort: async () => {
+                parts = [];
+            }
+        };
+    },
+
+    /**
+     * List the rows the last batch skipped, with the reason
+     * @param {{index: number, template: string, message: string}[]} failures
+     */
+    renderFailures(failures) {
+        const { failuresPanel, failuresBadge, failuresList } = this.elements;
+        failuresList.innerHTML = '';
+        failuresPanel.classList.toggle('hidden', failures.length === 0);
+        if (failures.length === 0) return;
+
+        failures.slice(0, 200).forEach(failure => {
+            const li = document.createElement('li');
+            li.className = 'health-item error';
+            const button = document.createElement('button');
+            button.className = 'issue-row';
+            button.dataset.index = failure.index;
+            button.textContent = `${failure.group ? 'Group' : 'Row'} ${failure.index + 1}${failure.template ? ` – ${failure.template}` : ''}`;
+            const detail = document.createElement('span');
+            detail.textContent = failure.message;
+            li.append(button, detail);
+            failuresList.appendChild(li);
+        });
+
+        failuresBadge.textContent = `${failures.length} document${failures.length !== 1 ? 's' : ''} not generated`;
+        failuresPanel.open = true;
+    },
+
+    /**
+     * Save a finished run in the history (see RunHistory.createRun for the details)
+     * @param {Object} details
+     */
+    async recordRun(details) {
+        try {
+            const run = await RunHistory.createRun({ source: this.source, ...details });
+            await RunHistory.record(run, details.templates);
+            await this.renderHistory();
+        } catch (error) {
+            console.error('History error:', error);
+            this.showToast('This run could not be recorded in the history', 'warning');
+        }
+    },
+
+    /**
+     * List the recorded runs, newest first
+     */
+    async renderHistory() {
+        const { historyList, historyBadge } = this.elements;
+        try {
+            this.historyRuns = await RunHistory.list();
+        } catch (error) {
+            console.error('History error:', error);
+            historyBadge.textContent = 'Unavailable';
+            return;
+        }
+
+        historyList.innerHTML = '';
+        this.historyRuns.forEach(run => {
+            const li = document.createElement('li');
+            li.className = 'library-item history-item';
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = run.id;
+            checkbox.title = 'Tick two runs to compare their data';
+            const date = document.createElement('span');
+            date.textContent = new Date(run.created).toLocaleString();
+            const summary = document.createElement('small');
+            const count = run.documents.length;
+            summary.textContent = [
+                run.source.name || 'Unsaved data',
+                `${count} ${run.groupColumn ? 'group' : 'row'}${count !== 1 ? 's' : ''}`,
+                run.templates.map(t => `${t.name} v${t.version}`).join(', '),
+                Generator.outputFormats[run.format] || run.format
+            ].join(' · ');
+            label.append(checkbox, date, summary);
+            li.appendChild(label);
+
+            if (run.failures.length) {
+                const badge = document.createElement('span');
+                badge.className = 'health-badge error';
+                badge.textContent = `${run.failures.length} failed`;
+                li.appendChild(badge);
+            }
+
+            [['download', 'Download again'], ['regenerate', 'Regenerate'], ['delete', 'Delete']].forEach(([action, text]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary';
+                button.dataset.action = action;
+                button.dataset.id = run.id;
+                button.textContent = text;
+                li.appendChild(button);
+            });
+
+            li.appendChild(this.renderRunDetails(run));
+            historyList.appendChild(li);
+        });
+
+        const total = this.historyRuns.length;
+        historyBadge.textContent = total ? `${total} run${total !== 1 ? 's' : ''}` : 'No runs';
+        this.updateCompareButton();
+    },
+
+    /**
+     * Rows, source hash, files and failures of a run, collapsed
+     * @param {Object} run
+     * @returns {HTMLDetailsElement}
+     */
+    renderRunDetails(run) {
+        const details = document.createElement('details');
+        details.className = 'history-files';
+        const summary = document.createElement('summary');
+        summary.textContent = `${run.outputs.length} file${run.outputs.length !== 1 ? 's' : ''}`;
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        const add = (text, className = '') => {
+            const li = document.createElement('li');
+            li.textContent = text;
+            if (className) li.className = className;
+            list.appendChild(li);
+        };
+
+        add(`${run.groupColumn ? `Groups by ${run.groupColumn}` : 'Rows'}: ${RunHistory.formatRows(run.documents.map(doc => doc.index))}`);
+        if (run.source.hash) add(`Spreadsheet SHA-256: ${run.source.hash}`);
+        run.outputs.slice(0, 50).forEach(name => add(name));
+        if (run.outputs.length > 50) add(`…and ${run.outputs.length - 50} more`);
+        run.failures.forEach(f => add(`${f.group ? 'Group' : 'Row'} ${f.index + 1}${f.template ? ` (${f.template})` : ''}: ${f.message}`, 'removed'));
+
+        details.appendChild(list);
+        return details;
+    },
+
+    updateCompareButton() {
+        const ticked = this.elements.historyList.querySelectorAll('input[type="checkbox"]:checked').length;
+        this.elements.compareRunsBtn.disabled = ticked !== 2;
+    },
+
+    /**
+     * Generate a recorded run again
+     * @param {string} id
+     * @param {boolean} current - true: its rows with the current templates and settings;
+     *     false: exactly as recorded (template versions, mapping, names, format)
+     */
+    async replayRun(id, current) {
+        const run = this.historyRuns.find(r => r.id === id);
+        if (!run) return;
+        if (!this.templateLoaded) {
+            this.showToast('Templates are still loading', 'warning');
+            return;
+        }
+
+        let templates;
+        try {
+            templates = current ? this.getBatchTemplates() : await RunHistory.loadTemplates(run);
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        const { rows, indexes } = RunHistory.loadRows(run);
+        const settings = ['filenamePattern', 'collisionStrategy', 'outputFormat', 'combineOptions'];
+        const saved = Object.fromEntries(settings.map(key => [key, Generator[key]]));
+        if (!current) {
+            Object.assign(Generator, {
+                filenamePattern: run.filenamePattern,
+                collisionStrategy: run.collision,
+                outputFormat: run.format,
+                combineOptions: run.combineOptions || Generator.combineOptions
+            });
+        }
+
+        Images.missing = new Set();
+        try {
+            await this.generateBatch(rows, indexes, templates, { scope: current ? 'regenerate' : 'replay', source: run.source });
+        } finally {
+            Object.assign(Generator, saved);
+        }
+    },
+
+    async deleteRun(id) {
+        try {
+            await RunHistory.remove(id);
+            await this.renderHistory();
+        } catch (error) {
+            console.error('History error:', error);
+            this.showToast(error.message, 'error');
+        }
+    },
+
+    async clearHistory() {
+        if (!this.historyRuns.length || !confirm(`Delete all ${this.historyRuns.length} recorded runs?`)) return;
+        try {
+            await RunHistory.clear();
+            this.elements.historyDiff.classList.add('hidden');
+            await this.renderHistory();
+        } catch (error) {
+            console.error('History error:', error);
+            this.showToast(error.message, 'error');
+        }
+    },
+
+    /**
+     * Show what changed in the data between the two ticked runs, client by client
+     */
+    compareRuns() {
+        const { historyList, historyDiff } = this.elements;
+        const ids = [...historyList.querySelectorAll('input[type="checkbox"]:checked')].map(box => box.value);
+        if (ids.length !== 2) return;
+
+        // historyRuns is newest first
+        const [after, before] = this.historyRuns.filter(run => ids.includes(run.id));
+        this.renderDiff(historyDiff, RunHistory.diff(before, after), {
+            title: `${new Date(before.created).toLocaleString()} → ${new Date(after.created).toLocaleString()}`,
+            newer: 'only in the newer run',
+            older: 'only in the older run'
+        });
+        historyDiff.classList.remove('hidden');
+    },
+
+    /**
+     * Show a RunHistory.diffRows result
+     * @param {HTMLElement} container
+     * @param {Object} diff
+     * @param {{title: string, newer: string, older: string}} labels - Where rows only on one side are
+     */
+    renderDiff(container, diff, labels) {
+        container.innerHTML = '';
+        const heading = (text) => {
+            const h4 = document.createElement('h4');
+            h4.textContent = text;
+            container.appendChild(h4);
+        };
+        const line = (text, className = '') => {
+            const p = document.createElement('p');
+            p.textContent = text;
+            if (className) p.className = className;
+            container.appendChild(p);
+        };
+        const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+        heading(labels.title);
+        line(`${diff.changed.length} changed, ${diff.unchanged} unchanged, ${diff.added.length} ${labels.newer}, ${diff.removed.length} ${labels.older}`);
+
+        diff.changed.forEach(({ client, changes }) => {
+            heading(client);
+            const table = document.createElement('table');
+            changes.forEach(change => {
+                const tr = table.insertRow();
+                const column = document.createElement('th');
+                column.textContent = change.column;
+                tr.appendChild(column);
+                const old = tr.insertCell();
+                old.className = 'removed';
+                old.textContent = change.before;
+                const now = tr.insertCell();
+                now.className = 'added';
+                now.textContent = change.after;
+            });
+            container.appendChild(table);
+        });
+        if (diff.added.length) line(`${capitalize(labels.newer)}: ${diff.added.join(', ')}`, 'added');
+        if (diff.removed.length) line(`${capitalize(labels.older)}: ${diff.removed.join(', ')}`, 'removed');
+    },
+
+    /**
+     * Reset to initial state
+     */
+    reset() {
+        this.parsedData = null;
+        this.source = null;
+        this.elements.fileInput.value = '';
+
+        Preview.clear();
+        Editor.clear();
+        RowList.clear();
+        this.updateSelectedCount();
+        this.renderFailures([]);
+        this.renderImport();
+        Images.clear();
+        this.updateImageSummary();
+
+        // Show upload, hide mapping and preview
+        this.elements.uploadSection.classList.remove('hidden');
+        this.elements.mappingSection.classList.add('hidden');
+        this.elements.previewSection.classList.add('hidden');
+    },
+
+    /**
+     * Show loading overlay
+     */
+    showLoading(message = 'Processing...') {
         this.elements.loadingText.textContent = message;
+        this.elements.loadingProgress.classList.add('hidden');
+        this.elements.cancelBtn.classList.add('hidden');
         this.elements.loadingOverlay.classList.remove('hidden');
     },
 
+    /**
+     * Show batch progress on the loading overlay, with the Cancel button
+     * @param {number} done
+     * @param {number} total
+     */
+    showProgress(done, total) {
+        this.elements.loadingProgress.classList.remove('hidden');
+        this.elements.cancelBtn.classList.remove('hidden');
+        this.elements.loadingProgressFill.style.width = `${total ? Math.round(done / total * 100) : 0}%`;
+    },
+
     /**
      * Hide loading overlay
      */
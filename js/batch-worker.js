@@ -0,0 +1,55 @@
+/**
+ * Batch Worker
+ * Runs Batch.process off the page for DOCX batches. Receives the planned
+ * jobs with the generator state, posts back progress, failures and the ZIP
+ * in chunks. Cancelling terminates the worker (see Batch.runInWorker).
+ */
+
+self.window = self;
+
+importScripts(
+    '../vendor/pizzip.min.js',
+    '../vendor/docxtemplater.js',
+    'parser.js',
+    'templating.js',
+    'formatter.js',
+    'naming.js',
+    'images.js',
+    'richtext.js',
+    'generator.js',
+    'email.js',
+    'zip-stream.js',
+    'batch.js'
+);
+
+Generator.outputType = 'uint8array';
+
+self.onmessage = async ({ data }) => {
+    if (data.type !== 'start') return;
+
+    try {
+        Object.assign(Generator, data.generator);
+        Formatter.locale = data.locale;
+        Images.files = data.images.files;
+        Images.remote = data.images.remote;
+        Images.missing = new Set();
+
+        const jobs = data.jobs.map(job => ({
+            ...job,
+            row: Generator.unpackRow(job.row),
+            template: data.templates[job.template] || null
+        }));
+
+        const write = (bytes) => self.postMessage({ type: 'chunk', bytes }, [bytes.buffer]);
+        const result = await Batch.process(jobs, data.format, write, {
+            onProgress: (done, total) => self.postMessage({ type: 'progress', done, total }),
+            onFailure: (failure) => self.postMessage({ type: 'failure', failure }),
+            onDraft: (draft) => self.postMessage({ type: 'draft', draft })
+        });
+
+        const { written, drafts, unaddressed } = result;
+        self.postMessage({ type: 'done', written, drafts, unaddressed, missing: [...Images.missing] });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,231 @@
+/**
+ * Batch Module
+ * Generates a planned batch (see Generator.planBatch) straight into a ZIP
+ * that is streamed as it grows (see ZipStream). DOCX batches run in a Web
+ * Worker (js/batch-worker.js) so the page stays responsive; PDF batches wait
+ * on the server's conversion (see Pdf) and run here, yielding between rows.
+ * Rows that fail are skipped, listed in failures and in a report inside the ZIP.
+ * Email drafts (see Email) are added after each row's files; recipients that
+ * are not email addresses are listed in the report too.
+ */
+
+const Batch = {
+    workerUrl: 'js/batch-worker.js',
+    reportName: 'Generation report.txt',
+
+    // Stops the batch in progress (set while one runs)
+    cancel: null,
+
+    /**
+     * Generate the jobs into a ZIP
+     * @param {Object[]} jobs - From Generator.planBatch
+     * @param {Object} options
+     * @param {string} options.format - Key of Generator.outputFormats
+     * @param {function(Uint8Array): (Promise|void)} options.write - Receives the ZIP in order
+     * @param {function(number, number)} [options.onProgress]
+     * @param {function(Object): (Promise|void)} [options.onDraft] - Receives each email draft (e.g. to send it)
+     * @returns {Promise<{written: number, drafts: number, failures: Object[], unaddressed: Object[], cancelled: boolean}>}
+     */
+    async run(jobs, { format, write, onProgress = () => {}, onDraft = () => {} }) {
+        if (format === 'docx' && this.canUseWorker()) {
+            try {
+                return await this.runInWorker(jobs, { format, write, onProgress, onDraft });
+            } catch (error) {
+                if (!error.workerFailed) throw error;
+                console.warn('Batch worker unavailable, generating on the page:', error.message);
+            }
+        }
+        return this.runHere(jobs, { format, write, onProgress, onDraft });
+    },
+
+    canUseWorker() {
+        return typeof Worker !== 'undefined' && location.protocol !== 'file:';
+    },
+
+    /**
+     * Generate on this thread
+     */
+    async runHere(jobs, { format, write, onProgress, onDraft }) {
+        let cancelled = false;
+        this.cancel = () => {
+            cancelled = true;
+        };
+
+        try {
+            const result = await this.process(jobs, format, write, {
+                onProgress,
+                onDraft,
+                isCancelled: () => cancelled,
+                // Let the page repaint and handle Cancel between rows
+                pause: () => new Promise(r => setTimeout(r, 0))
+            });
+            return { ...result, cancelled };
+        } finally {
+            this.cancel = null;
+        }
+    },
+
+    /**
+     * Generate in a Web Worker. Rejects with error.workerFailed when the
+     * worker could not start, so the caller can fall back to runHere.
+     */
+    runInWorker(jobs, { format, write, onProgress, onDraft }) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(this.workerUrl);
+            } catch (error) {
+                reject(Object.assign(error, { workerFailed: true }));
+                return;
+            }
+
+            const failures = [];
+            let started = false;
+            let writing = Promise.resolve(); // Keeps chunks and drafts in order while write is async
+
+            const finish = (callback) => {
+                worker.terminate();
+                this.cancel = null;
+                callback();
+            };
+
+            this.cancel = () => writing.then(() => finish(() => resolve({ written: 0, drafts: 0, failures, unaddressed: [], cancelled: true })));
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                const error = new Error(event.message || 'The batch worker stopped');
+                finish(() => reject(Object.assign(error, { workerFailed: !started })));
+            };
+
+            worker.onmessage = ({ data }) => {
+                started = true;
+                if (data.type === 'chunk') writing = writing.then(() => write(data.bytes));
+                if (data.type === 'draft') writing = writing.then(() => onDraft(data.draft));
+                if (data.type === 'progress') onProgress(data.done, data.total);
+                if (data.type === 'failure') failures.push(data.failure);
+                if (data.type === 'done') {
+                    data.missing.forEach(value => Images.missing.add(value));
+                    const { written, drafts, unaddressed } = data;
+                    writing.then(() => finish(() => resolve({ written, drafts, failures, unaddressed, cancelled: false })));
+                }
+                if (data.type === 'error') {
+                    writing.then(() => finish(() => reject(new Error(data.message))));
+                }
+            };
+
+            // Each template is sent once; jobs refer to it by position
+            const templates = [...new Set(jobs.map(job => job.template).filter(Boolean))];
+            worker.postMessage({
+                type: 'start',
+                format,
+                templates: templates.map(template => this.templateState(template)),
+                jobs: jobs.map(job => ({
+                    row: Generator.packRow(job.row),
+                    index: job.index,
+                    template: templates.indexOf(job.template),
+                    filenames: job.filenames
+                })),
+                generator: {
+                    mappings: Generator.mappings,
+                    formats: Generator.formats,
+                    templateTags: Generator.templateTags,
+                    emailOptions: Generator.emailOptions,
+                    activeTemplate: this.templateState(Generator.activeTemplate)
+                },
+                images: { files: Images.files, remote: Images.remote },
+                locale: Formatter.locale
+            });
+        });
+    },
+
+    /**
+     * What the worker needs of a template (the HTML preview is left out)
+     */
+    templateState(template) {
+        if (!template) return null;
+        const { id, name, version, docx, mappings, formats } = template;
+        return { id, name, version, docx, mappings, formats };
+    },
+
+    /**
+     * Render each job and add its files to a streamed ZIP. Shared by the page
+     * and the worker.
+     * @param {Object[]} jobs
+     * @param {string} format
+     * @param {function(Uint8Array): (Promise|void)} write
+     * @param {Object} hooks - onProgress(done, total), onFailure(failure), onDraft(draft), isCancelled(), pause()
+     * @returns {Promise<{written: number, drafts: number, failures: Object[], unaddressed: Object[]}>} written
+     *     counts the documents; unaddressed lists the drafts with invalid recipients, as failures
+     */
+    async process(jobs, format, write, { onProgress, onFailure = () => {}, onDraft = () => {}, isCancelled = () => false, pause = null }) {
+        const zip = ZipStream.create(write);
+        const collector = Generator.draftCollector();
+        const failures = [];
+        const unaddressed = [];
+        let drafts = 0;
+
+        for (let i = 0; i < jobs.length && !isCancelled(); i++) {
+            try {
+                const documents = await Generator.generateJob(jobs[i], format);
+                for (const doc of documents) {
+                    // The writer may transfer what it is given (see batch-worker.js); the
+                    // row's draft attaches the files afterwards, so the writer gets a copy
+                    const bytes = await this.toBytes(doc.blob);
+                    await zip.add(doc.filename, Generator.emailOptions ? new Uint8Array(bytes) : bytes);
+                }
+                const draft = await collector.add(jobs[i], documents);
+                if (draft) {
+                    if (draft.invalid.length) unaddressed.push(Generator.unaddressed(jobs[i], draft));
+                    await onDraft(draft); // First: adding it may transfer the bytes to the page
+                    await zip.add(draft.filename, draft.blob);
+                    drafts++;
+                }
+            } catch (error) {
+                collector.fail(jobs[i]);
+                const failure = Generator.failure(jobs[i], error);
+                failures.push(failure);
+                onFailure(failure);
+            }
+            onProgress(i + 1, jobs.length);
+            if (pause) await pause();
+        }
+        if (isCancelled()) return { written: zip.count - drafts, drafts, failures, unaddressed };
+
+        const reported = failures.length || unaddressed.length;
+        if (reported) {
+            await zip.add(this.reportName, new TextEncoder().encode(this.report(failures, jobs.length, unaddressed)));
+        }
+        await zip.finish();
+        return { written: zip.count - drafts - (reported ? 1 : 0), drafts, failures, unaddressed };
+    },
+
+    async toBytes(data) {
+        if (data instanceof Uint8Array) return data;
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        return new Uint8Array(await data.arrayBuffer());
+    },
+
+    /**
+     * Plain-text list of the rows that failed and why, then of the drafts
+     * whose recipients were left out
+     * @param {Object[]} failures
+     * @param {number} total - Jobs in the batch
+     * @param {Object[]} [unaddressed] - As failures
+     * @returns {string}
+     */
+    report(failures, total, unaddressed = []) {
+        const line = (f) => `${f.group ? 'Group' : 'Row'} ${f.index + 1}${f.template ? ` (${f.template})` : ''}: ${f.message}`;
+        const sections = [];
+        if (failures.length) {
+            sections.push(`${failures.length} of ${total} documents could not be generated.`, '', ...failures.map(line), '');
+        }
+        if (unaddressed.length) {
+            const drafts = `${unaddressed.length} email draft${unaddressed.length !== 1 ? 's' : ''}`;
+            sections.push(`${drafts} left out recipients that are not email addresses.`, '', ...unaddressed.map(line), '');
+        }
+        return sections.join('\r\n');
+    }
+};
+
+// Export for use in other modules
+window.Batch = Batch;
@@ -0,0 +1,433 @@
+/**
+ * Combine Module
+ * Joins rendered documents into one DOCX, each starting on a new page in its
+ * own section (so page size, margins, headers and footers carry over).
+ * The first document supplies the styles, settings and theme; later ones add
+ * the styles it lacks, their own list definitions (so lists restart per
+ * document), images, headers, footers and links under new names and ids.
+ * Footnotes, endnotes and comments are only kept for the first document.
+ * An optional cover page and table of contents list the documents by name.
+ */
+
+const Combine = {
+    bookmarkPrefix: '_fdDoc', // Hidden bookmark at the start of each document, used by the contents
+
+    // Parts merged by hand or shared with the first document, by relationship type
+    sharedTypes: ['styles', 'numbering', 'settings', 'webSettings', 'fontTable', 'theme', 'customXml',
+        'footnotes', 'endnotes', 'comments', 'commentsExtended', 'commentsIds', 'people', 'glossaryDocument',
+        'stylesWithEffects', 'customXmlProps'],
+
+    // Settings that follow updateFields in the schema, so it can be inserted before them
+    settingsAfterUpdateFields: ['hdrShapeDefaults', 'footnotePr', 'endnotePr', 'compat', 'docVars', 'rsids',
+        'mathPr', 'attachedSchema', 'themeFontLang', 'clrSchemeMapping', 'doNotIncludeSubdocsInStats',
+        'doNotAutoCompressPictures', 'forceUpgrade', 'captions', 'readModeInkLockDown', 'smartTagType',
+        'schemaLibrary', 'shapeDefaults', 'doNotEmbedSmartTags', 'decimalSymbol', 'listSeparator'],
+
+    /**
+     * Start a combined document
+     * @returns {Object} State for add and finish
+     */
+    start() {
+        return {
+            zip: null, // The first document's package, which becomes the output
+            sections: [], // Body XML per document, ending in its section break
+            sectPr: '', // Section properties of the last document
+            entries: [], // { label, bookmark } for the contents
+            numbering: { abstracts: [], nums: [], nextAbstract: 1, nextNum: 1 },
+            nextDrawingId: 1,
+            nextBookmarkId: 1
+        };
+    },
+
+    /**
+     * Add a rendered document
+     * @param {Object} state - From start
+     * @param {PizZip} zip - Output of Generator.renderZip
+     * @param {string} label - Name in the table of contents
+     */
+    add(state, zip, label) {
+        const position = state.entries.length + 1;
+        const xml = zip.file('word/document.xml').asText();
+        const bodyStart = xml.indexOf('>', xml.indexOf('<w:body')) + 1;
+        const bodyEnd = xml.lastIndexOf('</w:body>');
+        let body = xml.slice(bodyStart, bodyEnd);
+
+        // The body ends with the document's own section properties
+        const sectStart = body.lastIndexOf('<w:sectPr');
+        let sectPr = sectStart === -1 ? '' : body.slice(sectStart);
+        body = sectStart === -1 ? body : body.slice(0, sectStart);
+
+        if (!state.zip) {
+            state.zip = zip;
+            this.readNumbering(state, zip);
+        } else {
+            const ids = this.importRelationships(state, zip, position);
+            const renameIds = (text) => text.replace(/(\br:[A-Za-z]+=")([^"]+)"/g, (m, attr, id) => `${attr}${ids[id] || id}"`);
+            body = renameIds(body);
+            sectPr = renameIds(sectPr);
+
+            const numIds = this.importNumbering(state, zip);
+            body = body.replace(/(<w:numId w:val=")(\d+)"/g, (m, start, id) => `${start}${numIds[id] || id}"`);
+
+            this.importStyles(state, zip);
+            this.mergeNamespaces(state, xml);
+            // Paragraph ids only have to be unique; Word adds them again when missing
+            body = body.replace(/\s(w14:paraId|w14:textId)="[^"]*"/g, '');
+        }
+
+        body = this.renumber(state, body);
+
+        // Bookmark the start of the document for the contents
+        const bookmarkId = state.nextBookmarkId++;
+        const bookmark = `${this.bookmarkPrefix}${position}`;
+        const marker = `<w:bookmarkStart w:id="${bookmarkId}" w:name="${bookmark}"/><w:bookmarkEnd w:id="${bookmarkId}"/>`;
+        const firstParagraph = body.match(/<w:p(?:\s[^>]*)?>(\s*<w:pPr>[\s\S]*?<\/w:pPr>)?/);
+        body = firstParagraph
+            ? body.slice(0, firstParagraph.index + firstParagraph[0].length) + marker + body.slice(firstParagraph.index + firstParagraph[0].length)
+            : marker + body;
+
+        // Every document starts a new page, whatever its template said
+        sectPr = sectPr.replace(/<w:type\b[^>]*\/>/, '');
+        if (state.sections.length) {
+            state.sections[state.sections.length - 1] += `<w:p><w:pPr>${state.sectPr}</w:pPr></w:p>`;
+        }
+        state.sections.push(body);
+        state.sectPr = sectPr;
+        state.entries.push({ label, bookmark });
+    },
+
+    /**
+     * Name of a document in the contents: its client, or its number
+     * @param {Object} row
+     * @param {number} index - 0-based
+     */
+    label(row, index) {
+        return String(row['Client'] || '').trim() || `Document ${index + 1}`;
+    },
+
+    /**
+     * Build the combined package
+     * @param {Object} state
+     * @param {{cover: boolean, toc: boolean, title: string}} [options]
+     * @returns {PizZip}
+     */
+    finish(state, { cover = false, toc = false, title = 'Specification Documents' } = {}) {
+        if (!state.zip) throw new Error('There are no documents to combine');
+        const zip = state.zip;
+
+        let front = '';
+        if (cover) front += this.coverXml(state, title);
+        if (toc) front += this.tocXml(state);
+        if (front) front += '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+
+        const xml = zip.file('word/document.xml').asText();
+        const bodyStart = xml.indexOf('>', xml.indexOf('<w:body')) + 1;
+        const bodyEnd = xml.lastIndexOf('</w:body>');
+        zip.file('word/document.xml', xml.slice(0, bodyStart) + front + state.sections.join('') + state.sectPr + xml.slice(bodyEnd));
+
+        this.saveNumbering(state, zip);
+        if (toc) this.requestFieldUpdate(zip);
+        return zip;
+    },
+
+    /**
+     * Title, date and document count
+     */
+    coverXml(state, title) {
+        const styles = this.styleIds(state.zip);
+        const titleProps = styles.has('Title') ? '<w:pPr><w:pStyle w:val="Title"/></w:pPr>' : '';
+        const titleRun = styles.has('Title') ? '' : '<w:rPr><w:b/><w:sz w:val="56"/></w:rPr>';
+        const count = state.entries.length;
+        const line = (text) => `<w:p><w:r><w:t xml:space="preserve">${RichText.escapeXml(text)}</w:t></w:r></w:p>`;
+
+        return `<w:p>${titleProps}<w:r>${titleRun}<w:t xml:space="preserve">${RichText.escapeXml(title)}</w:t></w:r></w:p>` +
+            line(Formatter.formatDate(new Date(), 'D MMMM YYYY')) +
+            line(`${count} document${count !== 1 ? 's' : ''}`) +
+            (state.entries.length ? '<w:p><w:r><w:br w:type="page"/></w:r></w:p>' : '');
+    },
+
+    /**
+     * One line per document: its name linked to its first page, and the page number.
+     * Page numbers are fields that Word fills in when the document is opened.
+     */
+    tocXml(state) {
+        const styles = this.styleIds(state.zip);
+        const headingStyle = ['TOCHeading', 'Heading1'].find(id => styles.has(id));
+        const heading = headingStyle
+            ? `<w:p><w:pPr><w:pStyle w:val="${headingStyle}"/></w:pPr><w:r><w:t>Contents</w:t></w:r></w:p>`
+            : '<w:p><w:r><w:rPr><w:b/><w:sz w:val="32"/></w:rPr><w:t>Contents</w:t></w:r></w:p>';
+        const tab = this.textWidth(state.sectPr);
+
+        return heading + state.entries.map(({ label, bookmark }) =>
+            `<w:p><w:pPr><w:tabs><w:tab w:val="right" w:leader="dot" w:pos="${tab}"/></w:tabs></w:pPr>` +
+            `<w:hyperlink w:anchor="${bookmark}" w:history="1"><w:r><w:t xml:space="preserve">${RichText.escapeXml(label)}</w:t></w:r></w:hyperlink>` +
+            '<w:r><w:tab/></w:r>' +
+            '<w:r><w:fldChar w:fldCharType="begin" w:dirty="true"/></w:r>' +
+            `<w:r><w:instrText xml:space="preserve"> PAGEREF ${bookmark} \\h </w:instrText></w:r>` +
+            '<w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t></w:t></w:r>' +
+            '<w:r><w:fldChar w:fldCharType="end"/></w:r></w:p>'
+        ).join('');
+    },
+
+    /**
+     * Width between the margins in twips, for the right-aligned page numbers
+     */
+    textWidth(sectPr) {
+        const attr = (tag, name) => {
+            const match = sectPr.match(new RegExp(`<w:${tag}\\b[^>]*\\bw:${name}="(\\d+)"`));
+            return match ? parseInt(match[1], 10) : null;
+        };
+        const width = attr('pgSz', 'w');
+        const left = attr('pgMar', 'left');
+        const right = attr('pgMar', 'right');
+        return width && left !== null && right !== null ? width - left - right : 9026;
+    },
+
+    styleIds(zip) {
+        const file = zip.file('word/styles.xml');
+        const xml = file ? file.asText() : '';
+        return new Set([...xml.matchAll(/<w:style\b[^>]*w:styleId="([^"]+)"/g)].map(m => m[1]));
+    },
+
+    /**
+     * Give drawings and bookmarks ids that are unique across the documents
+     */
+    renumber(state, body) {
+        const bookmarks = {};
+        return body
+            .replace(/(<wp:docPr\b[^>]*\bid=")(\d+)"/g, (m, start) => `${start}${state.nextDrawingId++}"`)
+            .replace(/(<w:bookmark(?:Start|End)\b[^>]*\bw:id=")(\d+)"/g, (m, start, id) => {
+                if (!bookmarks[id]) bookmarks[id] = state.nextBookmarkId++;
+                return `${start}${bookmarks[id]}"`;
+            });
+    },
+
+    /**
+     * Copy the parts a document refers to (images, headers, footers, charts, links)
+     * into the combined package under new names
+     * @returns {Object} Old relationship id -> new id
+     */
+    importRelationships(state, zip, position) {
+        const ids = {};
+        const rels = this.readRelationships(zip, 'word/_rels/document.xml.rels');
+        const copied = {};
+        const added = [];
+
+        rels.forEach((rel, i) => {
+            const type = rel.type.split('/').pop();
+            if (this.sharedTypes.includes(type)) return;
+
+            const id = `rIdFd${position}_${i + 1}`;
+            ids[rel.id] = id;
+            const target = rel.external ? rel.target : this.copyPart(state, zip, this.resolvePath('word/', rel.target), position, copied).replace(/^word\//, '');
+            added.push(this.relationshipXml(id, rel.type, target, rel.external));
+        });
+
+        const relsPath = 'word/_rels/document.xml.rels';
+        const xml = state.zip.file(relsPath).asText();
+        state.zip.file(relsPath, xml.replace('</Relationships>', `${added.join('')}</Relationships>`));
+        return ids;
+    },
+
+    /**
+     * Copy a part, its own relationships and content type, renamed for this document
+     * @param {Object} state
+     * @param {PizZip} zip - Source package
+     * @param {string} path - Part path in the source
+     * @param {number} position - Document number, used in the new name
+     * @param {Object} copied - Source path -> new path, so shared parts are copied once
+     * @returns {string} New path
+     */
+    copyPart(state, zip, path, position, copied) {
+        if (copied[path]) return copied[path];
+        const slash = path.lastIndexOf('/');
+        const dir = path.slice(0, slash + 1);
+        const newPath = `${dir}fd${position}_${path.slice(slash + 1)}`;
+        copied[path] = newPath;
+
+        const file = zip.file(path);
+        if (!file) return newPath;
+        state.zip.file(newPath, file.asUint8Array());
+        this.copyContentType(state.zip, zip, path, newPath);
+
+        // Headers and charts have relationships of their own (a logo, embedded data)
+        const relsPath = `${dir}_rels/${path.slice(slash + 1)}.rels`;
+        if (zip.file(relsPath)) {
+            const rels = this.readRelationships(zip, relsPath).map(rel => this.relationshipXml(rel.id, rel.type,
+                rel.external ? rel.target : this.relativePath(newPath, this.copyPart(state, zip, this.resolvePath(dir, rel.target), position, copied)),
+                rel.external));
+            state.zip.file(`${dir}_rels/${newPath.slice(slash + 1)}.rels`,
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels.join('')}</Relationships>`);
+        }
+        return newPath;
+    },
+
+    copyContentType(target, source, path, newPath) {
+        const sourceTypes = source.file('[Content_Types].xml').asText();
+        let types = target.file('[Content_Types].xml').asText();
+
+        const override = sourceTypes.match(new RegExp(`<Override\\b[^>]*PartName="/${path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"[^>]*ContentType="([^"]+)"`, 'i')) ||
+            sourceTypes.match(new RegExp(`<Override\\b[^>]*ContentType="([^"]+)"[^>]*PartName="/${path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}"`, 'i'));
+        if (override) {
+            types = types.replace('</Types>', `<Override PartName="/${newPath}" ContentType="${override[1]}"/></Types>`);
+        } else {
+            const extension = path.split('.').pop().toLowerCase();
+            const hasDefault = (xml) => new RegExp(`<Default\\b[^>]*Extension="${extension}"`, 'i').test(xml);
+            const sourceDefault = sourceTypes.match(new RegExp(`<Default\\b[^>]*Extension="${extension}"[^>]*/>`, 'i'));
+            if (!hasDefault(types) && sourceDefault) types = types.replace('</Types>', `${sourceDefault[0]}</Types>`);
+        }
+        target.file('[Content_Types].xml', types);
+    },
+
+    readRelationships(zip, path) {
+        const file = zip.file(path);
+        if (!file) return [];
+        return [...file.asText().matchAll(/<Relationship\b([^>]*)\/?>/g)].map(([, attrs]) => {
+            const attr = (name) => (attrs.match(new RegExp(`\\b${name}="([^"]*)"`)) || [])[1] || '';
+            return { id: attr('Id'), type: attr('Type'), target: attr('Target'), external: attr('TargetMode') === 'External' };
+        });
+    },
+
+    relationshipXml(id, type, target, external) {
+        return `<Relationship Id="${id}" Type="${type}" Target="${target}"${external ? ' TargetMode="External"' : ''}/>`;
+    },
+
+    /**
+     * Package path of a relationship target ('media/a.png' from 'word/' -> 'word/media/a.png')
+     */
+    resolvePath(dir, target) {
+        if (target.startsWith('/')) return target.slice(1);
+        const parts = (dir + target).split('/');
+        const path = [];
+        parts.forEach(part => {
+            if (part === '..') path.pop();
+            else if (part !== '.') path.push(part);
+        });
+        return path.join('/');
+    },
+
+    /**
+     * Target of a relationship from one part to another, relative to the first part's folder
+     */
+    relativePath(from, to) {
+        const fromDir = from.split('/').slice(0, -1);
+        const toParts = to.split('/');
+        let common = 0;
+        while (common < fromDir.length && fromDir[common] === toParts[common]) common++;
+        return [...fromDir.slice(common).map(() => '..'), ...toParts.slice(common)].join('/');
+    },
+
+    /**
+     * Note the list ids used by the first document, so later ones are numbered after them
+     */
+    readNumbering(state, zip) {
+        const file = zip.file('word/numbering.xml');
+        if (!file) return;
+        const xml = file.asText();
+        const maxId = (pattern) => Math.max(0, ...[...xml.matchAll(pattern)].map(m => parseInt(m[1], 10)));
+        state.numbering.nextAbstract = maxId(/<w:abstractNum\b[^>]*w:abstractNumId="(\d+)"/g) + 1;
+        state.numbering.nextNum = maxId(/<w:num\b[^>]*w:numId="(\d+)"/g) + 1;
+    },
+
+    /**
+     * Copy a document's list definitions under new ids
+     * @returns {Object} Old numId -> new numId
+     */
+    importNumbering(state, zip) {
+        const file = zip.file('word/numbering.xml');
+        if (!file) return {};
+        const xml = file.asText();
+        const numbering = state.numbering;
+
+        const abstractIds = {};
+        for (const [definition, id] of xml.matchAll(/<w:abstractNum\b[^>]*w:abstractNumId="(\d+)"[\s\S]*?<\/w:abstractNum>/g)) {
+            abstractIds[id] = numbering.nextAbstract++;
+            // A fresh list id stops Word from continuing the numbering of another document
+            const nsid = Math.floor(Math.random() * 0xffffffff).toString(16).toUpperCase().padStart(8, '0');
+            numbering.abstracts.push(definition
+                .replace(/(w:abstractNumId=")\d+"/, `$1${abstractIds[id]}"`)
+                .replace(/(<w:nsid w:val=")[0-9A-Fa-f]+"/, `$1${nsid}"`));
+        }
+
+        const numIds = {};
+        for (const [definition, id] of xml.matchAll(/<w:num\b[^>]*w:numId="(\d+)"[\s\S]*?<\/w:num>/g)) {
+            numIds[id] = numbering.nextNum++;
+            numbering.nums.push(definition
+                .replace(/(w:numId=")\d+"/, `$1${numIds[id]}"`)
+                .replace(/(<w:abstractNumId w:val=")(\d+)"/, (m, start, abstract) => `${start}${abstractIds[abstract] || abstract}"`));
+        }
+        return numIds;
+    },
+
+    saveNumbering(state, zip) {
+        const { abstracts, nums } = state.numbering;
+        if (!nums.length) return;
+
+        const path = 'word/numbering.xml';
+        const existing = zip.file(path);
+        let xml = existing ? existing.asText()
+            : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+              '<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"></w:numbering>';
+
+        // abstractNum elements must come before every num element
+        const firstNum = xml.search(/<w:num\b/);
+        xml = firstNum === -1
+            ? xml.replace('</w:numbering>', `${abstracts.join('')}${nums.join('')}</w:numbering>`)
+            : xml.slice(0, firstNum) + abstracts.join('') + xml.slice(firstNum).replace('</w:numbering>', `${nums.join('')}</w:numbering>`);
+        zip.file(path, xml);
+        if (!existing) RichText.addNumberingPart(zip);
+    },
+
+    /**
+     * Add the styles the first document does not define
+     */
+    importStyles(state, zip) {
+        const target = state.zip.file('word/styles.xml');
+        const source = zip.file('word/styles.xml');
+        if (!target || !source) return;
+
+        const known = this.styleIds(state.zip);
+        const missing = [...source.asText().matchAll(/<w:style\b[^>]*w:styleId="([^"]+)"[\s\S]*?<\/w:style>/g)]
+            .filter(([, id]) => !known.has(id))
+            .map(([definition]) => definition);
+        if (missing.length) {
+            state.zip.file('word/styles.xml', target.asText().replace('</w:styles>', `${missing.join('')}</w:styles>`));
+        }
+    },
+
+    /**
+     * Declare on the combined root element the namespaces a later document uses
+     */
+    mergeNamespaces(state, xml) {
+        const root = (text) => text.match(/<w:document\b[^>]*>/)[0];
+        const path = 'word/document.xml';
+        const base = state.zip.file(path).asText();
+        const baseRoot = root(base);
+
+        const additions = [...root(xml).matchAll(/\sxmlns:([A-Za-z0-9]+)="[^"]*"/g)]
+            .filter(([, prefix]) => !baseRoot.includes(`xmlns:${prefix}=`))
+            .map(([declaration]) => declaration);
+        if (additions.length) {
+            state.zip.file(path, base.replace(baseRoot, baseRoot.replace(/>$/, `${additions.join('')}>`)));
+        }
+    },
+
+    /**
+     * Ask Word to fill in the contents page numbers when the document is opened
+     */
+    requestFieldUpdate(zip) {
+        const file = zip.file('word/settings.xml');
+        if (!file) return;
+        let xml = file.asText();
+        if (/<w:updateFields\b/.test(xml)) return;
+
+        const element = '<w:updateFields w:val="true"/>';
+        const next = xml.match(new RegExp(`<(?:w|m|sl):(?:${this.settingsAfterUpdateFields.join('|')})\\b`));
+        xml = next ? xml.slice(0, next.index) + element + xml.slice(next.index) : xml.replace('</w:settings>', `${element}</w:settings>`);
+        zip.file('word/settings.xml', xml);
+    }
+};
+
+// Export for use in other modules
+window.Combine = Combine;
@@ -0,0 +1,752 @@
+/**
+ * DocxHtml Module
+ * Converts a rendered DOCX (PizZip) into paged HTML for the preview, so the
+ * preview shows the same document that is downloaded
+ *
+ * Covers what our templates use: paragraph and character styles, fonts, colours,
+ * alignment, spacing, borders and shading, lists, tables (spans and merges),
+ * inline and anchored images, headers/footers, page size and page breaks.
+ */
+
+const DocxHtml = {
+    // Unit conversions to points
+    twipsToPt: (v) => v / 20,
+    halfPointsToPt: (v) => v / 2,
+    emuToPt: (v) => v / 12700,
+    eighthsToPt: (v) => v / 8,
+
+    // Marks a page break in the list of rendered blocks
+    pageBreak: '\f',
+
+    // A4 with 1" margins, used when the document has no sectPr
+    defaultPage: { width: 595.3, height: 841.9, top: 72, right: 72, bottom: 72, left: 72 },
+
+    /**
+     * Convert a DOCX to a complete HTML document
+     * @param {PizZip} zip - Rendered document
+     * @returns {string}
+     */
+    convert(zip) {
+        const ctx = this.createContext(zip);
+        const body = ctx.doc.getElementsByTagName('w:body')[0];
+        if (!body) throw new Error('DOCX has no document body');
+
+        const sectPr = [...body.childNodes].find(n => n.nodeName === 'w:sectPr');
+        const page = this.readPage(sectPr);
+        const header = this.renderHeaderFooter(ctx, sectPr, 'w:headerReference');
+        const footer = this.renderHeaderFooter(ctx, sectPr, 'w:footerReference');
+
+        // Split the body into pages on explicit page breaks
+        const pages = [[]];
+        this.renderBlocks(ctx, body.childNodes).forEach(html => {
+            if (html === this.pageBreak) pages.push([]);
+            else pages[pages.length - 1].push(html);
+        });
+
+        const pageHtml = pages.map(blocks => `
+            <section class="page">
+                ${header ? `<header class="page-header">${header}</header>` : ''}
+                <div class="page-body">${blocks.join('') || '<p>&nbsp;</p>'}</div>
+                ${footer ? `<footer class="page-footer">${footer}</footer>` : ''}
+            </section>`).join('');
+
+        return `<!DOCTYPE html><html><head><meta charset="UTF-8"><style>${this.pageCss(page, ctx)}</style></head>
+            <body><div class="pages">${pageHtml}</div></body></html>`;
+    },
+
+    /**
+     * Parse the XML parts needed for rendering
+     * @param {PizZip} zip
+     * @returns {Object}
+     */
+    createContext(zip) {
+        const parse = (name) => {
+            const file = zip.file(name);
+            return file ? new DOMParser().parseFromString(file.asText(), 'application/xml') : null;
+        };
+
+        const ctx = {
+            zip,
+            doc: parse('word/document.xml'),
+            rels: this.readRels(parse('word/_rels/document.xml.rels')),
+            theme: this.readTheme(parse('word/theme/theme1.xml')),
+            styles: {},
+            defaults: { p: {}, r: {} },
+            numbering: this.readNumbering(parse('word/numbering.xml')),
+            counters: {},
+            paged: true // Page breaks only count in the body, not in tables or headers
+        };
+        this.readStyles(ctx, parse('word/styles.xml'));
+        return ctx;
+    },
+
+    // ---------- Package parts ----------
+
+    readRels(xml) {
+        const rels = {};
+        if (!xml) return rels;
+        [...xml.getElementsByTagName('Relationship')].forEach(rel => {
+            rels[rel.getAttribute('Id')] = rel.getAttribute('Target');
+        });
+        return rels;
+    },
+
+    readTheme(xml) {
+        const theme = { major: null, minor: null };
+        if (!xml) return theme;
+        const font = (tag) => {
+            const el = xml.getElementsByTagName(tag)[0];
+            const latin = el && el.getElementsByTagName('a:latin')[0];
+            return latin ? latin.getAttribute('typeface') : null;
+        };
+        theme.major = font('a:majorFont');
+        theme.minor = font('a:minorFont');
+        return theme;
+    },
+
+    readStyles(ctx, xml) {
+        if (!xml) return;
+
+        const docDefaults = xml.getElementsByTagName('w:docDefaults')[0];
+        if (docDefaults) {
+            ctx.defaults.p = this.readParagraphProps(ctx, this.child(this.child(docDefaults, 'w:pPrDefault'), 'w:pPr'));
+            ctx.defaults.r = this.readRunProps(ctx, this.child(this.child(docDefaults, 'w:rPrDefault'), 'w:rPr'));
+        }
+
+        [...xml.getElementsByTagName('w:style')].forEach(style => {
+            const basedOn = this.child(style, 'w:basedOn');
+            const tblPr = this.child(style, 'w:tblPr');
+            ctx.styles[style.getAttribute('w:styleId')] = {
+                type: style.getAttribute('w:type'),
+                basedOn: basedOn ? basedOn.getAttribute('w:val') : null,
+                p: this.readParagraphProps(ctx, this.child(style, 'w:pPr')),
+                r: this.readRunProps(ctx, this.child(style, 'w:rPr')),
+                tblBorders: tblPr ? this.child(tblPr, 'w:tblBorders') : null,
+                isDefault: style.getAttribute('w:default') === '1'
+            };
+        });
+    },
+
+    readNumbering(xml) {
+        const numbering = { abstract: {}, nums: {} };
+        if (!xml) return numbering;
+
+        [...xml.getElementsByTagName('w:abstractNum')].forEach(abstract => {
+            const levels = {};
+            [...abstract.getElementsByTagName('w:lvl')].forEach(lvl => {
+                const val = (tag) => {
+                    const el = this.child(lvl, tag);
+                    return el ? el.getAttribute('w:val') : null;
+                };
+                levels[lvl.getAttribute('w:ilvl')] = {
+                    start: parseInt(val('w:start') || '1', 10),
+                    numFmt: val('w:numFmt') || 'decimal',
+                    lvlText: val('w:lvlText') || ''
+                };
+            });
+            numbering.abstract[abstract.getAttribute('w:abstractNumId')] = levels;
+        });
+
+        [...xml.getElementsByTagName('w:num')].forEach(num => {
+            const abstractId = this.child(num, 'w:abstractNumId');
+            if (abstractId) numbering.nums[num.getAttribute('w:numId')] = abstractId.getAttribute('w:val');
+        });
+
+        return numbering;
+    },
+
+    // ---------- Properties ----------
+
+    child(el, name) {
+        if (!el) return null;
+        return [...el.childNodes].find(n => n.nodeName === name) || null;
+    },
+
+    /**
+     * Read a toggle property such as <w:b/> or <w:b w:val="0"/>
+     */
+    toggle(el, name) {
+        const prop = this.child(el, name);
+        if (!prop) return undefined;
+        const val = prop.getAttribute('w:val');
+        return !(val === '0' || val === 'false' || val === 'none');
+    },
+
+    attr(el, name, attribute, parse = (v) => v) {
+        const prop = this.child(el, name);
+        if (!prop || !prop.hasAttribute(attribute)) return undefined;
+        return parse(prop.getAttribute(attribute));
+    },
+
+    readBorder(el) {
+        if (!el) return undefined;
+        const val = el.getAttribute('w:val');
+        if (!val || val === 'nil' || val === 'none') return 'none';
+        const size = Math.max(this.eighthsToPt(parseInt(el.getAttribute('w:sz') || '4', 10)), 0.5);
+        const color = this.color(el.getAttribute('w:color')) || '#000';
+        const style = val === 'double' ? 'double' : (/dash|dot/i.test(val) ? 'dashed' : 'solid');
+        return `${size}pt ${style} ${color}`;
+    },
+
+    color(val) {
+        if (!val || val === 'auto') return null;
+        return /^[0-9A-Fa-f]{6}$/.test(val) ? `#${val}` : null;
+    },
+
+    shading(el) {
+        const shd = this.child(el, 'w:shd');
+        if (!shd) return undefined;
+        return this.color(shd.getAttribute('w:fill')) || undefined;
+    },
+
+    readParagraphProps(ctx, pPr) {
+        if (!pPr) return {};
+        const int = (v) => parseInt(v, 10);
+        const pBdr = this.child(pPr, 'w:pBdr');
+        const numPr = this.child(pPr, 'w:numPr');
+
+        return this.defined({
+            style: this.attr(pPr, 'w:pStyle', 'w:val'),
+            align: this.attr(pPr, 'w:jc', 'w:val'),
+            before: this.attr(pPr, 'w:spacing', 'w:before', int),
+            after: this.attr(pPr, 'w:spacing', 'w:after', int),
+            line: this.attr(pPr, 'w:spacing', 'w:line', int),
+            lineRule: this.attr(pPr, 'w:spacing', 'w:lineRule'),
+            indLeft: this.attr(pPr, 'w:ind', 'w:left', int) ?? this.attr(pPr, 'w:ind', 'w:start', int),
+            indRight: this.attr(pPr, 'w:ind', 'w:right', int) ?? this.attr(pPr, 'w:ind', 'w:end', int),
+            indFirst: this.attr(pPr, 'w:ind', 'w:firstLine', int),
+            indHanging: this.attr(pPr, 'w:ind', 'w:hanging', int),
+            shading: this.shading(pPr),
+            borderTop: pBdr ? this.readBorder(this.child(pBdr, 'w:top')) : undefined,
+            borderBottom: pBdr ? this.readBorder(this.child(pBdr, 'w:bottom')) : undefined,
+            borderLeft: pBdr ? this.readBorder(this.child(pBdr, 'w:left')) : undefined,
+            borderRight: pBdr ? this.readBorder(this.child(pBdr, 'w:right')) : undefined,
+            pageBreakBefore: this.toggle(pPr, 'w:pageBreakBefore'),
+            numId: numPr ? this.attr(numPr, 'w:numId', 'w:val') : undefined,
+            ilvl: numPr ? this.attr(numPr, 'w:ilvl', 'w:val') : undefined
+        });
+    },
+
+    readRunProps(ctx, rPr) {
+        if (!rPr) return {};
+        const fonts = this.child(rPr, 'w:rFonts');
+        let font;
+        if (fonts) {
+            font = fonts.getAttribute('w:ascii') || fonts.getAttribute('w:hAnsi') || undefined;
+            const theme = fonts.getAttribute('w:asciiTheme');
+            if (!font && theme) font = (/major/i.test(theme) ? ctx.theme.major : ctx.theme.minor) || undefined;
+        }
+        const underline = this.attr(rPr, 'w:u', 'w:val');
+
+        return this.defined({
+            style: this.attr(rPr, 'w:rStyle', 'w:val'),
+            bold: this.toggle(rPr, 'w:b'),
+            italic: this.toggle(rPr, 'w:i'),
+            underline: underline === undefined ? undefined : underline !== 'none',
+            strike: this.toggle(rPr, 'w:strike'),
+            caps: this.toggle(rPr, 'w:caps'),
+            smallCaps: this.toggle(rPr, 'w:smallCaps'),
+            vanish: this.toggle(rPr, 'w:vanish'),
+            color: this.attr(rPr, 'w:color', 'w:val', (v) => this.color(v) || undefined),
+            size: this.attr(rPr, 'w:sz', 'w:val', (v) => this.halfPointsToPt(parseInt(v, 10))),
+            font,
+            highlight: this.attr(rPr, 'w:highlight', 'w:val'),
+            shading: this.shading(rPr),
+            vertAlign: this.attr(rPr, 'w:vertAlign', 'w:val')
+        });
+    },
+
+    defined(obj) {
+        Object.keys(obj).forEach(key => obj[key] === undefined && delete obj[key]);
+        return obj;
+    },
+
+    /**
+     * Merge a style and its basedOn chain (base first)
+     * @param {Object} ctx
+     * @param {string} styleId
+     * @param {'p'|'r'} kind
+     * @returns {Object}
+     */
+    styleProps(ctx, styleId, kind) {
+        const chain = [];
+        const seen = new Set();
+        let id = styleId;
+        while (id && ctx.styles[id] && !seen.has(id)) {
+            seen.add(id);
+            chain.unshift(ctx.styles[id][kind]);
+            id = ctx.styles[id].basedOn;
+        }
+        return Object.assign({}, ...chain);
+    },
+
+    defaultStyleId(ctx, type) {
+        return Object.keys(ctx.styles).find(id => ctx.styles[id].type === type && ctx.styles[id].isDefault);
+    },
+
+    // ---------- Blocks ----------
+
+    /**
+     * Render block-level nodes (paragraphs, tables, content controls)
+     * @returns {string[]}
+     */
+    renderBlocks(ctx, nodes) {
+        const out = [];
+        [...nodes].forEach(node => {
+            switch (node.nodeName) {
+                case 'w:p':
+                    out.push(...this.renderParagraph(ctx, node));
+                    break;
+                case 'w:tbl':
+                    out.push(this.renderTable(ctx, node));
+                    break;
+                case 'w:sdt':
+                    out.push(...this.renderBlocks(ctx, (this.child(node, 'w:sdtContent') || node).childNodes));
+                    break;
+                default:
+                    break;
+            }
+        });
+        return out;
+    },
+
+    /**
+     * Render a paragraph; page breaks inside it split it into several chunks
+     * @returns {string[]} Paragraph chunks and pageBreak markers
+     */
+    renderParagraph(ctx, p) {
+        const pPr = this.child(p, 'w:pPr');
+        const direct = this.readParagraphProps(ctx, pPr);
+        const styleId = direct.style || this.defaultStyleId(ctx, 'paragraph');
+        const props = { ...ctx.defaults.p, ...this.styleProps(ctx, styleId, 'p'), ...direct };
+        const runDefaults = { ...ctx.defaults.r, ...this.styleProps(ctx, styleId, 'r') };
+
+        const chunks = [];
+        if (props.pageBreakBefore && ctx.paged) chunks.push(this.pageBreak);
+
+        const css = this.paragraphCss(props);
+        const marker = this.listMarker(ctx, props, runDefaults);
+        const tag = /^Heading([1-6])$/.test(styleId || '') ? `h${styleId.slice(-1)}` : 'p';
+
+        // Runs; page breaks come back as pageBreak markers inside the text
+        const parts = (marker + this.renderInline(ctx, p.childNodes, runDefaults)).split(this.pageBreak);
+        parts.forEach((html, i) => {
+            if (i > 0) chunks.push(this.pageBreak);
+            // A page break at the very end of a paragraph leaves no empty paragraph behind
+            if (html || i === 0) chunks.push(`<${tag} style="${css}">${html || '&nbsp;'}</${tag}>`);
+        });
+        return chunks;
+    },
+
+    paragraphCss(props) {
+        const css = ['margin:0', 'position:relative'];
+        const align = { both: 'justify', distribute: 'justify', center: 'center', right: 'right', end: 'right' }[props.align];
+        if (align) css.push(`text-align:${align}`);
+        if (props.before) css.push(`margin-top:${this.twipsToPt(props.before)}pt`);
+        if (props.after) css.push(`margin-bottom:${this.twipsToPt(props.after)}pt`);
+        if (props.line) {
+            css.push(props.lineRule === 'exact' || props.lineRule === 'atLeast'
+                ? `line-height:${this.twipsToPt(props.line)}pt`
+                : `line-height:${(props.line / 240).toFixed(2)}`);
+        }
+        if (props.indLeft) css.push(`padding-left:${this.twipsToPt(props.indLeft)}pt`);
+        if (props.indRight) css.push(`padding-right:${this.twipsToPt(props.indRight)}pt`);
+        if (props.indHanging) css.push(`text-indent:-${this.twipsToPt(props.indHanging)}pt`);
+        else if (props.indFirst) css.push(`text-indent:${this.twipsToPt(props.indFirst)}pt`);
+        if (props.shading) css.push(`background:${props.shading}`);
+        ['Top', 'Bottom', 'Left', 'Right'].forEach(side => {
+            if (props[`border${side}`]) css.push(`border-${side.toLowerCase()}:${props[`border${side}`]}`, `padding-${side.toLowerCase()}:1pt`);
+        });
+        return css.join(';');
+    },
+
+    listMarker(ctx, props, runDefaults) {
+        if (props.numId === undefined || props.numId === '0') return '';
+        const abstractId = ctx.numbering.nums[props.numId];
+        const levels = ctx.numbering.abstract[abstractId];
+        const ilvl = parseInt(props.ilvl || '0', 10);
+        const level = levels && levels[ilvl];
+        if (!level) return '';
+
+        // Advance this level and reset deeper ones
+        const key = (l) => `${abstractId}:${l}`;
+        ctx.counters[key(ilvl)] = ctx.counters[key(ilvl)] === undefined ? level.start : ctx.counters[key(ilvl)] + 1;
+        for (let l = ilvl + 1; l < 9; l++) delete ctx.counters[key(l)];
+
+        let text;
+        if (level.numFmt === 'bullet') {
+            text = /^[\x20-\x7E•◦▪–-]$/.test(level.lvlText) ? level.lvlText : '•';
+        } else {
+            text = level.lvlText.replace(/%(\d)/g, (m, n) => {
+                const l = parseInt(n, 10) - 1;
+                const lvl = levels[l] || level;
+                return this.formatNumber(ctx.counters[key(l)] ?? lvl.start, lvl.numFmt);
+            });
+        }
+        return `<span style="${this.runCss(runDefaults)};display:inline-block;min-width:18pt">${this.escape(text)}</span>`;
+    },
+
+    formatNumber(n, format) {
+        const letters = (v) => {
+            let s = '';
+            while (v > 0) {
+                v--;
+                s = String.fromCharCode(97 + (v % 26)) + s;
+                v = Math.floor(v / 26);
+            }
+            return s;
+        };
+        const roman = (v) => {
+            const map = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'], [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+            return map.reduce((s, [value, numeral]) => {
+                while (v >= value) {
+                    s += numeral;
+                    v -= value;
+                }
+                return s;
+            }, '');
+        };
+        switch (format) {
+            case 'lowerLetter': return letters(n);
+            case 'upperLetter': return letters(n).toUpperCase();
+            case 'lowerRoman': return roman(n);
+            case 'upperRoman': return roman(n).toUpperCase();
+            case 'none': return '';
+            default: return String(n);
+        }
+    },
+
+    // ---------- Inline ----------
+
+    /**
+     * Render runs and inline containers
+     */
+    renderInline(ctx, nodes, runDefaults) {
+        let html = '';
+        [...nodes].forEach(node => {
+            switch (node.nodeName) {
+                case 'w:r':
+                    html += this.renderRun(ctx, node, runDefaults);
+                    break;
+                case 'w:hyperlink': {
+                    const target = ctx.rels[node.getAttribute('r:id')];
+                    const inner = this.renderInline(ctx, node.childNodes, runDefaults);
+                    html += target ? `<a href="${this.escape(target)}" target="_blank" rel="noopener">${inner}</a>` : inner;
+                    break;
+                }
+                case 'w:ins':
+                case 'w:smartTag':
+                case 'w:fldSimple':
+                case 'w:customXml':
+                    html += this.renderInline(ctx, node.childNodes, runDefaults);
+                    break;
+                case 'w:sdt':
+                    html += this.renderInline(ctx, (this.child(node, 'w:sdtContent') || node).childNodes, runDefaults);
+                    break;
+                default:
+                    break;
+            }
+        });
+        return html;
+    },
+
+    renderRun(ctx, r, runDefaults) {
+        const direct = this.readRunProps(ctx, this.child(r, 'w:rPr'));
+        const props = { ...runDefaults, ...(direct.style ? this.styleProps(ctx, direct.style, 'r') : {}), ...direct };
+        if (props.vanish) return '';
+
+        let content = '';
+        let html = '';
+        const css = this.runCss(props);
+        const flush = () => {
+            if (content) html += `<span style="${css}">${content}</span>`;
+            content = '';
+        };
+
+        [...r.childNodes].forEach(node => {
+            switch (node.nodeName) {
+                case 'w:t':
+                    content += this.escape(node.textContent).replace(/ {2}/g, ' &nbsp;');
+                    break;
+                case 'w:tab':
+                    content += '<span style="display:inline-block;min-width:36pt"></span>';
+                    break;
+                case 'w:br':
+                    if (node.getAttribute('w:type') === 'page' && ctx.paged) {
+                        flush();
+                        html += this.pageBreak;
+                    } else {
+                        content += '<br>';
+                    }
+                    break;
+                case 'w:cr':
+                    content += '<br>';
+                    break;
+                case 'w:noBreakHyphen':
+                    content += '&#8209;';
+                    break;
+                case 'w:sym':
+                    content += '•';
+                    break;
+                case 'w:drawing':
+                    flush();
+                    html += this.renderDrawing(ctx, node);
+                    break;
+                case 'w:pict':
+                    flush();
+                    html += this.renderPict(ctx, node);
+                    break;
+                default:
+                    break;
+            }
+        });
+        flush();
+        return html;
+    },
+
+    runCss(props) {
+        const css = [];
+        if (props.font) css.push(`font-family:'${props.font.replace(/'/g, '')}', sans-serif`);
+        if (props.size) css.push(`font-size:${props.size}pt`);
+        if (props.bold) css.push('font-weight:bold');
+        if (props.italic) css.push('font-style:italic');
+        const decoration = [props.underline && 'underline', props.strike && 'line-through'].filter(Boolean);
+        if (decoration.length) css.push(`text-decoration:${decoration.join(' ')}`);
+        if (props.caps) css.push('text-transform:uppercase');
+        if (props.smallCaps) css.push('font-variant:small-caps');
+        if (props.color) css.push(`color:${props.color}`);
+        const background = props.shading || (props.highlight && props.highlight !== 'none' ? props.highlight : null);
+        if (background) css.push(`background:${background}`);
+        if (props.vertAlign === 'superscript') css.push('vertical-align:super;font-size:smaller');
+        if (props.vertAlign === 'subscript') css.push('vertical-align:sub;font-size:smaller');
+        return css.join(';');
+    },
+
+    /**
+     * Inline or anchored DrawingML picture
+     */
+    renderDrawing(ctx, drawing) {
+        const container = this.child(drawing, 'wp:inline') || this.child(drawing, 'wp:anchor');
+        if (!container) return '';
+
+        const extent = this.child(container, 'wp:extent');
+        const width = extent ? this.emuToPt(parseInt(extent.getAttribute('cx'), 10)) : null;
+        const height = extent ? this.emuToPt(parseInt(extent.getAttribute('cy'), 10)) : null;
+        const blip = container.getElementsByTagName('a:blip')[0];
+        const src = blip ? this.mediaUri(ctx, blip.getAttribute('r:embed')) : null;
+        if (!src) return '';
+
+        const css = [width && `width:${width}pt`, height && `height:${height}pt`];
+        if (container.nodeName === 'wp:anchor') {
+            const offset = (axis) => {
+                const pos = this.child(container, `wp:position${axis}`);
+                const off = pos && this.child(pos, 'wp:posOffset');
+                return off ? this.emuToPt(parseInt(off.textContent, 10)) : 0;
+            };
+            const behind = container.getAttribute('behindDoc') === '1';
+            css.push('position:absolute', `left:${offset('H')}pt`, `top:${offset('V')}pt`, `z-index:${behind ? 0 : 1}`);
+        } else {
+            css.push('vertical-align:bottom');
+        }
+
+        return `<img src="${src}" alt="" style="${css.filter(Boolean).join(';')}">`;
+    },
+
+    /**
+     * Legacy VML picture (<v:imagedata r:id>)
+     */
+    renderPict(ctx, pict) {
+        const data = pict.getElementsByTagName('v:imagedata')[0];
+        const shape = pict.getElementsByTagName('v:shape')[0];
+        const src = data ? this.mediaUri(ctx, data.getAttribute('r:id')) : null;
+        if (!src) return '';
+        const style = shape ? (shape.getAttribute('style') || '').match(/(width|height):[\d.]+pt/g) || [] : [];
+        return `<img src="${src}" alt="" style="${style.join(';')}">`;
+    },
+
+    /**
+     * Data URI for an image relationship
+     */
+    mediaUri(ctx, relId) {
+        const target = ctx.rels[relId];
+        if (!target) return null;
+        const path = target.startsWith('/') ? target.slice(1) : `word/${target}`.replace(/word\/\.\.\//, '');
+        const file = ctx.zip.file(path);
+        if (!file) return null;
+
+        const ext = path.split('.').pop().toLowerCase();
+        const mime = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', bmp: 'image/bmp', svg: 'image/svg+xml' }[ext] || 'application/octet-stream';
+
+        const bytes = file.asUint8Array();
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return `data:${mime};base64,${btoa(binary)}`;
+    },
+
+    // ---------- Tables ----------
+
+    renderTable(ctx, tbl) {
+        const tblPr = this.child(tbl, 'w:tblPr');
+        const styleId = tblPr ? this.attr(tblPr, 'w:tblStyle', 'w:val') : undefined;
+        const style = styleId && ctx.styles[styleId];
+        const bordersEl = (tblPr && this.child(tblPr, 'w:tblBorders')) || (style && style.tblBorders);
+        const border = (side) => (bordersEl ? this.readBorder(this.child(bordersEl, `w:${side}`)) : undefined) || 'none';
+        const insideH = border('insideH');
+        const insideV = border('insideV');
+
+        const grid = [...(this.child(tbl, 'w:tblGrid') || { childNodes: [] }).childNodes]
+            .filter(n => n.nodeName === 'w:gridCol')
+            .map(col => this.twipsToPt(parseInt(col.getAttribute('w:w') || '0', 10)));
+
+        // Work out vertical merges: a 'restart' cell spans the 'continue' cells below it
+        const rows = [...tbl.childNodes].filter(n => n.nodeName === 'w:tr');
+        const layout = rows.map(tr => {
+            let col = 0;
+            return [...tr.childNodes].filter(n => n.nodeName === 'w:tc').map(tc => {
+                const tcPr = this.child(tc, 'w:tcPr');
+                const span = tcPr ? parseInt(this.attr(tcPr, 'w:gridSpan', 'w:val') || '1', 10) : 1;
+                const vMerge = tcPr ? this.child(tcPr, 'w:vMerge') : null;
+                const cell = { tc, tcPr, col, span, rowspan: 1, merge: vMerge ? (vMerge.getAttribute('w:val') || 'continue') : null };
+                col += span;
+                return cell;
+            });
+        });
+        layout.forEach((cells, r) => cells.forEach(cell => {
+            if (cell.merge !== 'restart') return;
+            for (let below = r + 1; below < layout.length; below++) {
+                const next = layout[below].find(c => c.col === cell.col);
+                if (!next || next.merge !== 'continue') break;
+                cell.rowspan++;
+            }
+        }));
+
+        const body = layout.map((cells, r) => {
+            const trPr = this.child(rows[r], 'w:trPr');
+            const height = trPr ? this.attr(trPr, 'w:trHeight', 'w:val', (v) => this.twipsToPt(parseInt(v, 10))) : undefined;
+
+            const tds = cells.filter(cell => cell.merge !== 'continue').map(cell => {
+                const css = ['vertical-align:top', 'padding:2pt 5.4pt'];
+                const width = grid.slice(cell.col, cell.col + cell.span).reduce((a, b) => a + b, 0);
+                if (width) css.push(`width:${width}pt`);
+
+                // Outer table borders on the edges, inside borders between cells
+                const lastCol = cell.col + cell.span >= grid.length;
+                const lastRow = r + cell.rowspan >= layout.length;
+                const tcBorders = cell.tcPr ? this.child(cell.tcPr, 'w:tcBorders') : null;
+                const side = (name, fallback) => (tcBorders ? this.readBorder(this.child(tcBorders, `w:${name}`)) : undefined) || fallback;
+                css.push(
+                    `border-top:${side('top', r === 0 ? border('top') : insideH)}`,
+                    `border-bottom:${side('bottom', lastRow ? border('bottom') : insideH)}`,
+                    `border-left:${side('left', cell.col === 0 ? border('left') : insideV)}`,
+                    `border-right:${side('right', lastCol ? border('right') : insideV)}`
+                );
+
+                if (cell.tcPr) {
+                    const fill = this.shading(cell.tcPr);
+                    if (fill) css.push(`background:${fill}`);
+                    const vAlign = this.attr(cell.tcPr, 'w:vAlign', 'w:val');
+                    if (vAlign) css[0] = `vertical-align:${vAlign === 'center' ? 'middle' : vAlign}`;
+                }
+
+                const attrs = [
+                    cell.span > 1 ? ` colspan="${cell.span}"` : '',
+                    cell.rowspan > 1 ? ` rowspan="${cell.rowspan}"` : ''
+                ].join('');
+                const content = this.renderBlocks({ ...ctx, paged: false }, cell.tc.childNodes).join('');
+                return `<td${attrs} style="${css.join(';')}">${content}</td>`;
+            }).join('');
+
+            return `<tr${height ? ` style="height:${height}pt"` : ''}>${tds}</tr>`;
+        }).join('');
+
+        const width = grid.reduce((a, b) => a + b, 0);
+        return `<table style="border-collapse:collapse;${width ? `width:${width}pt;` : ''}table-layout:fixed">${body}</table>`;
+    },
+
+    // ---------- Page ----------
+
+    readPage(sectPr) {
+        const page = { ...this.defaultPage };
+        if (!sectPr) return page;
+
+        const int = (v) => this.twipsToPt(parseInt(v, 10));
+        const pgSz = this.child(sectPr, 'w:pgSz');
+        const pgMar = this.child(sectPr, 'w:pgMar');
+        if (pgSz) {
+            page.width = int(pgSz.getAttribute('w:w'));
+            page.height = int(pgSz.getAttribute('w:h'));
+        }
+        if (pgMar) {
+            ['top', 'right', 'bottom', 'left', 'header', 'footer'].forEach(side => {
+                if (pgMar.hasAttribute(`w:${side}`)) page[side] = Math.abs(int(pgMar.getAttribute(`w:${side}`)));
+            });
+        }
+        return page;
+    },
+
+    /**
+     * Render the default header or footer part of a section
+     */
+    renderHeaderFooter(ctx, sectPr, refName) {
+        if (!sectPr) return '';
+        const refs = [...sectPr.childNodes].filter(n => n.nodeName === refName);
+        const ref = refs.find(n => n.getAttribute('w:type') === 'default') || refs[0];
+        const target = ref && ctx.rels[ref.getAttribute('r:id')];
+        const file = target && ctx.zip.file(`word/${target}`);
+        if (!file) return '';
+
+        const xml = new DOMParser().parseFromString(file.asText(), 'application/xml');
+        const relsFile = ctx.zip.file(`word/_rels/${target}.rels`);
+        const partCtx = {
+            ...ctx,
+            rels: relsFile ? this.readRels(new DOMParser().parseFromString(relsFile.asText(), 'application/xml')) : {},
+            paged: false
+        };
+        return this.renderBlocks(partCtx, xml.documentElement.childNodes).join('');
+    },
+
+    pageCss(page, ctx) {
+        const base = { ...ctx.defaults.r, ...this.styleProps(ctx, this.defaultStyleId(ctx, 'paragraph'), 'r') };
+        const font = base.font || ctx.theme.minor || 'Calibri';
+        return `
+            html, body { margin: 0; background: #e5e7eb; }
+            .pages { padding: 24px 0; }
+            .page {
+                position: relative;
+                box-sizing: border-box;
+                width: ${page.width}pt;
+                min-height: ${page.height}pt;
+                margin: 0 auto 24px;
+                padding: ${page.top}pt ${page.right}pt ${page.bottom}pt ${page.left}pt;
+                background: #fff;
+                box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+                font-family: '${font}', sans-serif;
+                font-size: ${base.size || 11}pt;
+                color: #000;
+                overflow-wrap: break-word;
+            }
+            .page-header { position: absolute; top: ${page.header || page.top / 2}pt; left: ${page.left}pt; right: ${page.right}pt; }
+            .page-footer { position: absolute; bottom: ${page.footer || page.bottom / 2}pt; left: ${page.left}pt; right: ${page.right}pt; }
+            h1, h2, h3, h4, h5, h6 { font-size: inherit; font-weight: normal; }
+            table p { margin: 0; }
+            img { max-width: none; }
+            @media print {
+                html, body { background: none; }
+                .pages { padding: 0; }
+                .page { margin: 0; box-shadow: none; page-break-after: always; }
+            }`;
+    },
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
+
+// Export for use in other modules
+window.DocxHtml = DocxHtml;
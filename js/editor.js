@@ -0,0 +1,229 @@
+/**
+ * Editor Module
+ * Side panel for correcting the mapped values of a row before generation.
+ * Edits change the parsed rows in place; the original values are kept so
+ * fields can be reverted and edited rows marked as dirty.
+ */
+
+const Editor = {
+    // Panel element and change callback (row index, column)
+    container: null,
+    onChange: null,
+
+    // Rows being edited (the same array the preview uses)
+    rows: [],
+    index: 0,
+
+    // Row index -> { column: original value } for edited fields only
+    originals: new Map(),
+
+    /**
+     * Initialize the editor panel
+     * @param {HTMLElement} container
+     * @param {function(number, string)} onChange - Called after every edit or revert
+     */
+    init(container, onChange) {
+        this.container = container;
+        this.onChange = onChange;
+
+        container.addEventListener('input', (e) => {
+            if (!e.target.matches('textarea[data-column]')) return;
+            this.setValue(this.index, e.target.dataset.column, e.target.value);
+            this.onChange(this.index, e.target.dataset.column);
+            this.refreshField(e.target.closest('.edit-field'));
+        });
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'revert-field') {
+                const column = button.dataset.column;
+                this.revert(this.index, column);
+                const field = button.closest('.edit-field');
+                field.querySelector('textarea').value = this.rows[this.index][column] || '';
+                this.onChange(this.index, column);
+                this.refreshField(field);
+            }
+            if (button.dataset.action === 'revert-row') {
+                this.revertRow(this.index);
+                this.render(this.index);
+                this.onChange(this.index, null);
+            }
+        });
+    },
+
+    /**
+     * Start editing a new set of rows (forgets previous edits)
+     * @param {Object[]} rows
+     */
+    setRows(rows) {
+        this.rows = rows;
+        this.index = 0;
+        this.originals = new Map();
+    },
+
+    /**
+     * Change one value, remembering the original on the first edit
+     * @param {number} index
+     * @param {string} column
+     * @param {string} value
+     */
+    setValue(index, column, value) {
+        const row = this.rows[index];
+        if (!row) return;
+
+        const edited = this.originals.get(index) || {};
+        if (!(column in edited)) edited[column] = row[column] || '';
+        row[column] = value;
+
+        // Typing the original value back clears the edit
+        if (edited[column] === value) delete edited[column];
+        if (Object.keys(edited).length) this.originals.set(index, edited);
+        else this.originals.delete(index);
+    },
+
+    /**
+     * Restore the original value of a field
+     * @param {number} index
+     * @param {string} column
+     */
+    revert(index, column) {
+        const edited = this.originals.get(index);
+        if (!edited || !(column in edited)) return;
+        this.setValue(index, column, edited[column]);
+    },
+
+    /**
+     * Restore every edited field of a row
+     * @param {number} index
+     */
+    revertRow(index) {
+        Object.keys(this.originals.get(index) || {}).forEach(column => this.revert(index, column));
+    },
+
+    isDirty(index, column = null) {
+        const edited = this.originals.get(index);
+        if (!edited) return false;
+        return column === null ? true : column in edited;
+    },
+
+    getOriginal(index, column) {
+        const edited = this.originals.get(index);
+        return edited && column in edited ? edited[column] : (this.rows[index] || {})[column];
+    },
+
+    /**
+     * Number of rows with at least one edited field
+     * @returns {number}
+     */
+    dirtyCount() {
+        return this.originals.size;
+    },
+
+    /**
+     * Render the mapped fields of a row
+     * @param {number} index
+     * @param {Object} [mappings] - Column -> tag mapping, defaults to the active one
+     */
+    render(index, mappings = Generator.mappings) {
+        if (!this.container) return;
+        this.index = index;
+        const row = this.rows[index];
+        const list = this.container.querySelector('.edit-fields');
+        list.innerHTML = '';
+        if (!row) return;
+
+        Object.entries(mappings).filter(([, tag]) => tag).forEach(([column, tag]) => {
+            const field = document.createElement('div');
+            field.className = 'edit-field';
+
+            const label = document.createElement('label');
+            label.textContent = column;
+            const small = document.createElement('small');
+            small.textContent = `[${tag}]`;
+            label.appendChild(small);
+
+            const textarea = document.createElement('textarea');
+            textarea.className = 'form-textarea';
+            textarea.dataset.column = column;
+            textarea.rows = Math.min(Math.max(String(row[column] || '').split('\n').length, 2), 8);
+            textarea.value = row[column] || '';
+
+            const revert = document.createElement('button');
+            revert.className = 'link-btn';
+            revert.dataset.action = 'revert-field';
+            revert.dataset.column = column;
+            revert.textContent = 'Revert';
+
+            const id = `edit-field-${column.replace(/[^A-Za-z0-9_-]/g, '_')}`;
+            textarea.id = id;
+            label.htmlFor = id;
+
+            const issue = document.createElement('span');
+            issue.className = 'edit-issue';
+
+            field.append(label, textarea, issue, revert);
+            list.appendChild(field);
+            this.refreshField(field);
+        });
+
+        this.refreshHeader();
+    },
+
+    /**
+     * Update the dirty and validation state shown on a field and the panel header
+     * @param {HTMLElement} field
+     */
+    refreshField(field) {
+        const column = field.querySelector('textarea').dataset.column;
+        const dirty = this.isDirty(this.index, column);
+        const revert = field.querySelector('button[data-action="revert-field"]');
+        const issues = Validator.getIssues(this.index).filter(issue => issue.column === column);
+
+        field.classList.toggle('invalid', issues.length > 0);
+        field.querySelector('.edit-issue').textContent = issues.map(issue => issue.message).join('; ');
+        field.classList.toggle('dirty', dirty);
+        revert.hidden = !dirty;
+        revert.title = dirty ? `Original: ${this.getOriginal(this.index, column) || '(empty)'}` : '';
+        this.refreshHeader();
+    },
+
+    refreshHeader() {
+        const dirty = this.isDirty(this.index);
+        this.container.querySelector('.edit-status').textContent = dirty ? 'Edited' : '';
+        this.container.querySelector('button[data-action="revert-row"]').disabled = !dirty;
+    },
+
+    /**
+     * Export the (corrected) rows with SheetJS
+     * @param {string[]} headers - Column order
+     * @param {'xlsx'|'csv'} format
+     * @param {Object[]} [rows] - Other rows to export, e.g. values imported from documents
+     * @returns {Blob}
+     */
+    exportRows(headers, format = 'xlsx', rows = this.rows) {
+        const sheet = XLSX.utils.json_to_sheet(rows, { header: headers.filter(Boolean) });
+
+        if (format === 'csv') {
+            // BOM so Excel opens non-ASCII values correctly
+            return new Blob(['\uFEFF' + XLSX.utils.sheet_to_csv(sheet)], { type: 'text/csv;charset=utf-8' });
+        }
+
+        const book = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(book, sheet, 'Data');
+        const data = XLSX.write(book, { bookType: 'xlsx', type: 'array' });
+        return new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    },
+
+    /**
+     * Forget rows and edits
+     */
+    clear() {
+        this.setRows([]);
+        if (this.container) this.container.querySelector('.edit-fields').innerHTML = '';
+    }
+};
+
+// Export for use in other modules
+window.Editor = Editor;
@@ -0,0 +1,261 @@
+/**
+ * Email Module
+ * Email drafts for generated documents: one .eml per row, addressed from a
+ * recipient column, with a subject and body written with the same [TAG]
+ * placeholders as the template and the row's files attached. Drafts carry
+ * X-Unsent, so Outlook and Thunderbird open them ready to check and send;
+ * they can also be sent through the server's SMTP relay (see lib/mailer.js).
+ */
+
+const Email = {
+    storageKey: 'formatDocs.email',
+
+    defaults: {
+        enabled: false,
+        recipientColumn: '',
+        cc: '',
+        from: '',
+        subject: '[INSERT_CLIENT_NAME] - Needs Analysis',
+        body: 'Hi,\n\nPlease find attached the needs analysis for [INSERT_CLIENT_NAME].\n\nKind regards',
+        send: false
+    },
+
+    // Several addresses in a cell may be split by commas, semicolons or spaces
+    addressPattern: /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:".]+$/,
+
+    contentTypes: {
+        docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        pdf: 'application/pdf'
+    },
+
+    /**
+     * Saved email settings (see defaults)
+     * @returns {Object}
+     */
+    getConfig() {
+        if (typeof localStorage === 'undefined') return { ...this.defaults };
+        try {
+            return { ...this.defaults, ...JSON.parse(localStorage.getItem(this.storageKey)) };
+        } catch (error) {
+            return { ...this.defaults };
+        }
+    },
+
+    saveConfig(config) {
+        localStorage.setItem(this.storageKey, JSON.stringify(config));
+    },
+
+    /**
+     * Addresses in a cell or the Cc field
+     * @param {string} value
+     * @returns {{valid: string[], invalid: string[]}}
+     */
+    addresses(value) {
+        const parts = String(value || '').split(/[,;\s]+/).map(part => part.replace(/^<|>$/g, '')).filter(Boolean);
+        return {
+            valid: parts.filter(part => this.addressPattern.test(part)),
+            invalid: parts.filter(part => !this.addressPattern.test(part))
+        };
+    },
+
+    /**
+     * Check a From address, written plain or as Name <address>
+     * @param {string} value
+     * @returns {string} The From header ('' when blank)
+     * @throws {Error} When it is not one address, or would break the headers
+     */
+    sender(value) {
+        const text = String(value || '').trim();
+        if (!text) return '';
+        const match = /[\x00-\x1F\x7F]/.test(text) ? null : text.match(/^(?:([^<>]*?)\s*<([^<>]*)>|([^<>]*))$/);
+        const address = match ? (match[2] ?? match[3]).trim() : '';
+        if (!this.addressPattern.test(address)) throw new Error(`From is not an email address: ${JSON.stringify(text)}`);
+
+        const name = (match[1] || '').replace(/^"(.*)"$/, '$1').trim();
+        if (!name) return address;
+        const display = /^[\x20-\x7E]*$/.test(name) ? `"${name.replace(/["\\]/g, '\\$&')}"` : this.encodeHeader(name);
+        return `${display} <${address}>`;
+    },
+
+    /**
+     * Check the From and Cc that go into every draft, before any are made
+     * @param {Object} options - Email settings (see defaults)
+     * @throws {Error}
+     */
+    checkOptions(options) {
+        this.sender(options.from);
+        const { invalid } = this.addresses(options.cc);
+        if (invalid.length) throw new Error(`Cc is not an email address: ${invalid.join(', ')}`);
+    },
+
+    /**
+     * Mark the last job of each row to close with that row's draft, named
+     * after the row's first file (null when all its files are skipped). Jobs
+     * of a row are consecutive (see Generator.planBatch).
+     * @param {Object[]} jobs
+     */
+    plan(jobs) {
+        jobs.forEach((job, i) => {
+            const next = jobs[i + 1];
+            if (next && next.row === job.row) return;
+
+            let first = i;
+            while (first > 0 && jobs[first - 1].row === job.row) first--;
+            const filename = jobs.slice(first, i + 1).flatMap(j => j.filenames).find(Boolean);
+            job.draft = filename ? this.draftName(filename) : null;
+        });
+    },
+
+    /**
+     * 'Region/Acme - Needs Analysis.docx' -> 'Region/Acme - Needs Analysis.eml'
+     */
+    draftName(filename) {
+        return filename.replace(/\.[^./]+$/, '') + '.eml';
+    },
+
+    /**
+     * Fill a subject or body with a row's tag values, as plain text
+     * @param {string} text
+     * @param {Object} row
+     * @param {Object} [template]
+     * @returns {string}
+     */
+    fill(text, row, template = null) {
+        const mappings = (template && template.mappings) || Generator.mappings;
+        const formats = (template && template.formats) || Generator.formats;
+        const data = Generator.buildData(row, mappings, formats);
+        data[RichText.dataKey].forEach(tag => {
+            data[tag] = RichText.toPlain(data[tag]);
+        });
+        data[RichText.dataKey] = [];
+        return Templating.render(text, data);
+    },
+
+    /**
+     * Build a row's draft
+     * @param {{row: Object, draft: string, template: Object|null}} job - The job closing the row (see plan)
+     * @param {{filename: string, blob: *}[]} files - The row's generated files
+     * @param {Object} options - Email settings (see defaults)
+     * @returns {Promise<{filename: string, blob: Uint8Array, to: string[], invalid: string[]}>}
+     * @throws {Error} When the From or Cc is unusable (see checkOptions)
+     */
+    async draft(job, files, options) {
+        this.checkOptions(options);
+        const template = job.template || Generator.activeTemplate;
+        const to = this.addresses(job.row[options.recipientColumn]);
+        const cc = this.addresses(options.cc);
+        const attachments = [];
+        for (const file of files) {
+            attachments.push({ filename: file.filename.split('/').pop(), data: await this.toBytes(file.blob) });
+        }
+
+        const message = this.compose({
+            from: this.sender(options.from),
+            to: to.valid,
+            cc: cc.valid,
+            subject: this.fill(options.subject, job.row, template).replace(/\s+/g, ' ').trim(),
+            body: this.fill(options.body, job.row, template),
+            attachments
+        });
+        return { filename: job.draft, blob: new TextEncoder().encode(message), to: to.valid, invalid: to.invalid };
+    },
+
+    /**
+     * MIME message (RFC 5322) with the attachments base64-encoded
+     * @param {{from: string, to: string[], cc: string[], subject: string, body: string,
+     *     attachments: {filename: string, data: Uint8Array}[]}} message
+     * @returns {string} ASCII, CRLF line endings
+     */
+    compose({ from, to, cc, subject, body, attachments }) {
+        const boundary = `----=_FormatDocs_${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+        const headers = [
+            from ? `From: ${from}` : null,
+            `To: ${to.join(', ')}`,
+            cc.length ? `Cc: ${cc.join(', ')}` : null,
+            `Subject: ${this.encodeHeader(subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'X-Unsent: 1', // Outlook opens the file as a draft
+            `Content-Type: multipart/mixed; boundary="${boundary}"`
+        ].filter(Boolean);
+
+        const parts = [[
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            this.base64(new TextEncoder().encode(body.replace(/\r?\n/g, '\r\n')))
+        ]];
+        attachments.forEach(({ filename, data }) => {
+            const extension = filename.split('.').pop().toLowerCase();
+            parts.push([
+                `Content-Type: ${this.contentTypes[extension] || 'application/octet-stream'}; ${this.headerParam('name', filename)}`,
+                'Content-Transfer-Encoding: base64',
+                `Content-Disposition: attachment; ${this.headerParam('filename', filename)}`,
+                '',
+                this.base64(data)
+            ]);
+        });
+
+        return [
+            ...headers,
+            '',
+            ...parts.flatMap(part => [`--${boundary}`, ...part]),
+            `--${boundary}--`,
+            ''
+        ].join('\r\n');
+    },
+
+    /**
+     * Header text, as UTF-8 encoded words when it is not plain ASCII
+     * @param {string} text
+     * @returns {string}
+     */
+    encodeHeader(text) {
+        if (/^[\x20-\x7E]*$/.test(text)) return text;
+        // Whole characters per word, each word within the 75-character limit
+        const words = [];
+        let chunk = '';
+        for (const char of text) {
+            if (new TextEncoder().encode(chunk + char).length > 45) {
+                words.push(chunk);
+                chunk = '';
+            }
+            chunk += char;
+        }
+        words.push(chunk);
+        return words.map(word => `=?UTF-8?B?${this.base64(new TextEncoder().encode(word), false)}?=`).join('\r\n ');
+    },
+
+    /**
+     * name="value" parameter, RFC 2231-encoded when not plain ASCII
+     */
+    headerParam(name, value) {
+        if (/^[\x20-\x7E]*$/.test(value)) return `${name}="${value.replace(/["\\]/g, '\\$&')}"`;
+        const encoded = encodeURIComponent(value).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+        return `${name}*=UTF-8''${encoded}`;
+    },
+
+    async toBytes(data) {
+        if (data instanceof Uint8Array) return data;
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        return new Uint8Array(await data.arrayBuffer());
+    },
+
+    /**
+     * Base64, wrapped at 76 characters for message bodies
+     * @param {Uint8Array} bytes
+     * @param {boolean} [wrap]
+     * @returns {string}
+     */
+    base64(bytes, wrap = true) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        const encoded = btoa(binary);
+        return wrap ? encoded.replace(/.{76}(?=.)/g, '$&\r\n') : encoded;
+    }
+};
+
+// Export for use in other modules
+window.Email = Email;
@@ -0,0 +1,275 @@
+/**
+ * Extractor Module
+ * Reads values back out of documents generated from a template: the fixed
+ * text around each [TAG] is found in the filled document (in order, allowing
+ * for changed spacing) and whatever sits between is the tag's value. Only the
+ * document body is read; sections, loops and images are skipped.
+ */
+
+const Extractor = {
+    paragraphBreak: '\u2029', // Between paragraphs in the text (a line break inside one stays '\n')
+
+    /**
+     * Body text of a DOCX: paragraphs (table cells included) in order, with tabs and line breaks
+     * @param {ArrayBuffer|Uint8Array|PizZip} docx
+     * @returns {string}
+     */
+    documentText(docx) {
+        let zip = docx;
+        if (!(docx instanceof PizZip)) {
+            try {
+                zip = new PizZip(docx);
+            } catch (error) {
+                throw new Error('Not a Word document (.docx)');
+            }
+        }
+        const part = zip.file('word/document.xml');
+        if (!part) throw new Error('Not a Word document (.docx)');
+
+        const paragraphs = part.asText().match(/<w:p\b[^>]*?(?:\/>|>[\s\S]*?<\/w:p>)/g) || [];
+        return paragraphs.map(paragraph => {
+            // Paragraph properties hold tab stops, not tabs
+            const body = paragraph.replace(/<w:pPr>[\s\S]*?<\/w:pPr>/, '');
+            const tokens = body.match(/<w:t(?:\s[^>]*)?>[\s\S]*?<\/w:t>|<w:tab\b[^>]*\/>|<w:(?:br|cr)\b[^>]*\/>/g) || [];
+            return tokens.map(token => {
+                if (token.startsWith('<w:tab')) return '\t';
+                if (!token.startsWith('<w:t')) return '\n';
+                return Inspector.decodeXml(token.replace(/^<w:t[^>]*>|<\/w:t>$/g, ''));
+            }).join('');
+        }).join(this.paragraphBreak);
+    },
+
+    /**
+     * Split template text into fixed text and the slots between it:
+     * [text, slot, text, slot, ..., text]. A slot is a tag to read, or a
+     * skipped region (a whole [#SECTION]...[/SECTION], an image or a loop field).
+     * @param {string} text - From documentText
+     * @returns {(string|{tag: string|null})[]}
+     */
+    templateParts(text) {
+        const tagRegex = /\[\s*([#^/%]?)\s*([A-Za-z0-9_.]+)\s*((?:\|[^\[\]]*)?)\]/g;
+        const parts = [''];
+        let last = 0;
+        let match;
+
+        while ((match = tagRegex.exec(text)) !== null) {
+            const [raw, modifier, name] = match;
+            parts[parts.length - 1] += text.slice(last, match.index);
+            last = tagRegex.lastIndex;
+
+            if (modifier === '/') {
+                parts[parts.length - 1] += raw; // Stray closing tag
+                continue;
+            }
+            if (modifier === '#' || modifier === '^') {
+                // Repeated or optional content cannot be lined up: skip to the closing tag
+                const close = new RegExp(`\\[\\s*\\/\\s*${name.replace(/\./g, '\\.')}\\s*\\]`, 'g');
+                close.lastIndex = last;
+                const end = close.exec(text);
+                if (end) last = tagRegex.lastIndex = close.lastIndex;
+            }
+            parts.push({ tag: modifier ? null : Templating.baseTag(name) }, '');
+        }
+        parts[parts.length - 1] += text.slice(last);
+        return parts;
+    },
+
+    /**
+     * Pattern for fixed text that tolerates changed spacing; a paragraph break
+     * in it matches one or more (with blank paragraphs) in the document
+     * @param {string} text
+     * @returns {RegExp}
+     */
+    pattern(text) {
+        const source = text.split(/(\s+)/).map(piece => {
+            if (!/^\s+$/.test(piece)) return piece.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return piece.includes(this.paragraphBreak) ? `\\s*${this.paragraphBreak}\\s*` : '\\s+';
+        }).join('');
+        return new RegExp(source, 'g');
+    },
+
+    /**
+     * Where the value before some fixed text ends: at its first paragraph
+     * (so text edited further down does not matter), or at the next paragraph
+     * break when there is only spacing between two tags
+     * @param {string} text - Fixed text after a slot
+     * @param {boolean} isLast - Nothing but the end of the document follows
+     * @returns {RegExp|null} null when the value runs to the end of the document
+     */
+    headPattern(text, isLast) {
+        if (!text.trim()) {
+            if (isLast) return null;
+            return text.includes(this.paragraphBreak) ? new RegExp(`\\s*${this.paragraphBreak}`, 'g') : /\s+/g;
+        }
+        const lead = text.match(/^\s*/)[0];
+        const rest = text.slice(lead.length);
+        const end = rest.indexOf(this.paragraphBreak);
+        return this.pattern(lead + (end === -1 ? rest : rest.slice(0, end)));
+    },
+
+    /**
+     * Where the value after some fixed text starts: after its last paragraph
+     * that has text, with the spacing that follows
+     * @param {string} text - Fixed text before a slot
+     * @returns {RegExp|null} null when there is only spacing (the value starts where the last one ended)
+     */
+    tailPattern(text) {
+        const trimmed = text.replace(/\s+$/, '');
+        if (!trimmed) return null;
+        const start = trimmed.lastIndexOf(this.paragraphBreak) + 1;
+        return this.pattern(text.slice(start));
+    },
+
+    /**
+     * Find a pattern at or after a position
+     * @returns {{start: number, end: number}|null}
+     */
+    find(regex, text, from) {
+        regex.lastIndex = from;
+        const match = regex.exec(text);
+        return match ? { start: match.index, end: match.index + match[0].length } : null;
+    },
+
+    /**
+     * Where a found match ends without its trailing spacing
+     * @returns {number}
+     */
+    trimmedEnd(found, text) {
+        let end = found.end;
+        while (end > found.start && /\s/.test(text[end - 1])) end--;
+        return end;
+    },
+
+    /**
+     * Read the tag values out of a filled document
+     * @param {string} templateText - documentText of the template
+     * @param {string} text - documentText of the filled document
+     * @returns {{values: Object<string, string>, missing: string[]}} Tag -> value; tags whose
+     *          surrounding text was not found are listed as missing. A tag used twice keeps
+     *          its first value.
+     */
+    extractText(templateText, text) {
+        const parts = this.templateParts(templateText);
+        const values = {};
+        const missing = [];
+
+        let cursor = 0;
+        let start = null;
+        // Start of a value with the fixed text's trailing spacing left in: that
+        // spacing can be all there is of an empty value (a blank paragraph)
+        let looseStart = null;
+        const tail = this.tailPattern(parts[0]);
+        if (tail) {
+            const found = this.find(tail, text, 0);
+            if (found) {
+                start = cursor = found.end;
+                looseStart = this.trimmedEnd(found, text);
+            }
+        } else {
+            start = 0;
+        }
+
+        for (let i = 1; i < parts.length; i += 2) {
+            const { tag } = parts[i];
+            const after = parts[i + 1];
+            const head = this.headPattern(after, i + 2 >= parts.length);
+            let end = head ? this.find(head, text, start !== null ? start : cursor) : { start: text.length, end: text.length };
+            if (!end && head && looseStart !== null && looseStart !== start) {
+                end = this.find(head, text, looseStart);
+                if (end) start = looseStart;
+            }
+
+            if (tag) {
+                if (start !== null && end) {
+                    const value = text.slice(start, end.start).trim().split(this.paragraphBreak).join('\n');
+                    if (!(tag in values) || (!values[tag] && value)) values[tag] = value;
+                } else if (!missing.includes(tag)) {
+                    missing.push(tag);
+                }
+            }
+
+            if (end) cursor = end.start;
+            const next = this.tailPattern(after);
+            looseStart = null;
+            if (!next) {
+                start = end ? end.end : null;
+                continue;
+            }
+            const found = this.find(next, text, cursor);
+            start = found ? found.end : null;
+            if (found) {
+                cursor = found.end;
+                looseStart = this.trimmedEnd(found, text);
+            }
+        }
+
+        return { values, missing: missing.filter(tag => !(tag in values)) };
+    },
+
+    /**
+     * Read filled documents back into rows
+     * @param {{name: string, data: ArrayBuffer|Uint8Array}[]} files
+     * @param {Object} [template] - Library template the documents were made from, defaults to the active one
+     * @returns {{headers: string[], rows: Object[], absent: string[], missing: {index: number, file: string, columns: string[]}[]}}
+     *          Headers are the mapped columns (and File for several documents). Columns whose
+     *          tag is not in the template are absent (and blank); missing lists the values a
+     *          document's changed text kept from being read (also blank).
+     */
+    extractFiles(files, template = null) {
+        const docx = template ? template.docx : Generator.docxTemplate;
+        if (!docx) throw new Error('No template loaded to compare the documents with');
+        const mappings = (template && template.mappings) || Generator.mappings;
+        const columns = Object.keys(mappings).filter(column => mappings[column]);
+        const templateText = this.documentText(docx);
+        const tags = this.templateParts(templateText).filter(part => part.tag).map(part => part.tag);
+
+        const multiple = files.length > 1;
+        const missing = [];
+        const rows = files.map((file, index) => {
+            let result;
+            try {
+                result = this.extractText(templateText, this.documentText(file.data));
+            } catch (error) {
+                throw new Error(`${file.name}: ${error.message}`);
+            }
+
+            const row = multiple ? { [Parser.fileColumn]: file.name } : {};
+            columns.forEach(column => {
+                row[column] = result.values[mappings[column]] || '';
+            });
+            const lost = columns.filter(column => result.missing.includes(mappings[column]));
+            if (lost.length) missing.push({ index, file: file.name, columns: lost });
+            return row;
+        });
+
+        return {
+            headers: multiple ? [Parser.fileColumn, ...columns] : columns,
+            rows,
+            absent: columns.filter(column => !tags.includes(mappings[column])),
+            missing
+        };
+    },
+
+    /**
+     * A data row as the template writes it (formats applied, markdown as plain
+     * text), in the columns extractFiles returns, for comparing with extracted rows
+     * @param {Object} row
+     * @param {Object} [template]
+     * @returns {Object}
+     */
+    renderedRow(row, template = null) {
+        const mappings = (template && template.mappings) || Generator.mappings;
+        const formats = (template && template.formats) || Generator.formats;
+        const data = Generator.buildFields(row, mappings, formats);
+        const rendered = {};
+        Object.entries(mappings).forEach(([column, tag]) => {
+            if (!tag) return;
+            const value = data[RichText.dataKey].includes(tag) ? RichText.toPlain(data[tag]) : data[tag];
+            rendered[column] = String(value ?? '').trim();
+        });
+        return rendered;
+    }
+};
+
+// Export for use in other modules
+window.Extractor = Extractor;
@@ -0,0 +1,237 @@
+/**
+ * Formatter Module
+ * Pipe filters for values, used in filename patterns ({Client|slug}),
+ * template placeholders ([INSERT_DATE | date:"D MMMM YYYY"]) and column formats
+ *
+ * Filters:
+ *   upper, lower, trim, title, slug
+ *   date:FORMAT       YYYY YY MMMM MMM MM M DD D (unparseable dates are left as they are)
+ *   currency:CODE     $12,500.00 style amounts (default NZD)
+ *   number:DECIMALS   grouped number with fixed decimals
+ *   default:VALUE     used when the value is empty
+ *   truncate:N        at most N characters
+ *   pad:N             left-pad numbers with zeros (7 -> 007)
+ *   markdown          rich text in documents (see RichText); plain text elsewhere
+ *
+ * Source values are parsed for the configured locale: numeric dates are read
+ * day-first (en-NZ) unless the locale is month-first or the day is obviously
+ * in second place (3/15/2025).
+ */
+
+const Formatter = {
+    // Locale for reading ambiguous dates and writing numbers
+    locale: 'en-NZ',
+    monthFirstLocales: ['en-US', 'en-PH', 'en-CA'],
+    defaultCurrency: 'NZD',
+
+    monthNames: ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+        'August', 'September', 'October', 'November', 'December'],
+
+    filters: {
+        upper: (value) => value.toUpperCase(),
+        lower: (value) => value.toLowerCase(),
+        trim: (value) => value.trim(),
+        title: (value) => value.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (m, sep, letter) => sep + letter.toUpperCase()),
+        slug: (value) => value
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, ''),
+        date: (value, format) => {
+            const date = Formatter.parseDate(value);
+            return date ? Formatter.formatDate(date, format || 'DD-MM-YYYY') : value;
+        },
+        currency: (value, code) => {
+            const number = Formatter.parseNumber(value);
+            if (number === null) return value;
+            return new Intl.NumberFormat(Formatter.locale, {
+                style: 'currency',
+                currency: (code || Formatter.defaultCurrency).toUpperCase()
+            }).format(number);
+        },
+        number: (value, decimals) => {
+            const number = Formatter.parseNumber(value);
+            if (number === null) return value;
+            const digits = decimals === undefined ? undefined : parseInt(decimals, 10);
+            return new Intl.NumberFormat(Formatter.locale, {
+                minimumFractionDigits: digits,
+                maximumFractionDigits: digits === undefined ? 20 : digits
+            }).format(number);
+        },
+        default: (value, fallback) => (value.trim() ? value : (fallback || '')),
+        truncate: (value, length) => [...value].slice(0, parseInt(length, 10) || undefined).join(''),
+        pad: (value, length) => (/^\d+$/.test(value) ? value.padStart(parseInt(length, 10) || 0, '0') : value),
+        markdown: (value) => RichText.toPlain(value)
+    },
+
+    /**
+     * Split on a separator, ignoring separators inside quotes and braces
+     * @param {string} text
+     * @param {string} separator - Single character
+     * @param {boolean} [quotes] - Whether quotes outside braces group text (apostrophes in plain text should not)
+     * @returns {string[]}
+     */
+    split(text, separator, quotes = true) {
+        const parts = [];
+        let current = '';
+        let quote = null;
+        let depth = 0;
+
+        for (const char of text) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if ((char === '"' || char === "'") && (quotes || depth > 0)) {
+                quote = char;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+            } else if (char === separator && depth === 0) {
+                parts.push(current);
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        parts.push(current);
+        return parts;
+    },
+
+    /**
+     * Parse 'Name | filter:arg | filter' into the name and its filters
+     * @param {string} expression
+     * @returns {{name: string, filters: {name: string, arg: string|undefined}[]}}
+     */
+    parse(expression) {
+        // Word turns typed quotes into curly ones
+        const text = expression.replace(/[“”„]/g, '"').replace(/[‘’]/g, "'");
+        const [name, ...filters] = this.split(text, '|').map(part => part.trim());
+        return {
+            name,
+            filters: filters.filter(Boolean).map(filter => {
+                const colon = filter.indexOf(':');
+                if (colon === -1) return { name: filter.trim(), arg: undefined };
+                return { name: filter.slice(0, colon).trim(), arg: this.unquote(filter.slice(colon + 1).trim()) };
+            })
+        };
+    },
+
+    unquote(text) {
+        const match = text.match(/^(["'])([\s\S]*)\1$/);
+        return match ? match[2] : text;
+    },
+
+    /**
+     * Run a value through filters; unknown filters are ignored with a warning
+     * @param {*} value
+     * @param {{name: string, arg: string}[]} filters
+     * @returns {string}
+     */
+    apply(value, filters) {
+        return filters.reduce((result, filter) => {
+            const fn = this.filters[filter.name];
+            if (!fn) {
+                console.warn(`Unknown filter "${filter.name}"`);
+                return result;
+            }
+            return String(fn(result, filter.arg));
+        }, value === undefined || value === null ? '' : String(value));
+    },
+
+    /**
+     * Parse a filter list on its own ('date:"D MMMM YYYY" | upper'), as used for column formats
+     * @param {string} text
+     * @returns {{name: string, arg: string|undefined}[]}
+     */
+    parseFilters(text) {
+        return text && text.trim() ? this.parse(`_|${text}`).filters : [];
+    },
+
+    /**
+     * Parse a date: ISO (2024-03-15), numeric (15/03/2024, 3/15/24) and written
+     * (15 March 2024, 15-Mar-24, March 15, 2024). Anything else is not a date.
+     * @param {string} value
+     * @param {string} [locale] - Decides day-first or month-first for ambiguous numeric dates
+     * @returns {Date|null}
+     */
+    parseDate(value, locale = this.locale) {
+        const text = String(value || '').trim();
+        if (!text) return null;
+
+        const valid = (y, m, d) => {
+            const year = y < 100 ? 2000 + y : y;
+            const date = new Date(year, m - 1, d);
+            return date.getFullYear() === year && date.getMonth() === m - 1 && date.getDate() === d ? date : null;
+        };
+
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/);
+        if (match) return valid(+match[1], +match[2], +match[3]);
+
+        match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:,?\s+\d{1,2}:\d{2}.*)?$/);
+        if (match) {
+            const [a, b, year] = [+match[1], +match[2], +match[3]];
+            const monthFirst = b > 12 || (a <= 12 && this.monthFirstLocales.includes(locale));
+            return monthFirst ? valid(year, a, b) : valid(year, b, a);
+        }
+
+        // Written months (full or shortened): 15 March 2024, 15-Mar-24, March 15, 2024
+        const month = (name) => {
+            const lower = name.toLowerCase();
+            return lower.length >= 3 ? this.monthNames.findIndex(m => m.toLowerCase().startsWith(lower)) + 1 : 0;
+        };
+        match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s/.-]+([a-z]+)\.?,?[\s/.-]+(\d{4}|\d{2})$/i);
+        if (match && month(match[2])) return valid(+match[3], month(match[2]), +match[1]);
+
+        match = text.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i);
+        if (match && month(match[1])) return valid(+match[3], month(match[1]), +match[2]);
+        return null;
+    },
+
+    /**
+     * Parse a number or currency amount ("$12,500.00", "NZD 1 200", "15k")
+     * @param {string} value
+     * @returns {number|null}
+     */
+    parseNumber(value) {
+        let text = String(value || '').trim()
+            .replace(/^[A-Z]{3}\s*|\s*[A-Z]{3}$/g, '') // Currency codes
+            .replace(/[$€£¥\s]/g, '')
+            .replace(/,(?=\d{3}(\D|$))/g, '');
+
+        let multiplier = 1;
+        const suffix = text.match(/^(.*\d)([kKmM])$/);
+        if (suffix) {
+            text = suffix[1];
+            multiplier = /k/i.test(suffix[2]) ? 1e3 : 1e6;
+        }
+
+        const negative = /^\(.*\)$/.test(text); // Accounting style (1,200)
+        if (negative) text = text.slice(1, -1);
+
+        if (!/^-?\d+(\.\d+)?$/.test(text)) return null;
+        return (negative ? -1 : 1) * parseFloat(text) * multiplier;
+    },
+
+    /**
+     * Format a date with YYYY, YY, MMMM, MMM, MM, M, DD and D tokens
+     * @param {Date} date
+     * @param {string} format
+     * @returns {string}
+     */
+    formatDate(date, format) {
+        const tokens = {
+            YYYY: String(date.getFullYear()),
+            YY: String(date.getFullYear()).slice(-2),
+            MMMM: this.monthNames[date.getMonth()],
+            MMM: this.monthNames[date.getMonth()].slice(0, 3),
+            MM: String(date.getMonth() + 1).padStart(2, '0'),
+            M: String(date.getMonth() + 1),
+            DD: String(date.getDate()).padStart(2, '0'),
+            D: String(date.getDate())
+        };
+        return format.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D/g, token => tokens[token]);
+    }
+};
+
+// Export for use in other modules
+window.Formatter = Formatter;
@@ -4,9 +4,9 @@
  */
 
 const Generator = {
-    // Column to placeholder mapping configuration
+    // Default column to placeholder mapping configuration
     // Keys match Excel columns, Values match [Tag] in docx template
-    mappings: {
+    defaultMappings: {
         'Client': 'INSERT_CLIENT_NAME',
         'Desired Completion Date': 'INSERT_DATE',
         'Room Details (Workload)': 'INSERT_ROOM_DETAILS',
@@ -20,9 +20,53 @@ const Generator = {
         'Site Constraints': 'INSERT_SITE_CONSTRAINTS'
     },
 
+    // Active mapping (edited in the mapping step, starts as the defaults)
+    mappings: null,
+
+    // Default format per column, as Formatter filters: { 'Desired Completion Date': 'date:"D MMMM YYYY"' }
+    formats: {},
+
+    // Column whose equal values merge rows into one document (see groupRows); '' = one document per row
+    groupColumn: '',
+    groupKey: Symbol('group'), // On a group's row: { rows, indexes } of its members
+
     // Templates
+    activeTemplate: null, // { id, name, version, docx, html, mappings } being previewed
     htmlTemplate: null, // For preview only
     docxTemplate: null, // For generation (binary)
+    docxCachedAt: null, // When the built-in DOCX was cached, if it came from the offline cache (see sw.js)
+    templateTags: [], // Tags discovered in the templates (see Inspector)
+
+    // PizZip/JSZip output type: 'blob' in the browser, 'nodebuffer' under Node
+    outputType: 'blob',
+
+    // Output naming (see Naming)
+    filenamePattern: null,
+    collisionStrategy: 'number',
+
+    // What each document is written as
+    outputFormats: {
+        docx: 'Word (.docx)',
+        pdf: 'PDF',
+        both: 'DOCX + PDF',
+        combined: 'Single combined DOCX'
+    },
+    outputFormat: 'docx',
+
+    // Single combined DOCX (see Combine and generateCombined)
+    combinedFilename: 'Specification_Documents.docx',
+    combineOptions: { cover: false, toc: false, title: 'Specification Documents' },
+
+    // Email draft per row, added next to its files (see Email); null = no drafts.
+    // Not made for a combined document.
+    emailOptions: null,
+
+    // Rows skipped by the last batch (see generateAll and Batch)
+    failures: [],
+
+    // async (zip: PizZip, docx: Blob|Buffer) => PDF Blob|Buffer.
+    // Set by Pdf in the browser and by lib/runtime.js under Node.
+    pdfRenderer: null,
 
     /**
      * Load HTML template for Preview
@@ -54,6 +98,7 @@ const Generator = {
                 throw new Error(`Failed to load DOCX template: ${response.status}`);
             }
             this.docxTemplate = await response.arrayBuffer();
+            this.docxCachedAt = response.headers.get('X-Format-Docs-Cached');
             return true;
         } catch (error) {
             console.error('DOCX Template error:', error);
@@ -61,142 +106,543 @@ const Generator = {
         }
     },
 
+    /**
+     * Make a template (built-in or from the Library) the active one
+     * @param {Object} template - { id, name, version, docx, html, mappings }
+     */
+    useTemplate(template) {
+        this.activeTemplate = template;
+        this.docxTemplate = template.docx || null;
+        this.htmlTemplate = template.html || null;
+        this.setMappings(template.mappings || this.defaultMappings);
+        this.setFormats(template.formats || {});
+    },
+
+    /**
+     * Replace the active column -> tag mapping
+     * @param {Object} mappings
+     */
+    setMappings(mappings) {
+        this.mappings = { ...mappings };
+    },
+
+    /**
+     * Replace the per-column default formats
+     * @param {Object} formats - Column -> filter list
+     */
+    setFormats(formats) {
+        this.formats = { ...formats };
+    },
+
+    /**
+     * List the placeholder tags available for mapping:
+     * the default tags plus any tag discovered in the loaded templates
+     * @returns {string[]}
+     */
+    getPlaceholders() {
+        const tags = new Set([...Object.values(this.defaultMappings), ...this.templateTags]);
+        return [...tags].sort();
+    },
+
+    /**
+     * Merge rows with the same value in a column into groups, in order of
+     * first appearance (values compared trimmed and case-insensitively).
+     * Each group is a row: the first member's values plus the members under groupKey.
+     * Rows with an empty value stay on their own.
+     * @param {Object[]} rows
+     * @param {string} [column]
+     * @returns {Object[]} rows unchanged when column is empty
+     */
+    groupRows(rows, column = this.groupColumn) {
+        if (!column) return rows;
+
+        const groups = new Map();
+        rows.forEach((row, index) => {
+            const value = String(row[column] || '').trim().toLowerCase();
+            const key = value || `\u0000${index}`;
+            if (!groups.has(key)) groups.set(key, { rows: [], indexes: [] });
+            groups.get(key).rows.push(row);
+            groups.get(key).indexes.push(index);
+        });
+
+        return [...groups.values()].map(group => ({
+            ...group.rows[0],
+            [Parser.richKey]: group.rows[0][Parser.richKey],
+            [this.groupKey]: group
+        }));
+    },
+
+    /**
+     * Rows behind a document: the members of a group, or the row itself
+     * @param {Object} row
+     * @returns {Object[]}
+     */
+    groupMembers(row) {
+        return row[this.groupKey] ? row[this.groupKey].rows : [row];
+    },
+
+    /**
+     * A row as plain data, for the batch worker and the run history: Symbol keys
+     * (Excel rich text, group members) are not cloned or stored, so they become fields
+     * @param {Object} row
+     * @returns {{values: Object, rich: Object|null, group: Object|null}}
+     */
+    packRow(row) {
+        const group = row[this.groupKey];
+        return {
+            values: { ...row },
+            rich: row[Parser.richKey] || null,
+            group: group ? { rows: group.rows.map(member => this.packRow(member)), indexes: group.indexes } : null
+        };
+    },
+
+    unpackRow({ values, rich, group }) {
+        const row = { ...values };
+        if (rich) row[Parser.richKey] = rich;
+        if (group) row[this.groupKey] = { rows: group.rows.map(member => this.unpackRow(member)), indexes: group.indexes };
+        return row;
+    },
+
+    /**
+     * Build the tag -> value data for a row using the active mapping.
+     * Every tag also gets a TAG_ITEMS list for loops (see Templating).
+     * ROWS lists every row of a group with its own tags (a single item when
+     * not grouped) and ROW_COUNT counts them; other tags come from the first row.
+     * @param {Object} row - A row, or a group from groupRows
+     * @param {Object} [mappings] - Column -> tag mapping, defaults to the active one
+     * @param {Object} [formats] - Column -> filter list, defaults to the active ones
+     * @returns {Object}
+     */
+    buildData(row, mappings = this.mappings, formats = this.formats) {
+        const data = this.buildFields(row, mappings, formats);
+        const members = this.groupMembers(row);
+
+        data[Templating.rowsTag] = members.map((member, i) => ({
+            ...(i === 0 ? data : this.buildFields(member, mappings, formats)),
+            INDEX: i + 1
+        }));
+        data[Templating.rowCountTag] = members.length;
+        return data;
+    },
+
+    /**
+     * Tag values of one row.
+     * Unmapped placeholders are blanked rather than left as [TAG].
+     * Column formats are applied here; filters on a placeholder run after them.
+     * Tags of columns formatted as markdown are listed under RichText.dataKey.
+     * @param {Object} row
+     * @param {Object} mappings
+     * @param {Object} formats
+     * @returns {Object}
+     */
+    buildFields(row, mappings, formats) {
+        const data = { [RichText.dataKey]: [] };
+        for (const tag of this.getPlaceholders()) {
+            data[tag] = '';
+            data[tag + Templating.listSuffix] = [];
+        }
+        for (const [col, tag] of Object.entries(mappings)) {
+            if (!tag) continue;
+            data[tag] = row[col] || ''; // Assign value to [Tag]
+
+            let filters = Formatter.parseFilters(formats && formats[col]);
+            if (RichText.isRich(filters)) {
+                data[RichText.dataKey].push(tag);
+                data[tag] = Parser.richValue(row, col);
+                filters = filters.filter(filter => filter.name !== RichText.filter);
+            }
+            if (filters.length) data[tag] = Formatter.apply(data[tag], filters);
+            data[tag + Templating.listSuffix] = Templating.toItems(data[RichText.dataKey].includes(tag) ? RichText.toPlain(data[tag]) : data[tag]);
+        }
+        return data;
+    },
+
     /**
      * Fill HTML template for Preview (Simple string replacement)
      * @param {Object} rowData 
      * @returns {string} Filled HTML
      */
     fillHtmlTemplate(row) {
-        if (!this.htmlTemplate) return '';
+        if (!this.htmlTemplate) return this.fillFallbackHtml(row);
 
-        let html = this.htmlTemplate;
+        // Map data to HTML placeholders [Key], sections and loops
+        // Using the same mappings and rules as DOCX for consistency
+        return Templating.render(this.htmlTemplate, this.buildData(row), (val) => this.escapeHtml(val));
+    },
 
-        // Map data to HTML placeholders [Key]
-        // Using the same mappings as DOCX for consistency
-        for (const [col, tag] of Object.entries(this.mappings)) {
-            const val = row[col] || '';
-            const placeholder = `[${tag}]`;
-            html = html.split(placeholder).join(this.escapeHtml(val));
-        }
-        return html;
+    /**
+     * Plain field list used when a template has no HTML preview
+     * @param {Object} row
+     * @returns {string}
+     */
+    fillFallbackHtml(row) {
+        const name = this.activeTemplate ? this.activeTemplate.name : 'Document';
+        const fields = Object.entries(this.mappings).map(([col, tag]) => `
+            <tr><th>${this.escapeHtml(col)}<br><small>[${this.escapeHtml(tag)}]</small></th>
+            <td>${this.escapeHtml(row[col] || '')}</td></tr>`).join('');
+
+        return `<!DOCTYPE html><html><head><meta charset="UTF-8"><style>
+            body { font-family: 'Segoe UI', sans-serif; color: #333; padding: 40px; }
+            p { color: #666; font-style: italic; }
+            table { border-collapse: collapse; width: 100%; }
+            th, td { text-align: left; vertical-align: top; padding: 8px 12px; border-bottom: 1px solid #dee2e6; }
+            th { width: 30%; } small { color: #999; font-weight: normal; }
+            td { white-space: pre-wrap; }
+        </style></head><body><h1>${this.escapeHtml(name)}</h1>
+        <p>This template has no HTML preview. Mapped values:</p>
+        <table>${fields}</table></body></html>`;
     },
 
     /**
-     * Generate Single DOCX using docxtemplater
-     * @param {Object} row 
-     * @param {number} index 
+     * Render a row into the DOCX template
+     * @param {Object} row
+     * @param {Object} [template] - Library template to use instead of the active one
+     * @returns {PizZip} Rendered document package
      */
-    async generateSingle(row, index) {
-        if (!this.docxTemplate) {
+    renderZip(row, template = null) {
+        const docxTemplate = template ? template.docx : this.docxTemplate;
+        if (!docxTemplate) {
             throw new Error('Template.docx is missing used for generation. Please ensure Templates/template.docx exists.');
         }
 
-        const zip = new PizZip(this.docxTemplate);
+        const zip = new PizZip(docxTemplate);
 
         let doc;
         try {
             doc = new window.docxtemplater(zip, {
                 paragraphLoop: true,
                 linebreaks: true,
-                delimiters: { start: '[', end: ']' }
+                delimiters: { start: '[', end: ']' },
+                parser: (tag) => Templating.docxParser(tag),
+                nullGetter: () => '' // Tags without a mapped column come out blank
             });
         } catch (error) {
-            throw new Error(`Docxtemplater init failed: ${error.message}`);
+            throw new Error(`Docxtemplater init failed: ${this.templateErrorMessage(error)}`);
         }
 
         // Prepare data for docxtemplater
-        const data = {};
-        for (const [col, tag] of Object.entries(this.mappings)) {
-            data[tag] = row[col] || ''; // Assign value to {{Tag}}
-        }
+        const mappings = (template && template.mappings) || this.mappings;
+        const formats = (template && template.formats) || this.formats;
+        const data = this.buildData(row, mappings, formats);
 
         // Render
+        Images.pending = [];
+        RichText.pending = [];
         try {
             doc.render(data);
         } catch (error) {
             console.error('Render error:', error);
-            throw new Error('Failed to render document. Check template placeholders.');
+            throw new Error(`Failed to render document: ${this.templateErrorMessage(error)}`);
         }
 
+        const rendered = doc.getZip();
+        RichText.embed(rendered);
+        Images.embed(rendered);
+        return rendered;
+    },
+
+    /**
+     * Docxtemplater's explanations of what is wrong in a template (each names
+     * its tag), rather than the bare "Multi error"
+     * @param {Error} error
+     * @returns {string}
+     */
+    templateErrorMessage(error) {
+        const errors = (error.properties && error.properties.errors) || [error];
+        return errors.map(e => (e.properties && e.properties.explanation) || e.message).join('; ');
+    },
+
+    /**
+     * Generate Single DOCX using docxtemplater
+     * @param {Object} row 
+     * @param {number} index 
+     * @param {Object} [template] - Library template to use instead of the active one
+     * @param {'docx'|'pdf'} [format]
+     */
+    async generateSingle(row, index, template = null, format = 'docx') {
+        const [doc] = await this.generateOutputs(row, index, template, format);
+        return doc;
+    },
+
+    /**
+     * Generate the files for one row in an output format. The document is
+     * rendered once; the PDF is converted from the same package.
+     * @param {Object} row
+     * @param {number} index
+     * @param {Object} [template]
+     * @param {string} [format] - Key of outputFormats
+     * @returns {Promise<{filename: string, blob: *}[]>} DOCX first when both
+     */
+    async generateOutputs(row, index, template = null, format = this.outputFormat) {
+        if (!this.outputFormats[format]) throw new Error(`Unknown output format "${format}"`);
+        const zip = await this.renderDocument(row, template);
+
         // Generate blob
-        const blob = doc.getZip().generate({
-            type: 'blob',
+        const blob = zip.generate({
+            type: this.outputType,
             mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
             compression: 'DEFLATE',
         });
 
-        const filename = this.generateFilename(row, index);
-        return { filename, blob };
+        const documents = [];
+        if (format !== 'pdf') {
+            documents.push({ filename: this.generateFilename(row, index, template || this.activeTemplate), blob });
+        }
+        if (format === 'pdf' || format === 'both') {
+            documents.push({
+                filename: this.generateFilename(row, index, template || this.activeTemplate, 'pdf'),
+                blob: await this.renderPdf(zip, blob)
+            });
+        }
+        return documents;
     },
 
     /**
-     * Generate Filename
+     * Render a row, downloading the image URLs it uses first
+     * @param {Object} row
+     * @param {Object} [template]
+     * @returns {Promise<PizZip>}
      */
-    generateFilename(row, index) {
-        const clientName = row['Client'] || `Document_${index + 1}`;
-        const cleanClientName = clientName.replace(/[^a-zA-Z0-9\s\-_]/g, '').trim();
+    async renderDocument(row, template = null) {
+        const zip = this.renderZip(row, template);
+        if (!Images.unfetched.size) return zip;
 
-        // Handle Date
-        let dateStr = row['Desired Completion Date'] || '';
-        let formattedDate = '';
+        // Image URLs are downloaded on first use, then the row is rendered again with them
+        await Images.fetchRemote();
+        return this.renderZip(row, template);
+    },
 
-        // Try to parse date if it's not empty
-        if (dateStr) {
-            const date = new Date(dateStr);
-            if (!isNaN(date.getTime())) {
-                const day = String(date.getDate()).padStart(2, '0');
-                const month = String(date.getMonth() + 1).padStart(2, '0');
-                const year = date.getFullYear();
-                formattedDate = `${day}-${month}-${year}`;
-            } else {
-                // If parse fails, just use the string but replace slashes
-                formattedDate = dateStr.replace(/\//g, '-').replace(/[^a-zA-Z0-9\-]/g, '');
-            }
-        }
+    /**
+     * Convert a rendered document to PDF with the configured renderer
+     * @param {PizZip} zip
+     * @param {Blob|Buffer} docx
+     * @returns {Promise<Blob|Buffer>}
+     */
+    async renderPdf(zip, docx) {
+        if (!this.pdfRenderer) throw new Error('PDF output is not available in this environment');
+        return this.pdfRenderer(zip, docx);
+    },
 
-        if (!formattedDate) {
-            const now = new Date();
-            const day = String(now.getDate()).padStart(2, '0');
-            const month = String(now.getMonth() + 1).padStart(2, '0');
-            const year = now.getFullYear();
-            formattedDate = `${day}-${month}-${year}`;
-        }
+    /**
+     * Generate Filename from the filename pattern (see Naming)
+     * @param {Object} row
+     * @param {number} index
+     * @param {Object} [template]
+     * @param {string} [extension]
+     * @returns {string} Relative path, may include folders
+     */
+    generateFilename(row, index, template = null, extension = 'docx') {
+        return Naming.filename(this.filenamePattern, Naming.context(row, index, template), extension);
+    },
+
+    /**
+     * Folder name for a row when several templates are generated per row
+     */
+    generateFolderName(row, index) {
+        const clientName = Naming.sanitize(row['Client'] || '');
+        return `${String(index + 1).padStart(3, '0')}${clientName ? ` - ${clientName}` : ''}`;
+    },
+
+    /**
+     * Work out every file of a batch before rendering anything: one job per row
+     * and template, with final filenames (collisions resolved, null = skipped).
+     * With emailOptions, the last job of each row also names the row's draft.
+     * @param {Object[]} rows
+     * @param {Object[]} [templates] - Several put each row in its own folder
+     * @param {string} [format] - Key of outputFormats
+     * @param {number[]} [indexes] - Row numbers (0-based) of rows, for naming
+     * @param {string} [collision]
+     * @returns {{row: Object, index: number, template: Object|null, filenames: (string|null)[], draft?: string}[]}
+     */
+    planBatch(rows, templates = null, format = this.outputFormat, indexes = null, collision = this.collisionStrategy) {
+        const list = templates && templates.length ? templates : [null];
+        const extensions = { docx: ['docx'], pdf: ['pdf'], both: ['docx', 'pdf'], combined: ['docx'] }[format];
+        if (!extensions) throw new Error(`Unknown output format "${format}"`);
 
-        return `${cleanClientName} - Needs Analysis - ${formattedDate}.docx`;
+        const jobs = [];
+        rows.forEach((row, i) => {
+            const index = indexes ? indexes[i] : i;
+            list.forEach(template => {
+                const filenames = extensions.map(extension => {
+                    const filename = this.generateFilename(row, index, template || this.activeTemplate, extension);
+                    return list.length > 1 ? `${this.generateFolderName(row, index)}/${filename}` : filename;
+                });
+                jobs.push({ row, index, template, filenames });
+            });
+        });
+
+        if (format === 'combined') return jobs; // One output file; the names are not used
+
+        const resolved = Naming.resolveCollisions(jobs.flatMap(job => job.filenames), collision);
+        let at = 0;
+        jobs.forEach(job => {
+            job.filenames = job.filenames.map(() => resolved[at++]);
+        });
+        if (this.emailOptions) Email.plan(jobs);
+        return jobs;
+    },
+
+    /**
+     * Render the files of one planned job
+     * @param {Object} job - From planBatch
+     * @param {string} [format]
+     * @returns {Promise<{filename: string, blob: *}[]>} Skipped names are left out
+     */
+    async generateJob(job, format = this.outputFormat) {
+        if (job.filenames.every(name => name === null)) return [];
+        const outputs = await this.generateOutputs(job.row, job.index, job.template, format);
+        return outputs
+            .map((doc, i) => ({ ...doc, filename: job.filenames[i] }))
+            .filter(doc => doc.filename !== null);
     },
 
     /**
-     * Generate All Documents
+     * Generate All Documents. A row that fails is skipped and recorded in
+     * failures instead of stopping the batch.
+     * @param {Object[]} rows
+     * @param {function(number, number)} [progressCallback]
+     * @param {Object[]} [templates] - Templates to render per row; several put each row in its own folder
+     * @param {string} [format] - Key of outputFormats; 'both' puts the DOCX and PDF side by side
+     * @param {number[]} [indexes] - Row numbers (0-based) of rows, for naming and the failure list
+     * @returns {Promise<{filename: string, blob: *}[]>} Email drafts (see emailOptions) follow their row's files
      */
-    async generateAll(rows, progressCallback) {
+    async generateAll(rows, progressCallback, templates = null, format = this.outputFormat, indexes = null) {
+        const jobs = this.planBatch(rows, templates, format, indexes);
         const documents = [];
-        for (let i = 0; i < rows.length; i++) {
-            documents.push(await this.generateSingle(rows[i], i));
-            if (progressCallback) progressCallback(i + 1, rows.length);
-            if (i % 10 === 0) await new Promise(r => setTimeout(r, 10));
+        const drafts = this.draftCollector();
+        this.failures = [];
+
+        for (let i = 0; i < jobs.length; i++) {
+            try {
+                const outputs = await this.generateJob(jobs[i], format);
+                documents.push(...outputs);
+                const draft = await drafts.add(jobs[i], outputs);
+                if (draft) documents.push(draft);
+            } catch (error) {
+                drafts.fail(jobs[i]);
+                this.failures.push(this.failure(jobs[i], error));
+            }
+
+            if (progressCallback) progressCallback(i + 1, jobs.length);
+            // PDFs come from the server, so waiting on them already lets the page repaint
+            if ((i + 1) % 10 === 0) await new Promise(r => setTimeout(r, 10));
         }
         return documents;
     },
 
     /**
-     * Create Zip
+     * Gathers each row's files while its jobs render and builds the row's
+     * email draft after the last one (see Email.plan). A row with a failed
+     * job gets no draft, so nobody is sent an incomplete set.
+     * @returns {{add: function(Object, Object[]): Promise<Object|null>, fail: function(Object)}}
      */
-    async createZip(documents) {
-        const zip = new JSZip();
-        const usedNames = new Set();
-
-        for (const doc of documents) {
-            let filename = doc.filename;
-            let counter = 1;
-            while (usedNames.has(filename)) {
-                filename = doc.filename.replace('.docx', `_${counter}.docx`);
-                counter++;
+    draftCollector() {
+        let files = [];
+        let failed = false;
+        const close = (job) => {
+            if (job.draft === undefined) return null; // Not the row's last job
+            const attachments = job.draft && !failed ? files : null;
+            files = [];
+            failed = false;
+            return attachments;
+        };
+        return {
+            add: async (job, outputs) => {
+                files.push(...outputs);
+                const attachments = close(job);
+                return attachments && attachments.length ? Email.draft(job, attachments, this.emailOptions) : null;
+            },
+            fail: (job) => {
+                failed = true;
+                close(job);
             }
-            usedNames.add(filename);
-            zip.file(filename, doc.blob);
+        };
+    },
+
+    /**
+     * Render every job into one DOCX, each document starting on a new page.
+     * Jobs that fail are left out and recorded in failures.
+     * @param {Object[]} jobs - From planBatch
+     * @param {function(number, number)} [progressCallback]
+     * @param {{cover: boolean, toc: boolean, title: string}} [options] - See Combine.finish
+     * @returns {Promise<{filename: string, blob: *}|null>} null when no job could be rendered
+     */
+    async generateCombined(jobs, progressCallback, options = this.combineOptions) {
+        const state = Combine.start();
+        this.failures = [];
+
+        for (let i = 0; i < jobs.length; i++) {
+            const { row, index, template } = jobs[i];
+            try {
+                const zip = await this.renderDocument(row, template);
+                Combine.add(state, zip, Combine.label(row, index));
+            } catch (error) {
+                this.failures.push(this.failure(jobs[i], error));
+            }
+
+            if (progressCallback) progressCallback(i + 1, jobs.length);
+            if ((i + 1) % 10 === 0) await new Promise(r => setTimeout(r, 10));
         }
+        if (!state.zip) return null;
 
-        return await zip.generateAsync({ type: 'blob' });
+        const blob = Combine.finish(state, options).generate({
+            type: this.outputType,
+            mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            compression: 'DEFLATE',
+        });
+        return { filename: this.combinedFilename, blob };
+    },
+
+    /**
+     * Describe a job that could not be generated
+     * @param {Object} job
+     * @param {Error} error
+     * @returns {{index: number, group: boolean, template: string, message: string}}
+     */
+    failure(job, error) {
+        const template = job.template || this.activeTemplate;
+        return {
+            index: job.index,
+            group: Boolean(job.row[this.groupKey]),
+            template: template ? template.name : '',
+            message: error.message
+        };
+    },
+
+    /**
+     * Describe, as failure does, the recipients an email draft left out
+     * @param {Object} job - The row's last job
+     * @param {{invalid: string[]}} draft - From Email.draft
+     * @returns {Object|null} null when every recipient was used
+     */
+    unaddressed(job, draft) {
+        return draft.invalid.length ? this.failure(job, new Error(`not an email address: ${draft.invalid.join(', ')}`)) : null;
+    },
+
+    /**
+     * Create Zip
+     * @param {{filename: string, blob: *}[]} documents
+     * @param {string} [collision] - Collision strategy (see Naming.collisionStrategies)
+     */
+    async createZip(documents, collision = this.collisionStrategy) {
+        const zip = new JSZip();
+        const filenames = this.uniqueFilenames(documents, collision);
+
+        documents.forEach((doc, i) => {
+            if (filenames[i]) zip.file(filenames[i], doc.blob);
+        });
+
+        return await zip.generateAsync({ type: this.outputType });
+    },
+
+    /**
+     * Final filenames for a batch after applying the collision strategy
+     * @param {{filename: string}[]} documents
+     * @param {string} [collision]
+     * @returns {(string|null)[]} null for documents that are skipped
+     */
+    uniqueFilenames(documents, collision = this.collisionStrategy) {
+        return Naming.resolveCollisions(documents.map(doc => doc.filename), collision);
     },
 
     escapeHtml(text) {
@@ -207,4 +653,7 @@ const Generator = {
     }
 };
 
+Generator.mappings = { ...Generator.defaultMappings };
+Generator.filenamePattern = Naming.defaultPattern;
+
 window.Generator = Generator;
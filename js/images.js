@@ -0,0 +1,437 @@
+/**
+ * Images Module
+ * Images for [%TAG] placeholders. The mapped column holds a file name from
+ * the uploaded image folder or zip, an http(s) URL or a data URI:
+ *   [%CLIENT_LOGO]                        natural size, at most the page width
+ *   [%CLIENT_LOGO | width:4cm]            scaled to a width (or height:)
+ *   [%CLIENT_LOGO | maxwidth:5cm | maxheight:2cm]
+ *                                         shrunk to fit, never enlarged
+ * Lengths take cm, mm, in, pt or px. In the DOCX the tag becomes an inline
+ * picture; in the HTML preview an <img>.
+ */
+
+const Images = {
+    types: {
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        gif: 'image/gif',
+        bmp: 'image/bmp'
+    },
+
+    // EMUs (the DOCX drawing unit) per length unit
+    units: { cm: 360000, mm: 36000, in: 914400, pt: 12700, px: 9525 },
+
+    // Images wider than this are scaled down (A4 width less default margins)
+    defaultMaxWidth: '16cm',
+
+    // Lower-case file name -> image ({ name, type, data, width, height })
+    files: new Map(),
+
+    // URL -> image, or null when it could not be fetched
+    remote: new Map(),
+
+    // Values that did not resolve to an image since the last clear
+    missing: new Set(),
+
+    // URLs met while rendering that have not been downloaded yet (see fetchRemote)
+    unfetched: new Set(),
+
+    // Hosts URL images may come from (subdomains included); null = any.
+    // The API server sets this so rows cannot make it fetch internal addresses.
+    remoteHosts: null,
+
+    // Limits per downloaded image
+    fetchTimeout: 10000,
+    maxRemoteBytes: 10 * 1024 * 1024,
+
+    // Images placed by the DOCX render in progress (see docxToken and embed)
+    pending: [],
+    marker: '\u2063IMG', // Invisible separator, never typed in a template
+
+    /**
+     * Add uploaded images: single files, files from a folder picker and zips of images
+     * @param {File[]} files
+     * @returns {Promise<number>} Number of images added
+     */
+    async addFiles(files) {
+        let added = 0;
+        for (const file of files) {
+            const data = new Uint8Array(await file.arrayBuffer());
+            if (/\.zip$/i.test(file.name)) {
+                added += await this.addZip(data);
+            } else if (this.add(file.name, data)) {
+                added++;
+            }
+        }
+        return added;
+    },
+
+    /**
+     * Add every image in a zip, ignoring folders inside it
+     * @param {Uint8Array|ArrayBuffer|Buffer} data
+     * @returns {Promise<number>}
+     */
+    async addZip(data) {
+        const zip = await JSZip.loadAsync(data);
+        let added = 0;
+        for (const entry of Object.values(zip.files)) {
+            if (entry.dir || /(^|\/)(__MACOSX|\.)/.test(entry.name)) continue;
+            if (this.add(entry.name, await entry.async('uint8array'))) added++;
+        }
+        return added;
+    },
+
+    /**
+     * Add one image by file name
+     * @param {string} name - May include a folder path, which is ignored
+     * @param {Uint8Array} data
+     * @returns {boolean} False when the file is not a supported image
+     */
+    add(name, data) {
+        const base = name.split(/[\\/]/).pop();
+        const image = this.create(base, data);
+        if (!image) return false;
+        this.files.set(base.toLowerCase(), image);
+        return true;
+    },
+
+    create(name, data, type = null) {
+        const extension = (name.match(/\.([a-z]+)$/i) || [])[1];
+        const mime = type || this.types[(extension || '').toLowerCase()];
+        const size = mime ? this.dimensions(data) : null;
+        if (!size) return null;
+        return { name, type: mime, data, ...size };
+    },
+
+    clear() {
+        this.files = new Map();
+        this.remote = new Map();
+        this.missing = new Set();
+        this.unfetched = new Set();
+    },
+
+    /**
+     * Find the image for a cell value
+     * @param {string} value - File name, URL or data URI
+     * @returns {Object|null}
+     */
+    resolve(value) {
+        const text = String(value || '').trim();
+        if (!text) return null;
+
+        let image = null;
+        const dataUri = text.match(/^data:(image\/[a-z+]+);base64,([\s\S]+)$/i);
+        if (dataUri) {
+            image = this.create('image', this.decodeBase64(dataUri[2]), dataUri[1].toLowerCase());
+        } else if (/^https?:\/\//i.test(text)) {
+            if (!this.remoteAllowed(text)) {
+                this.missing.add(text);
+                return null;
+            }
+            if (!this.remote.has(text)) {
+                this.unfetched.add(text);
+                return null;
+            }
+            image = this.remote.get(text);
+        } else {
+            const base = text.split(/[\\/]/).pop().toLowerCase();
+            image = this.files.get(base) || null;
+            // 'acme' matches 'acme.png'
+            if (!image && !/\.[a-z]+$/.test(base)) {
+                const key = Object.keys(this.types).map(ext => `${base}.${ext}`).find(name => this.files.has(name));
+                image = key ? this.files.get(key) : null;
+            }
+        }
+
+        if (!image) this.missing.add(text);
+        return image;
+    },
+
+    /**
+     * Download URL images so rendering can stay synchronous. Renders note the
+     * URLs they could not show yet; render again once this resolves.
+     * @param {string[]} [urls] - Defaults to the URLs noted by earlier renders
+     * @returns {Promise<void>}
+     */
+    async fetchRemote(urls = [...this.unfetched]) {
+        this.unfetched = new Set();
+        urls = urls.filter(url => !this.remote.has(url));
+
+        await Promise.all(urls.map(async (url) => {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.fetchTimeout);
+            try {
+                if (!this.remoteAllowed(url)) throw new Error('host not allowed');
+                // With an allowlist, a redirect could lead anywhere
+                const response = await fetch(url, { signal: controller.signal, redirect: this.remoteHosts ? 'error' : 'follow' });
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                const type = (response.headers.get('content-type') || '').split(';')[0];
+                const name = decodeURIComponent(url.split(/[?#]/)[0].split('/').pop() || 'image');
+                const data = await this.readLimited(response, this.maxRemoteBytes);
+                this.remote.set(url, this.create(name, data, this.types[type.split('/')[1]] ? type : null));
+            } catch (error) {
+                console.warn(`Could not load image ${url}:`, error);
+                this.remote.set(url, null);
+            } finally {
+                clearTimeout(timer);
+            }
+        }));
+    },
+
+    /**
+     * Whether an image URL's host is allowed (see remoteHosts)
+     * @param {string} url
+     * @returns {boolean}
+     */
+    remoteAllowed(url) {
+        if (!this.remoteHosts) return true;
+        let host;
+        try {
+            host = new URL(url).hostname.toLowerCase();
+        } catch (error) {
+            return false;
+        }
+        return this.remoteHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+    },
+
+    /**
+     * Response body, stopping once it grows past a limit
+     * @param {Response} response
+     * @param {number} limit - Bytes
+     * @returns {Promise<Uint8Array>}
+     */
+    async readLimited(response, limit) {
+        const tooLarge = () => new Error(`larger than ${Math.round(limit / 1048576)} MB`);
+        if (Number(response.headers.get('content-length')) > limit) throw tooLarge();
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let size = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            size += value.length;
+            if (size > limit) {
+                await reader.cancel();
+                throw tooLarge();
+            }
+            chunks.push(value);
+        }
+
+        const data = new Uint8Array(size);
+        let offset = 0;
+        chunks.forEach(chunk => {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        });
+        return data;
+    },
+
+    /**
+     * Pixel size from the file header (PNG, JPEG, GIF, BMP)
+     * @param {Uint8Array} data
+     * @returns {{width: number, height: number}|null}
+     */
+    dimensions(data) {
+        const u16 = (i) => (data[i] << 8) | data[i + 1];
+        const u32 = (i) => ((data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3]) >>> 0;
+        const le16 = (i) => data[i] | (data[i + 1] << 8);
+        const le32 = (i) => (data[i] | (data[i + 1] << 8) | (data[i + 2] << 16) | (data[i + 3] << 24)) >>> 0;
+
+        if (data.length > 24 && data[0] === 0x89 && data[1] === 0x50) {
+            return { width: u32(16), height: u32(20) };
+        }
+        if (data.length > 10 && data[0] === 0x47 && data[1] === 0x49) {
+            return { width: le16(6), height: le16(8) };
+        }
+        if (data.length > 26 && data[0] === 0x42 && data[1] === 0x4d) {
+            return { width: le32(18), height: Math.abs(le32(22) | 0) };
+        }
+        if (data.length > 4 && data[0] === 0xff && data[1] === 0xd8) {
+            // Walk the JPEG segments to the frame header (SOF0-SOF15, except DHT/JPG/DAC)
+            let i = 2;
+            while (i + 9 < data.length) {
+                if (data[i] !== 0xff) return null;
+                const marker = data[i + 1];
+                if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                    return { width: u16(i + 7), height: u16(i + 5) };
+                }
+                i += 2 + u16(i + 2);
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Length such as '4cm' or '120px' in EMUs
+     * @param {string} text
+     * @returns {number|null}
+     */
+    parseLength(text) {
+        const match = String(text || '').trim().match(/^(\d+(?:\.\d+)?)\s*(cm|mm|in|pt|px)?$/i);
+        if (!match) return null;
+        return Math.round(parseFloat(match[1]) * this.units[(match[2] || 'px').toLowerCase()]);
+    },
+
+    /**
+     * Display size of an image for the tag's sizing options
+     * @param {Object} image
+     * @param {{name: string, arg: string}[]} options - Parsed tag filters
+     * @returns {{cx: number, cy: number}} EMUs
+     */
+    size(image, options = []) {
+        const option = (name) => {
+            const found = options.find(o => o.name.toLowerCase() === name);
+            return found ? this.parseLength(found.arg) : null;
+        };
+        const ratio = image.height / image.width || 1;
+        let cx = image.width * this.units.px;
+        let cy = image.height * this.units.px;
+
+        const width = option('width');
+        const height = option('height');
+        if (width && height) {
+            [cx, cy] = [width, height];
+        } else if (width) {
+            [cx, cy] = [width, width * ratio];
+        } else if (height) {
+            [cx, cy] = [height / ratio, height];
+        }
+
+        const maxWidth = option('maxwidth') || (width || height ? null : this.parseLength(this.defaultMaxWidth));
+        const maxHeight = option('maxheight');
+        const scale = Math.min(1, maxWidth ? maxWidth / cx : 1, maxHeight ? maxHeight / cy : 1);
+        return { cx: Math.round(cx * scale), cy: Math.round(cy * scale) };
+    },
+
+    /**
+     * <img> for the HTML preview
+     * @param {string} value
+     * @param {{name: string, arg: string}[]} options
+     * @returns {string}
+     */
+    toHtml(value, options = []) {
+        const image = this.resolve(value);
+        if (!image) return '';
+        const { cx, cy } = this.size(image, options);
+        const pt = (emu) => (emu / this.units.pt).toFixed(1);
+        return `<img src="data:${image.type};base64,${this.encodeBase64(image.data)}" alt="${Generator.escapeHtml(image.name)}" ` +
+            `style="width: ${pt(cx)}pt; height: ${pt(cy)}pt; vertical-align: bottom;">`;
+    },
+
+    /**
+     * Text marker for an image in the DOCX being rendered; embed() swaps it for the picture
+     * @param {string} value
+     * @param {{name: string, arg: string}[]} options
+     * @returns {string}
+     */
+    docxToken(value, options = []) {
+        const image = this.resolve(value);
+        if (!image) return '';
+        this.pending.push({ image, ...this.size(image, options) });
+        return `${this.marker}${this.pending.length - 1}${this.marker}`;
+    },
+
+    /**
+     * Replace image markers in a rendered package with inline pictures,
+     * adding the media, relationships and content types they need
+     * @param {PizZip} zip
+     */
+    embed(zip) {
+        const pending = this.pending;
+        this.pending = [];
+        if (!pending.length) return;
+
+        const marker = new RegExp(`${this.marker}(\\d+)${this.marker}`, 'g');
+        const media = new Map(); // image -> media path
+        const extensions = new Set();
+        let docPrId = 5000;
+
+        Object.keys(zip.files).filter(name => /^word\/[^/]+\.xml$/.test(name)).forEach(part => {
+            const xml = zip.file(part).asText();
+            if (!xml.includes(this.marker)) return;
+
+            const relsPath = part.replace(/^word\//, 'word/_rels/') + '.rels';
+            const relsFile = zip.file(relsPath);
+            let rels = relsFile
+                ? relsFile.asText()
+                : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+            const relIds = new Map(); // media path -> rId in this part
+
+            const filled = xml.replace(marker, (m, index) => {
+                const { image, cx, cy } = pending[Number(index)];
+                if (!media.has(image)) {
+                    const extension = image.type === 'image/jpeg' ? 'jpeg' : image.type.split('/')[1];
+                    const path = `media/format-docs-image${media.size + 1}.${extension}`;
+                    zip.file(`word/${path}`, image.data);
+                    media.set(image, path);
+                    extensions.add(extension);
+                }
+
+                const target = media.get(image);
+                if (!relIds.has(target)) {
+                    const id = `rIdFdImg${relIds.size + 1}`;
+                    rels = rels.replace('</Relationships>', `<Relationship Id="${id}" ` +
+                        'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" ' +
+                        `Target="${target}"/></Relationships>`);
+                    relIds.set(target, id);
+                }
+
+                // Close the text element around the marker and reopen it after the picture
+                return `</w:t>${this.drawingXml(relIds.get(target), cx, cy, docPrId++, image.name)}<w:t xml:space="preserve">`;
+            });
+
+            zip.file(part, filled);
+            zip.file(relsPath, rels);
+        });
+
+        const typesFile = zip.file('[Content_Types].xml');
+        let types = typesFile.asText();
+        extensions.forEach(extension => {
+            if (new RegExp(`Extension="${extension}"`, 'i').test(types)) return;
+            types = types.replace('</Types>', `<Default Extension="${extension}" ContentType="image/${extension}"/></Types>`);
+        });
+        zip.file('[Content_Types].xml', types);
+    },
+
+    drawingXml(relId, cx, cy, id, name) {
+        const a = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+        const pic = 'http://schemas.openxmlformats.org/drawingml/2006/picture';
+        const title = name.replace(/[<>&"]/g, '');
+        return '<w:drawing>' +
+            '<wp:inline distT="0" distB="0" distL="0" distR="0" ' +
+            'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing">' +
+            `<wp:extent cx="${cx}" cy="${cy}"/>` +
+            `<wp:docPr id="${id}" name="Picture ${id}" descr="${title}"/>` +
+            `<wp:cNvGraphicFramePr><a:graphicFrameLocks xmlns:a="${a}" noChangeAspect="1"/></wp:cNvGraphicFramePr>` +
+            `<a:graphic xmlns:a="${a}"><a:graphicData uri="${pic}">` +
+            `<pic:pic xmlns:pic="${pic}">` +
+            `<pic:nvPicPr><pic:cNvPr id="0" name="${title}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+            `<pic:blipFill><a:blip r:embed="${relId}" ` +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"/>' +
+            '<a:stretch><a:fillRect/></a:stretch></pic:blipFill>' +
+            `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+            '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>' +
+            '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing>';
+    },
+
+    decodeBase64(text) {
+        const binary = atob(text.replace(/\s+/g, ''));
+        const data = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) data[i] = binary.charCodeAt(i);
+        return data;
+    },
+
+    encodeBase64(data) {
+        let binary = '';
+        for (let i = 0; i < data.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, data.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+};
+
+// Export for use in other modules
+window.Images = Images;
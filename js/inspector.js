@@ -0,0 +1,129 @@
+/**
+ * Inspector Module
+ * Discovers [TAG] placeholders in the DOCX and HTML templates and reports template health
+ */
+
+const Inspector = {
+    // Word XML parts that can hold placeholders
+    docxParts: /^word\/(document|header\d*|footer\d*|footnotes|endnotes)\.xml$/,
+
+    // Last report (see buildReport)
+    report: null,
+
+    /**
+     * Scan a DOCX template for placeholders
+     * @param {ArrayBuffer} buffer
+     * @returns {{tags: Object<string, {parts: string[], split: boolean}>, broken: {part: string, text: string}[]}}
+     */
+    scanDocx(buffer) {
+        const zip = new PizZip(buffer);
+        const tags = {};
+        const broken = [];
+
+        Object.keys(zip.files)
+            .filter(name => this.docxParts.test(name))
+            .sort()
+            .forEach(part => {
+                const xml = zip.file(part).asText();
+                const paragraphs = xml.match(/<w:p[ >][\s\S]*?<\/w:p>/g) || [];
+
+                paragraphs.forEach(paragraph => {
+                    // Collect the text of each run, remembering which run each character came from
+                    const runs = [];
+                    const textRegex = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>/g;
+                    let match;
+                    while ((match = textRegex.exec(paragraph)) !== null) {
+                        runs.push(this.decodeXml(match[1]));
+                    }
+
+                    const text = runs.join('');
+                    const owner = [];
+                    runs.forEach((run, i) => {
+                        for (let c = 0; c < run.length; c++) owner.push(i);
+                    });
+
+                    const tagRegex = /\[([^\[\]]*)\]/g;
+                    while ((match = tagRegex.exec(text)) !== null) {
+                        // Section, loop and item tags count towards the tag they use
+                        const name = Templating.baseTag(match[1]);
+                        if (!name) continue;
+
+                        const start = match.index;
+                        const end = start + match[0].length - 1;
+                        const entry = tags[name] || (tags[name] = { parts: [], split: false });
+                        if (!entry.parts.includes(part)) entry.parts.push(part);
+                        if (owner[start] !== owner[end]) entry.split = true;
+                    }
+
+                    // Unbalanced brackets usually mean a tag was mistyped or spans paragraphs
+                    const stripped = text.replace(/\[[^\[\]]*\]/g, '');
+                    if (/[\[\]]/.test(stripped)) {
+                        broken.push({ part, text: text.trim() });
+                    }
+                });
+            });
+
+        return { tags, broken };
+    },
+
+    /**
+     * Scan an HTML template for placeholders
+     * @param {string} html
+     * @returns {string[]}
+     */
+    scanHtml(html) {
+        const tags = new Set();
+        for (const match of (html || '').matchAll(/\[\s*([#^/%]?\s*[A-Za-z0-9_]+)\s*(?:\|[^\[\]]*)?\]/g)) {
+            const name = Templating.baseTag(match[1]);
+            if (name) tags.add(name);
+        }
+        return [...tags].sort();
+    },
+
+    /**
+     * Compare template tags against the active mapping
+     * @param {{tags: Object, broken: Object[]}|null} docx - Result of scanDocx (null if no DOCX loaded)
+     * @param {string[]} htmlTags - Result of scanHtml
+     * @param {Object} mappings - Column -> tag mapping
+     * @returns {Object} Report
+     */
+    buildReport(docx, htmlTags, mappings) {
+        const docxTags = docx ? Object.keys(docx.tags).sort() : [];
+        const mapped = new Set(Object.values(mappings).filter(Boolean));
+        const templateTags = [...new Set([...docxTags, ...htmlTags])].sort();
+
+        this.report = {
+            docxTags,
+            htmlTags,
+            templateTags,
+            unmapped: templateTags.filter(tag => !mapped.has(tag)),
+            missingFromDocx: docx ? [...mapped].filter(tag => !docxTags.includes(tag)).sort() : [],
+            missingFromHtml: [...mapped].filter(tag => !htmlTags.includes(tag)).sort(),
+            split: docxTags.filter(tag => docx.tags[tag].split),
+            broken: docx ? docx.broken : []
+        };
+        return this.report;
+    },
+
+    /**
+     * Whether a report has anything worth showing
+     * @param {Object} report
+     * @returns {boolean}
+     */
+    hasIssues(report) {
+        return ['unmapped', 'missingFromDocx', 'missingFromHtml', 'split', 'broken']
+            .some(key => report[key].length > 0);
+    },
+
+    decodeXml(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+};
+
+// Export for use in other modules
+window.Inspector = Inspector;
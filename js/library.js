@@ -0,0 +1,167 @@
+/**
+ * Library Module
+ * Stores user-uploaded DOCX/HTML templates in IndexedDB
+ */
+
+const Library = {
+    dbName: 'formatDocs',
+    dbVersion: 1,
+    storeName: 'templates',
+
+    // Id of the bundled Templates/template.docx (never stored in IndexedDB)
+    builtinId: 'builtin',
+
+    db: null,
+
+    /**
+     * Open (and create if needed) the IndexedDB database
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!window.indexedDB) throw new Error('This browser does not support IndexedDB');
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error(`Failed to open template library: ${request.error}`));
+        });
+        return this.db;
+    },
+
+    /**
+     * Run a request against the templates store
+     * @param {'readonly'|'readwrite'} mode
+     * @param {function(IDBObjectStore): IDBRequest} action
+     * @returns {Promise<*>}
+     */
+    async request(mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const req = action(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+            // Quota errors abort the transaction without an error event
+            tx.onabort = () => reject(tx.error || new Error('The template library request was aborted'));
+        });
+    },
+
+    /**
+     * List stored templates, sorted by name
+     * @returns {Promise<Object[]>}
+     */
+    async list() {
+        const records = await this.request('readonly', store => store.getAll());
+        return records.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * @param {string} id
+     * @returns {Promise<Object|undefined>}
+     */
+    async get(id) {
+        return this.request('readonly', store => store.get(id));
+    },
+
+    /**
+     * Insert or update a template record
+     * @param {Object} record
+     * @returns {Promise<Object>} The saved record
+     */
+    async save(record) {
+        const saved = { ...record, updated: new Date().toISOString() };
+        if (!saved.id) saved.id = `tpl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        if (!saved.created) saved.created = saved.updated;
+        await this.request('readwrite', store => store.put(saved));
+        return saved;
+    },
+
+    /**
+     * @param {string} id
+     */
+    async remove(id) {
+        await this.request('readwrite', store => store.delete(id));
+    },
+
+    /**
+     * Store uploaded template files. Each .docx becomes a template named after the file;
+     * an .html file with the same base name is attached as its preview template.
+     * Uploading a name that already exists replaces it as the next version.
+     * @param {File[]} files
+     * @returns {Promise<Object[]>} Saved records
+     */
+    async addFiles(files) {
+        const baseName = (file) => file.name.replace(/\.[^.]+$/, '');
+        const docxFiles = files.filter(f => /\.docx$/i.test(f.name));
+        const htmlFiles = files.filter(f => /\.html?$/i.test(f.name));
+        const existing = await this.list();
+        const saved = [];
+
+        for (const file of docxFiles) {
+            const name = baseName(file);
+            const docx = await file.arrayBuffer();
+            this.validateDocx(docx, file.name);
+
+            const html = htmlFiles.find(f => baseName(f) === name);
+            const previous = existing.find(t => t.name === name);
+
+            saved.push(await this.save({
+                ...(previous || {}),
+                name,
+                version: previous ? this.nextVersion(previous.version) : '1.0',
+                docx,
+                html: html ? await html.text() : (previous ? previous.html : null),
+                mappings: previous ? previous.mappings : null
+            }));
+        }
+
+        // HTML on its own updates the preview of an existing template
+        for (const file of htmlFiles) {
+            if (docxFiles.some(f => baseName(f) === baseName(file))) continue;
+            const target = existing.find(t => t.name === baseName(file));
+            if (!target) throw new Error(`No template named "${baseName(file)}" for ${file.name}`);
+            saved.push(await this.save({ ...target, html: await file.text() }));
+        }
+
+        return saved;
+    },
+
+    /**
+     * Throw if the buffer is not a usable DOCX
+     * @param {ArrayBuffer} buffer
+     * @param {string} fileName
+     */
+    validateDocx(buffer, fileName) {
+        let zip;
+        try {
+            zip = new PizZip(buffer);
+        } catch (error) {
+            throw new Error(`${fileName} is not a valid .docx file`);
+        }
+        if (!zip.file('word/document.xml')) {
+            throw new Error(`${fileName} has no word/document.xml`);
+        }
+    },
+
+    /**
+     * '1.0' -> '1.1', '2' -> '3'
+     * @param {string} version
+     * @returns {string}
+     */
+    nextVersion(version) {
+        const parts = String(version || '1.0').split('.');
+        const last = parseInt(parts[parts.length - 1], 10);
+        parts[parts.length - 1] = String(isNaN(last) ? 1 : last + 1);
+        return parts.join('.');
+    }
+};
+
+// Export for use in other modules
+window.Library = Library;
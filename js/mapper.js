@@ -0,0 +1,237 @@
+/**
+ * Mapper Module
+ * Handles column-to-placeholder mapping suggestions and saved mapping profiles
+ */
+
+const Mapper = {
+    // localStorage keys
+    storageKey: 'formatDocs.mappingProfiles',
+    lastProfileKey: 'formatDocs.lastMappingProfile',
+
+    // Minimum similarity score (0-1) before a fuzzy suggestion is offered
+    matchThreshold: 0.55,
+
+    /**
+     * Normalize a header or tag name for comparison
+     * 'Room Details (Workload)' -> 'room details workload'
+     * 'INSERT_ROOM_DETAILS'     -> 'room details'
+     * @param {string} name
+     * @returns {string}
+     */
+    normalize(name) {
+        return String(name || '')
+            .replace(/^\s*INSERT_/i, '')
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Similarity between two names (Dice coefficient on character bigrams,
+     * boosted when one name's words are all contained in the other)
+     * @param {string} a
+     * @param {string} b
+     * @returns {number} Score between 0 and 1
+     */
+    similarity(a, b) {
+        const na = this.normalize(a);
+        const nb = this.normalize(b);
+        if (!na || !nb) return 0;
+        if (na === nb) return 1;
+
+        const bigrams = (str) => {
+            const s = str.replace(/\s+/g, '');
+            const grams = [];
+            for (let i = 0; i < s.length - 1; i++) grams.push(s.slice(i, i + 2));
+            return grams;
+        };
+
+        const ga = bigrams(na);
+        const gb = bigrams(nb);
+        if (ga.length === 0 || gb.length === 0) return 0;
+
+        const counts = new Map();
+        ga.forEach(g => counts.set(g, (counts.get(g) || 0) + 1));
+        let overlap = 0;
+        gb.forEach(g => {
+            const n = counts.get(g) || 0;
+            if (n > 0) {
+                overlap++;
+                counts.set(g, n - 1);
+            }
+        });
+        const dice = (2 * overlap) / (ga.length + gb.length);
+
+        // Word containment: 'Budget' vs 'Budgetary Estimates' etc.
+        const wa = na.split(' ');
+        const wb = nb.split(' ');
+        const [shorter, longer] = wa.length <= wb.length ? [wa, wb] : [wb, wa];
+        const contained = shorter.every(w => longer.some(l => l.startsWith(w) || w.startsWith(l)));
+
+        return contained ? Math.max(dice, 0.8) : dice;
+    },
+
+    /**
+     * Suggest a placeholder for each detected header.
+     * Known column names (from a profile or the default mappings) win first,
+     * then the closest placeholder name above the threshold. Headers from a
+     * survey export (see Parser.presets) are matched by their question, and
+     * its own columns are left unmapped.
+     * @param {string[]} headers - Detected spreadsheet headers
+     * @param {string[]} placeholders - Tags available in the template
+     * @param {Object} [known] - Known column -> tag mapping to match against
+     * @param {string|null} [preset] - Key of Parser.presets, detected by default
+     * @returns {Object} Column -> tag mapping
+     */
+    suggest(headers, placeholders, known = Generator.defaultMappings, preset = Parser.detectPreset(headers)) {
+        const candidates = [];
+
+        headers.forEach(header => {
+            if (!header) return;
+
+            // Exact known column
+            if (known[header] && placeholders.includes(known[header])) {
+                candidates.push({ header, tag: known[header], score: 2 });
+                return;
+            }
+            if (preset && Parser.isMetadata(header, preset)) return;
+
+            const name = preset ? Parser.questionText(header) : header;
+            if (name !== header && known[name] && placeholders.includes(known[name])) {
+                candidates.push({ header, tag: known[name], score: 2 });
+                return;
+            }
+
+            placeholders.forEach(tag => {
+                let score = this.similarity(name, tag);
+                for (const [col, knownTag] of Object.entries(known)) {
+                    if (knownTag === tag) score = Math.max(score, this.similarity(name, col));
+                }
+                if (score >= this.matchThreshold) {
+                    candidates.push({ header, tag, score });
+                }
+            });
+        });
+
+        // Greedy assignment, best scores first, one tag per header
+        candidates.sort((a, b) => b.score - a.score);
+        const result = {};
+        const usedTags = new Set();
+        for (const { header, tag } of candidates) {
+            if (result[header] || usedTags.has(tag)) continue;
+            result[header] = tag;
+            usedTags.add(tag);
+        }
+        return result;
+    },
+
+    /**
+     * Get all saved mapping profiles
+     * @returns {Object<string, {mappings: Object, updated: string}>}
+     */
+    getProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.warn('Mapping profiles unreadable, ignoring:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Get a single profile by name
+     * @param {string} name
+     * @returns {{mappings: Object, formats: Object, updated: string}|null}
+     */
+    getProfile(name) {
+        return this.getProfiles()[name] || null;
+    },
+
+    /**
+     * Save (or overwrite) a named profile
+     * @param {string} name
+     * @param {Object} mappings - Column -> tag mapping
+     * @param {Object} [formats] - Column -> default format
+     */
+    saveProfile(name, mappings, formats = {}) {
+        name = String(name || '').trim();
+        if (!name) throw new Error('Profile name is required');
+
+        const profiles = this.getProfiles();
+        profiles[name] = { mappings: { ...mappings }, formats: { ...formats }, updated: new Date().toISOString() };
+        localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+        this.setLastProfile(name);
+    },
+
+    /**
+     * Delete a named profile
+     * @param {string} name
+     */
+    deleteProfile(name) {
+        const profiles = this.getProfiles();
+        delete profiles[name];
+        localStorage.setItem(this.storageKey, JSON.stringify(profiles));
+        if (this.getLastProfile() === name) localStorage.removeItem(this.lastProfileKey);
+    },
+
+    getLastProfile() {
+        return localStorage.getItem(this.lastProfileKey) || '';
+    },
+
+    setLastProfile(name) {
+        if (name) localStorage.setItem(this.lastProfileKey, name);
+        else localStorage.removeItem(this.lastProfileKey);
+    },
+
+    /**
+     * Serialize a profile for download
+     * @param {string} name
+     * @param {Object} mappings
+     * @param {Object} [formats]
+     * @returns {Blob}
+     */
+    exportProfile(name, mappings, formats = {}) {
+        const payload = { format: 'format-docs-mapping', version: 1, name, mappings, formats };
+        return new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+    },
+
+    /**
+     * Parse an exported profile file and store it
+     * @param {File} file
+     * @returns {Promise<{name: string, mappings: Object, formats: Object}>}
+     */
+    async importProfile(file) {
+        let payload;
+        try {
+            payload = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('Mapping file is not valid JSON');
+        }
+
+        const mappings = payload && payload.mappings;
+        if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+            throw new Error('Mapping file has no "mappings" object');
+        }
+        for (const [col, tag] of Object.entries(mappings)) {
+            if (typeof tag !== 'string') {
+                throw new Error(`Invalid tag for column "${col}"`);
+            }
+        }
+
+        const formats = payload.formats && typeof payload.formats === 'object' ? payload.formats : {};
+        for (const [col, format] of Object.entries(formats)) {
+            if (typeof format !== 'string') {
+                throw new Error(`Invalid format for column "${col}"`);
+            }
+        }
+
+        const name = String(payload.name || file.name.replace(/\.json$/i, '')).trim();
+        this.saveProfile(name, mappings, formats);
+        return { name, mappings, formats };
+    }
+};
+
+// Export for use in other modules
+window.Mapper = Mapper;
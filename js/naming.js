@@ -0,0 +1,216 @@
+/**
+ * Naming Module
+ * Filename patterns for generated documents, e.g.
+ *   {Client|slug} - {TemplateName} - {Desired Completion Date|date:YYYY-MM-DD}
+ *   {Region}/{Client}
+ *
+ * Any column can be used by its header, plus TemplateName, TemplateVersion,
+ * RowNumber (1-based) and Today. Filters are listed in Formatter.
+ * A '/' in the pattern makes a folder in the ZIP.
+ */
+
+const Naming = {
+    storageKey: 'formatDocs.naming',
+
+    defaultPattern: '{Client|default:"Document_{RowNumber}"} - {TemplateName} - {Desired Completion Date|date:DD-MM-YYYY}',
+
+    // What happens when two documents get the same name
+    collisionStrategies: {
+        number: 'Add _1, _2, … to later duplicates',
+        skip: 'Keep the first, skip later duplicates',
+        overwrite: 'Keep the last one',
+        fail: 'Stop with an error'
+    },
+
+    // Longest file or folder name we produce (characters)
+    maxSegmentLength: 120,
+
+    /**
+     * Saved pattern, collision strategy and output format (see Generator.outputFormats)
+     * @returns {{pattern: string, collision: string, format: string}}
+     */
+    getConfig() {
+        const fallback = { pattern: this.defaultPattern, collision: 'number', format: 'docx', cover: false, toc: false };
+        if (typeof localStorage === 'undefined') return fallback;
+        try {
+            return { ...fallback, ...JSON.parse(localStorage.getItem(this.storageKey)) };
+        } catch (error) {
+            return fallback;
+        }
+    },
+
+    saveConfig(config) {
+        localStorage.setItem(this.storageKey, JSON.stringify(config));
+    },
+
+    /**
+     * Values available to a pattern for one row
+     * @param {Object} row
+     * @param {number} index - 0-based row index
+     * @param {Object} [template]
+     * @returns {Object}
+     */
+    context(row, index, template = null) {
+        return {
+            ...row,
+            TemplateName: template && !template.builtin ? template.name : 'Needs Analysis',
+            TemplateVersion: template && template.version ? template.version : '1.0',
+            RowNumber: String(index + 1),
+            Today: Formatter.formatDate(new Date(), 'YYYY-MM-DD')
+        };
+    },
+
+    /**
+     * Fill placeholders in a pattern; values are not sanitised
+     * @param {string} pattern
+     * @param {Object} context
+     * @param {function(string): string} [clean] - Applied to each filled value
+     * @returns {string}
+     */
+    fill(pattern, context, clean = (v) => v) {
+        let result = '';
+        let i = 0;
+
+        while (i < pattern.length) {
+            const start = pattern.indexOf('{', i);
+            if (start === -1) break;
+            const end = this.closingBrace(pattern, start);
+            if (end === -1) break;
+
+            result += pattern.slice(i, start);
+            const { name, filters } = Formatter.parse(pattern.slice(start + 1, end));
+
+            // Filter arguments may contain placeholders themselves ("Document_{RowNumber}")
+            filters.forEach(filter => {
+                if (filter.arg && filter.arg.includes('{')) filter.arg = this.fill(filter.arg, context);
+            });
+
+            result += clean(Formatter.apply(this.lookup(context, name), filters));
+            i = end + 1;
+        }
+
+        return result + pattern.slice(i);
+    },
+
+    closingBrace(pattern, start) {
+        let depth = 0;
+        let quote = null;
+        for (let i = start; i < pattern.length; i++) {
+            const char = pattern[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}' && --depth === 0) {
+                return i;
+            }
+        }
+        return -1;
+    },
+
+    /**
+     * Column value by exact header, falling back to a case-insensitive match
+     */
+    lookup(context, name) {
+        if (name in context) return context[name];
+        const key = Object.keys(context).find(k => k.toLowerCase() === name.toLowerCase());
+        return key ? context[key] : '';
+    },
+
+    /**
+     * Build the relative path of a document
+     * @param {string} pattern
+     * @param {Object} context - See context()
+     * @param {string} [extension]
+     * @returns {string} e.g. 'Auckland/Ngāti Whātua - Needs Analysis - 01-03-2025.docx'
+     */
+    filename(pattern, context, extension = 'docx') {
+        const segments = this.split(pattern)
+            // Slashes inside values must not create folders
+            .map(segment => this.sanitize(this.fill(segment, context, (value) => value.replace(/[\\/]/g, '-'))))
+            .filter(Boolean);
+
+        let name = segments.pop() || '';
+        name = name.replace(new RegExp(`\\.${extension}$`, 'i'), '');
+        if (!name) name = `Document_${context.RowNumber}`;
+
+        return [...segments, `${name}.${extension}`].join('/');
+    },
+
+    /**
+     * Split a pattern into folder segments on '/' outside placeholders
+     */
+    split(pattern) {
+        return Formatter.split(pattern, '/', false);
+    },
+
+    /**
+     * Make a file or folder name safe on Windows, macOS and in ZIPs,
+     * keeping non-ASCII letters (macrons, accents)
+     * @param {string} name
+     * @returns {string}
+     */
+    sanitize(name) {
+        let clean = String(name)
+            .normalize('NFC')
+            .replace(/[\u0000-\u001F\u007F]/g, '')
+            .replace(/\s*:\s*/g, ' - ')
+            .replace(/[\\/]/g, '-')
+            .replace(/[<>"|?*]/g, '')
+            .replace(/\s+/g, ' ')
+            // Separators left behind by empty values: 'A -  - B' -> 'A - B'
+            .replace(/(\s*-\s*){2,}/g, ' - ')
+            .replace(/^[\s.\-_]+|[\s.\-_]+$/g, '');
+
+        clean = [...clean].slice(0, this.maxSegmentLength).join('').trim();
+
+        // Reserved device names on Windows
+        if (/^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i.test(clean)) clean = `_${clean}`;
+        return clean;
+    },
+
+    /**
+     * Apply a collision strategy to a list of paths
+     * @param {string[]} names
+     * @param {string} strategy - Key of collisionStrategies
+     * @returns {(string|null)[]} Final names; null for documents left out
+     */
+    resolveCollisions(names, strategy = 'number') {
+        const key = (name) => name.toLowerCase(); // Windows and macOS ignore case
+        const result = names.slice();
+
+        if (strategy === 'fail') {
+            const seen = new Set();
+            names.forEach(name => {
+                if (seen.has(key(name))) throw new Error(`Two documents would be named "${name}"`);
+                seen.add(key(name));
+            });
+            return result;
+        }
+
+        if (strategy === 'skip' || strategy === 'overwrite') {
+            const keep = new Map();
+            names.forEach((name, i) => {
+                if (strategy === 'overwrite' || !keep.has(key(name))) keep.set(key(name), i);
+            });
+            return names.map((name, i) => (keep.get(key(name)) === i ? name : null));
+        }
+
+        const used = new Set();
+        return result.map(name => {
+            let candidate = name;
+            let counter = 1;
+            while (used.has(key(candidate))) {
+                candidate = name.replace(/(\.[^./]+)?$/, `_${counter}$1`);
+                counter++;
+            }
+            used.add(key(candidate));
+            return candidate;
+        });
+    }
+};
+
+// Export for use in other modules
+window.Naming = Naming;
@@ -1,175 +1,890 @@
 /**
  * Parser Module
- * Handles spreadsheet parsing for .xlsx and .csv files
+ * Handles spreadsheet parsing: Excel and OpenDocument workbooks, delimited
+ * text (CSV, TSV; delimiter and encoding detected) and JSON records. Two layouts:
+ * 'table' (a header row, one record per row) and 'form' (a filled-in
+ * questionnaire, questions down a column and answers beside them, read as
+ * one record per file; see parseForm).
  */
 
 const Parser = {
+    // Name of the pseudo-column added when rows from several sheets are merged
+    sheetColumn: 'Sheet',
+
+    // Name of the pseudo-column added when forms from several files are merged
+    fileColumn: 'File',
+
+    // How many rows from the top of a sheet are searched for the header row
+    headerSearchRows: 30,
+
+    // Fewest questions a form must answer (a table read as a form gives one or two)
+    formMinAnswers: 3,
+
+    // Row key holding Excel rich text as markup, by column (see collectRichText)
+    richKey: Symbol('rich'),
+
+    // Supported file extensions by how they are read
+    workbookFormats: ['xlsx', 'xlsm', 'xls', 'ods'],
+    textFormats: { csv: null, tsv: '\t', tab: '\t', txt: null }, // Extension -> delimiter (null = detect)
+    jsonFormats: ['json', 'ndjson', 'jsonl'],
+
+    // Delimiters tried when a text file does not say which it uses
+    delimiters: [',', ';', '\t', '|'],
+
+    // Properties holding the records in wrapped JSON exports ({ "value": [...] } etc.)
+    jsonRecordKeys: ['value', 'responses', 'rows', 'data', 'records', 'items'],
+
+    // Survey exports, recognised by their own columns (any one signature). Their
+    // question headers are renamed to the known column they ask for (see applyPreset).
+    presets: {
+        msforms: {
+            name: 'Microsoft Forms export',
+            signatures: [['Id', 'Start time', 'Completion time'], ['responder', 'submitDate']],
+            metadata: ['Id', 'Start time', 'Completion time', 'Email', 'Name', 'Last modified time',
+                'Total points', 'Quiz feedback', 'Grade posted time', 'responder', 'submitDate'],
+            metadataPattern: /^(Points|Feedback) - /
+        },
+        googleforms: {
+            name: 'Google Forms export',
+            signatures: [['Timestamp']],
+            metadata: ['Timestamp', 'Email Address', 'Email', 'Score'],
+            metadataPattern: null
+        }
+    },
+
+    // Questions as the needs-analysis forms ask them -> default column
+    questionAliases: {
+        'Client/Project Name': 'Client',
+        'Room types and quantity of each': 'Room Details (Workload)',
+        'How does the client intend to use these spaces (functional/non-technical outcomes)': 'Functional Requirements',
+        'Wall-mounted panels, mobile interface, specific automation': 'Control System Requirements',
+        'Equipment to be reused or supplied by client': 'Existing Equipment Integration',
+        'Cabling responsibility and rack location requirements': 'Cabling & Infrastructure',
+        'Heritage building, restricted access times, asbestos etc': 'Site Constraints'
+    },
+
+    /**
+     * Whether a file name has an extension the parser reads
+     * @param {string} fileName
+     * @returns {boolean}
+     */
+    isSupported(fileName) {
+        const extension = String(fileName).split('.').pop().toLowerCase();
+        return this.workbookFormats.includes(extension) || extension in this.textFormats || this.jsonFormats.includes(extension);
+    },
+
     /**
      * Parse uploaded file and extract rows as objects
      * @param {File} file - The uploaded file
+     * @param {Object} [options] - See parseBuffer
      * @returns {Promise<{headers: string[], rows: Object[]}>}
      */
-    async parseFile(file) {
-        const extension = file.name.split('.').pop().toLowerCase();
+    async parseFile(file, options = {}) {
+        let data;
+        try {
+            data = await file.arrayBuffer();
+        } catch (error) {
+            throw new Error('Failed to read file');
+        }
+        return this.parseBuffer(data, file.name, options);
+    },
+
+    /**
+     * Extract rows from one or more sheets of a workbook
+     * @param {Object} workbook - SheetJS workbook
+     * @param {Object} [options]
+     * @param {'table'|'form'} [options.layout] - 'form' reads the workbook as one questionnaire (see parseForm)
+     * @param {Object} [options.cells] - Form layout: column -> cell address of its answer
+     * @param {string[]} [options.sheets] - Sheets to read (default: the sheet that best matches knownHeaders;
+     *     every sheet for a form)
+     * @param {number|'auto'} [options.headerRow] - 1-based header row, or 'auto' to detect per sheet
+     * @param {string[]} [options.knownHeaders] - Column names used to detect the header row
+     * @returns {{headers: string[], rows: Object[], sheets: {names: string[], selected: string[], headerRows: Object}}}
+     */
+    parseWorkbook(workbook, options = {}) {
+        const { headerRow = 'auto', knownHeaders = [] } = options;
+        const matrices = {};
+        const matrixFor = (name) => matrices[name] || (matrices[name] = this.sheetToMatrix(workbook.Sheets[name]));
+
+        if (options.layout === 'form') {
+            const names = (options.sheets || []).filter(name => workbook.SheetNames.includes(name));
+            return this.parseForm((names.length ? names : workbook.SheetNames).map(name => ({
+                name,
+                matrix: matrixFor(name),
+                firstColumn: workbook.Sheets[name]['!ref'] ? XLSX.utils.decode_range(workbook.Sheets[name]['!ref']).s.c : 0
+            })), options);
+        }
+
+        let selected = (options.sheets || []).filter(name => workbook.SheetNames.includes(name));
+        if (selected.length === 0) {
+            selected = [this.detectSheet(workbook, knownHeaders, matrixFor)];
+        }
+
+        const merge = selected.length > 1;
+        const headers = [];
+        const rows = [];
+        const headerRows = {};
+
+        selected.forEach(name => {
+            const matrix = matrixFor(name);
+            const headerIndex = headerRow === 'auto'
+                ? this.detectHeaderRow(matrix, knownHeaders).index
+                : Number(headerRow) - 1;
+
+            if (!matrix[headerIndex] || matrix.length - headerIndex < 2) {
+                if (merge) return; // Empty sheets are skipped when merging
+                throw new Error('Spreadsheet must have at least a header row and one data row');
+            }
+            headerRows[name] = headerIndex + 1;
+
+            const result = this.matrixToRows(matrix, headerIndex);
+            result.headers.forEach(h => {
+                if (!headers.includes(h)) headers.push(h);
+            });
+            result.rows.forEach(row => {
+                if (merge) row[this.sheetColumn] = name;
+                rows.push(row);
+            });
+        });
+
+        if (merge) {
+            if (!headers.includes(this.sheetColumn)) headers.unshift(this.sheetColumn);
+            // Give every row every column so templates never see undefined
+            rows.forEach(row => headers.forEach(h => {
+                if (row[h] === undefined) row[h] = '';
+            }));
+        }
+
+        return {
+            headers,
+            rows,
+            sheets: { names: [...workbook.SheetNames], selected, headerRows }
+        };
+    },
+
+    /**
+     * Convert a worksheet to an array of row arrays
+     * @param {Object} worksheet
+     * @returns {string[][]}
+     */
+    sheetToMatrix(worksheet) {
+        if (!worksheet) return [];
+        this.localizeDates(worksheet);
+        const matrix = XLSX.utils.sheet_to_json(worksheet, {
+            header: 1,
+            defval: '', // Default empty cells to empty string
+            raw: false, // Use formatted strings (fixes date format issue)
+            range: 0, // Start at row 1 so indexes line up with Excel row numbers
+            blankrows: true
+        });
+        this.collectRichText(worksheet, matrix);
+        return matrix;
+    },
+
+    /**
+     * Keep bold and italic runs of rich text cells as markup (see RichText) on a
+     * `rich` property of each matrix row: { columnIndex: markup }
+     * @param {Object} worksheet
+     * @param {Array[]} matrix
+     */
+    collectRichText(worksheet, matrix) {
+        if (!worksheet['!ref']) return;
+        const firstColumn = XLSX.utils.decode_range(worksheet['!ref']).s.c;
+
+        Object.keys(worksheet).forEach(address => {
+            const cell = worksheet[address];
+            if (address[0] === '!' || !cell || typeof cell.r !== 'string') return;
+            const markup = RichText.fromExcelRuns(cell.r);
+            if (!markup) return;
+
+            const { r, c } = XLSX.utils.decode_cell(address);
+            if (!matrix[r]) return;
+            matrix[r].rich = matrix[r].rich || {};
+            matrix[r].rich[c - firstColumn] = markup;
+        });
+    },
+
+    /**
+     * A cell value with its Excel formatting as markup when the sheet had any and
+     * the value has not been edited since; the plain value otherwise
+     * @param {Object} row
+     * @param {string} column
+     * @returns {string}
+     */
+    richValue(row, column) {
+        const value = row[column] || '';
+        const rich = row[this.richKey] && row[this.richKey][column];
+        return rich && RichText.toPlain(rich) === value ? rich : value;
+    },
+
+    /**
+     * Excel's default short date (format 14) follows the reader's system locale,
+     * but SheetJS always writes it US-style (3/4/25). Write those cells in the
+     * Formatter locale instead so date filters read them the right way round.
+     * @param {Object} worksheet
+     */
+    localizeDates(worksheet) {
+        const monthFirst = Formatter.monthFirstLocales.includes(Formatter.locale);
+        const format = monthFirst ? 'm/d/yyyy' : 'd/mm/yyyy';
 
-        if (extension === 'csv') {
-            return this.parseCSV(file);
-        } else if (extension === 'xlsx' || extension === 'xls') {
-            return this.parseExcel(file);
+        Object.keys(worksheet).forEach(address => {
+            const cell = worksheet[address];
+            if (address[0] === '!' || !cell || cell.t !== 'n') return;
+            // Without cellNF the format is gone; format 14 is the only one SheetJS writes as m/d/yy
+            if (cell.z === 14 || cell.z === 'm/d/yy' || (!cell.z && /^\d{1,2}\/\d{1,2}\/\d{2}$/.test(cell.w || ''))) {
+                cell.w = XLSX.SSF.format(format, cell.v);
+            }
+        });
+    },
+
+    /**
+     * Convert row arrays to objects using the given header row
+     * @param {Array[]} matrix
+     * @param {number} headerIndex - 0-based index of the header row
+     * @returns {{headers: string[], rows: Object[]}}
+     */
+    matrixToRows(matrix, headerIndex = 0) {
+        const headers = matrix[headerIndex].map(h => String(h).trim());
+        const rows = [];
+
+        // Convert each row to an object using headers as keys
+        for (let i = headerIndex + 1; i < matrix.length; i++) {
+            const row = matrix[i];
+            // Skip completely empty rows
+            if (row.every(cell => !cell || String(cell).trim() === '')) {
+                continue;
+            }
+
+            const rowObj = {};
+            headers.forEach((header, index) => {
+                rowObj[header] = row[index] !== undefined ? String(row[index]) : '';
+            });
+            if (row.rich) {
+                rowObj[this.richKey] = {};
+                Object.entries(row.rich).forEach(([index, markup]) => {
+                    if (headers[index]) rowObj[this.richKey][headers[index]] = markup;
+                });
+            }
+            rows.push(rowObj);
+        }
+
+        return { headers, rows };
+    },
+
+    /**
+     * Find the header row: the row among the first few that matches the most known headers,
+     * falling back to the first row with at least two filled cells
+     * @param {Array[]} matrix
+     * @param {string[]} knownHeaders
+     * @returns {{index: number, score: number}}
+     */
+    detectHeaderRow(matrix, knownHeaders = []) {
+        const known = new Set(knownHeaders.map(h => this.normalizeHeader(h)));
+        const limit = Math.min(matrix.length, this.headerSearchRows);
+        let best = { index: -1, score: 0 };
+        let fallback = -1;
+
+        for (let i = 0; i < limit; i++) {
+            const cells = matrix[i].map(c => String(c).trim()).filter(Boolean);
+            if (fallback < 0 && cells.length >= 2) fallback = i;
+
+            const score = cells.filter(c => known.has(this.normalizeHeader(c))).length;
+            if (score > best.score) best = { index: i, score };
+        }
+
+        if (best.index >= 0) return best;
+        return { index: fallback >= 0 ? fallback : 0, score: 0 };
+    },
+
+    /**
+     * Pick the sheet whose header row matches the most known headers
+     * (the first sheet with data when nothing matches)
+     * @returns {string} Sheet name
+     */
+    detectSheet(workbook, knownHeaders, matrixFor) {
+        let best = { name: null, score: -1 };
+        workbook.SheetNames.forEach(name => {
+            const matrix = matrixFor(name);
+            if (matrix.length < 2) return;
+            const { score } = this.detectHeaderRow(matrix, knownHeaders);
+            if (score > best.score) best = { name, score };
+        });
+        return best.name || workbook.SheetNames[0];
+    },
+
+    normalizeHeader(header) {
+        return String(header).toLowerCase().replace(/[^a-z0-9]+/g, '');
+    },
+
+    /**
+     * Read a filled-in form as one record. Each row whose first filled cell is
+     * a question takes the next filled cell to its right as the answer (or the
+     * row below, when that holds a lone answer). Questions matching a known
+     * column become that column; fixed cells are read wherever they are.
+     * @param {{name: string, matrix: Array[], firstColumn: number}[]} sheets - Matrices as from sheetToMatrix
+     * @param {Object} [options]
+     * @param {Object} [options.cells] - Column -> address ('B4' or 'Sheet 1'!B4; first sheet by default)
+     * @param {string[]} [options.knownHeaders]
+     * @returns {{headers: string[], rows: Object[]}} One row
+     */
+    parseForm(sheets, options = {}) {
+        const { cells = {}, knownHeaders = [] } = options;
+        const known = new Map(knownHeaders.map(h => [this.normalizeHeader(h), h]));
+        const record = {};
+        const rich = {};
+        let answered = 0;
+
+        const set = (column, value, markup) => {
+            record[column] = value;
+            if (markup) rich[column] = markup;
+        };
+
+        sheets.forEach(({ matrix }) => {
+            this.formAnswers(matrix, known).forEach(({ question, answer, markup }) => {
+                // The same question twice (e.g. a contact name per section) is numbered
+                let column = question;
+                for (let n = 2; column in record; n++) column = `${question} (${n})`;
+                set(column, answer, markup);
+                answered++;
+            });
+        });
+        if (answered < this.formMinAnswers && Object.keys(cells).length === 0) {
+            const found = answered ? `Only ${answered} question${answered !== 1 ? 's' : ''} and answer${answered !== 1 ? 's' : ''}` : 'No questions and answers';
+            throw new Error(`${found} found in the form. If each row is a record, choose the Table layout.`);
+        }
+
+        Object.entries(cells).forEach(([column, address]) => {
+            const { value, markup } = this.formCell(sheets, address);
+            set(column, value, markup);
+        });
+
+        const headers = Object.keys(record);
+        if (Object.keys(rich).length) record[this.richKey] = rich;
+        return { headers, rows: [record] };
+    },
+
+    /**
+     * Question and answer pairs of one sheet, top to bottom
+     * @param {Array[]} matrix
+     * @param {Map<string, string>} known - Normalized header -> column name
+     * @returns {{question: string, answer: string, markup: string|null}[]}
+     */
+    formAnswers(matrix, known) {
+        const pairs = [];
+        const filled = (row) => (row || []).map((cell, c) => ({ c, text: String(cell).trim() })).filter(cell => cell.text);
+        const isQuestion = (text) => /[?:*]$/.test(text) || known.has(this.normalizeHeader(this.formLabel(text)));
+
+        for (let r = 0; r < matrix.length; r++) {
+            const [label, answer] = filled(matrix[r]);
+            if (!label || /^[\d.,\s]+$/.test(label.text)) continue;
+
+            const question = this.formLabel(label.text);
+            const column = known.get(this.normalizeHeader(question)) || question;
+            if (answer) {
+                pairs.push({ question: column, answer: String(matrix[r][answer.c]), markup: this.formMarkup(matrix[r], answer.c) });
+                continue;
+            }
+
+            // Answer on the line below, in a cell of its own
+            const below = filled(matrix[r + 1]);
+            if (below.length === 1 && below[0].c >= label.c && !isQuestion(below[0].text)) {
+                pairs.push({ question: column, answer: String(matrix[r + 1][below[0].c]), markup: this.formMarkup(matrix[r + 1], below[0].c) });
+                r++;
+            } else if (isQuestion(label.text)) {
+                pairs.push({ question: column, answer: '', markup: null }); // Left blank
+            }
+        }
+        return pairs;
+    },
+
+    /**
+     * Question text as a column name: no numbering, required-field star or trailing colon
+     * @param {string} text
+     * @returns {string}
+     */
+    formLabel(text) {
+        return String(text)
+            .replace(/\s+/g, ' ')
+            .replace(/^\(?\d+(\.\d+)*[.)]\s*/, '')
+            .replace(/[\s:*]+$/, '')
+            .trim();
+    },
+
+    formMarkup(row, column) {
+        return row.rich && row.rich[column] ? row.rich[column] : null;
+    },
+
+    /**
+     * Value of a cell given by address
+     * @param {{name: string, matrix: Array[], firstColumn: number}[]} sheets
+     * @param {string} address - 'B4', 'Sheet1!B4' or "'Sheet 1'!B4"
+     * @returns {{value: string, markup: string|null}}
+     */
+    formCell(sheets, address) {
+        const match = String(address).trim().match(/^(?:'?([^'!]+)'?!)?\$?([A-Z]+)\$?(\d+)$/i);
+        if (!match) throw new Error(`"${address}" is not a cell address (e.g. B4 or Sheet1!B4)`);
+
+        const sheet = match[1] ? sheets.find(s => s.name.toLowerCase() === match[1].toLowerCase()) : sheets[0];
+        if (!sheet) throw new Error(`No sheet named "${match[1]}" for cell ${address}`);
+
+        const column = match[2].toUpperCase().split('').reduce((n, letter) => n * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+        const row = sheet.matrix[parseInt(match[3], 10) - 1];
+        const index = column - sheet.firstColumn;
+        const value = row && row[index] !== undefined ? String(row[index]) : '';
+        return { value, markup: row ? this.formMarkup(row, index) : null };
+    },
+
+    /**
+     * Combine one-record results from several files, adding a File column
+     * @param {{fileName: string, headers: string[], rows: Object[]}[]} results
+     * @returns {{headers: string[], rows: Object[]}}
+     */
+    mergeFiles(results) {
+        const headers = [this.fileColumn];
+        results.forEach(result => result.headers.forEach(h => {
+            if (!headers.includes(h)) headers.push(h);
+        }));
+
+        const rows = results.flatMap(result => result.rows.map(row => {
+            const merged = { [this.fileColumn]: result.fileName };
+            headers.forEach(h => {
+                if (h !== this.fileColumn) merged[h] = row[h] !== undefined ? row[h] : '';
+            });
+            if (row[this.richKey]) merged[this.richKey] = row[this.richKey];
+            return merged;
+        }));
+        return { headers, rows };
+    },
+
+    /**
+     * Convert delimited text to header and row objects. The delimiter is
+     * detected unless given (or named by an Excel "sep=" first line).
+     * @param {string} text
+     * @param {Object} [options] - layout and cells, see parseWorkbook
+     * @param {string|null} [options.delimiter]
+     * @returns {{headers: string[], rows: Object[], delimiter: string}}
+     */
+    parseCSVString(text, options = {}) {
+        let delimiter = options.delimiter || null;
+        let firstLine = 1;
+        const sep = text.match(/^sep=(.)\r?\n/i);
+        if (sep) {
+            delimiter = sep[1];
+            text = text.slice(sep[0].length);
+            firstLine = 2;
+        }
+        if (!delimiter) delimiter = this.detectDelimiter(text);
+
+        const lines = this.parseCSVText(text, delimiter, firstLine);
+        if (options.layout === 'form') {
+            return { ...this.parseForm([{ name: 'CSV', matrix: lines, firstColumn: 0 }], options), delimiter };
+        }
+
+        if (lines.length < 2) {
+            throw new Error('CSV must have at least a header row and one data row');
+        }
+
+        const headers = lines[0].map(h => h.trim());
+        const rows = [];
+
+        // A repeated column would keep only its last value in each row
+        const duplicate = headers.find((header, index) => header && headers.indexOf(header) !== index);
+        if (duplicate) {
+            const columns = headers.map((header, index) => index + 1).filter(column => headers[column - 1] === duplicate);
+            throw new Error(`Line ${lines[0].line}: the header row has "${duplicate}" more than once (columns ${columns.join(' and ')}). ` +
+                'Rename one of them.');
+        }
+        // Columns a row must reach (blank headers at the end need no values)
+        const named = headers.reduce((last, header, index) => (header ? index + 1 : last), 0);
+
+        for (let i = 1; i < lines.length; i++) {
+            const line = lines[i];
+            // Skip empty lines
+            if (line.every(cell => !cell || cell.trim() === '')) {
+                continue;
+            }
+
+            // Values past the last column would otherwise be dropped or shift silently
+            if (line.slice(headers.length).some(cell => cell.trim() !== '')) {
+                throw new Error(`Line ${line.line}: ${line.length} values but the header row (line ${lines[0].line}) has ${headers.length} columns. ` +
+                    'Check for an unquoted delimiter in a value.');
+            }
+            // Too few would leave the last columns blank, often because values moved over
+            if (line.length < named) {
+                throw new Error(`Line ${line.line}: ${line.length} value${line.length !== 1 ? 's' : ''} but the header row (line ${lines[0].line}) has ${named} columns. ` +
+                    'Check for a missing delimiter, or a line break in a value without quotes.');
+            }
+
+            const rowObj = {};
+            headers.forEach((header, index) => {
+                rowObj[header] = line[index] !== undefined ? line[index] : '';
+            });
+            rows.push(rowObj);
+        }
+
+        return { headers, rows, delimiter };
+    },
+
+    /**
+     * Parse file contents already in memory (used for uploads and by the Node CLI and server)
+     * @param {Uint8Array|ArrayBuffer} data
+     * @param {string} fileName - Used for the extension
+     * @param {Object} [options] - See parseWorkbook; layout and cells also apply to delimited text
+     *     (JSON records are always rows); delimiter overrides detection for text
+     * @returns {{headers: string[], rows: Object[], preset?: string|null}} A table from a survey
+     *     export has its questions renamed to knownHeaders (see applyPreset)
+     */
+    parseBuffer(data, fileName, options = {}) {
+        const extension = fileName.split('.').pop().toLowerCase();
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+        let result;
+        if (extension in this.textFormats) {
+            try {
+                result = this.parseCSVString(this.decodeText(bytes), { delimiter: this.textFormats[extension], ...options });
+            } catch (error) {
+                throw new Error(`Failed to parse ${extension.toUpperCase()} file: ${error.message}`);
+            }
+        } else if (this.jsonFormats.includes(extension)) {
+            try {
+                result = this.parseJSONString(this.decodeText(bytes), extension !== 'json');
+            } catch (error) {
+                throw new Error(`Failed to parse JSON file: ${error.message}`);
+            }
+        } else if (this.workbookFormats.includes(extension)) {
+            try {
+                const workbook = XLSX.read(bytes, { type: 'array' });
+                result = { ...this.parseWorkbook(workbook, options), workbook };
+            } catch (error) {
+                throw new Error(`Failed to parse ${extension === 'ods' ? 'OpenDocument' : 'Excel'} file: ${error.message}`);
+            }
         } else {
             throw new Error(`Unsupported file format: .${extension}`);
         }
+
+        return options.layout === 'form' ? result : this.applyPreset(result, options.knownHeaders);
     },
 
     /**
-     * Parse Excel file using SheetJS
-     * @param {File} file 
-     * @returns {Promise<{headers: string[], rows: Object[]}>}
+     * The survey export (see presets) the headers come from
+     * @param {string[]} headers
+     * @returns {string|null} Preset key
      */
-    async parseExcel(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+    detectPreset(headers) {
+        const present = new Set(headers.map(h => this.normalizeHeader(h)));
+        return Object.keys(this.presets).find(key => this.presets[key].signatures
+            .some(signature => signature.every(column => present.has(this.normalizeHeader(column))))) || null;
+    },
 
-            reader.onload = (e) => {
-                try {
-                    const data = new Uint8Array(e.target.result);
-                    const workbook = XLSX.read(data, { type: 'array' });
-
-                    // Get first sheet
-                    const sheetName = workbook.SheetNames[0];
-                    const worksheet = workbook.Sheets[sheetName];
-
-                    // Convert to JSON with headers
-                    const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-                        header: 1,
-                        defval: '', // Default empty cells to empty string
-                        raw: false // Use formatted strings (fixes date format issue)
-                    });
-
-                    if (jsonData.length < 2) {
-                        throw new Error('Spreadsheet must have at least a header row and one data row');
-                    }
+    /**
+     * Whether a column is one a survey export adds about the response itself
+     * @param {string} header
+     * @param {string} preset - Key of presets
+     * @returns {boolean}
+     */
+    isMetadata(header, preset) {
+        const { metadata, metadataPattern } = this.presets[preset];
+        return metadata.some(column => this.normalizeHeader(column) === this.normalizeHeader(header))
+            || Boolean(metadataPattern && metadataPattern.test(header));
+    },
 
-                    const headers = jsonData[0].map(h => String(h).trim());
-                    const rows = [];
-
-                    // Convert each row to an object using headers as keys
-                    for (let i = 1; i < jsonData.length; i++) {
-                        const row = jsonData[i];
-                        // Skip completely empty rows
-                        if (row.every(cell => !cell || String(cell).trim() === '')) {
-                            continue;
-                        }
-
-                        const rowObj = {};
-                        headers.forEach((header, index) => {
-                            rowObj[header] = row[index] !== undefined ? String(row[index]) : '';
-                        });
-                        rows.push(rowObj);
-                    }
+    /**
+     * The question in a survey header: without numbering, required markers,
+     * trailing punctuation or a description on following lines, and the
+     * default column when it is a known question
+     * '3. Room types and quantity of each: *' -> 'Room Details (Workload)'
+     * @param {string} header
+     * @returns {string}
+     */
+    questionText(header) {
+        const question = String(header).split(/\r?\n/)[0]
+            .replace(/^\s*(?:Q(?:uestion)?\s*)?\d+\s*[.):-]\s*/i, '')
+            .replace(/\s*\((?:required|optional)\)\s*$/i, '')
+            .replace(/[\s:?*]+$/, '')
+            .trim();
+        const alias = Object.keys(this.questionAliases).find(q => this.normalizeHeader(q) === this.normalizeHeader(question));
+        return alias ? this.questionAliases[alias] : question;
+    },
 
-                    resolve({ headers, rows });
-                } catch (error) {
-                    reject(new Error(`Failed to parse Excel file: ${error.message}`));
-                }
-            };
+    /**
+     * Rename the question headers of a survey export to the known columns
+     * they ask for, so names, rules and mappings keyed on those columns apply
+     * @param {{headers: string[], rows: Object[]}} result
+     * @param {string[]} [knownHeaders]
+     * @returns {{headers: string[], rows: Object[], preset: string|null}} preset is the key of presets
+     */
+    applyPreset(result, knownHeaders = []) {
+        const preset = this.detectPreset(result.headers);
+        if (!preset) return { ...result, preset: null };
+
+        const known = new Map(knownHeaders.map(h => [this.normalizeHeader(h), h]));
+        const renamed = {};
+        result.headers.forEach(header => {
+            if (!header || this.isMetadata(header, preset)) return;
+            const target = known.get(this.normalizeHeader(this.questionText(header)));
+            if (target && target !== header && !result.headers.includes(target) && !Object.values(renamed).includes(target)) {
+                renamed[header] = target;
+            }
+        });
+        if (Object.keys(renamed).length === 0) return { ...result, preset };
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
+        const rename = (header) => renamed[header] || header;
+        const rows = result.rows.map(row => {
+            const copy = {};
+            Object.keys(row).forEach(h => {
+                copy[rename(h)] = row[h];
+            });
+            if (row[this.richKey]) {
+                copy[this.richKey] = {};
+                Object.entries(row[this.richKey]).forEach(([h, markup]) => {
+                    copy[this.richKey][rename(h)] = markup;
+                });
+            }
+            return copy;
         });
+        return { ...result, headers: result.headers.map(rename), rows, preset };
     },
 
     /**
-     * Parse CSV file
-     * @param {File} file 
-     * @returns {Promise<{headers: string[], rows: Object[]}>}
+     * Decode a text file: a byte order mark decides UTF-8 or UTF-16; without
+     * one, UTF-16 is recognised by its zero bytes and anything that is not
+     * valid UTF-8 is read as Windows-1252
+     * @param {Uint8Array} bytes
+     * @returns {string}
      */
-    async parseCSV(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
+    decodeText(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return new TextDecoder('utf-8').decode(bytes.subarray(3));
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) return new TextDecoder('utf-16be').decode(bytes.subarray(2));
 
-            reader.onload = (e) => {
-                try {
-                    const text = e.target.result;
-                    const lines = this.parseCSVText(text);
-
-                    if (lines.length < 2) {
-                        throw new Error('CSV must have at least a header row and one data row');
-                    }
+        // Mostly-ASCII UTF-16 has a zero in every other byte
+        const sample = bytes.subarray(0, 2000);
+        let evenZeros = 0;
+        let oddZeros = 0;
+        sample.forEach((byte, i) => {
+            if (byte === 0) {
+                if (i % 2) oddZeros++;
+                else evenZeros++;
+            }
+        });
+        const half = sample.length / 2;
+        if (half >= 2 && oddZeros > half * 0.4 && evenZeros < half * 0.1) return new TextDecoder('utf-16le').decode(bytes);
+        if (half >= 2 && evenZeros > half * 0.4 && oddZeros < half * 0.1) return new TextDecoder('utf-16be').decode(bytes);
 
-                    const headers = lines[0].map(h => h.trim());
-                    const rows = [];
-
-                    for (let i = 1; i < lines.length; i++) {
-                        const line = lines[i];
-                        // Skip empty lines
-                        if (line.every(cell => !cell || cell.trim() === '')) {
-                            continue;
-                        }
-
-                        const rowObj = {};
-                        headers.forEach((header, index) => {
-                            rowObj[header] = line[index] !== undefined ? line[index] : '';
-                        });
-                        rows.push(rowObj);
-                    }
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            return new TextDecoder('windows-1252').decode(bytes);
+        }
+    },
 
-                    resolve({ headers, rows });
-                } catch (error) {
-                    reject(new Error(`Failed to parse CSV file: ${error.message}`));
-                }
-            };
+    /**
+     * Pick the delimiter that splits the first lines into the same number of
+     * values most consistently (quoted values are ignored)
+     * @param {string} text
+     * @returns {string}
+     */
+    detectDelimiter(text) {
+        const lines = text.replace(/"(?:[^"]|"")*"/g, '').split(/\r\n|\n|\r/).filter(line => line.trim()).slice(0, 20);
+        let best = { delimiter: ',', score: 0 };
 
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
+        this.delimiters.forEach(delimiter => {
+            const counts = lines.map(line => line.split(delimiter).length - 1);
+            if (!counts.length || counts[0] === 0) return;
+            const consistent = counts.filter(count => count === counts[0]).length;
+            const score = consistent * 1000 + counts[0];
+            if (score > best.score) best = { delimiter, score };
         });
+        return best.delimiter;
     },
 
     /**
-     * Parse CSV text handling quoted values and commas within quotes
-     * @param {string} text 
+     * Parse delimited text handling quoted values (with delimiters, quotes and
+     * line breaks inside). Each returned line has a line property: the line
+     * number it starts on.
+     * @param {string} text
+     * @param {string} [delimiter]
+     * @param {number} [firstLine] - Number of the first line of text, for messages
      * @returns {string[][]}
+     * @throws {Error} "Line N: ..." for a quote left open or text after a closing quote
      */
-    parseCSVText(text) {
+    parseCSVText(text, delimiter = ',', firstLine = 1) {
         const lines = [];
         let currentLine = [];
         let currentValue = '';
         let insideQuotes = false;
+        let lineNumber = firstLine;
+        let lineStart = firstLine;
+        let quoteLine = firstLine;
+        let fieldStart = true; // Nothing but spaces in the value so far
+
+        const endLine = () => {
+            currentLine.push(currentValue);
+            currentLine.line = lineStart;
+            lines.push(currentLine);
+            currentLine = [];
+            currentValue = '';
+            fieldStart = true;
+        };
 
         for (let i = 0; i < text.length; i++) {
             const char = text[i];
             const nextChar = text[i + 1];
+            const newline = char === '\n' || char === '\r';
+            const newlineLength = char === '\r' && nextChar === '\n' ? 2 : 1;
 
-            if (char === '"') {
-                if (insideQuotes && nextChar === '"') {
+            if (insideQuotes) {
+                if (char === '"' && nextChar === '"') {
                     // Escaped quote
                     currentValue += '"';
                     i++;
+                } else if (char === '"') {
+                    insideQuotes = false;
+                    while (text[i + 1] === ' ' && delimiter !== ' ') i++; // Spaces before the delimiter
+                    const after = text[i + 1];
+                    if (after !== undefined && after !== delimiter && after !== '\n' && after !== '\r') {
+                        throw new Error(`Line ${lineNumber}: unexpected text after a closing quote; quotes inside a quoted value must be doubled ("")`);
+                    }
                 } else {
-                    // Toggle quote mode
-                    insideQuotes = !insideQuotes;
+                    if (newline) {
+                        lineNumber++;
+                        if (newlineLength === 2) i++;
+                        currentValue += '\n';
+                    } else {
+                        currentValue += char;
+                    }
                 }
-            } else if (char === ',' && !insideQuotes) {
-                currentLine.push(currentValue);
+            } else if (char === '"' && fieldStart) {
+                insideQuotes = true;
+                quoteLine = lineNumber;
                 currentValue = '';
-            } else if ((char === '\n' || (char === '\r' && nextChar === '\n')) && !insideQuotes) {
+                fieldStart = false;
+            } else if (char === delimiter) {
                 currentLine.push(currentValue);
-                lines.push(currentLine);
-                currentLine = [];
                 currentValue = '';
-                if (char === '\r') i++; // Skip \n in \r\n
-            } else if (char !== '\r') {
+                fieldStart = true;
+            } else if (newline) {
+                endLine();
+                lineNumber++;
+                lineStart = lineNumber;
+                if (newlineLength === 2) i++; // Skip \n in \r\n
+            } else {
+                // A quote inside an unquoted value is kept as text
                 currentValue += char;
+                if (char !== ' ') fieldStart = false;
             }
         }
 
-        // Don't forget the last value/line
-        if (currentValue || currentLine.length > 0) {
-            currentLine.push(currentValue);
-            lines.push(currentLine);
+        if (insideQuotes) {
+            throw new Error(`Line ${quoteLine}: a quoted value is never closed`);
         }
 
+        // Don't forget the last value/line
+        if (currentValue || currentLine.length > 0) endLine();
+
         return lines;
+    },
+
+    /**
+     * Read JSON records as rows: an array of objects, an object wrapping one
+     * (e.g. { "value": [...] } from Power Automate), a single object, or one
+     * object per line (NDJSON). Nested values are flattened to "parent.child"
+     * columns; lists of plain values are joined one per line.
+     * @param {string} text
+     * @param {boolean} [lines] - NDJSON (also tried when the text is not one JSON value)
+     * @returns {{headers: string[], rows: Object[]}}
+     * @throws {Error} "Line N: ..." for invalid JSON
+     */
+    parseJSONString(text, lines = false) {
+        let records;
+        if (!lines) {
+            try {
+                records = JSON.parse(text);
+            } catch (error) {
+                if (!/^\s*\{[^\n]*\}\s*\r?\n\s*\{/.test(text)) throw new Error(this.jsonError(error, text));
+            }
+        }
+        if (records === undefined) {
+            records = [];
+            text.split(/\r?\n/).forEach((line, i) => {
+                if (!line.trim()) return;
+                try {
+                    records.push(JSON.parse(line));
+                } catch (error) {
+                    throw new Error(`Line ${i + 1}: ${error.message}`);
+                }
+            });
+        }
+
+        if (records && typeof records === 'object' && !Array.isArray(records)) {
+            const key = this.jsonRecordKeys.find(k => Array.isArray(records[k]))
+                || Object.keys(records).find(k => Array.isArray(records[k]) && records[k].length && records[k].every(r => r && typeof r === 'object'));
+            records = key ? records[key] : [records];
+        }
+        if (!Array.isArray(records) || records.length === 0) {
+            throw new Error('No records found (expected an array of objects)');
+        }
+
+        const headers = [];
+        const rows = records.map((record, i) => {
+            if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                throw new Error(`${lines ? 'Line' : 'Record'} ${i + 1} is not an object`);
+            }
+            const row = this.flattenRecord(record);
+            Object.keys(row).forEach(h => {
+                if (!headers.includes(h)) headers.push(h);
+            });
+            return row;
+        });
+        rows.forEach(row => headers.forEach(h => {
+            if (row[h] === undefined) row[h] = '';
+        }));
+
+        return { headers, rows };
+    },
+
+    /**
+     * One JSON object as column -> text
+     * @param {Object} record
+     * @param {string} [prefix]
+     * @returns {Object}
+     */
+    flattenRecord(record, prefix = '') {
+        const row = {};
+        Object.entries(record).forEach(([key, value]) => {
+            const column = prefix + key.trim();
+            if (value === null || value === undefined) {
+                row[column] = '';
+            } else if (Array.isArray(value)) {
+                row[column] = value.every(v => v === null || typeof v !== 'object')
+                    ? value.filter(v => v !== null).join('\n')
+                    : JSON.stringify(value);
+            } else if (typeof value === 'object') {
+                Object.assign(row, this.flattenRecord(value, `${column}.`));
+            } else {
+                row[column] = String(value);
+            }
+        });
+        return row;
+    },
+
+    /**
+     * JSON.parse's message with the line the error is on (browsers report
+     * a line, a position or a snippet of the text around the error)
+     * @param {SyntaxError} error
+     * @param {string} text
+     * @returns {string}
+     */
+    jsonError(error, text) {
+        const message = error.message;
+        const reported = message.match(/line (\d+)/);
+        const position = message.match(/position (\d+)/);
+        const snippet = message.match(/"(?:\.\.\.)?([\s\S]+?)(?:\.\.\.)?" is not valid JSON/);
+
+        let line = reported ? Number(reported[1]) : null;
+        if (!line && position) line = text.slice(0, Number(position[1])).split('\n').length;
+        if (!line && snippet && text.indexOf(snippet[1]) !== -1) line = text.slice(0, text.indexOf(snippet[1])).split('\n').length;
+        return line ? `Line ${line}: ${message}` : message;
     }
 };
 
@@ -0,0 +1,37 @@
+/**
+ * Pdf Module
+ * Turns a rendered DOCX into a PDF by sending it to the server, which
+ * converts it with LibreOffice (POST /api/convert/pdf). The PDF has real,
+ * selectable text laid out as an office suite lays out the DOCX. Needs the
+ * app opened from the format-docs server, with LibreOffice installed there.
+ */
+
+const Pdf = {
+    url: 'api/convert/pdf',
+    docxType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+
+    /**
+     * Convert a rendered document
+     * @param {Blob} docx - DOCX made by Generator.generateOutputs
+     * @returns {Promise<Blob>}
+     */
+    async fromDocx(docx) {
+        let response;
+        try {
+            response = await fetch(this.url, { method: 'POST', headers: { 'Content-Type': this.docxType }, body: docx });
+        } catch (error) {
+            throw new Error('PDF output needs the format-docs server, which could not be reached');
+        }
+        if (response.status === 404) throw new Error('PDF output needs the app opened from the format-docs server');
+        if (!response.ok) {
+            const { error } = await response.json().catch(() => ({}));
+            throw new Error(error || `PDF conversion failed (HTTP ${response.status})`);
+        }
+        return response.blob();
+    }
+};
+
+// Generator uses this for PDF output in the browser
+Generator.pdfRenderer = (zip, docx) => Pdf.fromDocx(docx);
+
+window.Pdf = Pdf;
@@ -1,6 +1,7 @@
 /**
  * Preview Module
- * Handles document preview rendering
+ * Handles document preview rendering: the generated DOCX laid out in pages
+ * (see DocxHtml), or the HTML template when a template has no DOCX
  */
 
 const Preview = {
@@ -10,6 +11,13 @@ const Preview = {
     // Current data
     rows: [],
     currentIndex: 0,
+    renderedIndex: -1,
+
+    // 'docx' shows the generated document, 'html' the HTML template
+    mode: 'docx',
+    zoom: 1,
+    zoomLevels: [0.5, 0.75, 0.9, 1, 1.25, 1.5, 2],
+    pageCount: 0,
 
     /**
      * Initialize the preview module
@@ -26,6 +34,7 @@ const Preview = {
     setRows(rows) {
         this.rows = rows;
         this.currentIndex = 0;
+        this.renderedIndex = -1;
     },
 
     /**
@@ -37,13 +46,118 @@ const Preview = {
         }
 
         const row = this.rows[this.currentIndex];
-        const filledHtml = Generator.fillHtmlTemplate(row);
+        const mode = this.getMode();
+        let filledHtml;
+
+        try {
+            filledHtml = mode === 'docx'
+                ? DocxHtml.convert(Generator.renderZip(row))
+                : Generator.fillHtmlTemplate(row);
+        } catch (error) {
+            console.error('Preview error:', error);
+            filledHtml = this.errorHtml(error);
+        }
+
+        // Re-rendering the same row (after an edit) keeps the scroll position
+        const scrollTop = this.renderedIndex === this.currentIndex ? this.iframe.contentWindow.scrollY : 0;
 
         // Write to iframe
         const doc = this.iframe.contentDocument || this.iframe.contentWindow.document;
         doc.open();
         doc.write(filledHtml);
         doc.close();
+        this.renderedIndex = this.currentIndex;
+
+        this.pageCount = mode === 'docx' ? this.paginate(doc) : 0;
+        this.applyZoom();
+        if (scrollTop) this.iframe.contentWindow.scrollTo(0, scrollTop);
+
+        // Show image URLs once they have been downloaded
+        if (Images.unfetched.size) {
+            const index = this.currentIndex;
+            Images.fetchRemote().then(() => {
+                if (this.currentIndex === index) this.render();
+            });
+        }
+    },
+
+    /**
+     * Mode actually used: falls back to HTML when there is no DOCX template
+     * @returns {'docx'|'html'}
+     */
+    getMode() {
+        return this.mode === 'docx' && Generator.docxTemplate ? 'docx' : 'html';
+    },
+
+    /**
+     * Switch between the DOCX layout and the HTML template
+     * @param {'docx'|'html'} mode
+     */
+    setMode(mode) {
+        this.mode = mode;
+        this.render();
+    },
+
+    /**
+     * Step the zoom level up or down
+     * @param {number} direction - 1 to zoom in, -1 to zoom out, 0 to reset
+     * @returns {number} New zoom factor
+     */
+    stepZoom(direction) {
+        if (direction === 0) {
+            this.zoom = 1;
+        } else {
+            const current = this.zoomLevels.findIndex(level => level >= this.zoom);
+            const next = Math.min(Math.max(current + direction, 0), this.zoomLevels.length - 1);
+            this.zoom = this.zoomLevels[next];
+        }
+        this.applyZoom();
+        return this.zoom;
+    },
+
+    applyZoom() {
+        const doc = this.iframe && this.iframe.contentDocument;
+        if (!doc || !doc.body) return;
+        const target = doc.querySelector('.pages') || doc.body;
+        target.style.zoom = this.zoom;
+    },
+
+    /**
+     * Move blocks that overflow a page onto following pages.
+     * Blocks are not split, so a table taller than a page keeps its own page.
+     * @param {Document} doc
+     * @returns {number} Number of pages
+     */
+    paginate(doc) {
+        const pages = [...doc.querySelectorAll('.page')];
+
+        for (let i = 0; i < pages.length; i++) {
+            const page = pages[i];
+            const body = page.querySelector('.page-body');
+            const style = doc.defaultView.getComputedStyle(page);
+            const limit = parseFloat(style.minHeight) - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+            const blocks = [...body.children];
+
+            const overflow = blocks.findIndex((block, b) => b > 0 && block.offsetTop - body.offsetTop + block.offsetHeight > limit);
+            if (overflow === -1) continue;
+
+            const next = page.cloneNode(true);
+            const nextBody = next.querySelector('.page-body');
+            nextBody.innerHTML = '';
+            blocks.slice(overflow).forEach(block => nextBody.appendChild(block));
+            page.after(next);
+            pages.splice(i + 1, 0, next);
+        }
+
+        return pages.length;
+    },
+
+    errorHtml(error) {
+        return `<!DOCTYPE html><html><head><meta charset="UTF-8"><style>
+            body { font-family: 'Segoe UI', sans-serif; color: #333; padding: 40px; }
+            h1 { color: #b91c1c; font-size: 1.25rem; }
+        </style></head><body><h1>This row could not be previewed</h1>
+        <p>${Generator.escapeHtml(error.message)}</p></body></html>`;
     },
 
     /**
@@ -110,6 +224,7 @@ const Preview = {
     clear() {
         this.rows = [];
         this.currentIndex = 0;
+        this.renderedIndex = -1;
 
         if (this.iframe) {
             const doc = this.iframe.contentDocument || this.iframe.contentWindow.document;
@@ -0,0 +1,462 @@
+/**
+ * RichText Module
+ * Markdown-lite in cell values, for columns or tags with the markdown format
+ * ([INSERT_FUNCTIONAL_REQUIREMENTS | markdown], or "markdown" as the column format):
+ *   - item / * item / • item     bullets (indent to nest, up to three levels)
+ *   1. item / 1) item            numbered list, restarting for each list
+ *   **bold**  *italic*  _italic_ ***both***   (\* for a literal asterisk)
+ *   blank line                   new paragraph; a single newline is a line break
+ * Excel rich text (bold and italic runs) is read as the same markup by Parser.
+ *
+ * In the DOCX the paragraph holding the tag is replaced by real Word paragraphs,
+ * bullets and numbering; the preview gets the matching HTML.
+ */
+
+const RichText = {
+    // Filter name that switches a tag or column to rich text
+    filter: 'markdown',
+
+    // Key in the render data listing the tags whose column has the markdown format (see Generator.buildData)
+    dataKey: '$markdown',
+
+    listPattern: /^(\s*)([-*•+]|\d+[.)])\s+(.*)$/,
+    maxLevel: 2,
+
+    // Blocks placed by the DOCX render in progress (see docxToken and embed)
+    pending: [],
+    marker: '\u2063RICH', // Invisible separator, as in Images
+
+    /**
+     * Whether a filter list asks for rich text
+     * @param {{name: string}[]} filters
+     * @returns {boolean}
+     */
+    isRich(filters) {
+        return filters.some(filter => filter.name === this.filter);
+    },
+
+    /**
+     * Whether a tag renders as rich text: by its own filter or its column's format
+     * @param {string} name
+     * @param {{name: string}[]} filters
+     * @param {Object} data - Root render data
+     * @returns {boolean}
+     */
+    isRichTag(name, filters, data) {
+        return this.isRich(filters) || Boolean(data && data[this.dataKey] && data[this.dataKey].includes(name));
+    },
+
+    /**
+     * Split text into paragraphs and list items
+     * @param {string} text
+     * @returns {{type: 'paragraph'|'bullet'|'number', level: number, list: number, runs: Object[]}[]}
+     */
+    parse(text) {
+        const blocks = [];
+        let paragraph = null; // Lines of the paragraph being read
+        let indents = []; // Indent of each nesting level in the current list
+        let list = 0; // Bumped whenever a paragraph or blank line interrupts a list
+        let gap = false;
+
+        const closeParagraph = () => {
+            if (paragraph) blocks.push({ type: 'paragraph', level: 0, list: 0, runs: this.parseInline(paragraph.join('\n')) });
+            paragraph = null;
+        };
+
+        String(text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            const item = line.match(this.listPattern);
+            if (item) {
+                closeParagraph();
+                const indent = item[1].replace(/\t/g, '    ').length;
+                while (indents.length && indents[indents.length - 1] > indent) indents.pop();
+                if (!indents.length || indents[indents.length - 1] < indent) indents.push(indent);
+
+                const last = blocks[blocks.length - 1];
+                if (!last || last.type === 'paragraph' || gap) list++;
+                gap = false;
+                blocks.push({
+                    type: /\d/.test(item[2]) ? 'number' : 'bullet',
+                    level: Math.min(indents.length - 1, this.maxLevel),
+                    list,
+                    runs: this.parseInline(item[3])
+                });
+            } else if (!line.trim()) {
+                closeParagraph();
+                indents = [];
+                gap = true;
+            } else if (!paragraph && indents.length && /^\s/.test(line)) {
+                // Indented line under a list item continues that item
+                const last = blocks[blocks.length - 1];
+                last.runs.push({ break: true }, ...this.parseInline(line.trim()));
+            } else {
+                indents = [];
+                (paragraph || (paragraph = [])).push(line);
+            }
+        });
+        closeParagraph();
+
+        return blocks;
+    },
+
+    /**
+     * Split a line into runs with bold and italic flags
+     * @param {string} text
+     * @returns {{text?: string, bold?: boolean, italic?: boolean, break?: boolean}[]}
+     */
+    parseInline(text) {
+        const runs = [];
+        let buffer = '';
+        let bold = false;
+        let italic = null; // '*' or '_' while inside italics
+
+        const flush = () => {
+            if (buffer) runs.push({ text: buffer, bold, italic: Boolean(italic) });
+            buffer = '';
+        };
+        const word = (char) => /[\p{L}\p{N}]/u.test(char || '');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\' && /[*_\\]/.test(text[i + 1] || '')) {
+                buffer += text[++i];
+            } else if (char === '\n') {
+                flush();
+                runs.push({ break: true });
+            } else if (text.startsWith('**', i) && (bold || this.closes(text, '**', i + 2))) {
+                flush();
+                bold = !bold;
+                i++;
+            } else if (char === '*' && (italic === '*' || (!italic && this.closes(text, '*', i + 1)))) {
+                flush();
+                italic = italic ? null : '*';
+            } else if (char === '_' && italic === '_' && !word(text[i + 1])) {
+                flush();
+                italic = null;
+            } else if (char === '_' && !italic && !word(text[i - 1]) && this.closes(text, '_', i + 1)) {
+                // Underscores inside words (file_name) are not italics
+                flush();
+                italic = '_';
+            } else {
+                buffer += char;
+            }
+        }
+        flush();
+        return runs;
+    },
+
+    /**
+     * Whether a marker opened at `from` is closed later on, around some text
+     */
+    closes(text, marker, from) {
+        if (/\s/.test(text[from] || ' ')) return false;
+        const end = text.indexOf(marker, from + 1);
+        return end > from;
+    },
+
+    /**
+     * Text without inline markup; list markers and line breaks are kept
+     * @param {string} text
+     * @returns {string}
+     */
+    toPlain(text) {
+        return String(text || '').replace(/\r\n?/g, '\n').split('\n').map(line => {
+            const item = line.match(this.listPattern);
+            const content = item ? item[3] : line;
+            const plain = this.parseInline(content).map(run => (run.break ? '\n' : run.text)).join('');
+            return item ? `${item[1]}${item[2]} ${plain}` : plain;
+        }).join('\n');
+    },
+
+    /**
+     * Markup for Excel rich text runs (SheetJS cell.r), or null when no run is bold or italic
+     * @param {string} xml - e.g. '<r><rPr><b/></rPr><t>video</t></r>'
+     * @returns {string|null}
+     */
+    fromExcelRuns(xml) {
+        const runs = [];
+        for (const match of String(xml || '').matchAll(/<r>([\s\S]*?)<\/r>/g)) {
+            const props = (match[1].match(/<rPr>([\s\S]*?)<\/rPr>/) || [])[1] || '';
+            const on = (tag) => new RegExp(`<${tag}(\\s+val="(1|true)")?\\s*/>`).test(props);
+            const text = [...match[1].matchAll(/<t[^>]*>([\s\S]*?)<\/t>/g)].map(t => this.decodeXml(t[1])).join('');
+            runs.push({ text, bold: on('b'), italic: on('i') });
+        }
+        if (!runs.some(run => run.bold || run.italic)) return null;
+
+        return runs.map(run => {
+            const marker = (run.bold ? '**' : '') + (run.italic ? '*' : '');
+            const escaped = run.text.replace(/([\\*_])/g, '\\$1');
+            if (!marker) return escaped;
+            // Markers go round each line's text, leaving spaces and line breaks outside
+            return escaped.split('\n').map(line => {
+                const [, lead, body, trail] = line.match(/^(\s*)([\s\S]*?)(\s*)$/);
+                return body ? `${lead}${marker}${body}${[...marker].reverse().join('')}${trail}` : line;
+            }).join('\n');
+        }).join('');
+    },
+
+    /**
+     * Preview HTML; a single paragraph comes out inline so it can sit inside a <p>
+     * @param {string} text
+     * @returns {string}
+     */
+    toHtml(text) {
+        const blocks = this.parse(text);
+        if (blocks.length === 1 && blocks[0].type === 'paragraph') return this.runsHtml(blocks[0].runs);
+
+        let html = '';
+        const open = []; // Stack of open list tags
+        const closeTo = (depth) => {
+            while (open.length > depth) html += `</li></${open.pop()}>`;
+        };
+
+        blocks.forEach((block, i) => {
+            if (block.type === 'paragraph') {
+                closeTo(0);
+                html += `<p>${this.runsHtml(block.runs)}</p>`;
+                return;
+            }
+            const tag = block.type === 'number' ? 'ol' : 'ul';
+            const previous = blocks[i - 1];
+            const sameList = previous && previous.type !== 'paragraph' && previous.list === block.list;
+            if (!sameList) closeTo(0);
+
+            closeTo(block.level + 1);
+            if (open.length === block.level + 1 && open[block.level] !== tag) closeTo(block.level);
+            if (open.length === block.level + 1) {
+                html += '</li><li>';
+            } else {
+                while (open.length < block.level + 1) {
+                    open.push(tag);
+                    html += `<${tag}><li>`;
+                }
+            }
+            html += this.runsHtml(block.runs);
+        });
+        closeTo(0);
+        return html;
+    },
+
+    runsHtml(runs) {
+        return runs.map(run => {
+            if (run.break) return '<br>';
+            let html = this.escapeXml(run.text);
+            if (run.italic) html = `<em>${html}</em>`;
+            if (run.bold) html = `<strong>${html}</strong>`;
+            return html;
+        }).join('');
+    },
+
+    /**
+     * Text marker for rich text in the DOCX being rendered; embed() swaps it for paragraphs
+     * @param {string} text
+     * @returns {string}
+     */
+    docxToken(text) {
+        if (!String(text || '').trim()) return '';
+        this.pending.push(this.parse(text));
+        return `${this.marker}${this.pending.length - 1}${this.marker}`;
+    },
+
+    /**
+     * Replace rich text markers in a rendered package with Word paragraphs and lists,
+     * adding the numbering definitions they use
+     * @param {PizZip} zip
+     */
+    embed(zip) {
+        const pending = this.pending;
+        this.pending = [];
+        if (!pending.length) return;
+
+        const numbering = this.numbering(zip);
+        const marker = new RegExp(`${this.marker}(\\d+)${this.marker}`);
+
+        Object.keys(zip.files).filter(name => /^word\/[^/]+\.xml$/.test(name)).forEach(part => {
+            let xml = zip.file(part).asText();
+            if (!xml.includes(this.marker)) return;
+
+            let match;
+            while ((match = marker.exec(xml)) !== null) {
+                xml = this.replaceParagraph(xml, match.index, match[0], pending[Number(match[1])], numbering, `${part}-${match[1]}`);
+            }
+            zip.file(part, xml);
+        });
+
+        numbering.save();
+    },
+
+    /**
+     * Swap the paragraph holding a marker for the rendered blocks. Text before and after
+     * the marker stays in paragraphs of its own; a single plain paragraph is kept inline.
+     */
+    replaceParagraph(xml, at, token, blocks, numbering, key) {
+        const start = Math.max(xml.lastIndexOf('<w:p>', at), xml.lastIndexOf('<w:p ', at));
+        const end = xml.indexOf('</w:p>', at) + '</w:p>'.length;
+        const paragraph = xml.slice(start, end);
+        const offset = at - start;
+
+        const pOpen = paragraph.match(/^<w:p(?:\s[^>]*)?>/)[0];
+        const pPr = (paragraph.match(/^<w:p(?:\s[^>]*)?>\s*(<w:pPr>[\s\S]*?<\/w:pPr>)/) || [])[1] || '';
+        const runStart = Math.max(paragraph.lastIndexOf('<w:r>', offset), paragraph.lastIndexOf('<w:r ', offset));
+        const rPr = (paragraph.slice(runStart, offset).match(/<w:rPr>[\s\S]*?<\/w:rPr>/) || [''])[0];
+
+        const before = paragraph.slice(0, offset);
+        const after = paragraph.slice(offset + token.length);
+        const reopen = `<w:r>${rPr}<w:t xml:space="preserve">`;
+
+        if (blocks.length === 1 && blocks[0].type === 'paragraph') {
+            return xml.slice(0, start) + before + '</w:t></w:r>' + this.runsXml(blocks[0].runs, rPr) + reopen + after + xml.slice(end);
+        }
+
+        const hasContent = (part) => /<w:(drawing|pict)\b/.test(part) || part.replace(/<[^>]+>/g, '').trim() !== '';
+        const beforeXml = `${before}</w:t></w:r></w:p>`;
+        const afterXml = `${pOpen}${pPr}${reopen}${after}`;
+
+        const body = blocks.map(block => {
+            const props = block.type === 'paragraph'
+                ? pPr
+                : this.listProps(pPr, numbering.numId(block.type, `${key}-${block.list}`), block.level);
+            return `${pOpen}${props}${this.runsXml(block.runs, rPr)}</w:p>`;
+        }).join('');
+
+        return xml.slice(0, start) +
+            (hasContent(beforeXml) ? beforeXml : '') +
+            body +
+            (hasContent(afterXml) ? afterXml : '') +
+            xml.slice(end);
+    },
+
+    runsXml(runs, rPr) {
+        return runs.map(run => {
+            if (run.break) return `<w:r>${rPr}<w:br/></w:r>`;
+            return `<w:r>${this.runProps(rPr, run)}<w:t xml:space="preserve">${this.escapeXml(run.text)}</w:t></w:r>`;
+        }).join('');
+    },
+
+    /**
+     * Template run properties plus bold/italic, keeping the schema order (rStyle, rFonts, b, bCs, i, iCs, ...)
+     */
+    runProps(rPr, run) {
+        const inner = (rPr.match(/^<w:rPr>([\s\S]*)<\/w:rPr>$/) || [])[1] || '';
+        const rest = inner.replace(/<w:(b|bCs|i|iCs)(\s[^>]*)?\/>/g, '');
+        const lead = (rest.match(/^(\s*<w:(rStyle|rFonts)\b[^>]*\/>)*/) || [''])[0];
+
+        const flags = (run.bold ? '<w:b/><w:bCs/>' : '') + (run.italic ? '<w:i/><w:iCs/>' : '');
+        // Keep the template's own bold/italic on plain runs
+        const kept = run.bold || run.italic ? '' : (inner.match(/<w:(b|bCs|i|iCs)(\s[^>]*)?\/>/g) || []).join('');
+        const props = lead + flags + kept + rest.slice(lead.length);
+        return props ? `<w:rPr>${props}</w:rPr>` : '';
+    },
+
+    /**
+     * Template paragraph properties with list numbering; the numbering's own indent replaces the template's
+     */
+    listProps(pPr, numId, level) {
+        const inner = ((pPr.match(/^<w:pPr>([\s\S]*)<\/w:pPr>$/) || [])[1] || '')
+            .replace(/<w:numPr>[\s\S]*?<\/w:numPr>/, '')
+            .replace(/<w:ind\b[^>]*\/>/, '');
+        const lead = (inner.match(/^(\s*<w:(pStyle|keepNext|keepLines|pageBreakBefore|widowControl)\b[^>]*\/>)*/) || [''])[0];
+        const numPr = `<w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="${numId}"/></w:numPr>`;
+        return `<w:pPr>${lead}${numPr}${inner.slice(lead.length)}</w:pPr>`;
+    },
+
+    /**
+     * Numbering definitions for the lists in one document, written to word/numbering.xml
+     * (created, with its relationship and content type, when the template has none)
+     * @param {PizZip} zip
+     */
+    numbering(zip) {
+        const path = 'word/numbering.xml';
+        const existing = zip.file(path);
+        let xml = existing ? existing.asText()
+            : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+              '<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"></w:numbering>';
+
+        const maxId = (pattern) => Math.max(0, ...[...xml.matchAll(pattern)].map(m => parseInt(m[1], 10)));
+        let nextAbstract = maxId(/<w:abstractNum\b[^>]*w:abstractNumId="(\d+)"/g) + 1;
+        let nextNum = maxId(/<w:num\b[^>]*w:numId="(\d+)"/g) + 1;
+
+        const abstracts = [];
+        const nums = [];
+        const abstractIds = {};
+        const numIds = {};
+
+        const abstractFor = (type) => {
+            if (!abstractIds[type]) {
+                abstractIds[type] = nextAbstract++;
+                abstracts.push(this.abstractNumXml(abstractIds[type], type));
+            }
+            return abstractIds[type];
+        };
+
+        return {
+            // Bullets share one definition; each numbered list gets its own num so it restarts at 1
+            numId: (type, listKey) => {
+                const key = type === 'bullet' ? 'bullet' : listKey;
+                if (!numIds[key]) {
+                    numIds[key] = nextNum++;
+                    nums.push(`<w:num w:numId="${numIds[key]}"><w:abstractNumId w:val="${abstractFor(type)}"/>` +
+                        (type === 'number' ? '<w:lvlOverride w:ilvl="0"><w:startOverride w:val="1"/></w:lvlOverride>' : '') +
+                        '</w:num>');
+                }
+                return numIds[key];
+            },
+            save: () => {
+                if (!nums.length) return;
+                // abstractNum elements must come before every num element
+                const firstNum = xml.search(/<w:num\b/);
+                xml = firstNum === -1
+                    ? xml.replace('</w:numbering>', `${abstracts.join('')}${nums.join('')}</w:numbering>`)
+                    : xml.slice(0, firstNum) + abstracts.join('') + xml.slice(firstNum).replace('</w:numbering>', `${nums.join('')}</w:numbering>`);
+                zip.file(path, xml);
+                if (!existing) this.addNumberingPart(zip);
+            }
+        };
+    },
+
+    abstractNumXml(id, type) {
+        const bullets = ['•', '◦', '▪'];
+        const formats = ['decimal', 'lowerLetter', 'lowerRoman'];
+        const levels = [0, 1, 2].map(level => {
+            const left = 720 * (level + 1);
+            const format = type === 'bullet'
+                ? `<w:numFmt w:val="bullet"/><w:lvlText w:val="${bullets[level]}"/>`
+                : `<w:numFmt w:val="${formats[level]}"/><w:lvlText w:val="%${level + 1}."/>`;
+            return `<w:lvl w:ilvl="${level}"><w:start w:val="1"/>${format}<w:lvlJc w:val="left"/>` +
+                `<w:pPr><w:ind w:left="${left}" w:hanging="360"/></w:pPr></w:lvl>`;
+        }).join('');
+        return `<w:abstractNum w:abstractNumId="${id}"><w:multiLevelType w:val="hybridMultilevel"/>${levels}</w:abstractNum>`;
+    },
+
+    addNumberingPart(zip) {
+        const relsPath = 'word/_rels/document.xml.rels';
+        const relsFile = zip.file(relsPath);
+        const rels = relsFile
+            ? relsFile.asText()
+            : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+              '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+        if (!/relationships\/numbering"/.test(rels)) {
+            zip.file(relsPath, rels.replace('</Relationships>',
+                '<Relationship Id="rIdFdNumbering" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" ' +
+                'Target="numbering.xml"/></Relationships>'));
+        }
+        const types = zip.file('[Content_Types].xml').asText();
+        if (!types.includes('/word/numbering.xml')) {
+            zip.file('[Content_Types].xml', types.replace('</Types>',
+                '<Override PartName="/word/numbering.xml" ' +
+                'ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/></Types>'));
+        }
+    },
+
+    escapeXml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    decodeXml(text) {
+        return text
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+};
+
+// Export for use in other modules
+window.RichText = RichText;
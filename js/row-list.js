@@ -0,0 +1,353 @@
+/**
+ * Row List Module
+ * Searchable, filterable table of the parsed rows beside the preview.
+ * Rows can be ticked for "Generate selected"; clicking a row shows it.
+ *
+ * Filters are { column, op, value, to } and all of them must match:
+ *   contains / is / is not   text, case-insensitive
+ *   empty / not empty
+ *   between                  dates or numbers from value to to (either end optional)
+ */
+
+const RowList = {
+    operators: {
+        contains: 'contains',
+        is: 'is',
+        not: 'is not',
+        empty: 'is empty',
+        filled: 'is not empty',
+        between: 'between'
+    },
+
+    // Columns shown in the table (besides the row number)
+    maxColumns: 4,
+
+    // Rows drawn at once; the rest are still filtered and selectable
+    maxRendered: 500,
+
+    // Panel element and callbacks
+    container: null,
+    onOpen: null, // function(index) - a row was clicked
+    onChange: null, // function() - filters or selection changed
+
+    rows: [],
+    headers: [],
+    search: '',
+    filters: [],
+    selected: new Set(), // Row indexes
+    current: 0, // Row shown in the preview
+
+    /**
+     * Initialize the row list panel
+     * @param {HTMLElement} container
+     * @param {{onOpen: function(number), onChange: function()}} callbacks
+     */
+    init(container, { onOpen, onChange }) {
+        this.container = container;
+        this.onOpen = onOpen;
+        this.onChange = onChange;
+
+        container.addEventListener('input', (e) => {
+            if (e.target.matches('.row-search')) this.search = e.target.value;
+            else if (e.target.matches('[data-filter]')) this.updateFilter(e.target);
+            else return;
+            this.render();
+        });
+
+        container.addEventListener('change', (e) => {
+            if (e.target.matches('select[data-filter]')) {
+                this.updateFilter(e.target);
+                this.renderFilters();
+                this.render();
+            }
+            if (e.target.matches('input[data-row]')) {
+                this.toggle(Number(e.target.dataset.row), e.target.checked);
+                this.renderSummary();
+            }
+            if (e.target.matches('.row-select-all')) {
+                this.selectMatching(e.target.checked);
+                this.render();
+            }
+        });
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                const action = button.dataset.action;
+                if (action === 'add-filter') this.filters.push({ column: this.headers[0], op: 'contains', value: '', to: '' });
+                if (action === 'remove-filter') this.filters.splice(Number(button.dataset.index), 1);
+                if (action === 'clear-selection') this.selected.clear();
+                this.renderFilters();
+                this.render();
+                this.onChange();
+                return;
+            }
+
+            const tr = e.target.closest('tr[data-index]');
+            if (tr && !e.target.matches('input')) this.onOpen(Number(tr.dataset.index));
+        });
+    },
+
+    /**
+     * Start listing a new set of rows (clears search, filters and selection)
+     * @param {Object[]} rows
+     * @param {string[]} headers
+     */
+    setRows(rows, headers) {
+        this.rows = rows;
+        this.headers = headers;
+        this.search = '';
+        this.filters = [];
+        this.selected = new Set();
+        if (!this.container) return;
+        this.container.querySelector('.row-search').value = '';
+        this.renderFilters();
+    },
+
+    updateFilter(input) {
+        const filter = this.filters[Number(input.dataset.index)];
+        if (filter) filter[input.dataset.filter] = input.value;
+    },
+
+    /**
+     * Whether a row passes the search and every filter
+     * @param {Object} row
+     * @param {string} [search]
+     * @param {Object[]} [filters]
+     * @returns {boolean}
+     */
+    matches(row, search = this.search, filters = this.filters) {
+        const needle = search.trim().toLowerCase();
+        if (needle && !Object.values(row).some(value => String(value).toLowerCase().includes(needle))) {
+            return false;
+        }
+        return filters.every(filter => this.matchFilter(String(row[filter.column] || ''), filter));
+    },
+
+    matchFilter(text, { op, value = '', to = '' }) {
+        const lower = text.trim().toLowerCase();
+        const wanted = value.trim().toLowerCase();
+
+        switch (op) {
+            case 'contains': return lower.includes(wanted);
+            case 'is': return lower === wanted;
+            case 'not': return lower !== wanted;
+            case 'empty': return lower === '';
+            case 'filled': return lower !== '';
+            case 'between': return this.inRange(text, value, to);
+            default: return true;
+        }
+    },
+
+    /**
+     * Range check on dates when the value is a date, numbers otherwise.
+     * Empty ends are open; a value that is neither never matches a set range.
+     * @param {string} text
+     * @param {string} from
+     * @param {string} to
+     * @returns {boolean}
+     */
+    inRange(text, from, to) {
+        if (!from.trim() && !to.trim()) return true;
+
+        const date = Formatter.parseDate(text);
+        const parse = date ? (v) => Formatter.parseDate(v) : (v) => Formatter.parseNumber(v);
+        const current = date ? date.getTime() : Formatter.parseNumber(text);
+        if (current === null) return false;
+
+        const low = from.trim() ? parse(from) : null;
+        const high = to.trim() ? parse(to) : null;
+        if ((from.trim() && low === null) || (to.trim() && high === null)) return false;
+        return (low === null || current >= +low) && (high === null || current <= +high);
+    },
+
+    /**
+     * Indexes of the rows passing the search and filters
+     * @returns {number[]}
+     */
+    getMatching() {
+        const indexes = [];
+        this.rows.forEach((row, index) => {
+            if (this.matches(row)) indexes.push(index);
+        });
+        return indexes;
+    },
+
+    /**
+     * Ticked rows in row order
+     * @returns {number[]}
+     */
+    getSelected() {
+        return [...this.selected].filter(index => index < this.rows.length).sort((a, b) => a - b);
+    },
+
+    toggle(index, checked) {
+        if (checked) this.selected.add(index);
+        else this.selected.delete(index);
+        this.onChange();
+    },
+
+    /**
+     * Tick or untick every row passing the filters
+     * @param {boolean} checked
+     */
+    selectMatching(checked) {
+        this.getMatching().forEach(index => (checked ? this.selected.add(index) : this.selected.delete(index)));
+        this.onChange();
+    },
+
+    /**
+     * Columns shown in the table: mapped columns first, in mapping order
+     * @returns {string[]}
+     */
+    getColumns() {
+        const mapped = Object.keys(Generator.mappings).filter(column => Generator.mappings[column] && this.headers.includes(column));
+        const rest = this.headers.filter(column => !mapped.includes(column));
+        return [...mapped, ...rest].slice(0, this.maxColumns);
+    },
+
+    /**
+     * Draw the table for the current search and filters
+     * @param {number} [current] - Row shown in the preview
+     */
+    render(current = this.current) {
+        this.current = current;
+        if (!this.container) return;
+        const matching = this.getMatching();
+        const columns = this.getColumns();
+
+        const head = this.container.querySelector('thead tr');
+        head.innerHTML = '<th><input type="checkbox" class="row-select-all" title="Select all shown rows"></th><th>#</th>';
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column;
+            head.appendChild(th);
+        });
+
+        const selectAll = head.querySelector('.row-select-all');
+        const ticked = matching.filter(index => this.selected.has(index)).length;
+        selectAll.checked = matching.length > 0 && ticked === matching.length;
+        selectAll.indeterminate = ticked > 0 && ticked < matching.length;
+
+        const body = this.container.querySelector('tbody');
+        body.innerHTML = '';
+        matching.slice(0, this.maxRendered).forEach(index => {
+            const tr = document.createElement('tr');
+            tr.dataset.index = index;
+            tr.classList.toggle('current', index === current);
+            tr.classList.toggle('invalid', Validator.getIssues(index).length > 0);
+
+            const check = document.createElement('td');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.dataset.row = index;
+            checkbox.checked = this.selected.has(index);
+            check.appendChild(checkbox);
+
+            const number = document.createElement('td');
+            number.textContent = index + 1;
+            tr.append(check, number);
+
+            columns.forEach(column => {
+                const td = document.createElement('td');
+                td.textContent = String(this.rows[index][column] || '').split('\n')[0];
+                td.title = this.rows[index][column] || '';
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        });
+
+        if (matching.length > this.maxRendered) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = columns.length + 2;
+            td.className = 'row-more';
+            td.textContent = `…and ${matching.length - this.maxRendered} more. Narrow the search to see them.`;
+            tr.appendChild(td);
+            body.appendChild(tr);
+        }
+
+        this.renderSummary(matching.length);
+    },
+
+    /**
+     * Highlight the row shown in the preview without redrawing the table
+     * @param {number} index
+     */
+    markCurrent(index) {
+        this.current = index;
+        if (!this.container) return;
+        this.container.querySelectorAll('tbody tr[data-index]').forEach(tr => {
+            tr.classList.toggle('current', Number(tr.dataset.index) === index);
+        });
+    },
+
+    renderSummary(shown = this.getMatching().length) {
+        const selected = this.getSelected().length;
+        const badge = this.container.querySelector('.health-badge');
+        badge.textContent = `${shown} of ${this.rows.length} shown · ${selected} selected`;
+        badge.classList.toggle('success', selected > 0);
+        this.container.querySelector('button[data-action="clear-selection"]').disabled = selected === 0;
+    },
+
+    /**
+     * Draw the filter rows (column, operator, value)
+     */
+    renderFilters() {
+        const list = this.container.querySelector('.row-filters');
+        list.innerHTML = '';
+
+        this.filters.forEach((filter, index) => {
+            const item = document.createElement('div');
+            item.className = 'row-filter';
+
+            const column = document.createElement('select');
+            column.className = 'form-select';
+            this.headers.forEach(header => column.add(new Option(header, header)));
+            column.value = filter.column;
+
+            const op = document.createElement('select');
+            op.className = 'form-select';
+            Object.entries(this.operators).forEach(([value, label]) => op.add(new Option(label, value)));
+            op.value = filter.op;
+
+            [column, op].forEach((select, i) => {
+                select.dataset.filter = i === 0 ? 'column' : 'op';
+                select.dataset.index = index;
+            });
+            item.append(column, op);
+
+            const inputs = filter.op === 'between' ? ['value', 'to'] : ['empty', 'filled'].includes(filter.op) ? [] : ['value'];
+            inputs.forEach(key => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'form-select';
+                input.dataset.filter = key;
+                input.dataset.index = index;
+                input.value = filter[key] || '';
+                input.placeholder = filter.op === 'between' ? (key === 'value' ? 'From' : 'To') : 'Value';
+                item.appendChild(input);
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'link-btn';
+            remove.dataset.action = 'remove-filter';
+            remove.dataset.index = index;
+            remove.textContent = 'Remove';
+            item.appendChild(remove);
+
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Forget rows, filters and selection
+     */
+    clear() {
+        this.setRows([], []);
+        if (this.container) this.container.querySelector('tbody').innerHTML = '';
+    }
+};
+
+// Export for use in other modules
+window.RowList = RowList;
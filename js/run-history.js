@@ -0,0 +1,314 @@
+/**
+ * Run History Module
+ * Records each generation run in IndexedDB: when, from which spreadsheet
+ * (name and SHA-256), with which template versions and settings, the rows
+ * used, the files produced and the rows that failed. Each template DOCX is
+ * kept once per content hash, so a run can be generated again exactly.
+ * Images are not stored; a replay uses the images loaded at the time.
+ */
+
+const RunHistory = {
+    dbName: 'formatDocsHistory',
+    dbVersion: 1,
+    runStore: 'runs',
+    templateStore: 'templates', // Template DOCX by hash: { hash, name, version, docx }
+
+    maxRuns: 200, // Oldest runs (and templates only they used) are removed beyond this
+
+    db: null,
+    hashes: new WeakMap(), // Template object -> DOCX hash, so unchanged templates are hashed once
+
+    /**
+     * Open (and create if needed) the IndexedDB database
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (!window.indexedDB) throw new Error('This browser does not support IndexedDB');
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.runStore)) db.createObjectStore(this.runStore, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(this.templateStore)) db.createObjectStore(this.templateStore, { keyPath: 'hash' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error(`Failed to open the run history: ${request.error}`));
+        });
+        return this.db;
+    },
+
+    /**
+     * Run a request against one store
+     * @param {string} storeName
+     * @param {'readonly'|'readwrite'} mode
+     * @param {function(IDBObjectStore): IDBRequest} action
+     * @returns {Promise<*>}
+     */
+    async request(storeName, mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const req = action(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+            // Quota errors abort the transaction without an error event
+            tx.onabort = () => reject(tx.error || new Error('The run history request was aborted'));
+        });
+    },
+
+    /**
+     * Recorded runs, newest first
+     * @returns {Promise<Object[]>}
+     */
+    async list() {
+        const runs = await this.request(this.runStore, 'readonly', store => store.getAll());
+        return runs.sort((a, b) => b.created.localeCompare(a.created));
+    },
+
+    async get(id) {
+        return this.request(this.runStore, 'readonly', store => store.get(id));
+    },
+
+    async remove(id) {
+        await this.request(this.runStore, 'readwrite', store => store.delete(id));
+        await this.pruneTemplates();
+    },
+
+    async clear() {
+        await this.request(this.runStore, 'readwrite', store => store.clear());
+        await this.request(this.templateStore, 'readwrite', store => store.clear());
+    },
+
+    /**
+     * Describe a finished run
+     * @param {Object} details
+     * @param {{name: string, hash: string|null}} details.source - Spreadsheet the rows came from
+     * @param {Object[]} details.templates - Templates rendered for each row
+     * @param {Object[]} details.rows - One per document (group rows when grouped)
+     * @param {number[]} details.indexes - Document numbers (0-based) of rows
+     * @param {string} details.format - Key of Generator.outputFormats
+     * @param {string[]} details.outputs - Files produced
+     * @param {Object[]} [details.failures] - From Generator.failure
+     * @param {string} [details.scope] - 'single', 'selected' or 'all'
+     * @returns {Promise<Object>} Run record for record()
+     */
+    async createRun({ source, templates, rows, indexes, format, outputs, failures = [], scope = 'all' }) {
+        return {
+            id: `run-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            created: new Date().toISOString(),
+            source: { name: source ? source.name : '', hash: source ? source.hash : null },
+            scope,
+            format,
+            groupColumn: Generator.groupColumn,
+            filenamePattern: Generator.filenamePattern,
+            collision: Generator.collisionStrategy,
+            combineOptions: format === 'combined' ? { ...Generator.combineOptions } : null,
+            templates: await Promise.all(templates.map(template => this.describeTemplate(template))),
+            documents: rows.map((row, i) => ({ index: indexes[i], row: Generator.packRow(row) })),
+            outputs,
+            failures
+        };
+    },
+
+    /**
+     * What a run needs of a template: its version and the mapping used
+     */
+    async describeTemplate(template) {
+        template = template || Generator.activeTemplate;
+        if (!this.hashes.has(template)) this.hashes.set(template, await this.hash(template.docx));
+        return {
+            id: template.id,
+            name: template.name,
+            version: template.version,
+            builtin: Boolean(template.builtin),
+            hash: this.hashes.get(template) || `${template.id}@${template.version}`,
+            mappings: { ...(template.mappings || Generator.mappings) },
+            formats: { ...(template.formats || Generator.formats) }
+        };
+    },
+
+    /**
+     * Save a run and the template files it used
+     * @param {Object} run - From createRun
+     * @param {Object[]} templates - The template objects passed to createRun
+     */
+    async record(run, templates) {
+        for (const [i, template] of templates.entries()) {
+            const { hash, name, version } = run.templates[i];
+            const stored = await this.request(this.templateStore, 'readonly', store => store.count(hash));
+            if (!stored) {
+                const docx = (template || Generator.activeTemplate).docx;
+                await this.request(this.templateStore, 'readwrite', store => store.put({ hash, name, version, docx }));
+            }
+        }
+        await this.request(this.runStore, 'readwrite', store => store.put(run));
+
+        const runs = await this.list();
+        if (runs.length > this.maxRuns) {
+            const old = runs.slice(this.maxRuns).map(r => r.id);
+            await this.request(this.runStore, 'readwrite', store => old.forEach(id => store.delete(id)));
+            await this.pruneTemplates();
+        }
+    },
+
+    /**
+     * Remove template files no remaining run uses
+     */
+    async pruneTemplates() {
+        const used = new Set((await this.list()).flatMap(run => run.templates.map(t => t.hash)));
+        const hashes = await this.request(this.templateStore, 'readonly', store => store.getAllKeys());
+        const unused = hashes.filter(hash => !used.has(hash));
+        if (unused.length) await this.request(this.templateStore, 'readwrite', store => unused.forEach(hash => store.delete(hash)));
+    },
+
+    /**
+     * The templates of a run as they were, with the mapping it used
+     * @param {Object} run
+     * @returns {Promise<Object[]>}
+     */
+    async loadTemplates(run) {
+        const templates = [];
+        for (const t of run.templates) {
+            const stored = await this.request(this.templateStore, 'readonly', store => store.get(t.hash));
+            if (!stored) throw new Error(`Template "${t.name}" v${t.version} of this run is no longer stored`);
+            templates.push({
+                id: t.id,
+                name: t.name,
+                version: t.version,
+                builtin: t.builtin,
+                docx: stored.docx,
+                html: null,
+                mappings: t.mappings,
+                formats: t.formats
+            });
+        }
+        return templates;
+    },
+
+    /**
+     * The documents of a run as rows ready to generate
+     * @param {Object} run
+     * @returns {{rows: Object[], indexes: number[]}}
+     */
+    loadRows(run) {
+        return {
+            rows: run.documents.map(doc => Generator.unpackRow(doc.row)),
+            indexes: run.documents.map(doc => doc.index)
+        };
+    },
+
+    /**
+     * Files of a batch that were produced (planned names less the failed jobs)
+     * @param {Object[]} jobs - From Generator.planBatch
+     * @param {Object[]} failures - From Generator.failure
+     * @returns {string[]}
+     */
+    producedFiles(jobs, failures) {
+        const failed = (job) => failures.some(f => f.index === job.index && f.template === (job.template || Generator.activeTemplate).name);
+        return jobs.filter(job => !failed(job)).flatMap(job => job.filenames.filter(Boolean));
+    },
+
+    /**
+     * Hex SHA-256 of file contents (null where Web Crypto is unavailable, e.g. plain http)
+     * @param {ArrayBuffer|Uint8Array} data
+     * @returns {Promise<string|null>}
+     */
+    async hash(data) {
+        if (!data || typeof crypto === 'undefined' || !crypto.subtle) return null;
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * 0-based row numbers as a short 1-based list: [0, 1, 2, 6] -> '1-3, 7'
+     * @param {number[]} indexes
+     * @returns {string}
+     */
+    formatRows(indexes) {
+        const sorted = [...new Set(indexes)].sort((a, b) => a - b);
+        const ranges = [];
+        sorted.forEach(index => {
+            const last = ranges[ranges.length - 1];
+            if (last && index === last[1] + 1) last[1] = index;
+            else ranges.push([index, index]);
+        });
+        return ranges.map(([from, to]) => from === to ? `${from + 1}` : `${from + 1}-${to + 1}`).join(', ');
+    },
+
+    /**
+     * Compare the data two runs used, client by client (see diffRows)
+     * @param {Object} before - Older run
+     * @param {Object} after - Newer run
+     * @returns {Object} From diffRows
+     */
+    diff(before, after) {
+        return this.diffRows(this.runRows(before), this.runRows(after));
+    },
+
+    /**
+     * Compare two sets of rows client by client (the Client column; rows
+     * without one are matched by row number)
+     * @param {{index: number, values: Object}[]} before
+     * @param {{index: number, values: Object}[]} after
+     * @param {boolean} [sharedOnly] - Compare only the columns both rows have
+     * @returns {{changed: {client: string, changes: {column: string, before: string, after: string}[]}[],
+     *     added: string[], removed: string[], unchanged: number}}
+     */
+    diffRows(before, after, sharedOnly = false) {
+        const older = this.rowsByClient(before);
+        const newer = this.rowsByClient(after);
+        const result = { changed: [], added: [], removed: [], unchanged: 0 };
+
+        newer.forEach(({ client, values }, key) => {
+            const previous = older.get(key);
+            if (!previous) {
+                result.added.push(client);
+                return;
+            }
+            const columns = sharedOnly
+                ? Object.keys(values).filter(column => column in previous.values)
+                : [...new Set([...Object.keys(previous.values), ...Object.keys(values)])];
+            const changes = columns
+                .map(column => ({ column, before: String(previous.values[column] ?? ''), after: String(values[column] ?? '') }))
+                .filter(change => change.before !== change.after);
+            if (changes.length) result.changed.push({ client, changes });
+            else result.unchanged++;
+        });
+        older.forEach(({ client }, key) => {
+            if (!newer.has(key)) result.removed.push(client);
+        });
+        return result;
+    },
+
+    /**
+     * The rows of a run, group members separately
+     * @param {Object} run
+     * @returns {{index: number, values: Object}[]}
+     */
+    runRows(run) {
+        return run.documents.flatMap(({ index, row }) => row.group
+            ? row.group.rows.map((member, i) => ({ index: row.group.indexes[i], values: member.values }))
+            : [{ index, values: row.values }]);
+    },
+
+    /**
+     * @param {{index: number, values: Object}[]} rows
+     * @returns {Map<string, {client: string, values: Object}>} Lower-cased client -> row
+     */
+    rowsByClient(rows) {
+        const byClient = new Map();
+        rows.forEach(({ index, values }) => {
+            const client = String(values['Client'] || '').trim() || `Row ${index + 1}`;
+            // The same client twice is matched in order
+            let n = 1;
+            while (byClient.has(`${client.toLowerCase()}\n${n}`)) n++;
+            byClient.set(`${client.toLowerCase()}\n${n}`, { client: n > 1 ? `${client} (${n})` : client, values });
+        });
+        return byClient;
+    }
+};
+
+// Export for use in other modules
+window.RunHistory = RunHistory;
@@ -0,0 +1,228 @@
+/**
+ * Templating Module
+ * docxtemplater-style sections and loops for row data, plus the matching
+ * HTML renderer so the preview follows the same logic as the DOCX
+ *
+ * Template syntax (square-bracket delimiters, as in template.docx):
+ *   [TAG]                       value of a mapped column
+ *   [#TAG] ... [/TAG]           shown only when the value is not empty
+ *   [^TAG] ... [/TAG]           shown only when the value is empty
+ *   [#TAG_ITEMS] [ITEM] [/TAG_ITEMS]
+ *                               repeated once per item of a delimited value
+ *                               (lines, semicolons or bullets); inside the loop
+ *                               [INDEX] is the 1-based position and [COL1], [COL2]...
+ *                               are the parts of an item split on | or tabs
+ *   [TAG | filter:arg | filter] value run through Formatter filters,
+ *                               e.g. [INSERT_DATE | date:"D MMMM YYYY"], [INSERT_BUDGET | currency:NZD]
+ *   [%TAG | width:4cm]          image named by the value (see Images)
+ *   [TAG | markdown]            bullets, numbering, bold and italic (see RichText)
+ *   [#ROWS] [TAG] [/ROWS]       repeated once per row of a group (see Generator.groupRows),
+ *                               e.g. a table row per room; [ROW_COUNT] is the number of rows
+ */
+
+const Templating = {
+    // Suffix of the list version of every mapped tag
+    listSuffix: '_ITEMS',
+
+    // Names available inside a list loop
+    itemFields: ['ITEM', 'INDEX', '.'],
+
+    // Loop over the rows behind a document, and their number
+    rowsTag: 'ROWS',
+    rowCountTag: 'ROW_COUNT',
+
+    // Leading bullet or numbering on a list item: '- ', '* ', '• ', '1. ', '2) '
+    bulletPattern: /^\s*(?:[-*•·▪◦]|\d+[.)])\s*/,
+
+    /**
+     * Split a delimited cell value into list items.
+     * Newlines win over semicolons; bullet and numbering prefixes are removed.
+     * @param {string} value
+     * @returns {string[]}
+     */
+    splitList(value) {
+        const text = String(value || '').trim();
+        if (!text) return [];
+
+        const parts = /\r?\n/.test(text) ? text.split(/\r?\n/) : text.split(';');
+        return parts
+            .map(part => part.replace(this.bulletPattern, '').trim())
+            .filter(Boolean);
+    },
+
+    /**
+     * List items as loop scopes
+     * @param {string} value
+     * @returns {Object[]} [{ ITEM, INDEX, COL1, COL2, ... }]
+     */
+    toItems(value) {
+        return this.splitList(value).map((item, i) => {
+            const scope = { ITEM: item, INDEX: i + 1 };
+            item.split(/\s*(?:\||\t)\s*/).forEach((col, c) => {
+                scope[`COL${c + 1}`] = col;
+            });
+            return scope;
+        });
+    },
+
+    /**
+     * The mappable tag behind a template tag name, or null for loop-scope names.
+     * '#INSERT_BUDGET' -> 'INSERT_BUDGET', 'INSERT_ROOM_DETAILS_ITEMS' -> 'INSERT_ROOM_DETAILS', 'ITEM' -> null
+     * @param {string} name
+     * @returns {string|null}
+     */
+    baseTag(name) {
+        const tag = String(name || '').split('|')[0].trim().replace(/^[#^/%]\s*/, '');
+        if (!tag || this.itemFields.includes(tag) || /^COL\d+$/.test(tag)) return null;
+        if (tag === this.rowsTag || tag === this.rowCountTag) return null;
+        return tag.endsWith(this.listSuffix) ? tag.slice(0, -this.listSuffix.length) : tag;
+    },
+
+    /**
+     * Split a template into a tree of text, tags and sections
+     * @param {string} template
+     * @returns {Object[]}
+     */
+    parse(template) {
+        const root = { children: [] };
+        const stack = [root];
+        const tagRegex = /\[\s*([#^/%]?)\s*([A-Za-z0-9_.]+)\s*((?:\|[^\[\]]*)?)\]/g;
+        let last = 0;
+        let match;
+
+        const text = (value) => {
+            if (value) stack[stack.length - 1].children.push({ type: 'text', value });
+        };
+
+        while ((match = tagRegex.exec(template)) !== null) {
+            text(template.slice(last, match.index));
+            last = tagRegex.lastIndex;
+
+            const [raw, modifier, name, filters] = match;
+            const current = stack[stack.length - 1];
+
+            if (modifier === '#' || modifier === '^') {
+                const section = { type: 'section', name, inverted: modifier === '^', raw, children: [] };
+                current.children.push(section);
+                stack.push(section);
+            } else if (modifier === '/') {
+                if (stack.length > 1 && current.name === name) {
+                    stack.pop();
+                } else {
+                    text(raw); // Stray closing tag stays as text
+                }
+            } else {
+                current.children.push({
+                    type: 'tag',
+                    name,
+                    raw,
+                    image: modifier === '%',
+                    filters: Formatter.parseFilters(filters.slice(1))
+                });
+            }
+        }
+        text(template.slice(last));
+
+        // Unclosed sections: keep the opening tag as text and their content in place
+        while (stack.length > 1) {
+            const section = stack.pop();
+            const parent = stack[stack.length - 1].children;
+            parent.splice(parent.indexOf(section), 1, { type: 'text', value: section.raw }, ...section.children);
+        }
+
+        return root.children;
+    },
+
+    /**
+     * Render a template string against tag data
+     * @param {string} template
+     * @param {Object} data - Tag -> value (strings and item arrays)
+     * @param {function(string): string} [escape] - Applied to every inserted value
+     * @returns {string}
+     */
+    render(template, data, escape = (v) => v) {
+        return this.renderNodes(this.parse(template), [data], escape);
+    },
+
+    renderNodes(nodes, scopes, escape) {
+        return nodes.map(node => {
+            if (node.type === 'text') return node.value;
+
+            const value = this.lookup(node.name, scopes);
+
+            if (node.type === 'tag') {
+                // Unknown names are left alone (they may be ordinary bracketed text)
+                if (value === undefined) return node.raw;
+                if (node.image) return Images.toHtml(value, node.filters);
+                if (typeof value !== 'object' && RichText.isRichTag(node.name, node.filters, scopes[0])) {
+                    const filters = node.filters.filter(filter => filter.name !== RichText.filter);
+                    return RichText.toHtml(Formatter.apply(value, filters));
+                }
+                return escape(Formatter.apply(value, node.filters));
+            }
+
+            const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+            if (node.inverted) {
+                return truthy ? '' : this.renderNodes(node.children, scopes, escape);
+            }
+            if (!truthy) return '';
+            if (Array.isArray(value)) {
+                return value.map(item => this.renderNodes(node.children, [...scopes, item], escape)).join('');
+            }
+            if (typeof value === 'object') {
+                return this.renderNodes(node.children, [...scopes, value], escape);
+            }
+            return this.renderNodes(node.children, scopes, escape);
+        }).join('');
+    },
+
+    /**
+     * Resolve a name from the innermost scope outwards ('.' is the current item)
+     */
+    lookup(name, scopes) {
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            const scope = scopes[i];
+            if (name === '.') return typeof scope === 'object' && scope !== null && 'ITEM' in scope ? scope.ITEM : scope;
+            if (scope && typeof scope === 'object' && name in scope) return scope[name];
+        }
+        return undefined;
+    },
+
+    /**
+     * docxtemplater parser with the same lookup rules as the HTML renderer
+     * (docxtemplater itself walks outward through parent scopes when get() returns undefined)
+     * @param {string} tag
+     * @returns {{get: function(*): *}}
+     */
+    docxParser(tag) {
+        const { name, filters } = Formatter.parse(tag.trim());
+        const plainFilters = filters.filter(filter => filter.name !== RichText.filter);
+        const format = (value, scope) => {
+            if (value === undefined || typeof value === 'object') return value;
+            // Rich text becomes a marker that RichText.embed replaces after the render
+            if (RichText.isRichTag(name, filters, scope)) return RichText.docxToken(Formatter.apply(value, plainFilters));
+            return filters.length ? Formatter.apply(value, filters) : value;
+        };
+
+        // [%TAG] images become markers that Images.embed replaces after the render
+        if (name.startsWith('%')) {
+            const imageName = name.slice(1).trim();
+            return {
+                get(scope) {
+                    const value = scope && typeof scope === 'object' ? scope[imageName] : undefined;
+                    return value === undefined || typeof value === 'object' ? value : Images.docxToken(value, filters);
+                }
+            };
+        }
+
+        return {
+            get(scope) {
+                if (name === '.') return format(scope && typeof scope === 'object' && 'ITEM' in scope ? scope.ITEM : scope, scope);
+                return format(scope && typeof scope === 'object' ? scope[name] : undefined, scope);
+            }
+        };
+    }
+};
+
+// Export for use in other modules
+window.Templating = Templating;
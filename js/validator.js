@@ -0,0 +1,149 @@
+/**
+ * Validator Module
+ * Per-column validation rules for row data and the issues found in a dataset
+ *
+ * Rule shape (every key optional):
+ *   { required: true, type: 'date'|'number'|'currency'|'email', maxLength: 80,
+ *     allowed: ['Yes', 'No'], pattern: '^[A-Z]{3}-\\d+$' }
+ */
+
+const Validator = {
+    storageKey: 'formatDocs.validationRules',
+
+    // Value types a column can be checked against
+    types: {
+        text: 'Any text',
+        date: 'Date',
+        number: 'Number',
+        currency: 'Currency',
+        email: 'Email address'
+    },
+
+    // Rules for the default questionnaire columns
+    defaultRules: {
+        'Client': { required: true, maxLength: 120 },
+        'Desired Completion Date': { type: 'date' },
+        'Budgetary Estimates': { type: 'currency' }
+    },
+
+    // Last validation result (see validate)
+    issues: new Map(),
+
+    /**
+     * Saved rules and what to do with failing rows
+     * @returns {{rules: Object<string, Object>, onIssues: 'warn'|'block'}}
+     */
+    getConfig() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && saved.rules) return { onIssues: 'warn', ...saved };
+        } catch (error) {
+            console.warn('Ignoring invalid validation rules:', error);
+        }
+        return { rules: { ...this.defaultRules }, onIssues: 'warn' };
+    },
+
+    saveConfig(config) {
+        // Columns without any rule are not stored
+        const rules = {};
+        Object.entries(config.rules).forEach(([column, rule]) => {
+            const clean = this.cleanRule(rule);
+            if (Object.keys(clean).length) rules[column] = clean;
+        });
+        localStorage.setItem(this.storageKey, JSON.stringify({ rules, onIssues: config.onIssues }));
+    },
+
+    cleanRule(rule = {}) {
+        const clean = {};
+        if (rule.required) clean.required = true;
+        if (rule.type && rule.type !== 'text') clean.type = rule.type;
+        if (rule.maxLength > 0) clean.maxLength = Number(rule.maxLength);
+        if (rule.allowed && rule.allowed.length) clean.allowed = rule.allowed;
+        if (rule.pattern) clean.pattern = rule.pattern;
+        return clean;
+    },
+
+    /**
+     * Check one value against a rule
+     * @param {string} value
+     * @param {Object} rule
+     * @returns {string[]} Problems (empty when valid)
+     */
+    checkValue(value, rule) {
+        const text = String(value === undefined || value === null ? '' : value).trim();
+        const problems = [];
+
+        if (!text) {
+            if (rule.required) problems.push('is required');
+            return problems; // Other rules only apply to values that are present
+        }
+
+        if (rule.type === 'date' && !Formatter.parseDate(text)) {
+            problems.push(`“${text}” is not a recognisable date`);
+        }
+        if ((rule.type === 'number' || rule.type === 'currency') && Formatter.parseNumber(text) === null) {
+            problems.push(`“${text}” is not a ${rule.type === 'currency' ? 'currency amount' : 'number'}`);
+        }
+        if (rule.type === 'email') {
+            // Several addresses may share a cell (see Email.addresses)
+            const { invalid } = Email.addresses(text);
+            if (invalid.length) problems.push(`“${invalid.join(', ')}” is not an email address`);
+        }
+        if (rule.maxLength && text.length > rule.maxLength) {
+            problems.push(`is longer than ${rule.maxLength} characters (${text.length})`);
+        }
+        if (rule.allowed && rule.allowed.length) {
+            const allowed = rule.allowed.map(v => v.toLowerCase());
+            if (!allowed.includes(text.toLowerCase())) {
+                problems.push(`“${text}” is not one of: ${rule.allowed.join(', ')}`);
+            }
+        }
+        if (rule.pattern) {
+            let regex;
+            try {
+                regex = new RegExp(rule.pattern);
+            } catch (error) {
+                problems.push(`has an invalid pattern rule (${error.message})`);
+            }
+            if (regex && !regex.test(text)) problems.push(`does not match ${rule.pattern}`);
+        }
+
+        return problems;
+    },
+
+    /**
+     * Validate every row
+     * @param {Object[]} rows
+     * @param {string[]} headers - Only rules for these columns are applied
+     * @param {Object} [rules]
+     * @returns {Map<number, {column: string, message: string}[]>} Row index -> issues (rows without issues are left out)
+     */
+    validate(rows, headers, rules = this.getConfig().rules) {
+        const columns = Object.keys(rules).filter(column => headers.includes(column));
+        this.issues = new Map();
+
+        rows.forEach((row, index) => {
+            const found = [];
+            columns.forEach(column => {
+                this.checkValue(row[column], rules[column]).forEach(problem => {
+                    found.push({ column, message: `${column} ${problem}` });
+                });
+            });
+            if (found.length) this.issues.set(index, found);
+        });
+
+        return this.issues;
+    },
+
+    /**
+     * Issues for one row from the last validation
+     * @param {number} index
+     * @returns {{column: string, message: string}[]}
+     */
+    getIssues(index) {
+        return this.issues.get(index) || [];
+    }
+};
+
+// Export for use in other modules
+window.Validator = Validator;
@@ -0,0 +1,135 @@
+/**
+ * Zip Stream Module
+ * Writes a ZIP archive one file at a time, handing each piece to a callback
+ * as soon as it is ready, so a batch never holds every document in memory.
+ * Files are stored without compression: DOCX and PDF output is compressed already.
+ * Plain ZIP limits apply (65,535 files, 4 GB).
+ */
+
+const ZipStream = {
+    maxEntries: 0xffff,
+    maxOffset: 0xffffffff,
+
+    crcTable: null,
+
+    /**
+     * Start an archive
+     * @param {function(Uint8Array): (Promise|void)} write - Receives the archive in order
+     * @returns {{add: function(string, Uint8Array): Promise, finish: function(): Promise, count: number}}
+     */
+    create(write) {
+        const entries = []; // Central directory records
+        let offset = 0;
+
+        const emit = async (bytes) => {
+            offset += bytes.length; // Before writing: the buffer may be transferred to another thread
+            await write(bytes);
+        };
+
+        return {
+            get count() {
+                return entries.length;
+            },
+
+            /**
+             * Append a file
+             * @param {string} name - Path inside the archive
+             * @param {Uint8Array} data
+             * @param {Date} [date]
+             */
+            add: async (name, data, date = new Date()) => {
+                if (entries.length >= this.maxEntries || offset + data.length > this.maxOffset) {
+                    throw new Error('The ZIP is too large. Generate the rows in smaller batches.');
+                }
+                const file = {
+                    name: new TextEncoder().encode(name),
+                    crc: this.crc32(data),
+                    size: data.length,
+                    offset,
+                    ...this.dosTime(date)
+                };
+                entries.push(file);
+                await emit(this.localHeader(file));
+                await emit(data);
+            },
+
+            /**
+             * Write the central directory; nothing can be added afterwards
+             */
+            finish: async () => {
+                const start = offset;
+                for (const file of entries) await emit(this.centralHeader(file));
+                await emit(this.endRecord(entries.length, offset - start, start));
+            }
+        };
+    },
+
+    localHeader(file) {
+        const header = new DataView(new ArrayBuffer(30 + file.name.length));
+        header.setUint32(0, 0x04034b50, true);
+        this.writeCommon(header, 4, file);
+        new Uint8Array(header.buffer).set(file.name, 30);
+        return new Uint8Array(header.buffer);
+    },
+
+    centralHeader(file) {
+        const header = new DataView(new ArrayBuffer(46 + file.name.length));
+        header.setUint32(0, 0x02014b50, true);
+        header.setUint16(4, 20, true); // Version made by
+        this.writeCommon(header, 6, file);
+        // Comment length, disk, attributes stay 0
+        header.setUint32(42, file.offset, true);
+        new Uint8Array(header.buffer).set(file.name, 46);
+        return new Uint8Array(header.buffer);
+    },
+
+    /**
+     * Fields shared by the local and central headers, from "version needed" to "extra length"
+     */
+    writeCommon(view, at, file) {
+        view.setUint16(at, 20, true); // Version needed
+        view.setUint16(at + 2, 0x0800, true); // UTF-8 names
+        view.setUint16(at + 4, 0, true); // Stored
+        view.setUint16(at + 6, file.time, true);
+        view.setUint16(at + 8, file.date, true);
+        view.setUint32(at + 10, file.crc, true);
+        view.setUint32(at + 14, file.size, true);
+        view.setUint32(at + 18, file.size, true);
+        view.setUint16(at + 22, file.name.length, true);
+        view.setUint16(at + 24, 0, true);
+    },
+
+    endRecord(count, size, offset) {
+        const record = new DataView(new ArrayBuffer(22));
+        record.setUint32(0, 0x06054b50, true);
+        record.setUint16(8, count, true);
+        record.setUint16(10, count, true);
+        record.setUint32(12, size, true);
+        record.setUint32(16, offset, true);
+        return new Uint8Array(record.buffer);
+    },
+
+    dosTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+};
+
+// Export for use in other modules
+window.ZipStream = ZipStream;
@@ -0,0 +1,522 @@
+/**
+ * REST API
+ * Document generation and template management for other internal tools
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { Parser, Generator, Email, Naming, Images, RunHistory, parseRowSpec, generateRows, resolveMappings, convertToPdf } = require('./runtime');
+const TemplateStore = require('./template-store');
+const HistoryStore = require('./history-store');
+const Mailer = require('./mailer');
+
+// Limits (override with environment variables)
+const MAX_UPLOAD = process.env.FORMAT_DOCS_MAX_UPLOAD || '10mb';
+const MAX_ROWS = Number(process.env.FORMAT_DOCS_MAX_ROWS) || 1000;
+
+// Hosts row values may load [%TAG] images from, comma-separated; none by default
+const IMAGE_HOSTS = (process.env.FORMAT_DOCS_IMAGE_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+
+// Token callers must send (Authorization: Bearer ...) to send email; without
+// one, only callers on this machine may send
+const SMTP_TOKEN = process.env.FORMAT_DOCS_SMTP_TOKEN || '';
+
+// Likewise for PDF conversion, which runs LibreOffice for each request
+const PDF_TOKEN = process.env.FORMAT_DOCS_PDF_TOKEN || '';
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const SPREADSHEET_TYPES = {
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+    'application/vnd.ms-excel': 'xls',
+    'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+    'text/csv': 'csv',
+    'text/tab-separated-values': 'tsv',
+    'application/x-ndjson': 'ndjson'
+};
+
+// Tail of the generation queue (see exclusive)
+let queue = Promise.resolve();
+
+/**
+ * Run a task once the tasks queued before it have finished
+ * @param {function(): Promise<*>} task
+ * @returns {Promise<*>}
+ */
+function exclusive(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Error carrying an HTTP status for the JSON error handler, with a message
+ * meant for the client (shown whatever the status)
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.expose = true;
+    return error;
+}
+
+/**
+ * Whether a request carries the token (Authorization: Bearer ...), or comes
+ * from this machine when there is none. Behind a reverse proxy every request
+ * comes from this machine, so set a token there.
+ * @param {Object} req
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isTrusted(req, token) {
+    if (token) {
+        const given = crypto.createHash('sha256').update(req.get('authorization') || '').digest();
+        const expected = crypto.createHash('sha256').update(`Bearer ${token}`).digest();
+        return crypto.timingSafeEqual(given, expected);
+    }
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+}
+
+/**
+ * Whether a request may send email through the relay (see SMTP_TOKEN)
+ * @param {Object} req
+ * @returns {boolean}
+ */
+function maySendEmail(req) {
+    return isTrusted(req, SMTP_TOKEN);
+}
+
+/**
+ * Comma-separated or repeated query value as a list
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+function queryList(value) {
+    if (value === undefined) return [];
+    return [].concat(value).flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Validate a column -> tag mapping from a request
+ * @param {*} mappings
+ * @returns {Object|null}
+ */
+function checkMappings(mappings) {
+    if (mappings === undefined || mappings === null) return null;
+    if (typeof mappings !== 'object' || Array.isArray(mappings)) {
+        throw httpError(400, '"mappings" must be an object of column -> tag');
+    }
+    for (const [col, tag] of Object.entries(mappings)) {
+        if (typeof tag !== 'string') throw httpError(400, `Invalid tag for column "${col}" in "mappings"`);
+    }
+    return mappings;
+}
+
+/**
+ * Validate per-column default formats (Formatter filters) from a request
+ * @param {*} formats
+ * @returns {Object|null}
+ */
+function checkFormats(formats) {
+    if (formats === undefined || formats === null) return null;
+    if (typeof formats !== 'object' || Array.isArray(formats)) {
+        throw httpError(400, '"formats" must be an object of column -> format');
+    }
+    for (const [col, format] of Object.entries(formats)) {
+        if (typeof format !== 'string') throw httpError(400, `Invalid format for column "${col}" in "formats"`);
+    }
+    return formats;
+}
+
+/**
+ * Validate email draft settings from a request (see Email.defaults)
+ * @param {*} email
+ * @param {string[]} headers - Columns of the data
+ * @returns {Object|null}
+ */
+function checkEmail(email, headers) {
+    if (email === undefined || email === null) return null;
+    if (typeof email !== 'object' || Array.isArray(email)) {
+        throw httpError(400, '"email" must be an object with recipientColumn, subject and body');
+    }
+    if (!headers.includes(email.recipientColumn)) {
+        throw httpError(400, `"email.recipientColumn" must be one of the columns: ${headers.join(', ')}`);
+    }
+    for (const key of ['subject', 'body', 'from', 'cc']) {
+        if (email[key] !== undefined && typeof email[key] !== 'string') throw httpError(400, `"email.${key}" must be a string`);
+    }
+    const options = { ...Email.defaults, ...email, enabled: true };
+    try {
+        Email.checkOptions(options);
+    } catch (error) {
+        throw httpError(400, `"email": ${error.message}`);
+    }
+    return options;
+}
+
+/**
+ * Load images for [%TAG] placeholders from a request: file name -> base64 or data URI
+ * @param {*} images
+ */
+function loadRequestImages(images) {
+    Images.clear();
+    if (images === undefined || images === null) return;
+    if (typeof images !== 'object' || Array.isArray(images)) {
+        throw httpError(400, '"images" must be an object of file name -> base64 data');
+    }
+    for (const [name, value] of Object.entries(images)) {
+        if (typeof value !== 'string') throw httpError(400, `Invalid data for image "${name}"`);
+        const data = Buffer.from(value.replace(/^data:[^,]*,/, ''), 'base64');
+        if (!Images.add(name, new Uint8Array(data))) {
+            throw httpError(422, `"${name}" is not a PNG, JPEG, GIF or BMP image`);
+        }
+    }
+}
+
+/**
+ * Read rows from a JSON body or an uploaded spreadsheet
+ * @param {express.Request} req
+ * @returns {{headers: string[], rows: Object[]}}
+ */
+function readRows(req) {
+    if (req.is('application/json')) {
+        const { rows } = req.body || {};
+        if (!Array.isArray(rows) || rows.length === 0) {
+            throw httpError(400, '"rows" must be a non-empty array of objects');
+        }
+        rows.forEach((row, i) => {
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                throw httpError(400, `rows[${i}] must be an object of column -> value`);
+            }
+        });
+
+        const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        const stringRows = rows.map(row => Object.fromEntries(
+            headers.map(h => [h, row[h] === undefined || row[h] === null ? '' : String(row[h])])
+        ));
+        return { headers, rows: stringRows };
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw httpError(415, `Send JSON rows or a spreadsheet (${Object.keys(SPREADSHEET_TYPES).join(', ')})`);
+    }
+
+    const type = Object.keys(SPREADSHEET_TYPES).find(t => req.is(t));
+    const fileName = type ? `upload.${SPREADSHEET_TYPES[type]}` : String(req.query.filename || '');
+    if (!Parser.isSupported(fileName)) {
+        throw httpError(415, 'Unknown spreadsheet type; set Content-Type or ?filename=name.xlsx');
+    }
+
+    const layout = req.query.layout || 'table';
+    if (!['table', 'form'].includes(layout)) throw httpError(400, '"layout" must be table or form');
+    const cells = {};
+    [].concat(req.query.cell || []).forEach(spec => {
+        const at = String(spec).indexOf('=');
+        if (at < 1) throw httpError(400, `"cell" must be written as Column=B4, not "${spec}"`);
+        cells[String(spec).slice(0, at).trim()] = String(spec).slice(at + 1).trim();
+    });
+
+    const headerRow = parseInt(req.query.headerRow, 10);
+    try {
+        return Parser.parseBuffer(req.body, fileName, {
+            layout,
+            cells,
+            sheets: queryList(req.query.sheet),
+            headerRow: headerRow > 0 ? headerRow : 'auto',
+            knownHeaders: Object.keys(Generator.defaultMappings)
+        });
+    } catch (error) {
+        throw httpError(422, error.message);
+    }
+}
+
+/**
+ * Name and SHA-256 of the rows a request sent, for the run history
+ * @param {express.Request} req
+ * @returns {Promise<{name: string, hash: string}>}
+ */
+async function requestSource(req) {
+    if (req.is('application/json')) {
+        return { name: 'JSON rows', hash: await RunHistory.hash(Buffer.from(JSON.stringify(req.body.rows))) };
+    }
+    return { name: String(req.query.filename || 'upload'), hash: await RunHistory.hash(req.body) };
+}
+
+/**
+ * Create the /api router
+ * @param {{dataDir: string, historyDir: string}} options
+ * @returns {express.Router}
+ */
+function createApiRouter({ dataDir, historyDir }) {
+    Images.remoteHosts = IMAGE_HOSTS;
+    TemplateStore.init(dataDir);
+    HistoryStore.init(historyDir);
+    const router = express.Router();
+
+    const json = express.json({ limit: MAX_UPLOAD });
+    const raw = (types) => express.raw({ type: types, limit: MAX_UPLOAD });
+
+    router.get('/templates', (req, res) => {
+        res.json({ templates: TemplateStore.list() });
+    });
+
+    router.post('/templates', json, raw([DOCX_TYPE, 'application/octet-stream']), (req, res) => {
+        let docx;
+        let meta;
+
+        if (req.is('application/json')) {
+            const { name, version, mappings, formats, docx: base64 } = req.body || {};
+            if (typeof base64 !== 'string' || !base64) throw httpError(400, '"docx" must be a base64 string');
+            docx = Buffer.from(base64, 'base64');
+            meta = { name, version, mappings: checkMappings(mappings), formats: checkFormats(formats) };
+        } else if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+            docx = req.body;
+            meta = { name: req.query.name, version: req.query.version, mappings: null, formats: null };
+        } else {
+            throw httpError(415, `Send the template as ${DOCX_TYPE} or JSON with a base64 "docx"`);
+        }
+
+        meta.name = typeof meta.name === 'string' ? meta.name.trim() : '';
+        if (!meta.name) throw httpError(400, 'Template "name" is required');
+        if (meta.version !== undefined && meta.version !== null && !/^[\w.-]{1,20}$/.test(String(meta.version))) {
+            throw httpError(400, '"version" may only contain letters, numbers, dots and dashes');
+        }
+
+        try {
+            res.status(201).json({ template: TemplateStore.add(docx, meta) });
+        } catch (error) {
+            throw httpError(422, error.message);
+        }
+    });
+
+    router.post('/generate', json, raw([...Object.keys(SPREADSHEET_TYPES), 'application/octet-stream']), async (req, res, next) => {
+        try {
+            // Generation uses the shared Generator and Images state, so requests take turns
+            await exclusive(async () => {
+                const body = req.is('application/json') ? req.body || {} : {};
+                const data = readRows(req);
+
+                const ids = body.templateIds || (body.templateId ? [body.templateId] : queryList(req.query.templateId));
+                if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) {
+                    throw httpError(400, '"templateIds" must be an array of template ids');
+                }
+
+                const mappings = checkMappings(body.mappings);
+                const formats = checkFormats(body.formats);
+                const templates = (ids.length ? ids : ['builtin']).map(id => {
+                    const template = TemplateStore.get(id);
+                    if (!template) throw httpError(404, `Unknown template id "${id}"`);
+                    if (mappings) template.mappings = mappings;
+                    if (formats) template.formats = formats;
+                    template.mappings = resolveMappings(data.headers, template);
+                    return template;
+                });
+
+                let rowIndexes = data.rows.map((row, i) => i);
+                const rowSpec = body.select || req.query.rows;
+                if (rowSpec) {
+                    try {
+                        rowIndexes = parseRowSpec(rowSpec, data.rows.length);
+                    } catch (error) {
+                        throw httpError(400, error.message);
+                    }
+                }
+                if (rowIndexes.length === 0) throw httpError(400, 'No rows selected');
+                if (rowIndexes.length > MAX_ROWS) {
+                    throw httpError(413, `Too many rows (${rowIndexes.length}); the limit is ${MAX_ROWS}`);
+                }
+
+                let rows = data.rows;
+                const groupBy = body.groupBy || req.query.groupBy;
+                if (groupBy !== undefined) {
+                    if (typeof groupBy !== 'string' || !data.headers.includes(groupBy)) {
+                        throw httpError(400, `"groupBy" must be one of the columns: ${data.headers.join(', ')}`);
+                    }
+                    rows = Generator.groupRows(rowIndexes.map(index => data.rows[index]), groupBy);
+                    rowIndexes = rows.map((row, i) => i);
+                }
+
+                const filenamePattern = body.filenamePattern || req.query.filenamePattern;
+                if (filenamePattern !== undefined && (typeof filenamePattern !== 'string' || !filenamePattern.trim())) {
+                    throw httpError(400, '"filenamePattern" must be a non-empty string');
+                }
+                const collision = body.onCollision || req.query.onCollision || 'number';
+                if (!Naming.collisionStrategies[collision]) {
+                    throw httpError(400, `"onCollision" must be one of: ${Object.keys(Naming.collisionStrategies).join(', ')}`);
+                }
+                const format = body.format || req.query.format || 'docx';
+                if (!Generator.outputFormats[format]) {
+                    throw httpError(400, `"format" must be one of: ${Object.keys(Generator.outputFormats).join(', ')}`);
+                }
+
+                const email = checkEmail(body.email, data.headers);
+                if (email && format === 'combined') throw httpError(400, '"email" makes a draft per row; it cannot be combined');
+
+                loadRequestImages(body.images);
+
+                const combineOptions = {
+                    cover: body.cover === true || req.query.cover === 'true' || req.query.cover === '1',
+                    toc: body.toc === true || req.query.toc === 'true' || req.query.toc === '1'
+                };
+
+                // Every run is recorded, including the ones that fail
+                const record = async (output, documents, failures) => {
+                    const run = await RunHistory.createRun({
+                        source: await requestSource(req),
+                        templates,
+                        rows: rowIndexes.map(index => rows[index]),
+                        indexes: rowIndexes,
+                        format,
+                        outputs: documents.map(doc => doc.filename),
+                        failures,
+                        scope: 'api'
+                    });
+                    Object.assign(run, {
+                        groupColumn: groupBy || '',
+                        filenamePattern: filenamePattern || Generator.filenamePattern,
+                        collision,
+                        combineOptions: format === 'combined' ? { ...Generator.combineOptions, ...combineOptions } : null
+                    });
+                    HistoryStore.add(run, output);
+                    return run.id;
+                };
+
+                let documents;
+                try {
+                    documents = await generateRows(rows, rowIndexes, templates, null, { filenamePattern, format, ...combineOptions, email });
+                } catch (error) {
+                    await record(null, [], [{ message: error.message }]);
+                    throw httpError(422, error.message);
+                } finally {
+                    Images.clear();
+                }
+
+                let output;
+                const zip = body.zip === true || req.query.zip === 'true' || req.query.zip === '1';
+                if (documents.length === 1 && !zip) {
+                    const type = /\.pdf$/i.test(documents[0].filename) ? 'application/pdf' : DOCX_TYPE;
+                    output = { filename: documents[0].filename, type, data: documents[0].blob };
+                } else {
+                    let archive;
+                    try {
+                        archive = await Generator.createZip(documents, collision);
+                    } catch (error) {
+                        throw httpError(422, error.message);
+                    }
+                    output = { filename: 'Specification_Documents.zip', type: 'application/zip', data: archive };
+                }
+
+                res.set('X-Run-Id', await record(output, documents, []));
+                res.attachment(output.filename);
+                res.type(output.type).send(output.data);
+            });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // PDF of a DOCX, for the app's PDF output (see js/pdf.js)
+    router.post('/convert/pdf', raw([DOCX_TYPE, 'application/octet-stream']), async (req, res, next) => {
+        try {
+            if (!isTrusted(req, PDF_TOKEN)) {
+                throw httpError(403, PDF_TOKEN ? 'PDF conversion needs the server\'s token (Authorization: Bearer ...)'
+                    : 'PDF conversion is only allowed from the server\'s own machine unless FORMAT_DOCS_PDF_TOKEN is set');
+            }
+            if (!Buffer.isBuffer(req.body) || req.body.subarray(0, 2).toString('latin1') !== 'PK') {
+                throw httpError(415, `Send the document as ${DOCX_TYPE}`);
+            }
+            // One LibreOffice at a time, queued with generation
+            const pdf = await exclusive(async () => {
+                try {
+                    return await convertToPdf(req.body);
+                } catch (error) {
+                    throw httpError(422, error.message);
+                }
+            });
+            res.type('application/pdf').send(pdf);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Email drafts made by the app, sent through the configured SMTP relay
+    router.get('/email', (req, res) => {
+        res.json({ smtp: Mailer.isConfigured() && maySendEmail(req), from: Mailer.from });
+    });
+
+    router.post('/email/send', express.raw({ type: 'message/rfc822', limit: MAX_UPLOAD }), async (req, res, next) => {
+        try {
+            if (!Mailer.isConfigured()) throw httpError(503, 'Sending email is not set up on this server (FORMAT_DOCS_SMTP_HOST)');
+            if (!maySendEmail(req)) {
+                throw httpError(403, SMTP_TOKEN ? 'Sending email needs the server\'s token (Authorization: Bearer ...)'
+                    : 'Sending email is only allowed from the server\'s own machine unless FORMAT_DOCS_SMTP_TOKEN is set');
+            }
+            if (!Buffer.isBuffer(req.body) || req.body.length === 0) throw httpError(415, 'Send the draft as message/rfc822');
+
+            let result;
+            try {
+                result = await Mailer.send(req.body);
+            } catch (error) {
+                throw httpError(error.responseCode || error.code ? 502 : 422, error.message);
+            }
+            res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/history', (req, res) => {
+        res.json({ runs: HistoryStore.list() });
+    });
+
+    router.get('/history/:id', (req, res) => {
+        const run = HistoryStore.get(req.params.id);
+        if (!run) throw httpError(404, `Unknown run id "${req.params.id}"`);
+        res.json({ run });
+    });
+
+    // Download the file a run sent back
+    router.get('/history/:id/output', (req, res) => {
+        const output = HistoryStore.output(req.params.id);
+        if (!output) throw httpError(404, `No stored output for run "${req.params.id}"`);
+        res.attachment(output.filename);
+        res.type(output.type).send(output.data);
+    });
+
+    // What changed in the data between two runs, client by client
+    router.get('/history/:id/diff/:otherId', (req, res) => {
+        const runs = [req.params.id, req.params.otherId].map(id => {
+            const run = HistoryStore.get(id);
+            if (!run) throw httpError(404, `Unknown run id "${id}"`);
+            return run;
+        });
+        const [before, after] = runs.sort((a, b) => a.created.localeCompare(b.created));
+        res.json({ before: before.id, after: after.id, diff: RunHistory.diff(before, after) });
+    });
+
+    router.delete('/history/:id', (req, res) => {
+        if (!HistoryStore.remove(req.params.id)) throw httpError(404, `Unknown run id "${req.params.id}"`);
+        res.status(204).end();
+    });
+
+    // Unknown API routes
+    router.use((req, res, next) => next(httpError(404, `No API route for ${req.method} ${req.originalUrl}`)));
+
+    // JSON errors (body-parser sets status 400/413/415 on its own errors)
+    router.use((error, req, res, next) => {
+        const status = error.status || error.statusCode || 500;
+        if (status >= 500 && !error.expose) console.error('API error:', error);
+
+        let message = status >= 500 && !error.expose ? 'Internal server error' : error.message;
+        if (error.type === 'entity.too.large') message = `Request body too large; the limit is ${MAX_UPLOAD}`;
+        if (error.type === 'entity.parse.failed') message = 'Request body is not valid JSON';
+
+        res.status(status).json({ error: message });
+    });
+
+    return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,122 @@
+/**
+ * History Store
+ * Server-side run history for the API: one JSON file per run (settings, rows,
+ * files, errors), the file that was sent back, and an index.json of summaries
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HistoryStore = {
+    dir: null,
+    indexPath: null,
+
+    // Oldest runs are removed beyond this
+    maxRuns: Number(process.env.FORMAT_DOCS_MAX_HISTORY) || 500,
+
+    /**
+     * @param {string} dir - Directory holding index.json and the run files
+     */
+    init(dir) {
+        this.dir = dir;
+        this.indexPath = path.join(dir, 'index.json');
+    },
+
+    readIndex() {
+        try {
+            return JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    },
+
+    writeIndex(entries) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const tmp = `${this.indexPath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(entries, null, 2));
+        fs.renameSync(tmp, this.indexPath);
+    },
+
+    /**
+     * Run summaries, newest first
+     * @returns {Object[]}
+     */
+    list() {
+        return this.readIndex().sort((a, b) => b.created.localeCompare(a.created));
+    },
+
+    /**
+     * Full run (see RunHistory.createRun) by id
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        if (!this.readIndex().some(entry => entry.id === id)) return null;
+        try {
+            return JSON.parse(fs.readFileSync(path.join(this.dir, `${id}.json`), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    },
+
+    /**
+     * The file a run sent back
+     * @param {string} id
+     * @returns {{filename: string, type: string, data: Buffer}|null}
+     */
+    output(id) {
+        const entry = this.readIndex().find(e => e.id === id);
+        const file = entry && entry.output ? path.join(this.dir, `${id}.out`) : null;
+        if (!file || !fs.existsSync(file)) return null;
+        return { ...entry.output, data: fs.readFileSync(file) };
+    },
+
+    /**
+     * Store a run and the file sent back for it
+     * @param {Object} run - From RunHistory.createRun
+     * @param {{filename: string, type: string, data: Buffer}|null} output - null when generation failed
+     * @returns {Object} Summary
+     */
+    add(run, output) {
+        const entry = {
+            id: run.id,
+            created: run.created,
+            source: run.source,
+            format: run.format,
+            templates: run.templates.map(({ id, name, version }) => ({ id, name, version })),
+            documents: run.documents.length,
+            outputs: run.outputs.length,
+            failures: run.failures.length,
+            output: output ? { filename: output.filename, type: output.type } : null
+        };
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, `${run.id}.json`), JSON.stringify(run));
+        if (output) fs.writeFileSync(path.join(this.dir, `${run.id}.out`), output.data);
+
+        const entries = [entry, ...this.list()];
+        entries.slice(this.maxRuns).forEach(old => this.removeFiles(old.id));
+        this.writeIndex(entries.slice(0, this.maxRuns));
+        return entry;
+    },
+
+    /**
+     * @param {string} id
+     * @returns {boolean} false when there is no such run
+     */
+    remove(id) {
+        const entries = this.readIndex();
+        if (!entries.some(entry => entry.id === id)) return false;
+        this.removeFiles(id);
+        this.writeIndex(entries.filter(entry => entry.id !== id));
+        return true;
+    },
+
+    removeFiles(id) {
+        ['json', 'out'].forEach(extension => fs.rmSync(path.join(this.dir, `${id}.${extension}`), { force: true }));
+    }
+};
+
+module.exports = HistoryStore;
@@ -0,0 +1,126 @@
+/**
+ * Mailer
+ * Sends the email drafts the app makes (see js/email.js) through an SMTP
+ * server, usually a local relay. Off unless FORMAT_DOCS_SMTP_HOST is set.
+ *
+ *   FORMAT_DOCS_SMTP_HOST    relay host, e.g. localhost
+ *   FORMAT_DOCS_SMTP_PORT    default 25 (465 when FORMAT_DOCS_SMTP_SECURE=true)
+ *   FORMAT_DOCS_SMTP_SECURE  true for TLS from the start (otherwise STARTTLS when offered)
+ *   FORMAT_DOCS_SMTP_USER / FORMAT_DOCS_SMTP_PASS  only if the relay needs a login
+ *   FORMAT_DOCS_SMTP_FROM    sender for drafts without a From address
+ *   FORMAT_DOCS_SMTP_DOMAINS  domains drafts may go to, comma-separated (any when unset)
+ *   FORMAT_DOCS_SMTP_SENDERS  other From addresses or @domains drafts may use (any when unset)
+ *   FORMAT_DOCS_SMTP_TOKEN    token API callers must send to send email; without it
+ *                             only callers on the server's machine may (see lib/api.js)
+ */
+
+const nodemailer = require('nodemailer');
+const addressparser = require('nodemailer/lib/addressparser');
+
+// Comma-separated setting as lower-case entries
+function list(value) {
+    return (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+// Whether an address is listed, or its domain is (subdomains included)
+function matches(address, entries) {
+    const lower = address.toLowerCase();
+    const domain = lower.slice(lower.lastIndexOf('@') + 1);
+    return entries.some(entry => {
+        if (/^[^@]+@/.test(entry)) return entry === lower;
+        const listed = entry.replace(/^@/, '');
+        return domain === listed || domain.endsWith(`.${listed}`);
+    });
+}
+
+const Mailer = {
+    host: process.env.FORMAT_DOCS_SMTP_HOST || '',
+    secure: process.env.FORMAT_DOCS_SMTP_SECURE === 'true',
+    from: process.env.FORMAT_DOCS_SMTP_FROM || '',
+    domains: list(process.env.FORMAT_DOCS_SMTP_DOMAINS),
+    senders: list(process.env.FORMAT_DOCS_SMTP_SENDERS),
+
+    transport: null,
+
+    get port() {
+        return Number(process.env.FORMAT_DOCS_SMTP_PORT) || (this.secure ? 465 : 25);
+    },
+
+    isConfigured() {
+        return Boolean(this.host);
+    },
+
+    getTransport() {
+        if (!this.transport) {
+            const user = process.env.FORMAT_DOCS_SMTP_USER;
+            this.transport = nodemailer.createTransport({
+                host: this.host,
+                port: this.port,
+                secure: this.secure,
+                auth: user ? { user, pass: process.env.FORMAT_DOCS_SMTP_PASS || '' } : undefined
+            });
+        }
+        return this.transport;
+    },
+
+    /**
+     * Headers of a message, unfolded; names lower-case
+     * @param {Buffer} message
+     * @returns {Object<string, string>}
+     */
+    readHeaders(message) {
+        const text = message.toString('latin1');
+        const end = text.search(/\r?\n\r?\n/);
+        const headers = {};
+        (end === -1 ? text : text.slice(0, end)).replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+            const at = line.indexOf(':');
+            if (at > 0) headers[line.slice(0, at).trim().toLowerCase()] = line.slice(at + 1).trim();
+        });
+        return headers;
+    },
+
+    /**
+     * Who the message goes to, read from its To, Cc and Bcc
+     * @param {Buffer} message
+     * @returns {{from: string, to: string[]}}
+     */
+    envelope(message) {
+        const headers = this.readHeaders(message);
+        const addresses = (value) => addressparser(value || '', { flatten: true }).map(entry => entry.address).filter(Boolean);
+        return {
+            from: addresses(headers.from)[0] || this.from,
+            to: [...new Set(['to', 'cc', 'bcc'].flatMap(name => addresses(headers[name])))]
+        };
+    },
+
+    /**
+     * Refuse senders and recipients outside FORMAT_DOCS_SMTP_SENDERS and FORMAT_DOCS_SMTP_DOMAINS
+     * @param {{from: string, to: string[]}} envelope
+     */
+    checkAllowed(envelope) {
+        if (this.senders.length && envelope.from.toLowerCase() !== this.from.toLowerCase() && !matches(envelope.from, this.senders)) {
+            throw new Error(`Sending from ${envelope.from} is not allowed on this server`);
+        }
+        const outside = this.domains.length ? envelope.to.filter(address => !matches(address, this.domains)) : [];
+        if (outside.length) throw new Error(`Sending to ${outside.join(', ')} is not allowed on this server`);
+    },
+
+    /**
+     * Send a draft as it is (a From header is added when it has none)
+     * @param {Buffer} message - .eml contents
+     * @returns {Promise<{accepted: string[], rejected: string[], response: string}>}
+     */
+    async send(message) {
+        if (!this.isConfigured()) throw new Error('Sending email is not set up on this server (FORMAT_DOCS_SMTP_HOST)');
+        const envelope = this.envelope(message);
+        if (envelope.to.length === 0) throw new Error('The draft has no recipients');
+        if (!envelope.from) throw new Error('The draft has no From address and FORMAT_DOCS_SMTP_FROM is not set');
+        this.checkAllowed(envelope);
+
+        const raw = this.readHeaders(message).from ? message : Buffer.concat([Buffer.from(`From: ${envelope.from}\r\n`), message]);
+        const info = await this.getTransport().sendMail({ envelope, raw });
+        return { accepted: info.accepted, rejected: info.rejected, response: info.response };
+    }
+};
+
+module.exports = Mailer;
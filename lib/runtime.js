@@ -0,0 +1,249 @@
+/**
+ * Node Runtime
+ * Loads the browser modules from js/ under Node so the CLI and server
+ * share the same parsing, mapping and generation code as the web app
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// The browser modules read their libraries and each other from window globals
+global.window = global;
+global.XLSX = require('xlsx');
+global.PizZip = require('pizzip');
+global.JSZip = require('jszip');
+global.docxtemplater = require('docxtemplater');
+
+['parser', 'templating', 'validator', 'formatter', 'naming', 'images', 'richtext', 'combine', 'generator', 'email', 'run-history', 'mapper', 'inspector', 'extractor', 'library'].forEach(name => {
+    require(path.join(__dirname, '..', 'js', `${name}.js`));
+});
+
+const { Parser, Generator, Combine, Email, RunHistory, Mapper, Inspector, Extractor, Library, Naming, Images } = global;
+Generator.outputType = 'nodebuffer';
+Generator.pdfRenderer = (zip, docx) => convertToPdf(docx);
+
+// LibreOffice does the DOCX -> PDF conversion under Node; SOFFICE_PATH overrides the binary
+const SOFFICE = process.env.SOFFICE_PATH || 'soffice';
+const PDF_TIMEOUT = 120000;
+
+// Bundled template, exposed with the same id the web app uses
+const BUILTIN_TEMPLATE = path.join(__dirname, '..', 'Templates', 'template.docx');
+
+/**
+ * Build a template object (same shape as Library records) from a .docx file
+ * @param {string} filePath
+ * @param {Object} [extra] - name, version, mappings, ...
+ * @returns {Object}
+ */
+function loadTemplateFile(filePath, extra = {}) {
+    const docx = fs.readFileSync(filePath);
+    const { tags } = Inspector.scanDocx(docx);
+    return {
+        id: path.basename(filePath),
+        name: path.basename(filePath, path.extname(filePath)),
+        version: '1.0',
+        docx,
+        html: null,
+        mappings: null,
+        tags: Object.keys(tags),
+        ...extra
+    };
+}
+
+/**
+ * Read a mapping exported from the web app (Mapper.exportProfile format) or a plain column -> tag object
+ * @param {string} filePath
+ * @returns {{mappings: Object, formats: Object}} Column formats are empty for plain objects
+ */
+function loadMappingFile(filePath) {
+    let payload;
+    try {
+        payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Mapping file is not valid JSON: ${filePath}`);
+    }
+    const mappings = payload && payload.mappings ? payload.mappings : payload;
+    if (!mappings || typeof mappings !== 'object' || Array.isArray(mappings)) {
+        throw new Error(`Mapping file has no "mappings" object: ${filePath}`);
+    }
+    const formats = payload.mappings && payload.formats && typeof payload.formats === 'object' ? payload.formats : {};
+    return { mappings, formats };
+}
+
+/**
+ * Convert a DOCX to PDF with headless LibreOffice (no Word needed, works offline)
+ * @param {Buffer} docx
+ * @returns {Promise<Buffer>}
+ */
+async function convertToPdf(docx) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'format-docs-'));
+    const input = path.join(dir, 'document.docx');
+    fs.writeFileSync(input, docx);
+
+    try {
+        await new Promise((resolve, reject) => {
+            // A private profile lets conversions run while LibreOffice is open on the desktop
+            const args = [`-env:UserInstallation=file://${path.join(dir, 'profile')}`,
+                '--headless', '--convert-to', 'pdf', '--outdir', dir, input];
+            execFile(SOFFICE, args, { timeout: PDF_TIMEOUT }, (error, stdout, stderr) => {
+                if (error && error.code === 'ENOENT') {
+                    reject(new Error(`PDF output needs LibreOffice; "${SOFFICE}" was not found (set SOFFICE_PATH)`));
+                } else if (error) {
+                    reject(new Error(`PDF conversion failed: ${(stderr || error.message).trim()}`));
+                } else {
+                    resolve();
+                }
+            });
+        });
+
+        const output = path.join(dir, 'document.pdf');
+        if (!fs.existsSync(output)) throw new Error('PDF conversion produced no file');
+        return fs.readFileSync(output);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Load images for [%TAG] placeholders from folders (searched recursively), zips or single files
+ * @param {string[]} paths
+ * @returns {Promise<number>} Number of images loaded
+ */
+async function loadImages(paths) {
+    let added = 0;
+    const addPath = async (file) => {
+        if (fs.statSync(file).isDirectory()) {
+            for (const entry of fs.readdirSync(file)) await addPath(path.join(file, entry));
+        } else if (/\.zip$/i.test(file)) {
+            added += await Images.addZip(fs.readFileSync(file));
+        } else if (Images.add(file, new Uint8Array(fs.readFileSync(file)))) {
+            added++;
+        }
+    };
+
+    for (const file of paths) {
+        if (!fs.existsSync(file)) throw new Error(`Images not found: ${file}`);
+        await addPath(file);
+    }
+    return added;
+}
+
+/**
+ * Mapping for a template: its own if set, otherwise suggested from the headers
+ * @param {string[]} headers
+ * @param {Object} template
+ * @returns {Object}
+ */
+function resolveMappings(headers, template) {
+    if (template.mappings) return template.mappings;
+    const placeholders = [...new Set([...Object.values(Generator.defaultMappings), ...(template.tags || [])])];
+    return Mapper.suggest(headers, placeholders, Generator.defaultMappings);
+}
+
+/**
+ * Turn '2-10,15,20-' into 0-based row indexes
+ * @param {string} spec - 1-based data row numbers and ranges
+ * @param {number} total - Number of data rows
+ * @returns {number[]}
+ */
+function parseRowSpec(spec, total) {
+    const indexes = new Set();
+
+    String(spec).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const match = part.match(/^(\d*)\s*(-?)\s*(\d*)$/);
+        if (!match || (!match[1] && !match[3])) {
+            throw new Error(`Invalid rows value: "${part}"`);
+        }
+
+        const start = match[1] ? parseInt(match[1], 10) : 1;
+        const end = match[2] ? (match[3] ? parseInt(match[3], 10) : total) : start;
+        if (start < 1 || end < start) {
+            throw new Error(`Invalid rows range: "${part}"`);
+        }
+
+        for (let n = start; n <= Math.min(end, total); n++) indexes.add(n - 1);
+    });
+
+    return [...indexes].sort((a, b) => a - b);
+}
+
+/**
+ * Render the given rows with each template. Several templates put each row in its own folder.
+ * @param {Object[]} rows
+ * @param {number[]} rowIndexes - 0-based indexes into rows
+ * @param {Object[]} templates - Template objects with mappings resolved
+ * @param {function(number)} [onRow] - Called with each finished row index
+ * @param {{filenamePattern?: string, format?: string, cover?: boolean, toc?: boolean, email?: Object}} [options] - Overrides
+ *        Generator.filenamePattern and the output format (docx, pdf, both or combined) for this batch;
+ *        cover and toc add a cover page and contents to a combined document; email (see Email.defaults)
+ *        adds an email draft after each row's files
+ * @returns {Promise<{filename: string, blob: Buffer}[]>} One document when combined
+ */
+async function generateRows(rows, rowIndexes, templates, onRow, options = {}) {
+    Generator.useTemplate(templates[0]);
+    if (options.format === 'combined') return generateCombined(rows, rowIndexes, templates, onRow, options);
+    const documents = [];
+
+    for (const index of rowIndexes) {
+        const files = [];
+        for (const template of templates) {
+            const outputs = await Generator.generateOutputs(rows[index], index, template, options.format || 'docx');
+            outputs.forEach(doc => {
+                if (options.filenamePattern) {
+                    const extension = path.extname(doc.filename).slice(1);
+                    doc.filename = Naming.filename(options.filenamePattern, Naming.context(rows[index], index, template), extension);
+                }
+                if (templates.length > 1) doc.filename = `${Generator.generateFolderName(rows[index], index)}/${doc.filename}`;
+                files.push(doc);
+            });
+        }
+        documents.push(...files);
+        if (options.email) {
+            const job = { row: rows[index], template: templates[0], draft: Email.draftName(files[0].filename) };
+            documents.push(await Email.draft(job, files, { ...Email.defaults, ...options.email }));
+        }
+        if (onRow) onRow(index);
+    }
+    return documents;
+}
+
+/**
+ * Render the rows with each template into one DOCX (see Combine)
+ */
+async function generateCombined(rows, rowIndexes, templates, onRow, options) {
+    const state = Combine.start();
+    for (const index of rowIndexes) {
+        for (const template of templates) {
+            const zip = await Generator.renderDocument(rows[index], template);
+            Combine.add(state, zip, Combine.label(rows[index], index));
+        }
+        if (onRow) onRow(index);
+    }
+
+    const blob = Combine.finish(state, { ...Generator.combineOptions, cover: Boolean(options.cover), toc: Boolean(options.toc) })
+        .generate({ type: Generator.outputType, compression: 'DEFLATE' });
+    return [{ filename: Generator.combinedFilename, blob }];
+}
+
+module.exports = {
+    Parser,
+    Generator,
+    Mapper,
+    Inspector,
+    Extractor,
+    Email,
+    Library,
+    Naming,
+    Images,
+    RunHistory,
+    BUILTIN_TEMPLATE,
+    parseRowSpec,
+    generateRows,
+    convertToPdf,
+    loadImages,
+    loadTemplateFile,
+    loadMappingFile,
+    resolveMappings
+};
@@ -0,0 +1,104 @@
+/**
+ * Template Store
+ * Server-side template library: DOCX files plus an index.json of metadata
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Inspector, Library, BUILTIN_TEMPLATE } = require('./runtime');
+
+const TemplateStore = {
+    dir: null,
+    indexPath: null,
+
+    /**
+     * @param {string} dir - Directory holding index.json and the .docx files
+     */
+    init(dir) {
+        this.dir = dir;
+        this.indexPath = path.join(dir, 'index.json');
+    },
+
+    readIndex() {
+        try {
+            return JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    },
+
+    writeIndex(entries) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        const tmp = `${this.indexPath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(entries, null, 2));
+        fs.renameSync(tmp, this.indexPath);
+    },
+
+    /**
+     * Template metadata, built-in first (no file contents)
+     * @returns {Object[]}
+     */
+    list() {
+        const builtin = {
+            id: Library.builtinId,
+            name: 'Needs Analysis',
+            version: '1.0',
+            builtin: true,
+            tags: fs.existsSync(BUILTIN_TEMPLATE)
+                ? Object.keys(Inspector.scanDocx(fs.readFileSync(BUILTIN_TEMPLATE)).tags)
+                : []
+        };
+        const stored = this.readIndex().sort((a, b) => a.name.localeCompare(b.name));
+        return [builtin, ...stored];
+    },
+
+    /**
+     * Full template (with docx Buffer) by id
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        const meta = this.list().find(t => t.id === id);
+        if (!meta) return null;
+
+        const file = meta.builtin ? BUILTIN_TEMPLATE : path.join(this.dir, `${meta.id}.docx`);
+        if (!fs.existsSync(file)) return null;
+        return { ...meta, docx: fs.readFileSync(file), html: null };
+    },
+
+    /**
+     * Store an uploaded DOCX. Re-using a name stores it as that template's next version.
+     * @param {Buffer} docx
+     * @param {{name: string, version?: string, mappings?: Object, formats?: Object}} meta
+     * @returns {Object} Stored metadata
+     */
+    add(docx, { name, version, mappings, formats }) {
+        Library.validateDocx(docx, name);
+        const { tags, broken } = Inspector.scanDocx(docx);
+
+        const entries = this.readIndex();
+        const previous = entries.find(t => t.name === name);
+        const now = new Date().toISOString();
+
+        const entry = {
+            id: previous ? previous.id : `tpl-${crypto.randomBytes(6).toString('hex')}`,
+            name,
+            version: version || (previous ? Library.nextVersion(previous.version) : '1.0'),
+            mappings: mappings || (previous ? previous.mappings : null),
+            formats: formats || (previous ? previous.formats : null),
+            tags: Object.keys(tags),
+            broken: broken.length,
+            created: previous ? previous.created : now,
+            updated: now
+        };
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, `${entry.id}.docx`), docx);
+        this.writeIndex([...entries.filter(t => t.id !== entry.id), entry]);
+        return entry;
+    }
+};
+
+module.exports = TemplateStore;
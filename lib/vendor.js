@@ -0,0 +1,40 @@
+/**
+ * Vendored Browser Libraries
+ * Serves the libraries the web app needs from node_modules under /vendor,
+ * so it runs without reaching a CDN (offline sites, locked-down proxies)
+ */
+
+const express = require('express');
+const path = require('path');
+
+const NODE_MODULES = path.join(__dirname, '..', 'node_modules');
+
+// /vendor/<name> -> file in node_modules (keep sw.js in step)
+const VENDOR_FILES = {
+    'xlsx.full.min.js': 'xlsx/dist/xlsx.full.min.js',
+    'jszip.min.js': 'jszip/dist/jszip.min.js',
+    'FileSaver.min.js': 'file-saver/dist/FileSaver.min.js',
+    'pizzip.min.js': 'pizzip/dist/pizzip.min.js',
+    'docxtemplater.js': 'docxtemplater/build/docxtemplater.js'
+};
+
+/**
+ * @returns {express.Router}
+ */
+function createVendorRouter() {
+    const router = express.Router();
+
+    router.get('/:file', (req, res) => {
+        if (!Object.hasOwn(VENDOR_FILES, req.params.file)) {
+            res.sendStatus(404);
+            return;
+        }
+        res.sendFile(path.join(NODE_MODULES, VENDOR_FILES[req.params.file]), (error) => {
+            if (error && !res.headersSent) res.status(500).type('text/plain').send(`${req.params.file} is missing; run npm install`);
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createVendorRouter, VENDOR_FILES };
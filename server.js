@@ -1,12 +1,29 @@
 const express = require('express');
 const path = require('path');
 const open = require('open');
+const { createApiRouter } = require('./lib/api');
+const { createVendorRouter } = require('./lib/vendor');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.FORMAT_DOCS_DATA || path.join(__dirname, 'data');
 
-// Serve static files from the current directory
-app.use(express.static(__dirname));
+// REST API for other tools
+app.use('/api', createApiRouter({
+    dataDir: path.join(DATA_DIR, 'templates'),
+    historyDir: path.join(DATA_DIR, 'history')
+}));
+
+// Browser libraries from node_modules (no CDN needed)
+app.use('/vendor', createVendorRouter());
+
+// Serve the web app itself; data/, lib/, bin/ and node_modules stay private
+['js', 'css', 'icons', 'Images', 'Templates'].forEach(dir => {
+    app.use(`/${dir}`, express.static(path.join(__dirname, dir)));
+});
+['index.html', 'sw.js', 'manifest.webmanifest'].forEach(file => {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+});
 
 // Direct route for index.html
 app.get('/', (req, res) => {
@@ -0,0 +1,92 @@
+/**
+ * Service Worker
+ * Keeps Format Docs working offline: the app, its vendored libraries and the
+ * built-in templates are cached on install, and every same-origin file is
+ * fetched from the network first with the cached copy as the fallback. A
+ * template answered from the cache carries X-Format-Docs-Cached (when it was
+ * cached) so the app can say it may be out of date. The API is never cached.
+ * Library templates, mapping profiles and history live in the browser and
+ * need no network anyway.
+ */
+
+// Bump when the file list changes
+const CACHE = 'format-docs-v3';
+
+const CACHED_HEADER = 'X-Format-Docs-Cached';
+
+// How long to wait for the network before answering from the cache (a slow
+// or half-open connection would otherwise hang the app)
+const NETWORK_TIMEOUT = 4000;
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/xlsx.full.min.js',
+    'vendor/jszip.min.js',
+    'vendor/FileSaver.min.js',
+    'vendor/pizzip.min.js',
+    'vendor/docxtemplater.js',
+    ...['parser', 'templating', 'mapper', 'inspector', 'extractor', 'library', 'validator', 'formatter', 'naming',
+        'images', 'richtext', 'combine', 'generator', 'email', 'zip-stream', 'batch', 'batch-worker', 'run-history',
+        'docx-html', 'preview', 'pdf', 'editor', 'row-list', 'app'].map(name => `js/${name}.js`),
+    'Templates/template.docx',
+    'Templates/format-docs.html',
+    'Images/VEGA-logo_with-slogan-removebg-preview.png'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(APP_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (url.pathname.startsWith('/api/')) return;
+    event.respondWith(networkFirst(event));
+});
+
+/**
+ * Answer from the network and refresh the cache, or from the cache when offline
+ * or the network is slower than NETWORK_TIMEOUT (the cache is still refreshed
+ * when the answer comes)
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(event) {
+    const { request } = event;
+    const cache = await caches.open(CACHE);
+    const network = fetch(request).then(async (response) => {
+        if (response.status === 200) await cache.put(request, response.clone());
+        return response;
+    });
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Network timed out')), NETWORK_TIMEOUT);
+    });
+    try {
+        return await Promise.race([network, timeout]);
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (!cached) return network; // Nothing to fall back to: keep waiting (or fail)
+        event.waitUntil(network.catch(() => {}));
+        if (!/\/Templates\//.test(new URL(request.url).pathname)) return cached;
+
+        // Mark cached templates with when they were fetched
+        const headers = new Headers(cached.headers);
+        headers.set(CACHED_HEADER, cached.headers.get('Date') || 'unknown');
+        return new Response(await cached.blob(), { status: cached.status, statusText: cached.statusText, headers });
+    } finally {
+        clearTimeout(timer);
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * REST API (run against an in-process server)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const PizZip = require('pizzip');
+const { createApiRouter } = require('../lib/api');
+const { Extractor } = require('../lib/runtime');
+const Mailer = require('../lib/mailer');
+
+let server;
+let base;
+let dataDir;
+
+test.before(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'format-docs-api-'));
+    const app = express();
+    app.use('/api', createApiRouter({ dataDir: path.join(dataDir, 'templates'), historyDir: path.join(dataDir, 'history') }));
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    base = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function generate(body) {
+    return fetch(`${base}/generate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+test('concurrent generations each render with their own mapping', async () => {
+    const requests = ['Alpha', 'Beta', 'Gamma'].map(name => generate({
+        rows: [{ [`${name} Column`]: `${name} Ltd` }],
+        mappings: { [`${name} Column`]: 'INSERT_CLIENT_NAME' }
+    }));
+    const responses = await Promise.all(requests);
+
+    for (const [i, name] of ['Alpha', 'Beta', 'Gamma'].entries()) {
+        assert.equal(responses[i].status, 200);
+        const text = Extractor.documentText(new PizZip(Buffer.from(await responses[i].arrayBuffer())));
+        assert.ok(text.includes(`${name} Ltd`), `${name} document has its own client`);
+    }
+});
+
+test('unknown routes answer with a JSON 404', async () => {
+    const response = await fetch(`${base}/nothing`);
+    assert.equal(response.status, 404);
+    assert.match((await response.json()).error, /No API route/);
+});
+
+test('an email From with a line break is refused', async () => {
+    const response = await generate({
+        rows: [{ Client: 'Acme', Email: 'a@example.com' }],
+        email: { recipientColumn: 'Email', from: 'a@example.com\r\nBcc: victim@example.com' }
+    });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /From is not an email address/);
+});
+
+test('errors the API raises keep their message at 5xx', async () => {
+    const response = await fetch(`${base}/email/send`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'message/rfc822' },
+        body: 'To: a@example.com\r\n\r\nHi'
+    });
+    assert.equal(response.status, 503);
+    assert.match((await response.json()).error, /Sending email is not set up/);
+});
+
+/**
+ * Base URL of a second server on this machine's network address, so requests
+ * to it do not come from loopback; null when there is no such address
+ */
+async function remoteBase(t) {
+    const address = Object.values(os.networkInterfaces()).flat().find(entry => entry.family === 'IPv4' && !entry.internal);
+    if (!address) return null;
+
+    const app = express();
+    app.use('/api', createApiRouter({ dataDir: path.join(dataDir, 'templates'), historyDir: path.join(dataDir, 'history') }));
+    const remote = await new Promise(resolve => {
+        const listener = app.listen(0, address.address, () => resolve(listener));
+    });
+    t.after(() => remote.close());
+    return `http://${address.address}:${remote.address().port}/api`;
+}
+
+test('email is only sent for callers on the server\'s machine', async (t) => {
+    const remote = await remoteBase(t);
+    if (!remote) return t.skip('no network address besides loopback');
+
+    const host = Mailer.host;
+    Mailer.host = 'smtp.invalid';
+    t.after(() => {
+        Mailer.host = host;
+    });
+
+    const url = `${remote}/email`;
+    assert.equal((await (await fetch(url)).json()).smtp, false);
+    const response = await fetch(`${url}/send`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'message/rfc822' },
+        body: 'To: a@example.com\r\n\r\nHi'
+    });
+    assert.equal(response.status, 403);
+    assert.match((await response.json()).error, /only allowed from the server's own machine/);
+});
+
+test('documents are converted to PDF, or the reason they cannot be is given', async () => {
+    const notDocx = await fetch(`${base}/convert/pdf`, { method: 'POST', headers: { 'Content-Type': 'application/octet-stream' }, body: 'hello' });
+    assert.equal(notDocx.status, 415);
+
+    const docx = fs.readFileSync(path.join(__dirname, '..', 'Templates', 'template.docx'));
+    const response = await fetch(`${base}/convert/pdf`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+        body: docx
+    });
+    if (response.status === 200) {
+        assert.equal(response.headers.get('content-type'), 'application/pdf');
+        assert.equal(Buffer.from(await response.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+    } else {
+        assert.equal(response.status, 422);
+        assert.match((await response.json()).error, /LibreOffice|PDF conversion/);
+    }
+});
+
+test('documents are only converted for callers on the server\'s machine', async (t) => {
+    const remote = await remoteBase(t);
+    if (!remote) return t.skip('no network address besides loopback');
+
+    const docx = fs.readFileSync(path.join(__dirname, '..', 'Templates', 'template.docx'));
+    const response = await fetch(`${remote}/convert/pdf`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+        body: docx
+    });
+    assert.equal(response.status, 403);
+    assert.match((await response.json()).error, /PDF conversion is only allowed from the server's own machine/);
+});
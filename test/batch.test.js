@@ -0,0 +1,69 @@
+/**
+ * Batches streamed into a ZIP (js/batch.js and js/zip-stream.js are
+ * browser-only, so they are loaded here into the runtime's window globals)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { Email, Generator, BUILTIN_TEMPLATE, loadTemplateFile } = require('../lib/runtime');
+require('../js/zip-stream');
+require('../js/batch');
+
+const { Batch } = global;
+
+test('email drafts keep their attachments when the writer transfers its buffers', async (t) => {
+    const template = loadTemplateFile(BUILTIN_TEMPLATE, { mappings: { ...Generator.defaultMappings } });
+    Generator.useTemplate(template);
+    Generator.emailOptions = { ...Email.defaults, enabled: true, recipientColumn: 'Email' };
+    t.after(() => {
+        Generator.emailOptions = null;
+    });
+
+    const rows = [{ Client: 'Acme', Email: 'a@example.com' }, { Client: 'Beta', Email: 'b@example.com' }];
+    const jobs = Generator.planBatch(rows, [template], 'docx');
+    const drafts = []; // Read when handed over, as the page does before the draft is written
+    // As the worker posts chunks: the buffer is moved, leaving the sender's copy empty
+    const write = (bytes) => {
+        structuredClone(bytes, { transfer: [bytes.buffer] });
+    };
+
+    const result = await Batch.process(jobs, 'docx', write, {
+        onProgress: () => {},
+        onDraft: (draft) => drafts.push(new TextDecoder().decode(draft.blob))
+    });
+    assert.equal(result.written, 2);
+    assert.equal(drafts.length, 2);
+
+    drafts.forEach((message, i) => {
+        const attachment = message.split(/Content-Disposition: attachment;[^\r]*\r\n\r\n/)[1].split('\r\n--')[0];
+        assert.ok(Buffer.from(attachment.replace(/\r\n/g, ''), 'base64').length > 1000, `draft ${i + 1} has its document attached`);
+    });
+});
+
+test('recipients that are not email addresses are listed per row in the report', async (t) => {
+    const template = loadTemplateFile(BUILTIN_TEMPLATE, { mappings: { ...Generator.defaultMappings } });
+    Generator.useTemplate(template);
+    Generator.emailOptions = { ...Email.defaults, enabled: true, recipientColumn: 'Email' };
+    t.after(() => {
+        Generator.emailOptions = null;
+    });
+
+    const rows = [{ Client: 'Acme', Email: 'a@example.com' }, { Client: 'Beta', Email: 'b@example.com; accounts@beta' }];
+    const pieces = [];
+    const drafts = [];
+    const result = await Batch.process(Generator.planBatch(rows, [template], 'docx'), 'docx', (bytes) => pieces.push(bytes), {
+        onProgress: () => {},
+        onDraft: (draft) => drafts.push(draft)
+    });
+
+    assert.deepEqual(drafts.map(draft => draft.invalid), [[], ['accounts@beta']]);
+    assert.deepEqual(drafts[1].to, ['b@example.com']);
+    assert.deepEqual(result.unaddressed.map(f => [f.index, f.message]), [[1, 'not an email address: accounts@beta']]);
+    assert.equal(result.written, 2);
+
+    const archive = await JSZip.loadAsync(Buffer.concat(pieces));
+    const report = await archive.file(Batch.reportName).async('string');
+    assert.match(report, /^1 email draft left out recipients that are not email addresses\./);
+    assert.match(report, /Row 2 \(.*\): not an email address: accounts@beta/);
+});
@@ -0,0 +1,52 @@
+/**
+ * CLI argument handling
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../bin/format-docs');
+
+/**
+ * Run the CLI, collecting what it writes to stdout and stderr
+ */
+async function run(args) {
+    const output = [];
+    const errors = [];
+    const { log, error } = console;
+    console.log = (message) => output.push(String(message));
+    console.error = (message) => errors.push(String(message));
+    try {
+        return { code: await main(args), stdout: output.join('\n'), stderr: errors.join('\n') };
+    } finally {
+        Object.assign(console, { log, error });
+    }
+}
+
+test('an unknown command is a usage error', async () => {
+    const { code, stderr } = await run(['convert']);
+    assert.equal(code, 2);
+    assert.match(stderr, /Unknown command: convert/);
+});
+
+test('values after the command without an option are rejected, not dropped', async () => {
+    const { code, stderr } = await run(['extract', '-i', 'a.docx', 'b.docx']);
+    assert.equal(code, 2);
+    assert.match(stderr, /Unexpected argument: b\.docx/);
+});
+
+test('--zip reports the one archive and the documents in it', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'format-docs-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const input = path.join(dir, 'rows.csv');
+    fs.writeFileSync(input, 'Client,Desired Completion Date\nAcme,2026-03-01\nBeta,2026-04-01\nGamma,\n');
+
+    const out = path.join(dir, 'out');
+    const { code, stdout, stderr } = await run(['generate', '-i', input, '-o', out, '--zip']);
+    assert.equal(code, 0);
+    assert.equal(stdout, path.join(out, 'Specification_Documents.zip'));
+    assert.match(stderr, /^1 file written to .* \(3 documents\)$/m);
+    assert.deepEqual(fs.readdirSync(out), ['Specification_Documents.zip']);
+});
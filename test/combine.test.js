@@ -0,0 +1,62 @@
+/**
+ * One combined DOCX (Combine is a global of the runtime)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PizZip = require('pizzip');
+const { Extractor, Generator, BUILTIN_TEMPLATE, generateRows, loadTemplateFile } = require('../lib/runtime');
+
+const { Combine } = global;
+
+const template = loadTemplateFile(BUILTIN_TEMPLATE, {
+    mappings: { ...Generator.defaultMappings },
+    formats: { 'Functional Requirements': 'markdown' }
+});
+const rows = [
+    { 'Client': 'Acme', 'Functional Requirements': '- Teams\n- Zoom' },
+    { 'Client': 'Beta', 'Functional Requirements': '- Webex' }
+];
+
+async function combined(options = {}) {
+    const documents = await generateRows(rows, [0, 1], [template], null, { format: 'combined', ...options });
+    assert.equal(documents.length, 1);
+    assert.equal(documents[0].filename, Generator.combinedFilename);
+    return new PizZip(documents[0].blob);
+}
+
+test('the documents follow each other in their own sections', async () => {
+    const zip = await combined();
+    const xml = zip.file('word/document.xml').asText();
+    const text = Extractor.documentText(zip);
+
+    assert.ok(text.indexOf('Acme') !== -1 && text.indexOf('Acme') < text.indexOf('Beta'));
+    assert.equal((xml.match(/<w:sectPr\b/g) || []).length, 2);
+    assert.equal((xml.match(/<w:body>/g) || []).length, 1);
+});
+
+test('each document keeps its own list numbering', async () => {
+    const xml = (await combined()).file('word/document.xml').asText();
+    const numId = (item) => xml.split('</w:p>').find(p => p.includes(`>${item}</w:t>`)).match(/<w:numId w:val="(\d+)"/)[1];
+    assert.equal(numId('Teams'), numId('Zoom'));
+    assert.notEqual(numId('Teams'), numId('Webex'));
+});
+
+test('the cover and contents list the documents and link to them', async () => {
+    const zip = await combined({ cover: true, toc: true });
+    const xml = zip.file('word/document.xml').asText();
+    const text = Extractor.documentText(zip);
+
+    assert.ok(text.startsWith('Specification Documents'));
+    assert.match(text, /2 documents/);
+    const anchors = [...xml.matchAll(/w:anchor="([^"]+)"/g)].map(match => match[1]);
+    assert.equal(anchors.length, 2);
+    anchors.forEach(anchor => assert.match(xml, new RegExp(`<w:bookmarkStart [^>]*w:name="${anchor}"`)));
+    assert.match(zip.file('word/settings.xml').asText(), /<w:updateFields w:val="true"\/>/);
+});
+
+test('labels and an empty combination', () => {
+    assert.equal(Combine.label({ Client: ' Acme ' }, 0), 'Acme');
+    assert.equal(Combine.label({}, 2), 'Document 3');
+    assert.throws(() => Combine.finish(Combine.start()), /no documents to combine/);
+});
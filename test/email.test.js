@@ -0,0 +1,69 @@
+/**
+ * Email drafts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Email } = require('../lib/runtime');
+
+function headerBlock(message) {
+    return message.slice(0, message.indexOf('\r\n\r\n'));
+}
+
+test('compose writes the headers, a base64 body and the attachments', () => {
+    const message = Email.compose({
+        from: 'office@example.com',
+        to: ['a@example.com', 'b@example.com'],
+        cc: ['c@example.com'],
+        subject: 'Acme - Needs Analysis',
+        body: 'Hi,\nAttached.',
+        attachments: [{ filename: 'Acme.docx', data: new Uint8Array([1, 2, 3]) }]
+    });
+    const headers = headerBlock(message);
+
+    assert.match(headers, /^From: office@example\.com\r\n/);
+    assert.match(headers, /\r\nTo: a@example\.com, b@example\.com\r\n/);
+    assert.match(headers, /\r\nCc: c@example\.com\r\n/);
+    assert.match(headers, /\r\nSubject: Acme - Needs Analysis\r\n/);
+    assert.match(headers, /\r\nX-Unsent: 1\r\n/);
+    assert.ok(message.includes(Buffer.from('Hi,\r\nAttached.').toString('base64')));
+    assert.match(message, /Content-Disposition: attachment; filename="Acme\.docx"\r\n\r\nAQID\r\n/);
+    assert.ok(!/[^\r]\n/.test(message), 'CRLF line endings only');
+});
+
+test('encodeHeader leaves ASCII alone and splits UTF-8 into encoded words', () => {
+    assert.equal(Email.encodeHeader('Plain subject'), 'Plain subject');
+
+    const text = 'Café – Überprüfung der Räume '.repeat(3);
+    const encoded = Email.encodeHeader(text);
+    const words = encoded.split('\r\n ');
+    assert.ok(words.length > 1);
+    words.forEach(word => assert.ok(word.length <= 75, word));
+    const decoded = words.map(word => Buffer.from(word.match(/^=\?UTF-8\?B\?(.*)\?=$/)[1], 'base64').toString('utf8')).join('');
+    assert.equal(decoded, text);
+});
+
+test('sender accepts an address or Name <address>', () => {
+    assert.equal(Email.sender(''), '');
+    assert.equal(Email.sender(' office@example.com '), 'office@example.com');
+    assert.equal(Email.sender('Front Desk <office@example.com>'), '"Front Desk" <office@example.com>');
+    assert.equal(Email.sender('"Smith, J" <j@example.com>'), '"Smith, J" <j@example.com>');
+    assert.match(Email.sender('Zoë <z@example.com>'), /^=\?UTF-8\?B\?.+\?= <z@example\.com>$/);
+});
+
+test('sender rejects header injection and non-addresses', () => {
+    ['a@b.co\r\nBcc: victim@example.com', 'a@b.co\nBcc: victim@example.com', 'Name <a@b.co>\r\nX: y',
+        'not an address', 'a@b.co, c@d.co', '<a@b.co> <c@d.co>'].forEach(value => {
+        assert.throws(() => Email.sender(value), /From is not an email address/, JSON.stringify(value));
+    });
+    assert.throws(() => Email.checkOptions({ ...Email.defaults, from: 'a@b.co\r\nBcc: x@y.co' }), /From/);
+});
+
+test('a mistyped Cc address is refused rather than dropped', async () => {
+    const options = { ...Email.defaults, recipientColumn: 'Email', cc: 'boss@example.com; boss@examplecom' };
+    assert.throws(() => Email.checkOptions(options), /Cc is not an email address: boss@examplecom/);
+
+    const job = { row: { Email: 'a@example.com' }, draft: 'Acme.eml', template: null };
+    await assert.rejects(Email.draft(job, [], options), /Cc is not an email address/);
+    assert.doesNotThrow(() => Email.checkOptions({ ...options, cc: 'boss@example.com, <team@example.com>' }));
+});
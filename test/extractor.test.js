@@ -0,0 +1,43 @@
+/**
+ * Reading generated documents back into rows
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Extractor, Generator, BUILTIN_TEMPLATE, generateRows, loadTemplateFile } = require('../lib/runtime');
+
+const template = loadTemplateFile(BUILTIN_TEMPLATE, { mappings: { ...Generator.defaultMappings } });
+
+async function roundTrip(row) {
+    const [doc] = await generateRows([row], [0], [template]);
+    return Extractor.extractFiles([{ name: doc.filename, data: doc.blob }], template);
+}
+
+test('values come back as the template wrote them', async () => {
+    const row = {
+        'Client': 'Acme Corp',
+        'Desired Completion Date': '2026-01-01',
+        'Room Details (Workload)': '2 boardrooms\n4 huddle rooms',
+        'Control System Requirements': 'Touch panel in each room',
+        'Budgetary Estimates': '50000'
+    };
+    const result = await roundTrip(row);
+
+    assert.deepEqual(result.missing, []);
+    const rendered = Extractor.renderedRow(row, template);
+    for (const column of Object.keys(row)) {
+        if (result.absent.includes(column)) continue;
+        assert.equal(result.rows[0][column], rendered[column], column);
+    }
+});
+
+test('blank fields of an unedited document read as empty', async () => {
+    const result = await roundTrip({ 'Client': 'Acme', 'Desired Completion Date': '2026-01-01' });
+
+    assert.deepEqual(result.missing, []);
+    assert.equal(result.rows[0]['Client'], 'Acme');
+    assert.equal(result.rows[0]['Desired Completion Date'], '2026-01-01');
+    Object.keys(Generator.defaultMappings).slice(2).forEach(column => {
+        assert.equal(result.rows[0][column], '', column);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Value filters (Formatter is a global of the runtime)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../lib/runtime');
+
+const { Formatter } = global;
+const format = (value, expression) => Formatter.apply(value, Formatter.parseFilters(expression));
+const ymd = (date) => date && Formatter.formatDate(date, 'YYYY-MM-DD');
+
+test('dates are read day-first unless the locale or the day says otherwise', () => {
+    assert.equal(ymd(Formatter.parseDate('2024-03-05')), '2024-03-05');
+    assert.equal(ymd(Formatter.parseDate('05/03/2024')), '2024-03-05');
+    assert.equal(ymd(Formatter.parseDate('05/03/2024', 'en-US')), '2024-05-03');
+    assert.equal(ymd(Formatter.parseDate('3/15/24')), '2024-03-15');
+    assert.equal(ymd(Formatter.parseDate('15th March 2024')), '2024-03-15');
+    assert.equal(Formatter.parseDate('31/02/2024'), null);
+    assert.equal(Formatter.parseDate('soon'), null);
+});
+
+test('date formats each token, and leaves unreadable dates alone', () => {
+    assert.equal(format('2024-03-05', 'date:"D MMMM YYYY"'), '5 March 2024');
+    assert.equal(format('2024-03-05', 'date:DD/MM/YY'), '05/03/24');
+    assert.equal(format('2024-03-05', 'date'), '05-03-2024');
+    assert.equal(format('TBC', 'date:"D MMM YYYY"'), 'TBC');
+    assert.equal(format('week 12', 'date:DD-MM-YYYY'), 'week 12');
+    assert.equal(format('sometime in 2025', 'date'), 'sometime in 2025');
+});
+
+test('amounts are read in the usual spreadsheet styles', () => {
+    assert.equal(Formatter.parseNumber('$12,500.00'), 12500);
+    assert.equal(Formatter.parseNumber('NZD 1 200'), 1200);
+    assert.equal(Formatter.parseNumber('15k'), 15000);
+    assert.equal(Formatter.parseNumber('(1,200)'), -1200);
+    assert.equal(Formatter.parseNumber('about 5'), null);
+});
+
+test('currency and number format amounts for the locale', () => {
+    assert.equal(format('12500', 'currency'), '$12,500.00');
+    assert.equal(format('1.5k', 'currency:AUD'), 'A$1,500.00');
+    assert.equal(format('1234.5678', 'number:2'), '1,234.57');
+    assert.equal(format('n/a', 'currency'), 'n/a');
+});
+
+test('text filters chain in order', () => {
+    assert.equal(format('  acme-north ltd ', 'trim | title'), 'Acme-North Ltd');
+    assert.equal(format('Ngāti Whātua Ōrākei!', 'slug'), 'ngāti-whātua-ōrākei');
+    assert.equal(format('', 'default:"To be confirmed" | upper'), 'TO BE CONFIRMED');
+    assert.equal(format('Needs analysis', 'truncate:5'), 'Needs');
+    assert.equal(format('7', 'pad:3'), '007');
+});
+
+test('filter arguments may be quoted and contain separators', () => {
+    assert.deepEqual(Formatter.parse('Date | date:“D MMMM, YYYY” | default:"a|b"'), {
+        name: 'Date',
+        filters: [{ name: 'date', arg: 'D MMMM, YYYY' }, { name: 'default', arg: 'a|b' }]
+    });
+});
+
+test('text that only mentions a number or a year is not a date', () => {
+    ['week 12', 'TBC', 'sometime in 2025', 'Q3 2025', '5 Ma 2024', 'Mon 5 March 2024'].forEach(value => {
+        assert.equal(Formatter.parseDate(value), null, value);
+    });
+    assert.equal(ymd(Formatter.parseDate('15-Mar-24')), '2024-03-15');
+    assert.equal(ymd(Formatter.parseDate('Sept 3 2024')), '2024-09-03');
+    assert.equal(ymd(Formatter.parseDate('March 15, 2024')), '2024-03-15');
+});
@@ -0,0 +1,62 @@
+/**
+ * Rendering rows into templates
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const PizZip = require('pizzip');
+const { Generator, BUILTIN_TEMPLATE } = require('../lib/runtime');
+
+/**
+ * The built-in template with some of its text replaced
+ * @param {Object<string, string>} replacements
+ */
+function editedTemplate(replacements) {
+    const zip = new PizZip(fs.readFileSync(BUILTIN_TEMPLATE));
+    let xml = zip.file('word/document.xml').asText();
+    Object.entries(replacements).forEach(([from, to]) => {
+        xml = xml.replace(from, to);
+    });
+    zip.file('word/document.xml', xml);
+    return { name: 'Edited', docx: zip.generate({ type: 'nodebuffer' }), mappings: { ...Generator.defaultMappings } };
+}
+
+test('template errors name each broken tag', () => {
+    const template = editedTemplate({ '[INSERT_CLIENT_NAME]': '[INSERT_CLIENT_NAME', '[INSERT_DATE]': '[#OPEN]' });
+    assert.throws(() => Generator.renderZip({ Client: 'Acme' }, template), (error) => {
+        assert.match(error.message, /The tag beginning with "\[INSERT_CLIENT_NAME" is unclosed/);
+        assert.match(error.message, /The loop with tag "OPEN" is unclosed/);
+        return true;
+    });
+});
+
+test('groups gather rows by value, ignoring case and surrounding spaces, in order', () => {
+    const rows = [
+        { Client: 'Acme', Room: 'Board room' },
+        { Client: 'Beta', Room: 'Lobby' },
+        { Client: ' acme ', Room: 'Huddle' },
+        { Client: '', Room: 'Kitchen' },
+        { Client: '  ', Room: 'Foyer' }
+    ];
+    const groups = Generator.groupRows(rows, 'Client');
+
+    assert.deepEqual(groups.map(group => group.Client), ['Acme', 'Beta', '', '  ']);
+    assert.deepEqual(groups.map(group => group[Generator.groupKey].indexes), [[0, 2], [1], [3], [4]]);
+    assert.deepEqual(Generator.groupMembers(groups[0]).map(row => row.Room), ['Board room', 'Huddle']);
+    assert.equal(Generator.groupRows(rows, ''), rows);
+});
+
+test('a group\'s data lists its rows with their own tags', () => {
+    const mappings = { Client: 'INSERT_CLIENT_NAME', Room: 'ROOM' };
+    const [group] = Generator.groupRows([{ Client: 'Acme', Room: 'Board room' }, { Client: 'ACME', Room: 'Huddle' }], 'Client');
+    const data = Generator.buildData(group, mappings, {});
+
+    assert.equal(data.ROW_COUNT, 2);
+    assert.equal(data.ROOM, 'Board room');
+    assert.deepEqual(data.ROWS.map(row => [row.INDEX, row.INSERT_CLIENT_NAME, row.ROOM]), [[1, 'Acme', 'Board room'], [2, 'ACME', 'Huddle']]);
+
+    const single = Generator.buildData({ Client: 'Beta', Room: 'Lobby' }, mappings, {});
+    assert.equal(single.ROW_COUNT, 1);
+    assert.deepEqual(single.ROWS.map(row => row.ROOM), ['Lobby']);
+});
@@ -0,0 +1,79 @@
+/**
+ * Run history: comparing runs, and the API's store of them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Generator, RunHistory } = require('../lib/runtime');
+const HistoryStore = require('../lib/history-store');
+
+// Just what diff reads of a run
+const run = (rows) => ({ documents: rows.map((row, index) => ({ index, row: Generator.packRow(row) })) });
+
+test('diff lists added, removed and changed clients', () => {
+    const before = run([
+        { Client: 'Acme', Budget: '5' },
+        { Client: 'Beta', Budget: '7' },
+        { Client: 'Gamma', Budget: '1' },
+        { Client: '', Budget: '2' }
+    ]);
+    const after = run([
+        { Client: 'acme ', Budget: '6' },
+        { Client: 'Gamma', Budget: '1', Region: 'Otago' },
+        { Client: 'Delta', Budget: '3' },
+        { Client: '', Budget: '2' }
+    ]);
+
+    assert.deepEqual(RunHistory.diff(before, after), {
+        changed: [
+            { client: 'acme', changes: [{ column: 'Client', before: 'Acme', after: 'acme ' }, { column: 'Budget', before: '5', after: '6' }] },
+            { client: 'Gamma', changes: [{ column: 'Region', before: '', after: 'Otago' }] }
+        ],
+        added: ['Delta'],
+        removed: ['Beta'],
+        unchanged: 1
+    });
+});
+
+test('diff matches group members and repeated clients one by one', () => {
+    const [group] = Generator.groupRows([{ Client: 'Acme', Room: 'A' }, { Client: 'Acme', Room: 'B' }], 'Client');
+    const changed = RunHistory.diff(run([group]), run([{ Client: 'Acme', Room: 'A' }])); // Now ungrouped, one row
+
+    assert.deepEqual(changed.removed, ['Acme (2)']);
+    assert.equal(changed.unchanged, 1);
+});
+
+test('the store keeps the newest runs and deletes the files of older ones', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'format-docs-history-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    HistoryStore.init(dir);
+    assert.equal(HistoryStore.maxRuns, 500);
+
+    const start = Date.UTC(2026, 0, 1);
+    const add = (n) => HistoryStore.add({
+        id: `run-${n}`,
+        created: new Date(start + n * 1000).toISOString(),
+        source: { name: 'rows.csv', hash: null },
+        format: 'docx',
+        templates: [],
+        documents: [],
+        outputs: [`${n}.docx`],
+        failures: []
+    }, { filename: `${n}.docx`, type: 'application/octet-stream', data: Buffer.from(`run ${n}`) });
+
+    for (let n = 1; n <= 502; n++) add(n);
+
+    const runs = HistoryStore.list();
+    assert.equal(runs.length, 500);
+    assert.deepEqual([runs[0].id, runs[499].id], ['run-502', 'run-3']);
+    ['run-1', 'run-2'].forEach(id => {
+        assert.equal(HistoryStore.get(id), null);
+        assert.ok(!fs.existsSync(path.join(dir, `${id}.json`)), `${id}.json deleted`);
+        assert.ok(!fs.existsSync(path.join(dir, `${id}.out`)), `${id}.out deleted`);
+    });
+    assert.equal(HistoryStore.output('run-3').data.toString(), 'run 3');
+    assert.equal(fs.readdirSync(dir).filter(name => name.endsWith('.out')).length, 500);
+});
@@ -0,0 +1,84 @@
+/**
+ * Images: file lookup and URL downloads with their limits
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { Images } = require('../lib/runtime');
+
+// Smallest header Images.dimensions reads: 2 x 3 pixels
+const png = Buffer.alloc(32);
+Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png);
+png.writeUInt32BE(2, 16);
+png.writeUInt32BE(3, 20);
+
+let server;
+let base;
+
+test.before(async () => {
+    server = http.createServer((req, res) => {
+        if (req.url === '/logo.png') {
+            res.writeHead(200, { 'Content-Type': 'image/png' });
+            res.end(png);
+        } else if (req.url === '/huge.png') {
+            res.writeHead(200, { 'Content-Type': 'image/png' });
+            res.end(Buffer.concat([png, Buffer.alloc(4096)]));
+        } else if (req.url === '/slow.png') {
+            res.writeHead(200, { 'Content-Type': 'image/png' }); // Never finishes
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test.beforeEach(() => {
+    Images.clear();
+    Images.remoteHosts = null;
+});
+
+test('file names resolve with or without their extension', () => {
+    Images.add('Logos/Acme.png', new Uint8Array(png));
+    assert.equal(Images.resolve('acme.png').width, 2);
+    assert.equal(Images.resolve('Acme').height, 3);
+    assert.equal(Images.resolve('other'), null);
+    assert.ok(Images.missing.has('other'));
+});
+
+test('URL images are downloaded and resolve afterwards', async () => {
+    const url = `${base}/logo.png`;
+    assert.equal(Images.resolve(url), null);
+    await Images.fetchRemote();
+    assert.equal(Images.resolve(url).width, 2);
+});
+
+test('hosts outside the allowlist are never fetched', async () => {
+    Images.remoteHosts = ['images.example.com'];
+    const url = `${base}/logo.png`;
+    assert.equal(Images.resolve(url), null);
+    assert.equal(Images.unfetched.size, 0);
+    assert.ok(Images.missing.has(url));
+
+    await Images.fetchRemote([url]);
+    assert.equal(Images.remote.get(url), null);
+    assert.ok(Images.remoteAllowed('https://cdn.images.example.com/a.png'));
+});
+
+test('downloads stop at the size limit and the timeout', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { maxRemoteBytes, fetchTimeout } = Images;
+    Images.maxRemoteBytes = 1024;
+    Images.fetchTimeout = 200;
+    try {
+        await Images.fetchRemote([`${base}/huge.png`, `${base}/slow.png`]);
+    } finally {
+        Object.assign(Images, { maxRemoteBytes, fetchTimeout });
+    }
+    assert.equal(Images.remote.get(`${base}/huge.png`), null);
+    assert.equal(Images.remote.get(`${base}/slow.png`), null);
+});
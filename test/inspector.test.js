@@ -0,0 +1,55 @@
+/**
+ * Finding placeholders in templates
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PizZip = require('pizzip');
+const { Inspector } = require('../lib/runtime');
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+const paragraph = (...runs) => `<w:p>${runs.map(text => `<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">${text}</w:t></w:r>`).join('')}</w:p>`;
+
+/**
+ * DOCX with the given paragraphs in its body and header
+ */
+function docx(body, header) {
+    const zip = new PizZip();
+    zip.file('word/document.xml', `<w:document ${W}><w:body>${body.join('')}</w:body></w:document>`);
+    zip.file('word/header1.xml', `<w:hdr ${W}>${header.join('')}</w:hdr>`);
+    zip.file('word/styles.xml', `<w:styles ${W}>${paragraph('[NOT_A_PART]')}</w:styles>`);
+    return zip.generate({ type: 'nodebuffer' });
+}
+
+test('tags are found across runs and in headers, and split tags are flagged', () => {
+    const { tags, broken } = Inspector.scanDocx(docx(
+        [
+            paragraph('Client: ', '[INSERT_', 'CLIENT_NAME]'),
+            paragraph('[#INSERT_BUDGET]Budget: [INSERT_BUDGET | currency][/INSERT_BUDGET]'),
+            paragraph('[#INSERT_ROOM_DETAILS_ITEMS][ITEM][/INSERT_ROOM_DETAILS_ITEMS] &amp; more')
+        ],
+        [paragraph('Prepared for [INSERT_CLIENT_NAME] on [INSERT_DATE]')]
+    ));
+
+    assert.deepEqual(Object.keys(tags).sort(), ['INSERT_BUDGET', 'INSERT_CLIENT_NAME', 'INSERT_DATE', 'INSERT_ROOM_DETAILS']);
+    assert.deepEqual(tags.INSERT_CLIENT_NAME, { parts: ['word/document.xml', 'word/header1.xml'], split: true });
+    assert.deepEqual(tags.INSERT_DATE, { parts: ['word/header1.xml'], split: false });
+    assert.equal(tags.INSERT_BUDGET.split, false);
+    assert.deepEqual(broken, []);
+});
+
+test('unbalanced brackets are reported with their paragraph', () => {
+    const { tags, broken } = Inspector.scanDocx(docx([paragraph('Due ', '[INSERT_DATE')], [paragraph('Ref: ]')]));
+    assert.deepEqual(tags, {});
+    assert.deepEqual(broken, [{ part: 'word/document.xml', text: 'Due [INSERT_DATE' }, { part: 'word/header1.xml', text: 'Ref: ]' }]);
+});
+
+test('the report lists unmapped, missing and split tags', () => {
+    const scanned = Inspector.scanDocx(docx([paragraph('[INSERT_', 'CLIENT_NAME] [EXTRA]')], []));
+    const report = Inspector.buildReport(scanned, ['INSERT_CLIENT_NAME'], { Client: 'INSERT_CLIENT_NAME', Date: 'INSERT_DATE' });
+
+    assert.deepEqual(report.unmapped, ['EXTRA']);
+    assert.deepEqual(report.missingFromDocx, ['INSERT_DATE']);
+    assert.deepEqual(report.missingFromHtml, ['INSERT_DATE']);
+    assert.deepEqual(report.split, ['INSERT_CLIENT_NAME']);
+});
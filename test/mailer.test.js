@@ -0,0 +1,27 @@
+/**
+ * Sending drafts through the SMTP relay (checks made before connecting)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Mailer = require('../lib/mailer');
+
+const draft = (headers) => Buffer.from(`${headers.join('\r\n')}\r\n\r\nHi\r\n`);
+
+test('envelope reads the sender and every recipient', () => {
+    const envelope = Mailer.envelope(draft(['From: "Office" <office@example.com>', 'To: a@example.com, b@example.com',
+        'Cc: c@example.com', 'Bcc: a@example.com']));
+    assert.deepEqual(envelope, { from: 'office@example.com', to: ['a@example.com', 'b@example.com', 'c@example.com'] });
+});
+
+test('recipients and senders outside the allowed lists are refused', async (t) => {
+    const saved = { host: Mailer.host, from: Mailer.from, domains: Mailer.domains, senders: Mailer.senders };
+    t.after(() => Object.assign(Mailer, saved));
+    Object.assign(Mailer, { host: 'smtp.invalid', from: 'office@example.com', domains: ['example.com'], senders: ['@corp.example.com'] });
+
+    await assert.rejects(Mailer.send(draft(['From: office@example.com', 'To: a@example.com, x@elsewhere.com'])),
+        /Sending to x@elsewhere\.com is not allowed/);
+    await assert.rejects(Mailer.send(draft(['From: someone@elsewhere.com', 'To: a@example.com'])),
+        /Sending from someone@elsewhere\.com is not allowed/);
+    assert.doesNotThrow(() => Mailer.checkAllowed({ from: 'j@mail.corp.example.com', to: ['a@sub.example.com'] }));
+});
@@ -0,0 +1,27 @@
+/**
+ * Mapper: header/tag matching and mapping suggestions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Mapper, Generator } = require('../lib/runtime');
+
+test('normalize strips the INSERT_ prefix, punctuation and case', () => {
+    assert.equal(Mapper.normalize('INSERT_ROOM_DETAILS'), 'room details');
+    assert.equal(Mapper.normalize('Room Details (Workload)'), 'room details workload');
+    assert.equal(Mapper.normalize('Cabling & Infrastructure'), 'cabling and infrastructure');
+});
+
+test('similarity is 1 for equal names and low for unrelated ones', () => {
+    assert.equal(Mapper.similarity('Client', 'client'), 1);
+    assert.ok(Mapper.similarity('Budget', 'INSERT_BUDGET') >= Mapper.matchThreshold);
+    assert.ok(Mapper.similarity('Client', 'Network Strategy') < Mapper.matchThreshold);
+});
+
+test('suggest maps known columns to their default tags and leaves unknown ones unmapped', () => {
+    const placeholders = Object.values(Generator.defaultMappings);
+    const mapping = Mapper.suggest(['Client', 'Budgetary Estimates', 'Favourite Colour'], placeholders);
+    assert.equal(mapping['Client'], 'INSERT_CLIENT_NAME');
+    assert.equal(mapping['Budgetary Estimates'], 'INSERT_BUDGET');
+    assert.ok(!mapping['Favourite Colour']);
+});
@@ -0,0 +1,38 @@
+/**
+ * Filename patterns
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Naming } = require('../lib/runtime');
+
+const row = { Client: 'Ngāti Whātua', Region: 'Auckland/North', 'Desired Completion Date': '2026-03-01' };
+
+test('the default pattern names a document after its client, template and date', () => {
+    assert.equal(Naming.filename(Naming.defaultPattern, Naming.context(row, 4)), 'Ngāti Whātua - Needs Analysis - 01-03-2026.docx');
+    // Empty values fall back, and the separators they leave are dropped
+    assert.equal(Naming.filename(Naming.defaultPattern, Naming.context({}, 2, { name: 'Spec', version: '2' })), 'Document_3 - Spec.docx');
+    // A date that cannot be read is used as written
+    assert.equal(Naming.filename(Naming.defaultPattern, Naming.context({ ...row, 'Desired Completion Date': 'week 12' }, 0)), 'Ngāti Whātua - Needs Analysis - week 12.docx');
+});
+
+test('placeholders take filters and match columns regardless of case', () => {
+    assert.equal(Naming.fill('{client|upper} #{RowNumber} v{TemplateVersion}', Naming.context(row, 4)), 'NGĀTI WHĀTUA #5 v1.0');
+});
+
+test('a slash in the pattern makes a folder, one in a value does not', () => {
+    assert.equal(Naming.filename('{Region}/{Client|slug}', Naming.context(row, 0), 'pdf'), 'Auckland-North/ngāti-whātua.pdf');
+});
+
+test('sanitize makes names safe on every system', () => {
+    assert.equal(Naming.sanitize('  Acme: Phase 1 <draft>?.  '), 'Acme - Phase 1 draft');
+    assert.equal(Naming.sanitize('con.docx'), '_con.docx');
+    assert.equal(Naming.sanitize('x'.repeat(200)).length, Naming.maxSegmentLength);
+});
+
+test('each collision strategy settles duplicate names, ignoring case', () => {
+    assert.deepEqual(Naming.resolveCollisions(['a.docx', 'A.docx', 'b.docx', 'a.docx']), ['a.docx', 'A_1.docx', 'b.docx', 'a_2.docx']);
+    assert.deepEqual(Naming.resolveCollisions(['a', 'A', 'b'], 'skip'), ['a', null, 'b']);
+    assert.deepEqual(Naming.resolveCollisions(['a', 'A', 'b'], 'overwrite'), [null, 'A', 'b']);
+    assert.throws(() => Naming.resolveCollisions(['a', 'A'], 'fail'), /Two documents would be named "A"/);
+});
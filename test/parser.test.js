@@ -0,0 +1,141 @@
+/**
+ * Reading CSV and JSON data
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { Parser } = require('../lib/runtime');
+
+/**
+ * Workbook with a sheet per entry of name -> array of rows
+ * @param {Object<string, Array[]>} sheets
+ */
+function workbook(sheets) {
+    const book = XLSX.utils.book_new();
+    Object.entries(sheets).forEach(([name, rows]) => XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), name));
+    return book;
+}
+
+const known = ['Client', 'Desired Completion Date', 'Budgetary Estimates'];
+
+test('CSV delimiters are detected, or set by a sep= line', () => {
+    assert.deepEqual(Parser.parseCSVString('Client;Budget\nAcme;1,5\n'),
+        { headers: ['Client', 'Budget'], rows: [{ Client: 'Acme', Budget: '1,5' }], delimiter: ';' });
+    assert.equal(Parser.parseCSVString('Client\tBudget\nAcme\t5\n').delimiter, '\t');
+    assert.equal(Parser.parseCSVString('sep=|\nClient|Budget\nAcme|5\n').rows[0].Budget, '5');
+});
+
+test('quoted CSV values keep delimiters, quotes and line breaks', () => {
+    const { rows } = Parser.parseCSVString('Client,Notes\r\n"Acme, Inc","Says ""hi""\r\nthen leaves"\r\n\r\nBeta,\r\n');
+    assert.deepEqual(rows, [{ Client: 'Acme, Inc', Notes: 'Says "hi"\nthen leaves' }, { Client: 'Beta', Notes: '' }]);
+});
+
+test('broken quoting is reported with its line', () => {
+    assert.throws(() => Parser.parseCSVString('Client,Notes\nAcme,"never closed\n'), /Line 2: a quoted value is never closed/);
+    assert.throws(() => Parser.parseCSVString('Client,Notes\nAcme,"a"b\n'), /Line 2: unexpected text after a closing quote/);
+});
+
+test('rows with too many or too few values are reported with their line', () => {
+    assert.throws(() => Parser.parseCSVString('Client,Budget\nAcme,5\nBeta,5,000\n'),
+        /Line 3: 3 values but the header row \(line 1\) has 2 columns/);
+    assert.throws(() => Parser.parseCSVString('sep=,\nClient,Date,Budget\nAcme,2026-01-01,5\nBeta,5\n'),
+        /Line 4: 2 values but the header row \(line 2\) has 3 columns/);
+    // Blank trailing header cells need no values
+    assert.equal(Parser.parseCSVString('Client,Budget,,\nAcme,5\n').rows[0].Budget, '5');
+});
+
+test('a header repeated in the CSV is refused', () => {
+    assert.throws(() => Parser.parseCSVString('Client,Budget,Client\nAcme,5,Beta\n'),
+        /Line 1: the header row has "Client" more than once \(columns 1 and 3\)/);
+});
+
+test('text files are decoded from UTF-8, UTF-16 or Windows-1252', () => {
+    const text = 'Client\nCafé\n';
+    assert.equal(Parser.decodeText(new Uint8Array([0xEF, 0xBB, 0xBF, ...Buffer.from(text)])), text);
+    assert.equal(Parser.decodeText(new Uint8Array([0xFF, 0xFE, ...Buffer.from(text, 'utf16le')])), text);
+    assert.equal(Parser.decodeText(new Uint8Array(Buffer.from(text, 'utf16le'))), text);
+    assert.equal(Parser.decodeText(new Uint8Array(Buffer.from(text, 'latin1'))), text);
+});
+
+test('JSON records become rows with flattened columns', () => {
+    const { headers, rows } = Parser.parseJSONString(JSON.stringify({
+        value: [{ Client: 'Acme', site: { city: 'Auckland' }, rooms: ['A', 'B'] }, { Client: 'Beta', extra: null }]
+    }));
+    assert.deepEqual(headers, ['Client', 'site.city', 'rooms', 'extra']);
+    assert.deepEqual(rows[0], { Client: 'Acme', 'site.city': 'Auckland', rooms: 'A\nB', extra: '' });
+    assert.equal(rows[1]['site.city'], '');
+});
+
+test('NDJSON is read line by line, and bad lines are named', () => {
+    assert.deepEqual(Parser.parseJSONString('{"Client":"Acme"}\n{"Client":"Beta"}\n').rows.map(row => row.Client), ['Acme', 'Beta']);
+    assert.throws(() => Parser.parseJSONString('{"Client":"Acme"}\n{"Client":}\n', true), /^Error: Line 2:/);
+    assert.throws(() => Parser.parseJSONString('[]'), /No records found/);
+});
+
+test('a form is read as one record of its questions and answers', () => {
+    const csv = 'Needs analysis\nClient:,Acme\n1. Date:,2026-01-01\nBudget *\n\nRoom Details (Workload)\n2 rooms\n';
+    const { headers, rows } = Parser.parseCSVString(csv, { layout: 'form', knownHeaders: ['Room Details (Workload)'] });
+    assert.deepEqual(headers, ['Client', 'Date', 'Budget', 'Room Details (Workload)']);
+    assert.deepEqual(rows, [{ Client: 'Acme', Date: '2026-01-01', Budget: '', 'Room Details (Workload)': '2 rooms' }]);
+});
+
+test('a table read as a form is refused', () => {
+    assert.throws(() => Parser.parseCSVString('Id,Start time,Client\n1,2026-01-01,Acme\n2,2026-01-02,Beta\n', { layout: 'form' }),
+        /Only 1 question and answer found in the form\. If each row is a record, choose the Table layout/);
+    // Fixed cells are enough on their own
+    const { rows } = Parser.parseCSVString('Id,Client\n1,Acme\n', { layout: 'form', cells: { Client: 'B2' } });
+    assert.equal(rows[0].Client, 'Acme');
+});
+
+test('a title above the headers is skipped', () => {
+    const matrix = [['Needs analysis responses', ''], ['', ''], ['Client', 'Budgetary Estimates'], ['Acme', '$5,000']];
+    assert.deepEqual(Parser.detectHeaderRow(matrix, known), { index: 2, score: 2 });
+    // Without known headers, the first row with two filled cells
+    assert.equal(Parser.detectHeaderRow(matrix).index, 2);
+
+    const { headers, rows, sheets } = Parser.parseWorkbook(workbook({ Responses: matrix }), { knownHeaders: known });
+    assert.deepEqual(headers, ['Client', 'Budgetary Estimates']);
+    assert.deepEqual(rows, [{ 'Client': 'Acme', 'Budgetary Estimates': '$5,000' }]);
+    assert.deepEqual(sheets.headerRows, { Responses: 3 });
+});
+
+test('the sheet with the known headers is read, not a cover sheet before it', () => {
+    const book = workbook({
+        Cover: [['Prepared by', 'IT'], ['Date', '2026-01-01'], ['Status', 'Draft']],
+        Data: [['Client', 'Desired Completion Date'], ['Acme', '2026-03-01']]
+    });
+    assert.equal(Parser.detectSheet(book, known, (name) => Parser.sheetToMatrix(book.Sheets[name])), 'Data');
+
+    const { rows, sheets } = Parser.parseWorkbook(book, { knownHeaders: known });
+    assert.deepEqual(sheets.selected, ['Data']);
+    assert.deepEqual(rows, [{ 'Client': 'Acme', 'Desired Completion Date': '2026-03-01' }]);
+});
+
+test('several sheets merge with a Sheet column and every column on every row', () => {
+    const book = workbook({
+        North: [['Client', 'Budget'], ['Acme', '5']],
+        South: [['Client', 'Region'], ['Beta', 'Otago'], ['Gamma', 'Southland']],
+        Empty: [['Client']]
+    });
+    const { headers, rows } = Parser.parseWorkbook(book, { sheets: ['North', 'South', 'Empty'], headerRow: 1 });
+
+    assert.deepEqual(headers, ['Sheet', 'Client', 'Budget', 'Region']);
+    assert.deepEqual(rows, [
+        { Sheet: 'North', Client: 'Acme', Budget: '5', Region: '' },
+        { Sheet: 'South', Client: 'Beta', Budget: '', Region: 'Otago' },
+        { Sheet: 'South', Client: 'Gamma', Budget: '', Region: 'Southland' }
+    ]);
+});
+
+test('one-record files merge with a File column', () => {
+    const merged = Parser.mergeFiles([
+        { fileName: 'acme.xlsx', headers: ['Client', 'Budget'], rows: [{ Client: 'Acme', Budget: '5' }] },
+        { fileName: 'beta.xlsx', headers: ['Client', 'Region'], rows: [{ Client: 'Beta', Region: 'Otago' }] }
+    ]);
+    assert.deepEqual(merged.headers, ['File', 'Client', 'Budget', 'Region']);
+    assert.deepEqual(merged.rows, [
+        { File: 'acme.xlsx', Client: 'Acme', Budget: '5', Region: '' },
+        { File: 'beta.xlsx', Client: 'Beta', Budget: '', Region: 'Otago' }
+    ]);
+});
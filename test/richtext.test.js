@@ -0,0 +1,65 @@
+/**
+ * Markdown in cell values (RichText is a global of the runtime)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PizZip = require('pizzip');
+const { Generator, BUILTIN_TEMPLATE, generateRows, loadTemplateFile } = require('../lib/runtime');
+
+const { RichText } = global;
+const text = (runs) => runs.map(run => (run.break ? '\n' : run.text)).join('');
+
+test('paragraphs, bullets and numbered lists become blocks', () => {
+    const blocks = RichText.parse('Intro\nline two\n\n- one\n  - nested\n- two\n\n1. first\n2) second');
+    assert.deepEqual(blocks.map(({ type, level, list }) => [type, level, list]), [
+        ['paragraph', 0, 0],
+        ['bullet', 0, 1],
+        ['bullet', 1, 1],
+        ['bullet', 0, 1],
+        ['number', 0, 2],
+        ['number', 0, 2]
+    ]);
+    assert.equal(text(blocks[0].runs), 'Intro\nline two');
+});
+
+test('inline markup sets bold and italic, but not inside words or when escaped', () => {
+    const runs = RichText.parseInline('a **b** *c* _d_ file_name \\*lit\\* ***e***');
+    const styled = runs.filter(run => run.bold || run.italic).map(({ text: t, bold, italic }) => [t, bold, italic]);
+    assert.deepEqual(styled, [['b', true, false], ['c', false, true], ['d', false, true], ['e', true, true]]);
+    assert.ok(text(runs).includes(' file_name *lit* '));
+});
+
+test('toPlain drops the markup and keeps list markers', () => {
+    assert.equal(RichText.toPlain('- **Bold** item\n1. *it*'), '- Bold item\n1. it');
+});
+
+test('toHtml nests lists, and keeps a lone paragraph inline', () => {
+    assert.equal(RichText.toHtml('- a\n  - b\n- c\n\nPara'), '<ul><li>a<ul><li>b</li></ul></li><li>c</li></ul><p>Para</p>');
+    assert.equal(RichText.toHtml('just **x** & y'), 'just <strong>x</strong> &amp; y');
+});
+
+test('Excel rich text runs are read as markup', () => {
+    const xml = '<r><t>plain </t></r><r><rPr><b/></rPr><t>video</t></r><r><t xml:space="preserve"> a*b</t></r>';
+    assert.equal(RichText.fromExcelRuns(xml), 'plain **video** a\\*b');
+    assert.equal(RichText.fromExcelRuns('<r><t>plain</t></r>'), null);
+});
+
+test('a markdown column renders as Word formatting and lists', async () => {
+    const template = loadTemplateFile(BUILTIN_TEMPLATE, {
+        mappings: { ...Generator.defaultMappings },
+        formats: { 'Functional Requirements': 'markdown' }
+    });
+    const [doc] = await generateRows([{ 'Client': 'Acme', 'Functional Requirements': 'Needs **video** calls:\n\n- Teams\n- Zoom' }], [0], [template]);
+    const zip = new PizZip(doc.blob);
+    const xml = zip.file('word/document.xml').asText();
+
+    assert.match(xml, /<w:b\/>(?:<w:bCs\/>)?<\/w:rPr><w:t xml:space="preserve">video<\/w:t>/);
+    const paragraphs = xml.split('</w:p>');
+    ['Teams', 'Zoom'].forEach(item => {
+        const paragraph = paragraphs.find(p => p.includes(`>${item}</w:t>`));
+        assert.ok(paragraph && paragraph.includes('<w:numPr>'), `${item} is a list item`);
+    });
+    assert.ok(zip.file('word/numbering.xml'));
+    assert.ok(!xml.includes(RichText.marker));
+});
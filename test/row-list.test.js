@@ -0,0 +1,25 @@
+/**
+ * Row filters (js/row-list.js is browser-only, so it is loaded here into the
+ * runtime's window globals)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../lib/runtime');
+require('../js/row-list');
+
+const { RowList } = global;
+
+test('ranges compare dates as dates and amounts as numbers', () => {
+    assert.equal(RowList.inRange('15/03/2025', '1/1/2025', '31/12/2025'), true);
+    assert.equal(RowList.inRange('15 March 2026', '1/1/2025', '31/12/2025'), false);
+    assert.equal(RowList.inRange('$12,500', '10000', ''), true);
+    assert.equal(RowList.inRange('anything', '', ''), true);
+});
+
+test('a value that is neither a date nor a number never matches a set range', () => {
+    ['week 12', 'TBC', 'sometime in 2025'].forEach(value => {
+        assert.equal(RowList.inRange(value, '1/1/2024', '31/12/2026'), false, value);
+        assert.equal(RowList.inRange(value, '0', ''), false, value);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Service worker fetches (run in a sandbox with stand-in fetch and caches)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8');
+
+/**
+ * The worker's fetch handler with a cache holding cached, and fetch answering with network
+ * @param {Object<string, Response>} cached - URL -> response
+ * @param {function(Request): Promise<Response>} network
+ */
+function worker(cached, network) {
+    const listeners = {};
+    const store = new Map(Object.entries(cached));
+    const cache = {
+        match: async (request) => store.get(request.url),
+        put: async (request, response) => {
+            store.set(request.url, response);
+        }
+    };
+    const context = {
+        self: { addEventListener: (type, listener) => (listeners[type] = listener), location: { origin: 'http://app.test' } },
+        caches: { open: async () => cache },
+        fetch: network,
+        setTimeout,
+        clearTimeout,
+        URL,
+        Headers,
+        Response
+    };
+    vm.runInNewContext(`${source}\nself.NETWORK_TIMEOUT = NETWORK_TIMEOUT;`, context);
+
+    return {
+        timeout: context.self.NETWORK_TIMEOUT,
+        store,
+        get(url) {
+            let answer;
+            const waits = [];
+            listeners.fetch({
+                request: new Request(url),
+                respondWith: (promise) => (answer = promise),
+                waitUntil: (promise) => waits.push(promise)
+            });
+            return { answer, waits };
+        }
+    };
+}
+
+test('a stalled network falls back to the cache after the timeout', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let respond;
+    const sw = worker({ 'http://app.test/js/app.js': new Response('cached') },
+        () => new Promise(resolve => (respond = resolve)));
+
+    const { answer, waits } = sw.get('http://app.test/js/app.js');
+    await new Promise(resolve => setImmediate(resolve));
+    t.mock.timers.tick(sw.timeout);
+    assert.equal(await (await answer).text(), 'cached');
+
+    // The late answer still refreshes the cache
+    respond(new Response('fresh', { status: 200 }));
+    await Promise.all(waits);
+    assert.equal(await sw.store.get('http://app.test/js/app.js').text(), 'fresh');
+});
+
+test('the network answer is used when it comes in time', async () => {
+    const sw = worker({ 'http://app.test/index.html': new Response('cached') }, async () => new Response('fresh', { status: 200 }));
+    assert.equal(await (await sw.get('http://app.test/index.html').answer).text(), 'fresh');
+});
+
+test('without a cached copy a slow network is waited for', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let respond;
+    const sw = worker({}, () => new Promise(resolve => (respond = resolve)));
+
+    const { answer } = sw.get('http://app.test/css/styles.css');
+    await new Promise(resolve => setImmediate(resolve));
+    t.mock.timers.tick(sw.timeout);
+    respond(new Response('late', { status: 200 }));
+    assert.equal(await (await answer).text(), 'late');
+});
@@ -0,0 +1,75 @@
+/**
+ * Sections, loops and filters (Templating is a global of the runtime). The
+ * preview and the DOCX must agree, so each template is rendered both ways.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const PizZip = require('pizzip');
+const { Extractor, Generator, BUILTIN_TEMPLATE } = require('../lib/runtime');
+
+const { Templating } = global;
+
+const mappings = { Client: 'CLIENT', Budget: 'BUDGET', Rooms: 'ROOMS', Date: 'DATE' };
+
+/**
+ * The built-in template with its body replaced by one paragraph of text
+ * @param {string} text
+ */
+function docxWith(text) {
+    const zip = new PizZip(fs.readFileSync(BUILTIN_TEMPLATE));
+    const xml = zip.file('word/document.xml').asText()
+        .replace(/(<w:body>)[\s\S]*?(<w:sectPr\b)/, `$1<w:p><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>$2`);
+    zip.file('word/document.xml', xml);
+    return zip.generate({ type: 'nodebuffer' });
+}
+
+/**
+ * Render a template for a row as the preview does and as the DOCX does,
+ * assert they agree and return the text
+ */
+function renderBoth(template, row) {
+    const html = Templating.render(template, Generator.buildData(row, mappings, {})).trim();
+    const zip = Generator.renderZip(row, { name: 'Test', docx: docxWith(template), mappings, formats: {} });
+    assert.equal(html, Extractor.documentText(zip).trim(), template);
+    return html;
+}
+
+test('lists split on lines or semicolons, without their bullets', () => {
+    assert.deepEqual(Templating.splitList('- Board room\n* Huddle\n\n2) Lobby'), ['Board room', 'Huddle', 'Lobby']);
+    assert.deepEqual(Templating.splitList('Teams; Zoom ;'), ['Teams', 'Zoom']);
+    assert.deepEqual(Templating.splitList('a; b\nc'), ['a; b', 'c']);
+    assert.deepEqual(Templating.splitList('  '), []);
+});
+
+test('list items number themselves and split into columns on | or tabs', () => {
+    assert.deepEqual(Templating.toItems('Room A | 12\nRoom B\t4'), [
+        { ITEM: 'Room A | 12', INDEX: 1, COL1: 'Room A', COL2: '12' },
+        { ITEM: 'Room B\t4', INDEX: 2, COL1: 'Room B', COL2: '4' }
+    ]);
+});
+
+test('sections show only with a value, inverted sections only without', () => {
+    const template = '[#BUDGET]Budget: [BUDGET][/BUDGET][^BUDGET]No budget[/BUDGET]';
+    assert.equal(renderBoth(template, { Budget: '$5,000' }), 'Budget: $5,000');
+    assert.equal(renderBoth(template, { Budget: '' }), 'No budget');
+});
+
+test('_ITEMS loops repeat per item with INDEX, ITEM and [.]', () => {
+    const row = { Client: 'Acme', Rooms: '- Board room\n- Huddle' };
+    assert.equal(renderBoth('[#ROOMS_ITEMS][INDEX]. [ITEM] ([.]) for [CLIENT]; [/ROOMS_ITEMS]', row),
+        '1. Board room (Board room) for Acme; 2. Huddle (Huddle) for Acme;');
+    assert.equal(renderBoth('[#ROOMS_ITEMS]x[/ROOMS_ITEMS][^ROOMS_ITEMS]No rooms[/ROOMS_ITEMS]', { Rooms: '' }), 'No rooms');
+});
+
+test('COL1 and COL2 are the parts of each item', () => {
+    assert.equal(renderBoth('[#ROOMS_ITEMS][COL1] seats [COL2]. [/ROOMS_ITEMS]', { Rooms: 'Board room | 12\nHuddle | 4' }),
+        'Board room seats 12. Huddle seats 4.');
+});
+
+test('filters on tags and inside loops', () => {
+    const row = { Client: 'acme ltd', Date: '2024-03-05', Rooms: 'a;b' };
+    assert.equal(renderBoth('[CLIENT | title] by [DATE | date:"D MMMM YYYY"]: [#ROOMS_ITEMS][ITEM | upper][/ROOMS_ITEMS]', row),
+        'Acme Ltd by 5 March 2024: AB');
+});
@@ -0,0 +1,58 @@
+/**
+ * Validation rules (Validator is a global of the runtime)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+require('../lib/runtime');
+
+const { Validator } = global;
+
+test('required values must be present; other rules skip empty values', () => {
+    assert.deepEqual(Validator.checkValue('  ', { required: true }), ['is required']);
+    assert.deepEqual(Validator.checkValue('', { type: 'date', allowed: ['Yes'] }), []);
+});
+
+test('dates must be real dates', () => {
+    assert.deepEqual(Validator.checkValue('15/03/2024', { type: 'date' }), []);
+    assert.deepEqual(Validator.checkValue('15 March 2024', { type: 'date' }), []);
+    ['week 12', 'TBC', 'sometime in 2025', '31/02/2024'].forEach(value => {
+        assert.deepEqual(Validator.checkValue(value, { type: 'date' }), [`“${value}” is not a recognisable date`]);
+    });
+});
+
+test('numbers and currency amounts', () => {
+    assert.deepEqual(Validator.checkValue('$12,500', { type: 'currency' }), []);
+    assert.deepEqual(Validator.checkValue('about 5', { type: 'currency' }), ['“about 5” is not a currency amount']);
+    assert.deepEqual(Validator.checkValue('12k', { type: 'number' }), []);
+    assert.deepEqual(Validator.checkValue('twelve', { type: 'number' }), ['“twelve” is not a number']);
+});
+
+test('email addresses, several to a cell', () => {
+    assert.deepEqual(Validator.checkValue('a@example.com; b@example.com', { type: 'email' }), []);
+    assert.deepEqual(Validator.checkValue('a@example.com, b@examplecom', { type: 'email' }), ['“b@examplecom” is not an email address']);
+});
+
+test('allowed values ignore case; length and pattern are checked too', () => {
+    assert.deepEqual(Validator.checkValue('yes', { allowed: ['Yes', 'No'] }), []);
+    assert.deepEqual(Validator.checkValue('Maybe', { allowed: ['Yes', 'No'] }), ['“Maybe” is not one of: Yes, No']);
+    assert.deepEqual(Validator.checkValue('Acme', { maxLength: 3 }), ['is longer than 3 characters (4)']);
+    assert.deepEqual(Validator.checkValue('AB-1', { pattern: '^[A-Z]{3}-\\d+$' }), ['does not match ^[A-Z]{3}-\\d+$']);
+    assert.match(Validator.checkValue('x', { pattern: '(' })[0], /has an invalid pattern rule/);
+});
+
+test('validate lists issues per row for the columns present', () => {
+    const rules = { ...Validator.defaultRules, Missing: { required: true } };
+    const rows = [
+        { 'Client': 'Acme', 'Desired Completion Date': '2026-01-01', 'Budgetary Estimates': '$5,000' },
+        { 'Client': '', 'Desired Completion Date': 'week 12', 'Budgetary Estimates': '' }
+    ];
+    const issues = Validator.validate(rows, ['Client', 'Desired Completion Date', 'Budgetary Estimates'], rules);
+
+    assert.deepEqual([...issues.keys()], [1]);
+    assert.deepEqual(Validator.getIssues(1).map(issue => issue.message), [
+        'Client is required',
+        'Desired Completion Date “week 12” is not a recognisable date'
+    ]);
+    assert.deepEqual(Validator.getIssues(0), []);
+});
@@ -0,0 +1,55 @@
+/**
+ * Streamed ZIP archives (js/zip-stream.js is browser-only, so it is loaded here
+ * into the runtime's window globals)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+require('../lib/runtime');
+require('../js/zip-stream');
+
+const { ZipStream } = global;
+
+async function build(files) {
+    const pieces = [];
+    const zip = ZipStream.create((bytes) => {
+        pieces.push(bytes);
+    });
+    for (const [name, data] of files) await zip.add(name, data, new Date(2026, 0, 2, 3, 4, 6));
+    await zip.finish();
+    return { zip, bytes: Buffer.concat(pieces), pieces };
+}
+
+test('the streamed archive reads back with every file intact', async () => {
+    const files = [
+        ['Acme - Needs Analysis.docx', new Uint8Array([80, 75, 1, 2, 3])],
+        ['Ngāti Whātua/Report.pdf', new TextEncoder().encode('%PDF-1.7 '.repeat(1000))],
+        ['Empty.txt', new Uint8Array(0)]
+    ];
+    const { zip, bytes, pieces } = await build(files);
+    assert.equal(zip.count, 3);
+    assert.ok(pieces.length > files.length, 'written piece by piece');
+
+    const archive = await JSZip.loadAsync(bytes);
+    for (const [name, data] of files) {
+        const entry = archive.file(name);
+        assert.ok(entry, name);
+        assert.deepEqual(await entry.async('uint8array'), data);
+        assert.equal(entry.date.getMinutes(), 4);
+    }
+});
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(ZipStream.crc32(new TextEncoder().encode('123456789')) >>> 0, 0xCBF43926);
+});
+
+test('adding past the ZIP limits is refused', async (t) => {
+    const { maxEntries } = ZipStream;
+    t.after(() => {
+        ZipStream.maxEntries = maxEntries;
+    });
+    ZipStream.maxEntries = 1;
+    const { zip } = await build([['one.txt', new Uint8Array([1])]]);
+    await assert.rejects(zip.add('two.txt', new Uint8Array([2])), /The ZIP is too large/);
+});